@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "public"."devices" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "fcmToken" TEXT NOT NULL,
+    "deviceId" TEXT,
+    "platform" TEXT,
+    "appVersion" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "invalidatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "devices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "devices_fcmToken_key" ON "public"."devices"("fcmToken");
+
+-- CreateIndex
+CREATE INDEX "devices_userId_isActive_idx" ON "public"."devices"("userId", "isActive");
+
+-- CreateIndex
+CREATE INDEX "devices_sessionId_idx" ON "public"."devices"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "public"."devices" ADD CONSTRAINT "devices_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."devices" ADD CONSTRAINT "devices_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."user_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "public"."EmailStatus" AS ENUM ('PENDING', 'SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "public"."email_messages" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "to" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "subject" TEXT NOT NULL,
+    "html" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "status" "public"."EmailStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "messageId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "email_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "email_messages_status_nextAttemptAt_idx" ON "public"."email_messages"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "email_messages_userId_idx" ON "public"."email_messages"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."email_messages" ADD CONSTRAINT "email_messages_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "notificationSlots" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "quietHoursEnd" TEXT,
+ADD COLUMN     "quietHoursStart" TEXT;
@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "public"."JobRunStatus" AS ENUM ('QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "public"."JobTrigger" AS ENUM ('SCHEDULE', 'MANUAL');
+
+-- CreateTable
+CREATE TABLE "public"."scheduled_jobs" (
+    "name" TEXT NOT NULL,
+    "isPaused" BOOLEAN NOT NULL DEFAULT false,
+    "pausedAt" TIMESTAMP(3),
+    "pausedBy" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "scheduled_jobs_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateTable
+CREATE TABLE "public"."job_runs" (
+    "id" TEXT NOT NULL,
+    "jobName" TEXT NOT NULL,
+    "trigger" "public"."JobTrigger" NOT NULL DEFAULT 'SCHEDULE',
+    "triggeredBy" TEXT,
+    "status" "public"."JobRunStatus" NOT NULL DEFAULT 'QUEUED',
+    "scheduledFor" TIMESTAMP(3) NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 3,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedBy" TEXT,
+    "lockedUntil" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "result" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_runs_status_nextAttemptAt_idx" ON "public"."job_runs"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "job_runs_jobName_createdAt_idx" ON "public"."job_runs"("jobName", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "job_runs_jobName_scheduledFor_key" ON "public"."job_runs"("jobName", "scheduledFor");
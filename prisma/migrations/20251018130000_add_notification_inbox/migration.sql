@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."notifications" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "readAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "notifications_userId_scheduledFor_idx" ON "public"."notifications"("userId", "scheduledFor");
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "public"."CampaignStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'SENDING', 'SENT', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "public"."notifications" ADD COLUMN     "campaignId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."campaigns" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "imageUrl" TEXT,
+    "factId" TEXT,
+    "segment" JSONB NOT NULL DEFAULT '{}',
+    "status" "public"."CampaignStatus" NOT NULL DEFAULT 'DRAFT',
+    "scheduledFor" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "audienceSize" INTEGER,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "campaigns_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "campaigns_status_scheduledFor_idx" ON "public"."campaigns"("status", "scheduledFor");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "notifications_campaignId_userId_key" ON "public"."notifications"("campaignId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."notifications" ADD CONSTRAINT "notifications_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "public"."campaigns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."campaigns" ADD CONSTRAINT "campaigns_factId_fkey" FOREIGN KEY ("factId") REFERENCES "public"."facts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "public"."device_topics" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "subscribedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "device_topics_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "device_topics_topic_idx" ON "public"."device_topics"("topic");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "device_topics_deviceId_topic_key" ON "public"."device_topics"("deviceId", "topic");
+
+-- AddForeignKey
+ALTER TABLE "public"."device_topics" ADD CONSTRAINT "device_topics_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "public"."devices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
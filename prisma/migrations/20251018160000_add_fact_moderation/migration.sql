@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "public"."ModerationStatus" AS ENUM ('DRAFT', 'PENDING_REVIEW', 'CHANGES_REQUESTED', 'APPROVED', 'REJECTED', 'ARCHIVED');
+
+-- AlterTable
+ALTER TABLE "public"."facts" ADD COLUMN     "assignedAt" TIMESTAMP(3),
+ADD COLUMN     "moderationStatus" "public"."ModerationStatus" NOT NULL DEFAULT 'DRAFT',
+ADD COLUMN     "reviewerId" TEXT,
+ADD COLUMN     "submittedAt" TIMESTAMP(3);
+
+-- Backfill: approved facts keep their state; unapproved facts were either
+-- waiting for review or rejected (rejection used to deactivate them)
+UPDATE "public"."facts" SET "moderationStatus" = CASE
+    WHEN "isApproved" THEN 'APPROVED'::"public"."ModerationStatus"
+    WHEN "isActive" THEN 'PENDING_REVIEW'::"public"."ModerationStatus"
+    ELSE 'REJECTED'::"public"."ModerationStatus"
+END;
+
+UPDATE "public"."facts" SET "submittedAt" = "createdAt" WHERE "moderationStatus" = 'PENDING_REVIEW';
+
+-- CreateTable
+CREATE TABLE "public"."fact_reviews" (
+    "id" TEXT NOT NULL,
+    "factId" TEXT NOT NULL,
+    "userId" TEXT,
+    "fromStatus" "public"."ModerationStatus",
+    "toStatus" "public"."ModerationStatus" NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fact_reviews_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "fact_reviews_factId_createdAt_idx" ON "public"."fact_reviews"("factId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "facts_moderationStatus_submittedAt_idx" ON "public"."facts"("moderationStatus", "submittedAt");
+
+-- CreateIndex
+CREATE INDEX "facts_reviewerId_idx" ON "public"."facts"("reviewerId");
+
+-- AddForeignKey
+ALTER TABLE "public"."fact_reviews" ADD CONSTRAINT "fact_reviews_factId_fkey" FOREIGN KEY ("factId") REFERENCES "public"."facts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."fact_reviews" ADD CONSTRAINT "fact_reviews_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."fact_revisions" (
+    "id" TEXT NOT NULL,
+    "factId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "userId" TEXT,
+    "restoredFrom" INTEGER,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "shortContent" TEXT,
+    "source" TEXT,
+    "sourceUrl" TEXT,
+    "imageUrl" TEXT,
+    "videoUrl" TEXT,
+    "categoryId" TEXT NOT NULL,
+    "difficulty" "public"."DifficultyLevel" NOT NULL,
+    "tags" TEXT[],
+    "language" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fact_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fact_revisions_factId_version_key" ON "public"."fact_revisions"("factId", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."fact_revisions" ADD CONSTRAINT "fact_revisions_factId_fkey" FOREIGN KEY ("factId") REFERENCES "public"."facts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."fact_revisions" ADD CONSTRAINT "fact_revisions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
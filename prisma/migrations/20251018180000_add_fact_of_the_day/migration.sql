@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "public"."facts_of_the_day" (
+    "date" TEXT NOT NULL,
+    "factId" TEXT NOT NULL,
+    "setBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "facts_of_the_day_pkey" PRIMARY KEY ("date")
+);
+
+-- CreateIndex
+CREATE INDEX "facts_of_the_day_factId_idx" ON "public"."facts_of_the_day"("factId");
+
+-- AddForeignKey
+ALTER TABLE "public"."facts_of_the_day" ADD CONSTRAINT "facts_of_the_day_factId_fkey" FOREIGN KEY ("factId") REFERENCES "public"."facts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
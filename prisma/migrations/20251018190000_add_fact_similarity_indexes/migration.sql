@@ -0,0 +1,8 @@
+-- Trigram similarity for duplicate detection
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateIndex
+CREATE INDEX "facts_title_trgm_idx" ON "public"."facts" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "facts_content_trgm_idx" ON "public"."facts" USING GIN ("content" gin_trgm_ops);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."facts" ADD COLUMN     "images" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "avatarImages" JSONB;
@@ -0,0 +1,35 @@
+-- Text search configuration for a fact language code ("en", "pt-BR", ...)
+CREATE OR REPLACE FUNCTION "public"."fact_search_config"(language TEXT) RETURNS regconfig AS $$
+  SELECT CASE split_part(lower(language), '-', 1)
+    WHEN 'en' THEN 'english'::regconfig
+    WHEN 'da' THEN 'danish'::regconfig
+    WHEN 'de' THEN 'german'::regconfig
+    WHEN 'es' THEN 'spanish'::regconfig
+    WHEN 'fi' THEN 'finnish'::regconfig
+    WHEN 'fr' THEN 'french'::regconfig
+    WHEN 'hu' THEN 'hungarian'::regconfig
+    WHEN 'it' THEN 'italian'::regconfig
+    WHEN 'nl' THEN 'dutch'::regconfig
+    WHEN 'no' THEN 'norwegian'::regconfig
+    WHEN 'nb' THEN 'norwegian'::regconfig
+    WHEN 'pt' THEN 'portuguese'::regconfig
+    WHEN 'ro' THEN 'romanian'::regconfig
+    WHEN 'ru' THEN 'russian'::regconfig
+    WHEN 'sv' THEN 'swedish'::regconfig
+    WHEN 'tr' THEN 'turkish'::regconfig
+    ELSE 'simple'::regconfig
+  END
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Weighted document of a fact: title (A) > tags (B) > content (C)
+CREATE OR REPLACE FUNCTION "public"."fact_search_vector"(language TEXT, title TEXT, tags TEXT[], content TEXT) RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector("public"."fact_search_config"(language), coalesce(title, '')), 'A')
+    || setweight(to_tsvector("public"."fact_search_config"(language), coalesce(array_to_string(tags, ' '), '')), 'B')
+    || setweight(to_tsvector("public"."fact_search_config"(language), coalesce(content, '')), 'C')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- AlterTable
+ALTER TABLE "public"."facts" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS ("public"."fact_search_vector"("language", "title", "tags", "content")) STORED;
+
+-- CreateIndex
+CREATE INDEX "facts_search_vector_idx" ON "public"."facts" USING GIN ("searchVector");
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."EventType" ADD VALUE 'SEARCH_RESULT_CLICKED';
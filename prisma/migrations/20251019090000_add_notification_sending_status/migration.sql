@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."NotificationStatus" ADD VALUE 'SENDING' AFTER 'PENDING';
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "public"."EmailStatus" ADD VALUE 'EXPIRED';
+
+-- AlterTable
+ALTER TABLE "public"."email_messages" ADD COLUMN     "expiresAt" TIMESTAMP(3);
+
+-- Clear the bodies (and the links in them) of messages that already left the outbox
+UPDATE "public"."email_messages" SET "html" = '', "text" = '' WHERE "status" <> 'PENDING';
@@ -0,0 +1,14 @@
+-- Words of published facts per language, for search spelling corrections.
+-- Refreshed by the refresh-search-lexicon job.
+CREATE MATERIALIZED VIEW "public"."search_lexicon" AS
+SELECT f."language", lower(word) AS "word", COUNT(*)::int AS "frequency"
+FROM "public"."facts" f,
+  regexp_split_to_table(f."title" || ' ' || array_to_string(f."tags", ' ') || ' ' || f."content", '[^[:alnum:]]+') AS word
+WHERE f."isApproved" = true AND f."isActive" = true AND f."publishedAt" <= NOW() AND length(word) >= 3
+GROUP BY f."language", lower(word);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "search_lexicon_language_word_key" ON "public"."search_lexicon"("language", "word");
+
+-- CreateIndex
+CREATE INDEX "search_lexicon_word_trgm_idx" ON "public"."search_lexicon" USING GIN ("word" gin_trgm_ops);
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "public"."user_facts" ADD COLUMN     "bookmarkedAt" TIMESTAMP(3),
+ADD COLUMN     "likedAt" TIMESTAMP(3);
+
+-- Existing likes and bookmarks date from the last change of their interaction
+UPDATE "public"."user_facts" SET "likedAt" = "updatedAt" WHERE "isLiked" = true;
+UPDATE "public"."user_facts" SET "bookmarkedAt" = "updatedAt" WHERE "isBookmarked" = true;
+
+-- CreateIndex
+CREATE INDEX "user_facts_userId_likedAt_idx" ON "public"."user_facts"("userId", "likedAt");
+
+-- CreateIndex
+CREATE INDEX "user_facts_userId_bookmarkedAt_idx" ON "public"."user_facts"("userId", "bookmarkedAt");
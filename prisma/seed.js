@@ -35,6 +35,11 @@ async function main() {
         value: 'false',
         description: 'Enable/disable maintenance mode',
       },
+      {
+        key: 'maintenance_message',
+        value: 'The service is under maintenance, please try again later',
+        description: 'Message returned while maintenance mode is on',
+      },
       {
         key: 'max_daily_notifications',
         value: '5',
@@ -119,6 +124,7 @@ async function main() {
       categoryId: categoryMap.science,
       difficulty: 'MEDIUM',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: true,
       publishedAt: new Date(),
@@ -130,6 +136,7 @@ async function main() {
       categoryId: categoryMap.science,
       difficulty: 'EASY',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: false,
       publishedAt: new Date(),
@@ -141,6 +148,7 @@ async function main() {
       categoryId: categoryMap.history,
       difficulty: 'MEDIUM',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: true,
       publishedAt: new Date(),
@@ -152,6 +160,7 @@ async function main() {
       categoryId: categoryMap.technology,
       difficulty: 'MEDIUM',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: false,
       publishedAt: new Date(),
@@ -163,6 +172,7 @@ async function main() {
       categoryId: categoryMap.nature,
       difficulty: 'HARD',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: true,
       publishedAt: new Date(),
@@ -174,6 +184,7 @@ async function main() {
       categoryId: categoryMap.space,
       difficulty: 'HARD',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: false,
       publishedAt: new Date(),
@@ -185,6 +196,7 @@ async function main() {
       categoryId: categoryMap.health,
       difficulty: 'MEDIUM',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: false,
       publishedAt: new Date(),
@@ -196,6 +208,7 @@ async function main() {
       categoryId: categoryMap.history,
       difficulty: 'MEDIUM',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: true,
       publishedAt: new Date(),
@@ -207,6 +220,7 @@ async function main() {
       categoryId: categoryMap.history,
       difficulty: 'HARD',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: false,
       publishedAt: new Date(),
@@ -218,6 +232,7 @@ async function main() {
       categoryId: categoryMap.nature,
       difficulty: 'EASY',
       isApproved: true,
+      moderationStatus: 'APPROVED',
       isActive: true,
       isFeatured: false,
       publishedAt: new Date(),
@@ -322,14 +337,20 @@ async function main() {
     const selectedFacts = shuffledFacts.slice(0, Math.floor(Math.random() * 4) + 5);
     
     for (const fact of selectedFacts) {
+      const viewedAt = new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000); // Random time in last 7 days
+      const isLiked = Math.random() > 0.7; // 30% chance of liking
+      const isBookmarked = Math.random() > 0.85; // 15% chance of bookmarking
+
       await prisma.userFact.create({
         data: {
           userId: user.id,
           factId: fact.id,
           isViewed: true,
-          viewedAt: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000), // Random time in last 7 days
-          isLiked: Math.random() > 0.7, // 30% chance of liking
-          isBookmarked: Math.random() > 0.85, // 15% chance of bookmarking
+          viewedAt,
+          isLiked,
+          likedAt: isLiked ? viewedAt : null,
+          isBookmarked,
+          bookmarkedAt: isBookmarked ? viewedAt : null,
           isShared: Math.random() > 0.9, // 10% chance of sharing
         },
       });
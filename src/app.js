@@ -8,13 +8,17 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const { globalErrorHandler, notFoundHandler, timeoutHandler } = require('./middleware/errorHandler');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { maintenanceMode } = require('./middleware/maintenance');
+const { driverType: storageDriver, UPLOAD_DIR } = require('./config/storage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const factRoutes = require('./routes/facts');
+const notificationRoutes = require('./routes/notifications');
 const adminRoutes = require('./routes/admin');
 const healthRoutes = require('./routes/health');
+const mediaRoutes = require('./routes/media');
 
 /**
  * Create Express application
@@ -69,7 +73,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-ID', 'X-App-Version'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-ID', 'X-Device-Type', 'X-App-Version', 'X-FCM-Token'],
 };
 
 app.use(cors(corsOptions));
@@ -132,13 +136,29 @@ app.use(generalLimiter);
  */
 app.use('/health', healthRoutes);
 
+/**
+ * Maintenance mode (health checks above stay available)
+ */
+app.use('/api', maintenanceMode);
+
 /**
  * API Routes
  */
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/facts', factRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/media', mediaRoutes);
+
+/**
+ * Uploaded media, when stored on the local filesystem
+ */
+if (storageDriver === 'local') {
+  app.use('/media', express.static(UPLOAD_DIR, {
+    setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin'),
+  }));
+}
 
 /**
  * API documentation
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+/**
+ * Mail transport configuration
+ *
+ * EMAIL_TRANSPORT selects the driver:
+ * - smtp: deliver through SMTP_HOST (default in production)
+ * - json: build the message and return it as JSON without sending (tests)
+ * - file: write each message as an .eml file to EMAIL_OUTPUT_DIR (local dev)
+ */
+const getTransportType = () => {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT;
+  }
+
+  if (process.env.NODE_ENV === 'test') {
+    return 'json';
+  }
+
+  return process.env.SMTP_HOST ? 'smtp' : 'file';
+};
+
+/**
+ * SMTP timeouts (ms), so a stalled mail server fails an attempt instead of
+ * holding it for minutes
+ */
+const SMTP_TIMEOUTS = {
+  connectionTimeout: 10 * 1000,
+  greetingTimeout: 10 * 1000,
+  socketTimeout: 30 * 1000,
+};
+
+const createTransport = (type) => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: parseInt(process.env.SMTP_PORT) === 465,
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        } : undefined,
+        pool: true,
+        ...SMTP_TIMEOUTS,
+      });
+    case 'file':
+      return nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix',
+      });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown email transport: ${type}`);
+  }
+};
+
+const transportType = getTransportType();
+let transporter = null;
+
+/**
+ * Get (lazily created) transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransport(transportType);
+    logger.info(`Email transport initialized: ${transportType}`);
+  }
+  return transporter;
+};
+
+/**
+ * Send a fully rendered message through the configured transport
+ */
+const deliver = async (message) => {
+  const info = await getTransporter().sendMail({
+    from: `"${process.env.FROM_NAME || 'Daily Facts'}" <${process.env.FROM_EMAIL || 'noreply@dailyfacts.com'}>`,
+    ...message,
+  });
+
+  if (transportType === 'file') {
+    const outputDir = process.env.EMAIL_OUTPUT_DIR || path.join('logs', 'emails');
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+    logger.debug('Email written to file', { file: fileName });
+  }
+
+  return {
+    messageId: info.messageId,
+    transport: transportType,
+  };
+};
+
+/**
+ * Health check for mail transport
+ */
+const checkMailerHealth = async () => {
+  if (transportType !== 'smtp') {
+    return { status: 'healthy', message: `Using ${transportType} transport` };
+  }
+
+  try {
+    await getTransporter().verify();
+    return { status: 'healthy', message: 'SMTP server is responsive' };
+  } catch (error) {
+    logger.error('Mailer health check failed:', error);
+    return { status: 'unhealthy', message: 'SMTP server is not responsive', error: error.message };
+  }
+};
+
+module.exports = {
+  transportType,
+  getTransporter,
+  deliver,
+  checkMailerHealth,
+};
@@ -233,13 +233,17 @@ const cacheKeys = {
   userSession: (userId, sessionId) => `session:${userId}:${sessionId}`,
   userProfile: (userId) => `user:${userId}`,
   dailyFacts: (userId, date) => `daily_facts:${userId}:${date}`,
+  anonymousDailyFacts: (date) => `daily_facts:anonymous:${date}`,
   factsByCategory: (categoryId, page, limit) => `facts:category:${categoryId}:${page}:${limit}`,
   userStats: (userId) => `stats:${userId}`,
   popularFacts: (date) => `popular_facts:${date}`,
   categories: () => 'categories:all',
   factDetails: (factId) => `fact:${factId}`,
   userPreferences: (userId) => `preferences:${userId}`,
+  systemConfig: () => 'system_config',
   searchResults: (query, filters) => `search:${Buffer.from(JSON.stringify({ query, filters })).toString('base64')}`,
+  searchSuggestions: (query, language, limit) => `search_suggest:${language}:${limit}:${Buffer.from(query).toString('base64')}`,
+  feedSession: (sessionId) => `feed_session:${sessionId}`,
 };
 
 /**
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const s3Service = require('../services/s3Service');
+const { generateUploadToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+/**
+ * Media storage configuration
+ *
+ * STORAGE_DRIVER selects the driver:
+ * - s3: objects in AWS_S3_BUCKET (default when S3 is configured)
+ * - local: files under UPLOAD_DIR, served by the API at /media (local dev and tests)
+ */
+const getDriverType = () => {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+
+  if (process.env.NODE_ENV === 'test') {
+    return 'local';
+  }
+
+  return s3Service.isConfigured() ? 's3' : 'local';
+};
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const MEDIA_BASE_URL = process.env.MEDIA_BASE_URL || `${process.env.API_BASE_URL || 'http://localhost:3000'}/media`;
+
+/**
+ * Content types of stored files, by extension (local files have no metadata)
+ */
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mpeg': 'video/mpeg',
+  '.mov': 'video/quicktime',
+};
+
+/**
+ * Path of a key under the upload directory; keys can't escape it
+ */
+const localPath = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+
+  if (!filePath.startsWith(`${UPLOAD_DIR}${path.sep}`)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+const localDriver = {
+  urlFor: (key) => `${MEDIA_BASE_URL}/${key}`,
+
+  keyFromUrl: (url) => (url && url.startsWith(`${MEDIA_BASE_URL}/`) ? url.slice(MEDIA_BASE_URL.length + 1) : null),
+
+  async save(file, key) {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, file.buffer);
+    return { key, url: this.urlFor(key) };
+  },
+
+  read: (key) => fs.promises.readFile(localPath(key)),
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(localPath(key));
+      return { size: stats.size, contentType: CONTENT_TYPES[path.extname(key)] || null };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(localPath(key));
+      return true;
+    } catch (error) {
+      logger.warn('Error deleting stored file:', error.message, { key });
+      return false;
+    }
+  },
+
+  /**
+   * Uploads go to the API itself, with a signed token naming the key
+   */
+  async createUploadTarget(key, { contentType, maxSize, expiresIn }) {
+    const token = generateUploadToken({ key, contentType, maxSize }, expiresIn);
+    return {
+      uploadUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/media/uploads/${token}`,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+    };
+  },
+};
+
+const s3Driver = {
+  urlFor: (key) => s3Service.getFileUrl(key),
+
+  keyFromUrl: (url) => {
+    const base = s3Service.getFileUrl('');
+    return url && url.startsWith(base) ? url.slice(base.length) : null;
+  },
+
+  async save(file, key) {
+    const type = file.mimetype.startsWith('video/') ? 'video' : 'image';
+    await s3Service.uploadFile({ originalname: path.basename(key), ...file }, { key, type });
+    return { key, url: this.urlFor(key) };
+  },
+
+  read: (key) => s3Service.downloadFile(key),
+
+  async stat(key) {
+    try {
+      const metadata = await s3Service.getFileMetadata(key);
+      return { size: metadata.size, contentType: metadata.contentType };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  remove: (key) => s3Service.deleteFile(key),
+
+  async createUploadTarget(key, { contentType, expiresIn }) {
+    const { url } = await s3Service.generateUploadUrl(key, contentType, expiresIn);
+    return {
+      uploadUrl: url,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType, 'x-amz-acl': 'public-read' },
+    };
+  },
+};
+
+const driverType = getDriverType();
+
+const drivers = {
+  local: localDriver,
+  s3: s3Driver,
+};
+
+if (!drivers[driverType]) {
+  throw new Error(`Unknown storage driver: ${driverType}`);
+}
+
+const storage = drivers[driverType];
+
+module.exports = {
+  driverType,
+  storage,
+  UPLOAD_DIR,
+  CONTENT_TYPES,
+};
@@ -217,10 +217,18 @@ const options = {
         name: 'Facts',
         description: 'Daily facts and content management endpoints',
       },
+      {
+        name: 'Notifications',
+        description: 'Push notification delivery and open tracking endpoints',
+      },
       {
         name: 'Admin',
         description: 'Administrative endpoints for content and user management',
       },
+      {
+        name: 'Media',
+        description: 'Direct uploads to local media storage',
+      },
       {
         name: 'Health',
         description: 'System health and monitoring endpoints',
@@ -368,10 +376,84 @@ swaggerSpec.components.schemas = {
   // Notification status enum
   NotificationStatus: {
     type: 'string',
-    enum: ['PENDING', 'SENT', 'DELIVERED', 'OPENED', 'FAILED', 'CANCELLED'],
+    enum: ['PENDING', 'SENDING', 'SENT', 'DELIVERED', 'OPENED', 'FAILED', 'CANCELLED'],
     description: 'Notification delivery status',
   },
 
+  // Uploaded image with its derivatives
+  ImageSet: {
+    type: 'object',
+    nullable: true,
+    description: 'Set when the image was uploaded: dimensions, blurhash placeholder and resized copies',
+    properties: {
+      width: {
+        type: 'integer',
+      },
+      height: {
+        type: 'integer',
+      },
+      blurhash: {
+        type: 'string',
+        example: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj',
+      },
+      original: { $ref: '#/components/schemas/ImageVariant' },
+      thumbnail: { $ref: '#/components/schemas/ImageVariant' },
+      notification: {
+        allOf: [{ $ref: '#/components/schemas/ImageVariant' }],
+        description: 'JPEG sized for push notifications (facts only)',
+      },
+      full: { $ref: '#/components/schemas/ImageVariant' },
+    },
+  },
+
+  ImageVariant: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        format: 'uri',
+      },
+      width: {
+        type: 'integer',
+      },
+      height: {
+        type: 'integer',
+      },
+      contentType: {
+        type: 'string',
+        example: 'image/webp',
+      },
+    },
+  },
+
+  // Direct upload target
+  MediaUploadTarget: {
+    type: 'object',
+    properties: {
+      key: {
+        type: 'string',
+        description: 'Storage key to confirm the upload with once the file is sent',
+      },
+      uploadUrl: {
+        type: 'string',
+        description: 'URL to send the file to',
+      },
+      method: {
+        type: 'string',
+        example: 'PUT',
+      },
+      headers: {
+        type: 'object',
+        description: 'Headers to send with the file',
+        additionalProperties: { type: 'string' },
+      },
+      expiresAt: {
+        type: 'string',
+        format: 'date-time',
+      },
+    },
+  },
+
   // Error response
   ErrorResponse: {
     type: 'object',
@@ -1,7 +1,24 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const { prisma } = require('../config/database');
 const { cache, cacheKeys } = require('../config/redis');
 const { successResponse, errorResponse, notFoundResponse, paginatedResponse, conflictResponse } = require('../utils/response');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { paginate } = require('../utils/cursor');
+const schedulerService = require('../services/schedulerService');
+const analyticsService = require('../services/analyticsService');
+const { getRuns } = require('../services/jobQueueService');
+const { getRetryStats } = require('../services/notificationService');
+const campaignService = require('../services/campaignService');
+const configService = require('../services/configService');
+const moderationService = require('../services/moderationService');
+const revisionService = require('../services/revisionService');
+const calendarService = require('../services/calendarService');
+const { recordAudit, getAuditLogs: findAuditLogs, iterateAuditLogs } = require('../services/auditService');
+const factTransferService = require('../services/factTransferService');
+const duplicateService = require('../services/duplicateService');
+const mediaService = require('../services/mediaService');
+const { toCsvRow } = require('../utils/csv');
 const logger = require('../utils/logger');
 
 /**
@@ -21,6 +38,7 @@ const createFact = asyncHandler(async (req, res) => {
     tags,
     language,
     isFeatured,
+    draft,
   } = req.body;
 
   const adminId = req.user.id;
@@ -34,26 +52,43 @@ const createFact = asyncHandler(async (req, res) => {
     return notFoundResponse(res, 'Category');
   }
 
+  const moderationStatus = await moderationService.initialModerationStatus(req.user, { draft });
+  const isApproved = moderationStatus === 'APPROVED';
+  const now = new Date();
+  const approvedAt = isApproved ? now : null;
+
+  const factContent = {
+    title,
+    content,
+    shortContent,
+    categoryId,
+    difficulty: difficulty || 'MEDIUM',
+    source,
+    sourceUrl,
+    imageUrl,
+    videoUrl,
+    tags: tags || [],
+    language: language || 'en',
+  };
+
   // Create the fact
   const fact = await prisma.fact.create({
     data: {
-      title,
-      content,
-      shortContent,
-      categoryId,
-      difficulty: difficulty || 'MEDIUM',
-      source,
-      sourceUrl,
-      imageUrl,
-      videoUrl,
-      tags: tags || [],
-      language: language || 'en',
+      ...factContent,
       isFeatured: isFeatured || false,
-      isApproved: true, // Admin-created facts are auto-approved
+      isApproved,
+      moderationStatus,
+      submittedAt: moderationStatus === 'PENDING_REVIEW' ? now : null,
       createdBy: adminId,
-      approvedBy: adminId,
-      approvedAt: new Date(),
-      publishedAt: new Date(),
+      approvedBy: isApproved ? adminId : null,
+      approvedAt,
+      publishedAt: approvedAt,
+      reviews: {
+        create: { userId: adminId, toStatus: moderationStatus },
+      },
+      revisions: {
+        create: { version: 1, userId: adminId, ...revisionService.snapshotFact(factContent) },
+      },
     },
     include: {
       category: {
@@ -71,14 +106,26 @@ const createFact = asyncHandler(async (req, res) => {
   await cache.del(cacheKeys.categories());
   await cache.del(cacheKeys.factsByCategory(categoryId, 1, 10));
 
+  await recordAudit(req, { action: 'FACT_CREATED', resource: 'fact', resourceId: fact.id, after: fact });
+
   // Log admin action
   logger.logUserAction('FACT_CREATED', adminId, {
     factId: fact.id,
     title: fact.title,
     categoryId,
+    moderationStatus,
   });
 
-  successResponse(res, 'Fact created successfully', { fact }, null, 201);
+  const messages = {
+    DRAFT: 'Draft fact created successfully',
+    PENDING_REVIEW: 'Fact submitted for approval',
+    APPROVED: 'Fact created successfully',
+  };
+
+  // Possible duplicates, for the moderator to review or merge
+  const duplicates = await duplicateService.findSimilarFacts(fact, { excludeId: fact.id });
+
+  successResponse(res, messages[moderationStatus], { fact, duplicates }, null, 201);
 });
 
 /**
@@ -140,21 +187,12 @@ const updateFact = asyncHandler(async (req, res) => {
   if (isFeatured !== undefined) updateData.isFeatured = isFeatured;
   if (isActive !== undefined) updateData.isActive = isActive;
 
-  // Update the fact
-  const fact = await prisma.fact.update({
-    where: { id: factId },
-    data: updateData,
-    include: {
-      category: {
-        select: {
-          id: true,
-          name: true,
-          icon: true,
-          color: true,
-        },
-      },
-    },
-  });
+  // Update the fact, keeping the previous content as a revision
+  const { fact, reapproval } = await revisionService.updateFactWithRevision(existingFact, updateData, req.user);
+
+  // Uploaded media replaced by another URL is deleted from storage
+  await mediaService.removeReplacedMedia(existingFact.imageUrl, fact.imageUrl, existingFact.images);
+  await mediaService.removeReplacedMedia(existingFact.videoUrl, fact.videoUrl);
 
   // Clear relevant caches
   await cache.del(cacheKeys.factDetails(factId));
@@ -163,61 +201,468 @@ const updateFact = asyncHandler(async (req, res) => {
     await cache.del(cacheKeys.factsByCategory(existingFact.categoryId, 1, 10));
   }
 
+  await recordAudit(req, {
+    action: 'FACT_UPDATED',
+    resource: 'fact',
+    resourceId: factId,
+    before: existingFact,
+    after: fact,
+  });
+
   // Log admin action
   logger.logUserAction('FACT_UPDATED', adminId, {
     factId,
     changes: updateData,
+    reapproval,
   });
 
-  successResponse(res, 'Fact updated successfully', { fact });
+  // Possible duplicates when the text changed, for the moderator to review or merge
+  const duplicates = title !== undefined || content !== undefined
+    ? await duplicateService.findSimilarFacts(fact, { excludeId: factId })
+    : [];
+
+  successResponse(res, reapproval ? 'Fact updated and sent back for approval' : 'Fact updated successfully', { fact, duplicates });
 });
 
 /**
- * Delete fact
+ * Build a handler that moves a fact to another moderation state,
+ * with the optional reviewer note (and publishing date) taken from the request body
  */
-const deleteFact = asyncHandler(async (req, res) => {
+const moderateFact = (toStatus, action, message) => asyncHandler(async (req, res) => {
   const { id: factId } = req.params;
-  const adminId = req.user.id;
+  const note = req.body.note || req.body.reason || null;
+  const { publishAt } = req.body;
 
-  // Check if fact exists
+  const result = await moderationService.transitionFact(factId, toStatus, req.user, { note, publishAt });
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  const { before, fact } = result;
+
+  // Clear relevant caches
+  await cache.del(cacheKeys.factDetails(factId));
+  await cache.del(cacheKeys.factsByCategory(fact.categoryId, 1, 10));
+
+  await recordAudit(req, {
+    action,
+    resource: 'fact',
+    resourceId: factId,
+    before,
+    after: fact,
+    details: note ? { note } : null,
+  });
+
+  // Log admin action
+  logger.logUserAction(action, req.user.id, {
+    factId,
+    title: fact.title,
+    note,
+    publishedAt: fact.publishedAt,
+  });
+
+  successResponse(res, message, { fact });
+});
+
+/**
+ * Delete fact (archived, never removed)
+ */
+const deleteFact = moderateFact('ARCHIVED', 'FACT_DELETED', 'Fact deleted successfully');
+
+/**
+ * Restore an archived fact as a draft
+ */
+const restoreFact = moderateFact('DRAFT', 'FACT_RESTORED', 'Fact restored as draft');
+
+/**
+ * Submit a draft, or resubmit a fact after requested changes, for review
+ */
+const submitFact = moderateFact('PENDING_REVIEW', 'FACT_SUBMITTED', 'Fact submitted for review');
+
+/**
+ * Approve fact
+ */
+const approveFact = moderateFact('APPROVED', 'FACT_APPROVED', 'Fact approved successfully');
+
+/**
+ * Send a fact back to its author with the changes needed
+ */
+const requestFactChanges = moderateFact('CHANGES_REQUESTED', 'FACT_CHANGES_REQUESTED', 'Changes requested successfully');
+
+/**
+ * Reject fact
+ */
+const rejectFact = moderateFact('REJECTED', 'FACT_REJECTED', 'Fact rejected successfully');
+
+/**
+ * Assign a reviewer to a fact, defaulting to the current user
+ */
+const assignFactReviewer = asyncHandler(async (req, res) => {
+  const { id: factId } = req.params;
+  const reviewerId = req.body.reviewerId === undefined ? req.user.id : req.body.reviewerId;
+
+  const result = await moderationService.assignReviewer(factId, reviewerId, req.user);
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  const action = reviewerId ? 'FACT_REVIEWER_ASSIGNED' : 'FACT_REVIEWER_UNASSIGNED';
+
+  await recordAudit(req, {
+    action,
+    resource: 'fact',
+    resourceId: factId,
+    before: result.before,
+    after: result.fact,
+  });
+
+  // Log admin action
+  logger.logUserAction(action, req.user.id, {
+    factId,
+    reviewerId,
+  });
+
+  successResponse(res, reviewerId ? 'Reviewer assigned successfully' : 'Reviewer unassigned successfully', { fact: result.fact });
+});
+
+/**
+ * Get the moderation history of a fact, with reviewer notes
+ */
+const getFactReviews = asyncHandler(async (req, res) => {
+  const result = await moderationService.getFactReviews(req.params.id);
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  successResponse(res, 'Fact reviews retrieved successfully', result);
+});
+
+/**
+ * Get the revision history of a fact with field-level changes
+ */
+const getFactRevisions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const result = await revisionService.getRevisions(req.params.id, { page, limit });
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  paginatedResponse(res, 'Fact revisions retrieved successfully', { revisions: result.revisions }, {
+    page,
+    limit,
+    total: result.total,
+  });
+});
+
+/**
+ * Restore a fact to the content of one of its revisions
+ */
+const restoreFactRevision = asyncHandler(async (req, res) => {
+  const { id: factId, revId } = req.params;
+
+  const result = await revisionService.restoreRevision(factId, revId, req.user);
+
+  if (!result) {
+    return notFoundResponse(res, 'Revision');
+  }
+
+  const { before, fact, revision, reapproval } = result;
+
+  // Clear relevant caches
+  await cache.del(cacheKeys.factDetails(factId));
+  await cache.del(cacheKeys.factsByCategory(fact.categoryId, 1, 10));
+  if (before.categoryId !== fact.categoryId) {
+    await cache.del(cacheKeys.factsByCategory(before.categoryId, 1, 10));
+  }
+
+  await recordAudit(req, {
+    action: 'FACT_REVISION_RESTORED',
+    resource: 'fact',
+    resourceId: factId,
+    before,
+    after: fact,
+    details: { version: revision.version },
+  });
+
+  // Log admin action
+  logger.logUserAction('FACT_REVISION_RESTORED', req.user.id, {
+    factId,
+    version: revision.version,
+    reapproval,
+  });
+
+  successResponse(res, reapproval ? 'Revision restored and sent back for approval' : 'Revision restored successfully', { fact });
+});
+
+/**
+ * Set the image or video of a fact, from a multipart file or the key of a direct upload
+ */
+const uploadFactMedia = asyncHandler(async (req, res) => {
+  const { id: factId } = req.params;
+  const { kind, key } = req.body;
+
+  if (!req.file && !key) {
+    return errorResponse(res, 'Upload a file, or send the key of a direct upload', null, 400);
+  }
+
+  const result = await mediaService.setFactMedia(factId, kind, { file: req.file, key }, req.user);
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  const { before, fact } = result;
+
+  // Clear relevant caches
+  await cache.del(cacheKeys.factDetails(factId));
+  await cache.del(cacheKeys.factsByCategory(fact.categoryId, 1, 10));
+
+  await recordAudit(req, {
+    action: 'FACT_MEDIA_UPLOADED',
+    resource: 'fact',
+    resourceId: factId,
+    before,
+    after: fact,
+    details: { kind },
+  });
+
+  // Log admin action
+  logger.logUserAction('FACT_MEDIA_UPLOADED', req.user.id, {
+    factId,
+    kind,
+    url: fact[mediaService.FACT_MEDIA[kind].field],
+  });
+
+  successResponse(res, 'Fact media uploaded successfully', { fact });
+});
+
+/**
+ * Create a URL for uploading fact media straight to storage
+ */
+const createFactMediaUploadUrl = asyncHandler(async (req, res) => {
+  const { kind, contentType, size } = req.body;
+
+  const upload = await mediaService.createFactMediaUploadUrl(req.params.id, kind, { contentType, size });
+
+  if (!upload) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  successResponse(res, 'Upload URL created successfully', { upload });
+});
+
+/**
+ * Get facts similar to one fact
+ */
+const getSimilarFacts = asyncHandler(async (req, res) => {
   const fact = await prisma.fact.findUnique({
-    where: { id: factId },
-    select: { id: true, title: true, categoryId: true },
+    where: { id: req.params.id },
+    select: { id: true, title: true, content: true },
   });
 
   if (!fact) {
     return notFoundResponse(res, 'Fact');
   }
 
-  // Soft delete - mark as inactive instead of hard delete
-  await prisma.fact.update({
-    where: { id: factId },
-    data: { isActive: false },
+  const duplicates = await duplicateService.findSimilarFacts(fact, { excludeId: fact.id });
+
+  successResponse(res, 'Similar facts retrieved successfully', { duplicates });
+});
+
+/**
+ * Get clusters of near-duplicate facts across the catalog
+ */
+const getDuplicateFacts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const threshold = req.query.threshold ? parseFloat(req.query.threshold) : undefined;
+
+  const { clusters, total, truncated } = await duplicateService.getDuplicateClusters({ threshold }, { page, limit });
+
+  paginatedResponse(res, 'Duplicate facts retrieved successfully', { clusters, truncated }, {
+    page,
+    limit,
+    total,
   });
+});
+
+/**
+ * Merge duplicate facts into this one, moving their likes and bookmarks over
+ */
+const mergeFacts = asyncHandler(async (req, res) => {
+  const { id: factId } = req.params;
+
+  const result = await duplicateService.mergeFacts(factId, req.body.duplicateIds, req.user);
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  const { before, fact, merged, interactions } = result;
+
+  // Clear relevant caches
+  for (const id of [factId, ...merged]) {
+    await cache.del(cacheKeys.factDetails(id));
+  }
+  await cache.del(cacheKeys.factsByCategory(fact.categoryId, 1, 10));
+
+  await recordAudit(req, {
+    action: 'FACTS_MERGED',
+    resource: 'fact',
+    resourceId: factId,
+    before,
+    after: fact,
+    details: { merged, interactions },
+  });
+
+  // Log admin action
+  logger.logUserAction('FACTS_MERGED', req.user.id, {
+    factId,
+    merged,
+    interactions,
+  });
+
+  successResponse(res, 'Facts merged successfully', { fact, merged, interactions });
+});
+
+/**
+ * Move the publishing date of an approved fact
+ */
+const scheduleFact = asyncHandler(async (req, res) => {
+  const { id: factId } = req.params;
+
+  const result = await calendarService.scheduleFact(factId, req.body.publishAt);
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  const { before, fact } = result;
 
   // Clear relevant caches
   await cache.del(cacheKeys.factDetails(factId));
   await cache.del(cacheKeys.factsByCategory(fact.categoryId, 1, 10));
 
+  await recordAudit(req, {
+    action: 'FACT_SCHEDULED',
+    resource: 'fact',
+    resourceId: factId,
+    before,
+    after: fact,
+  });
+
   // Log admin action
-  logger.logUserAction('FACT_DELETED', adminId, {
+  logger.logUserAction('FACT_SCHEDULED', req.user.id, {
     factId,
-    title: fact.title,
+    publishedAt: fact.publishedAt,
   });
 
-  successResponse(res, 'Fact deleted successfully');
+  successResponse(res, 'Fact scheduled successfully', { fact });
 });
 
 /**
- * Get all facts for admin management
+ * Get the editorial calendar: facts going live each day per category, and the fact of the day
  */
-const getAllFacts = asyncHandler(async (req, res) => {
+const getCalendar = asyncHandler(async (req, res) => {
+  const from = req.query.from || calendarService.toDateKey(new Date());
+  const to = req.query.to || calendarService.addDays(from, 6);
+
+  const days = await calendarService.getCalendar(from, to);
+
+  successResponse(res, 'Calendar retrieved successfully', { from, to, days });
+});
+
+/**
+ * Set the fact of the day for a date
+ */
+const setFactOfTheDay = asyncHandler(async (req, res) => {
+  const { date } = req.params;
+  const { factId } = req.body;
+
+  const result = await calendarService.setFactOfTheDay(date, factId, req.user);
+
+  if (!result) {
+    return notFoundResponse(res, 'Fact');
+  }
+
+  await recordAudit(req, {
+    action: 'FACT_OF_THE_DAY_SET',
+    resource: 'fact_of_the_day',
+    resourceId: date,
+    before: result.before,
+    after: result.pick,
+  });
+
+  // Log admin action
+  logger.logUserAction('FACT_OF_THE_DAY_SET', req.user.id, {
+    date,
+    factId,
+  });
+
+  successResponse(res, 'Fact of the day set successfully', { factOfTheDay: result.pick });
+});
+
+/**
+ * Clear the fact of the day for a date
+ */
+const clearFactOfTheDay = asyncHandler(async (req, res) => {
+  const { date } = req.params;
+
+  const pick = await calendarService.clearFactOfTheDay(date);
+
+  if (!pick) {
+    return notFoundResponse(res, 'Fact of the day');
+  }
+
+  await recordAudit(req, {
+    action: 'FACT_OF_THE_DAY_CLEARED',
+    resource: 'fact_of_the_day',
+    resourceId: date,
+    before: pick,
+  });
+
+  // Log admin action
+  logger.logUserAction('FACT_OF_THE_DAY_CLEARED', req.user.id, {
+    date,
+    factId: pick.factId,
+  });
+
+  successResponse(res, 'Fact of the day cleared successfully');
+});
+
+/**
+ * Get facts waiting for review, oldest first
+ */
+const getModerationQueue = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
-  const status = req.query.status; // 'approved', 'pending', 'inactive'
-  const categoryId = req.query.category;
-  const search = req.query.search;
-  const skip = (page - 1) * limit;
+
+  const { facts, total } = await moderationService.getModerationQueue({
+    assignee: req.query.assignee,
+    categoryId: req.query.category,
+  }, { page, limit }, req.user);
+
+  paginatedResponse(res, 'Moderation queue retrieved successfully', { facts }, {
+    page,
+    limit,
+    total,
+  });
+});
+
+/**
+ * Where clause for the admin fact list filters, shared by the list and the export
+ */
+const buildFactsWhere = (query, user) => {
+  const status = query.status; // 'approved', 'pending', 'inactive'
+  const moderationStatus = query.moderationStatus;
+  const categoryId = query.category;
+  const search = query.search;
 
   // Build where clause
   let whereClause = {};
@@ -226,12 +671,19 @@ const getAllFacts = asyncHandler(async (req, res) => {
     whereClause.isApproved = true;
     whereClause.isActive = true;
   } else if (status === 'pending') {
-    whereClause.isApproved = false;
-    whereClause.isActive = true;
+    whereClause.moderationStatus = 'PENDING_REVIEW';
   } else if (status === 'inactive') {
     whereClause.isActive = false;
   }
 
+  if (moderationStatus) {
+    whereClause.moderationStatus = moderationStatus;
+  }
+
+  if (query.mine === 'true') {
+    whereClause.createdBy = user.id;
+  }
+
   if (categoryId) {
     whereClause.categoryId = categoryId;
   }
@@ -249,70 +701,24 @@ const getAllFacts = asyncHandler(async (req, res) => {
           contains: search,
           mode: 'insensitive',
         },
-      },
-    ];
-  }
-
-  const [facts, total] = await Promise.all([
-    prisma.fact.findMany({
-      where: whereClause,
-      include: {
-        category: {
-          select: {
-            id: true,
-            name: true,
-            icon: true,
-            color: true,
-          },
-        },
-      },
-      orderBy: {
-        createdAt: 'desc',
-      },
-      skip,
-      take: limit,
-    }),
-    prisma.fact.count({
-      where: whereClause,
-    }),
-  ]);
+      },
+    ];
+  }
 
-  paginatedResponse(res, 'Facts retrieved successfully', { facts }, {
-    page,
-    limit,
-    total,
-  });
-});
+  return whereClause;
+};
 
 /**
- * Approve fact
+ * Get all facts for admin management
  */
-const approveFact = asyncHandler(async (req, res) => {
-  const { id: factId } = req.params;
-  const adminId = req.user.id;
-
-  // Check if fact exists and is pending approval
-  const fact = await prisma.fact.findUnique({
-    where: { id: factId },
-  });
-
-  if (!fact) {
-    return notFoundResponse(res, 'Fact');
-  }
-
-  if (fact.isApproved) {
-    return errorResponse(res, 'Fact is already approved', null, 400);
-  }
+const getAllFacts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const cursor = req.query.cursor || null;
+  const whereClause = buildFactsWhere(req.query, req.user);
 
-  // Approve the fact
-  const updatedFact = await prisma.fact.update({
-    where: { id: factId },
-    data: {
-      isApproved: true,
-      approvedBy: adminId,
-      approvedAt: new Date(),
-      publishedAt: new Date(),
-    },
+  const { items: facts, total, nextCursor } = await paginate(prisma.fact, {
+    where: whereClause,
     include: {
       category: {
         select: {
@@ -322,53 +728,115 @@ const approveFact = asyncHandler(async (req, res) => {
           color: true,
         },
       },
+      // Latest moderation step, so authors see the reviewer's note
+      reviews: {
+        orderBy: { createdAt: 'desc' },
+        take: 1,
+      },
     },
-  });
+    orderBy: [
+      { createdAt: 'desc' },
+      { id: 'desc' },
+    ],
+  }, { cursor, page, limit });
 
-  // Clear relevant caches
-  await cache.del(cacheKeys.factDetails(factId));
-  await cache.del(cacheKeys.factsByCategory(fact.categoryId, 1, 10));
-
-  // Log admin action
-  logger.logUserAction('FACT_APPROVED', adminId, {
-    factId,
-    title: fact.title,
+  paginatedResponse(res, 'Facts retrieved successfully', { facts }, {
+    ...(!cursor && { page, total }),
+    limit,
+    nextCursor,
   });
-
-  successResponse(res, 'Fact approved successfully', { fact: updatedFact });
 });
 
 /**
- * Reject fact
+ * Import facts from an uploaded CSV or JSON file (or a JSON `facts` array),
+ * reporting each row; dryRun checks the file without creating anything
  */
-const rejectFact = asyncHandler(async (req, res) => {
-  const { id: factId } = req.params;
-  const { reason } = req.body;
-  const adminId = req.user.id;
+const importFacts = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  let records;
+
+  if (req.file) {
+    const isJson = req.query.format === 'json'
+      || (!req.query.format && (/\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json'));
+    records = factTransferService.parseImportFile(req.file.buffer.toString('utf8'), isJson ? 'json' : 'csv');
+  } else if (Array.isArray(req.body.facts)) {
+    records = req.body.facts;
+  } else {
+    return errorResponse(res, 'Upload a CSV or JSON file, or send a facts array', null, 400);
+  }
 
-  // Check if fact exists
-  const fact = await prisma.fact.findUnique({
-    where: { id: factId },
-  });
+  const report = await factTransferService.importFacts(records, req.user, { dryRun });
+  const summary = {
+    total: report.total,
+    created: report.created,
+    duplicates: report.duplicates,
+    similar: report.similar,
+    invalid: report.invalid,
+  };
 
-  if (!fact) {
-    return notFoundResponse(res, 'Fact');
-  }
+  if (!dryRun) {
+    // Clear relevant caches
+    await cache.del(cacheKeys.categories());
 
-  // Mark as inactive (rejected)
-  await prisma.fact.update({
-    where: { id: factId },
-    data: { isActive: false },
-  });
+    await recordAudit(req, {
+      action: 'FACTS_IMPORTED',
+      resource: 'fact',
+      details: summary,
+    });
+  }
 
   // Log admin action
-  logger.logUserAction('FACT_REJECTED', adminId, {
-    factId,
-    title: fact.title,
-    reason,
-  });
+  logger.logUserAction(dryRun ? 'FACTS_IMPORT_CHECKED' : 'FACTS_IMPORTED', req.user.id, summary);
+
+  successResponse(res, dryRun ? 'Import checked successfully' : 'Facts imported successfully', { report }, null, dryRun ? 200 : 201);
+});
+
+/**
+ * Export the filtered fact catalog as CSV or JSON, in the format imports accept
+ */
+const exportFacts = asyncHandler(async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const where = buildFactsWhere(req.query, req.user);
+  const { EXPORT_COLUMNS, TAG_SEPARATOR, iterateFacts } = factTransferService;
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="facts-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+  let count = 0;
+
+  // Stream in batches so large exports don't sit in memory
+  async function* chunks() {
+    if (format === 'csv') {
+      yield toCsvRow(EXPORT_COLUMNS);
+
+      for await (const records of iterateFacts(where)) {
+        yield records.map(record => toCsvRow(EXPORT_COLUMNS.map(column => (
+          column === 'tags' ? record.tags.join(TAG_SEPARATOR) : record[column]
+        )))).join('');
+        count += records.length;
+      }
+    } else {
+      yield '[';
+
+      for await (const records of iterateFacts(where)) {
+        yield `${count > 0 ? ',' : ''}${records.map(record => JSON.stringify(record)).join(',')}`;
+        count += records.length;
+      }
+
+      yield ']';
+    }
+  }
 
-  successResponse(res, 'Fact rejected successfully');
+  // pipeline waits for the client to drain each batch and ends the response
+  try {
+    await pipeline(Readable.from(chunks()), res);
+  } catch (error) {
+    // The 200 and part of the file may already be out, so the client only sees a truncated download
+    logger.logError(error, { action: 'FACTS_EXPORT', userId: req.user.id, format, count, filters: req.query });
+    throw error;
+  }
+
+  logger.logUserAction('FACTS_EXPORTED', req.user.id, { format, count, filters: req.query });
 });
 
 /**
@@ -401,6 +869,8 @@ const createCategory = asyncHandler(async (req, res) => {
   // Clear categories cache
   await cache.del(cacheKeys.categories());
 
+  await recordAudit(req, { action: 'CATEGORY_CREATED', resource: 'category', resourceId: category.id, after: category });
+
   // Log admin action
   logger.logUserAction('CATEGORY_CREATED', adminId, {
     categoryId: category.id,
@@ -456,6 +926,14 @@ const updateCategory = asyncHandler(async (req, res) => {
   // Clear categories cache
   await cache.del(cacheKeys.categories());
 
+  await recordAudit(req, {
+    action: 'CATEGORY_UPDATED',
+    resource: 'category',
+    resourceId: categoryId,
+    before: existingCategory,
+    after: category,
+  });
+
   // Log admin action
   logger.logUserAction('CATEGORY_UPDATED', adminId, {
     categoryId,
@@ -498,6 +976,8 @@ const deleteCategory = asyncHandler(async (req, res) => {
   // Clear categories cache
   await cache.del(cacheKeys.categories());
 
+  await recordAudit(req, { action: 'CATEGORY_DELETED', resource: 'category', resourceId: categoryId, before: category });
+
   // Log admin action
   logger.logUserAction('CATEGORY_DELETED', adminId, {
     categoryId,
@@ -544,6 +1024,7 @@ const getAnalytics = asyncHandler(async (req, res) => {
     popularFacts,
     categoryEngagement,
     userRetention,
+    notificationFunnel,
   ] = await Promise.all([
     // Total users
     prisma.user.count({
@@ -592,7 +1073,7 @@ const getAnalytics = asyncHandler(async (req, res) => {
     prisma.userFact.count({
       where: {
         isLiked: true,
-        updatedAt: {
+        likedAt: {
           gte: startDate,
         },
       },
@@ -602,7 +1083,7 @@ const getAnalytics = asyncHandler(async (req, res) => {
     prisma.userFact.count({
       where: {
         isBookmarked: true,
-        updatedAt: {
+        bookmarkedAt: {
           gte: startDate,
         },
       },
@@ -659,6 +1140,9 @@ const getAnalytics = asyncHandler(async (req, res) => {
         },
       },
     }),
+
+    // Notifications sent, delivered and opened
+    analyticsService.getNotificationFunnel(startDate),
   ]);
 
   const analytics = {
@@ -684,6 +1168,7 @@ const getAnalytics = asyncHandler(async (req, res) => {
       likeRate: factsViewed > 0 ? (factsLiked / factsViewed).toFixed(2) : 0,
       bookmarkRate: factsViewed > 0 ? (factsBookmarked / factsViewed).toFixed(2) : 0,
     },
+    notifications: notificationFunnel,
     popularFacts,
     categoryEngagement: categoryEngagement.map(cat => ({
       category: cat.name,
@@ -694,6 +1179,26 @@ const getAnalytics = asyncHandler(async (req, res) => {
   successResponse(res, 'Analytics retrieved successfully', { analytics });
 });
 
+/**
+ * Get the search report: top queries, queries without results and search-to-view conversion
+ */
+const getSearchAnalytics = asyncHandler(async (req, res) => {
+  const timeframe = req.query.timeframe || '30d';
+  const limit = parseInt(req.query.limit) || 20;
+  const startDate = analyticsService.getStartDateForTimeframe(timeframe);
+
+  const report = await analyticsService.getSearchReport(startDate, limit);
+
+  successResponse(res, 'Search analytics retrieved successfully', {
+    timeframe,
+    dateRange: {
+      start: startDate,
+      end: new Date(),
+    },
+    ...report,
+  });
+});
+
 /**
  * Get system health and metrics
  */
@@ -702,12 +1207,12 @@ const getSystemMetrics = asyncHandler(async (req, res) => {
     pendingFacts,
     inactiveFacts,
     userSessionCount,
+    notificationRetries,
     recentErrors,
   ] = await Promise.all([
     prisma.fact.count({
       where: {
-        isApproved: false,
-        isActive: true,
+        moderationStatus: 'PENDING_REVIEW',
       },
     }),
     
@@ -725,6 +1230,8 @@ const getSystemMetrics = asyncHandler(async (req, res) => {
         },
       },
     }),
+
+    getRetryStats(),
     
     // This would typically come from your logging system
     Promise.resolve([]),
@@ -738,6 +1245,9 @@ const getSystemMetrics = asyncHandler(async (req, res) => {
     users: {
       activeSessions: userSessionCount,
     },
+    notifications: {
+      retries: notificationRetries,
+    },
     system: {
       recentErrors: recentErrors.length,
       uptime: process.uptime(),
@@ -748,16 +1258,369 @@ const getSystemMetrics = asyncHandler(async (req, res) => {
   successResponse(res, 'System metrics retrieved successfully', { metrics });
 });
 
+/**
+ * List scheduled jobs with pause state and latest run
+ */
+const getJobs = asyncHandler(async (req, res) => {
+  const status = await schedulerService.getJobStatus();
+
+  successResponse(res, 'Jobs retrieved successfully', status);
+});
+
+/**
+ * Get run history of a job
+ */
+const getJobRuns = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status } = req.query;
+
+  if (!schedulerService.hasJob(name)) {
+    return notFoundResponse(res, 'Job');
+  }
+
+  const { runs, total } = await getRuns(name, { page, limit, status });
+
+  paginatedResponse(res, 'Job runs retrieved successfully', runs, {
+    page,
+    limit,
+    total,
+  });
+});
+
+/**
+ * Queue a manual run of a job
+ */
+const triggerJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const adminId = req.user.id;
+
+  const run = await schedulerService.triggerJob(name, adminId);
+
+  if (!run) {
+    return notFoundResponse(res, 'Job');
+  }
+
+  await recordAudit(req, { action: 'JOB_TRIGGERED', resource: 'job', resourceId: name, details: { runId: run.id } });
+
+  // Log admin action
+  logger.logUserAction('JOB_TRIGGERED', adminId, {
+    job: name,
+    runId: run.id,
+  });
+
+  successResponse(res, 'Job queued successfully', { run }, null, 202);
+});
+
+/**
+ * Pause a job on all instances
+ */
+const pauseJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const adminId = req.user.id;
+
+  const job = await schedulerService.setJobPaused(name, true, adminId);
+
+  if (!job) {
+    return notFoundResponse(res, 'Job');
+  }
+
+  await recordAudit(req, {
+    action: 'JOB_PAUSED',
+    resource: 'job',
+    resourceId: name,
+    before: { isPaused: false },
+    after: { isPaused: true },
+  });
+
+  // Log admin action
+  logger.logUserAction('JOB_PAUSED', adminId, { job: name });
+
+  successResponse(res, 'Job paused successfully', { job });
+});
+
+/**
+ * Resume a paused job
+ */
+const resumeJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const adminId = req.user.id;
+
+  const job = await schedulerService.setJobPaused(name, false, adminId);
+
+  if (!job) {
+    return notFoundResponse(res, 'Job');
+  }
+
+  await recordAudit(req, {
+    action: 'JOB_RESUMED',
+    resource: 'job',
+    resourceId: name,
+    before: { isPaused: true },
+    after: { isPaused: false },
+  });
+
+  // Log admin action
+  logger.logUserAction('JOB_RESUMED', adminId, { job: name });
+
+  successResponse(res, 'Job resumed successfully', { job });
+});
+
+/**
+ * List campaigns with delivery stats
+ */
+const getCampaigns = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status } = req.query;
+
+  const { campaigns, total } = await campaignService.getCampaigns({ page, limit, status });
+
+  paginatedResponse(res, 'Campaigns retrieved successfully', campaigns, {
+    page,
+    limit,
+    total,
+  });
+});
+
+/**
+ * Get a campaign with delivery stats
+ */
+const getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await campaignService.getCampaign(req.params.id);
+
+  if (!campaign) {
+    return notFoundResponse(res, 'Campaign');
+  }
+
+  successResponse(res, 'Campaign retrieved successfully', { campaign });
+});
+
+/**
+ * Create a campaign
+ */
+const createCampaign = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+
+  const campaign = await campaignService.createCampaign(req.body, adminId);
+
+  await recordAudit(req, { action: 'CAMPAIGN_CREATED', resource: 'campaign', resourceId: campaign.id, after: campaign });
+
+  // Log admin action
+  logger.logUserAction('CAMPAIGN_CREATED', adminId, {
+    campaignId: campaign.id,
+    status: campaign.status,
+  });
+
+  successResponse(res, 'Campaign created successfully', { campaign }, null, 201);
+});
+
+/**
+ * Update a draft or scheduled campaign
+ */
+const updateCampaign = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.user.id;
+
+  const before = await prisma.campaign.findUnique({ where: { id } });
+  const campaign = await campaignService.updateCampaign(id, req.body);
+
+  if (!campaign) {
+    return notFoundResponse(res, 'Campaign');
+  }
+
+  await recordAudit(req, { action: 'CAMPAIGN_UPDATED', resource: 'campaign', resourceId: id, before, after: campaign });
+
+  // Log admin action
+  logger.logUserAction('CAMPAIGN_UPDATED', adminId, {
+    campaignId: id,
+    updatedFields: Object.keys(req.body),
+  });
+
+  successResponse(res, 'Campaign updated successfully', { campaign });
+});
+
+/**
+ * Count the users a segment would reach
+ */
+const previewCampaignAudience = asyncHandler(async (req, res) => {
+  const audience = await campaignService.getAudiencePreview(req.body.segment || {});
+
+  successResponse(res, 'Audience preview retrieved successfully', audience);
+});
+
+/**
+ * Schedule a campaign, or send it right away
+ */
+const scheduleCampaign = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.user.id;
+
+  const before = await prisma.campaign.findUnique({ where: { id } });
+  const campaign = await campaignService.scheduleCampaign(id, req.body.scheduledFor);
+
+  if (!campaign) {
+    return notFoundResponse(res, 'Campaign');
+  }
+
+  await recordAudit(req, { action: 'CAMPAIGN_SCHEDULED', resource: 'campaign', resourceId: id, before, after: campaign });
+
+  // Log admin action
+  logger.logUserAction('CAMPAIGN_SCHEDULED', adminId, {
+    campaignId: id,
+    scheduledFor: campaign.scheduledFor,
+  });
+
+  successResponse(res, 'Campaign scheduled successfully', { campaign });
+});
+
+/**
+ * Cancel a campaign
+ */
+const cancelCampaign = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.user.id;
+
+  const before = await prisma.campaign.findUnique({ where: { id } });
+  const campaign = await campaignService.cancelCampaign(id);
+
+  if (!campaign) {
+    return notFoundResponse(res, 'Campaign');
+  }
+
+  await recordAudit(req, { action: 'CAMPAIGN_CANCELLED', resource: 'campaign', resourceId: id, before, after: campaign });
+
+  // Log admin action
+  logger.logUserAction('CAMPAIGN_CANCELLED', adminId, { campaignId: id });
+
+  successResponse(res, 'Campaign cancelled successfully', { campaign });
+});
+
+/**
+ * Get runtime configuration
+ */
+const getConfig = asyncHandler(async (req, res) => {
+  const config = await configService.describeConfig();
+
+  successResponse(res, 'Configuration retrieved successfully', { config });
+});
+
+/**
+ * Update runtime configuration
+ */
+const updateConfig = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+
+  const before = await configService.getConfig();
+  const config = await configService.updateConfig(req.body);
+
+  await recordAudit(req, {
+    action: 'CONFIG_UPDATED',
+    resource: 'config',
+    before,
+    after: await configService.getConfig(),
+  });
+
+  // Log admin action
+  logger.logUserAction('CONFIG_UPDATED', adminId, { changes: req.body });
+
+  successResponse(res, 'Configuration updated successfully', { config });
+});
+
+/**
+ * Columns of the audit log CSV export
+ */
+const AUDIT_CSV_COLUMNS = ['timestamp', 'action', 'resource', 'resourceId', 'userId', 'userEmail', 'ipAddress', 'userAgent', 'changes'];
+
+/**
+ * List audit logs, or export them all as CSV with ?format=csv
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { userId, action, resource, resourceId, from, to, format } = req.query;
+  const filters = { userId, action, resource, resourceId, from, to };
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(toCsvRow(AUDIT_CSV_COLUMNS));
+
+    // Stream in batches so large exports don't sit in memory
+    for await (const logs of iterateAuditLogs(filters)) {
+      res.write(logs.map(log => toCsvRow([
+        log.timestamp,
+        log.action,
+        log.resource,
+        log.resourceId,
+        log.userId,
+        log.user?.email,
+        log.ipAddress,
+        log.userAgent,
+        log.changes,
+      ])).join(''));
+    }
+
+    logger.logUserAction('AUDIT_LOGS_EXPORTED', req.user.id, { filters });
+    return res.end();
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const { logs, total } = await findAuditLogs(filters, { page, limit });
+
+  paginatedResponse(res, 'Audit logs retrieved successfully', logs, {
+    page,
+    limit,
+    total,
+  });
+});
+
 module.exports = {
   createFact,
   updateFact,
   deleteFact,
   getAllFacts,
+  importFacts,
+  exportFacts,
   approveFact,
   rejectFact,
+  submitFact,
+  requestFactChanges,
+  restoreFact,
+  assignFactReviewer,
+  getFactReviews,
+  getModerationQueue,
+  getFactRevisions,
+  restoreFactRevision,
+  getSimilarFacts,
+  getDuplicateFacts,
+  mergeFacts,
+  uploadFactMedia,
+  createFactMediaUploadUrl,
+  scheduleFact,
+  getCalendar,
+  setFactOfTheDay,
+  clearFactOfTheDay,
   createCategory,
   updateCategory,
   deleteCategory,
   getAnalytics,
+  getSearchAnalytics,
   getSystemMetrics,
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob,
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  previewCampaignAudience,
+  scheduleCampaign,
+  cancelCampaign,
+  getConfig,
+  updateConfig,
+  getAuditLogs,
 };
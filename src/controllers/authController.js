@@ -4,9 +4,27 @@ const { prisma } = require('../config/database');
 const { cache, cacheKeys } = require('../config/redis');
 const { generateTokenPair, refreshAccessToken, invalidateRefreshToken, invalidateAllUserSessions } = require('../utils/jwt');
 const { successResponse, errorResponse, conflictResponse, notFoundResponse } = require('../utils/response');
+const { refreshDeviceToken, deactivateSessionDevices, deactivateUserDevices } = require('../services/deviceService');
+const { syncUserTopics, syncSessionTopics } = require('../services/topicService');
+const { sendWelcomeEmail, sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
+/**
+ * Create an email verification token valid for 24 hours
+ */
+const createEmailVerificationToken = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  await cache.set(
+    `email_verification:${verificationToken}`,
+    { userId: user.id, email: user.email },
+    24 * 60 * 60 // 24 hours
+  );
+
+  return verificationToken;
+};
+
 /**
  * Register new user
  */
@@ -42,6 +60,7 @@ const register = asyncHandler(async (req, res) => {
       firstName: true,
       lastName: true,
       isEmailVerified: true,
+      languagePreference: true,
       createdAt: true,
     },
   });
@@ -65,14 +84,21 @@ const register = asyncHandler(async (req, res) => {
   // Generate tokens
   const tokens = await generateTokenPair(user.id, 'USER', req.deviceInfo);
 
+  // Register push token for this device if provided
+  if (await refreshDeviceToken(user.id, req.deviceInfo, tokens.refreshToken)) {
+    await syncUserTopics(user.id);
+  }
+
   // Log user registration
   logger.logUserAction('USER_REGISTERED', user.id, {
     email: user.email,
     deviceInfo: req.deviceInfo,
   });
 
-  // TODO: Send welcome email and email verification
-  
+  // Send welcome email with the verification link
+  const verificationToken = await createEmailVerificationToken(user);
+  await sendWelcomeEmail(user, verificationToken);
+
   successResponse(res, 'User registered successfully', {
     user,
     tokens,
@@ -124,6 +150,11 @@ const login = asyncHandler(async (req, res) => {
   // Generate tokens
   const tokens = await generateTokenPair(user.id, user.role, req.deviceInfo);
 
+  // Refresh push token for this device if provided
+  if (await refreshDeviceToken(user.id, req.deviceInfo, tokens.refreshToken)) {
+    await syncUserTopics(user.id);
+  }
+
   // Remove password from response
   delete user.password;
 
@@ -160,6 +191,9 @@ const logout = asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
 
   if (refreshToken) {
+    // Stop pushing to the device that is logging out
+    await deactivateSessionDevices(refreshToken);
+    await syncSessionTopics(refreshToken);
     await invalidateRefreshToken(refreshToken);
   }
 
@@ -183,6 +217,8 @@ const logoutAll = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   await invalidateAllUserSessions(userId);
+  await deactivateUserDevices(userId);
+  await syncUserTopics(userId);
 
   // Clear user cache
   await cache.del(cacheKeys.userProfile(userId));
@@ -203,7 +239,7 @@ const forgotPassword = asyncHandler(async (req, res) => {
 
   const user = await prisma.user.findUnique({
     where: { email: email.toLowerCase() },
-    select: { id: true, email: true, firstName: true, isActive: true },
+    select: { id: true, email: true, firstName: true, isActive: true, languagePreference: true },
   });
 
   // Always return success to prevent email enumeration
@@ -222,7 +258,9 @@ const forgotPassword = asyncHandler(async (req, res) => {
     15 * 60 // 15 minutes
   );
 
-  // TODO: Send password reset email
+  // Send password reset email
+  await sendPasswordResetEmail(user, resetToken);
+
   logger.logUserAction('PASSWORD_RESET_REQUESTED', user.id, {
     email: user.email,
     ipAddress: req.ip,
@@ -311,24 +349,16 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
 
   const user = await prisma.user.findUnique({
     where: { id: userId },
-    select: { id: true, email: true, firstName: true, isEmailVerified: true },
+    select: { id: true, email: true, firstName: true, isEmailVerified: true, languagePreference: true },
   });
 
   if (user.isEmailVerified) {
     return errorResponse(res, 'Email is already verified', null, 400);
   }
 
-  // Generate verification token
-  const verificationToken = crypto.randomBytes(32).toString('hex');
-
-  // Store verification token in cache
-  await cache.set(
-    `email_verification:${verificationToken}`,
-    { userId: user.id, email: user.email },
-    24 * 60 * 60 // 24 hours
-  );
-
-  // TODO: Send verification email
+  // Generate verification token and send it
+  const verificationToken = await createEmailVerificationToken(user);
+  await sendVerificationEmail(user, verificationToken);
 
   // Log email verification resend
   logger.logUserAction('EMAIL_VERIFICATION_RESENT', userId, {
@@ -1,11 +1,50 @@
+const crypto = require('crypto');
 const { prisma } = require('../config/database');
 const { cache, cacheKeys } = require('../config/redis');
 const { successResponse, errorResponse, notFoundResponse, paginatedResponse } = require('../utils/response');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { paginate } = require('../utils/cursor');
 const personalizationService = require('../services/personalizationService');
 const analyticsService = require('../services/analyticsService');
+const calendarService = require('../services/calendarService');
+const searchService = require('../services/searchService');
+const feedService = require('../services/feedService');
 const logger = require('../utils/logger');
 
+/**
+ * Add the user's interactions (liked, bookmarked, viewed) to a page of facts.
+ * They are fetched per request so cached pages can be shared between users.
+ */
+const withUserInteractions = async (facts, userId) => {
+  if (!userId) {
+    return facts;
+  }
+
+  const userFacts = facts.length > 0
+    ? await prisma.userFact.findMany({
+      where: { userId, factId: { in: facts.map(fact => fact.id) } },
+      select: {
+        factId: true,
+        isLiked: true,
+        isBookmarked: true,
+        isViewed: true,
+      },
+    })
+    : [];
+  const userFactsByFactId = new Map(userFacts.map(userFact => [userFact.factId, userFact]));
+
+  return facts.map(fact => {
+    const userFact = userFactsByFactId.get(fact.id) || {};
+
+    return {
+      ...fact,
+      isLiked: userFact.isLiked || false,
+      isBookmarked: userFact.isBookmarked || false,
+      isViewed: userFact.isViewed || false,
+    };
+  });
+};
+
 /**
  * Get daily facts for user
  */
@@ -15,7 +54,7 @@ const getDailyFacts = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 3;
 
   // Try to get from cache first
-  const cacheKey = userId ? cacheKeys.dailyFacts(userId, date) : `daily_facts:anonymous:${date}`;
+  const cacheKey = userId ? cacheKeys.dailyFacts(userId, date) : cacheKeys.anonymousDailyFacts(date);
   let facts = await cache.get(cacheKey);
 
   if (!facts) {
@@ -27,7 +66,9 @@ const getDailyFacts = asyncHandler(async (req, res) => {
         includeRecommendations: true,
       });
     } else {
-      // Anonymous user - get popular facts
+      // Anonymous user - the editors' fact of the day first, then popular facts
+      const factOfTheDay = await calendarService.getFactOfTheDay(date);
+
       facts = await prisma.fact.findMany({
         where: {
           isApproved: true,
@@ -35,6 +76,7 @@ const getDailyFacts = asyncHandler(async (req, res) => {
           publishedAt: {
             lte: new Date(),
           },
+          ...(factOfTheDay && { id: { not: factOfTheDay.id } }),
         },
         include: {
           category: {
@@ -51,8 +93,12 @@ const getDailyFacts = asyncHandler(async (req, res) => {
           { viewCount: 'desc' },
           { createdAt: 'desc' },
         ],
-        take: limit,
+        take: factOfTheDay ? limit - 1 : limit,
       });
+
+      if (factOfTheDay) {
+        facts.unshift(factOfTheDay);
+      }
     }
 
     // Cache the results (without user-specific data)
@@ -105,6 +151,34 @@ const getDailyFacts = asyncHandler(async (req, res) => {
   successResponse(res, 'Daily facts retrieved successfully', { facts });
 });
 
+/**
+ * Get the next page of the endless feed. Pages of one session never repeat a fact.
+ */
+const getFeed = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const feed = await feedService.getFeed(userId, { sessionId: req.query.sessionId, limit });
+  const facts = await withUserInteractions(feed.facts, userId);
+
+  successResponse(res, 'Feed retrieved successfully', { ...feed, facts });
+});
+
+/**
+ * Record skip and dwell feedback on facts of a feed session
+ */
+const submitFeedFeedback = asyncHandler(async (req, res) => {
+  const { sessionId, events } = req.body;
+
+  const result = await feedService.recordFeedback(req.user?.id, sessionId, events);
+
+  if (!result) {
+    return notFoundResponse(res, 'Feed session');
+  }
+
+  successResponse(res, 'Feed feedback recorded successfully', result);
+});
+
 /**
  * Get facts by category
  */
@@ -113,8 +187,8 @@ const getFactsByCategory = asyncHandler(async (req, res) => {
   const userId = req.user?.id;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
+  const cursor = req.query.cursor || null;
   const difficulty = req.query.difficulty;
-  const skip = (page - 1) * limit;
 
   // Check if category exists
   const category = await prisma.category.findUnique({
@@ -126,7 +200,7 @@ const getFactsByCategory = asyncHandler(async (req, res) => {
   }
 
   // Try to get from cache first
-  const cacheKey = cacheKeys.factsByCategory(categoryId, page, limit);
+  const cacheKey = cacheKeys.factsByCategory(categoryId, cursor || page, limit);
   let cachedData = await cache.get(cacheKey);
 
   if (!cachedData) {
@@ -143,64 +217,36 @@ const getFactsByCategory = asyncHandler(async (req, res) => {
       whereClause.difficulty = difficulty.toUpperCase();
     }
 
-    const [facts, total] = await Promise.all([
-      prisma.fact.findMany({
-        where: whereClause,
-        include: {
-          category: {
-            select: {
-              id: true,
-              name: true,
-              icon: true,
-              color: true,
-            },
+    const { items: facts, total, nextCursor } = await paginate(prisma.fact, {
+      where: whereClause,
+      include: {
+        category: {
+          select: {
+            id: true,
+            name: true,
+            icon: true,
+            color: true,
           },
-          ...(userId && {
-            userFacts: {
-              where: { userId },
-              select: {
-                isLiked: true,
-                isBookmarked: true,
-                isViewed: true,
-              },
-            },
-          }),
         },
-        orderBy: [
-          { isFeatured: 'desc' },
-          { publishedAt: 'desc' },
-        ],
-        skip,
-        take: limit,
-      }),
-      prisma.fact.count({
-        where: whereClause,
-      }),
-    ]);
-
-    cachedData = { facts, total };
+      },
+      orderBy: [
+        { isFeatured: 'desc' },
+        { publishedAt: 'desc' },
+        { id: 'desc' },
+      ],
+    }, { cursor, page, limit });
+
+    cachedData = { facts, total, nextCursor };
     await cache.set(cacheKey, cachedData, 1800); // 30 minutes
   }
 
   // Format response with user interaction data
-  const formattedFacts = cachedData.facts.map(fact => {
-    const userFact = fact.userFacts?.[0] || {};
-    const { userFacts, ...factData } = fact;
-    
-    return {
-      ...factData,
-      ...(userId && {
-        isLiked: userFact.isLiked || false,
-        isBookmarked: userFact.isBookmarked || false,
-        isViewed: userFact.isViewed || false,
-      }),
-    };
-  });
+  const formattedFacts = await withUserInteractions(cachedData.facts, userId);
 
   paginatedResponse(res, 'Facts retrieved successfully', { facts: formattedFacts }, {
-    page,
+    ...(!cursor && { page, total: cachedData.total }),
     limit,
-    total: cachedData.total,
+    nextCursor: cachedData.nextCursor,
   });
 });
 
@@ -212,123 +258,77 @@ const searchFacts = asyncHandler(async (req, res) => {
   const userId = req.user?.id;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const category = req.query.category;
-  const difficulty = req.query.difficulty;
-  const skip = (page - 1) * limit;
-
-  const filters = { category, difficulty };
-  const cacheKey = cacheKeys.searchResults(query, filters);
+  const cursor = req.query.cursor || null;
+  const language = req.query.language || searchService.DEFAULT_LANGUAGE;
+
+  // List filters arrive as arrays (see validateSearch)
+  const filters = {
+    categories: req.query.category,
+    difficulties: req.query.difficulty,
+    tags: req.query.tags,
+    language,
+    hasImage: req.query.hasImage,
+    from: req.query.from,
+    to: req.query.to,
+  };
+  const cacheKey = cacheKeys.searchResults(query, { ...filters, page: cursor || page, limit });
 
   // Try to get from cache first
   let cachedData = await cache.get(cacheKey);
 
   if (!cachedData) {
-    let whereClause = {
-      isApproved: true,
-      isActive: true,
-      publishedAt: {
-        lte: new Date(),
-      },
-      OR: [
-        {
-          title: {
-            contains: query,
-            mode: 'insensitive',
-          },
-        },
-        {
-          content: {
-            contains: query,
-            mode: 'insensitive',
-          },
-        },
-        {
-          tags: {
-            has: query.toLowerCase(),
-          },
-        },
-      ],
-    };
-
-    if (category) {
-      whereClause.categoryId = category;
-    }
-
-    if (difficulty) {
-      whereClause.difficulty = difficulty.toUpperCase();
-    }
-
-    const [facts, total] = await Promise.all([
-      prisma.fact.findMany({
-        where: whereClause,
-        include: {
-          category: {
-            select: {
-              id: true,
-              name: true,
-              icon: true,
-              color: true,
-            },
-          },
-          ...(userId && {
-            userFacts: {
-              where: { userId },
-              select: {
-                isLiked: true,
-                isBookmarked: true,
-                isViewed: true,
-              },
-            },
-          }),
-        },
-        orderBy: [
-          { isFeatured: 'desc' },
-          { viewCount: 'desc' },
-          { publishedAt: 'desc' },
-        ],
-        skip,
-        take: limit,
-      }),
-      prisma.fact.count({
-        where: whereClause,
-      }),
-    ]);
-
-    cachedData = { facts, total };
+    cachedData = await searchService.searchFacts({ query, ...filters }, { page, limit, cursor });
     await cache.set(cacheKey, cachedData, 600); // 10 minutes for search results
   }
 
-  // Format response
-  const formattedFacts = cachedData.facts.map(fact => {
-    const userFact = fact.userFacts?.[0] || {};
-    const { userFacts, ...factData } = fact;
-    
-    return {
-      ...factData,
-      ...(userId && {
-        isLiked: userFact.isLiked || false,
-        isBookmarked: userFact.isBookmarked || false,
-        isViewed: userFact.isViewed || false,
-      }),
-    };
-  });
-
-  // Log search analytics
-  if (userId) {
-    logger.info('Search performed', { userId, query, resultCount: cachedData.total });
+  const formattedFacts = await withUserInteractions(cachedData.facts, userId);
+
+  // Record the search once: later pages pass its searchId back
+  const searchId = req.query.searchId || crypto.randomUUID();
+  if (!req.query.searchId && !cursor) {
+    analyticsService.trackSearch(userId || null, {
+      searchId,
+      query,
+      filters,
+      resultCount: cachedData.total,
+    }, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+    });
   }
 
   paginatedResponse(res, 'Search results retrieved successfully', { 
+    searchId,
     facts: formattedFacts,
     query,
     filters,
+    facets: cachedData.facets,
   }, {
-    page,
+    ...(!cursor && { page, total: cachedData.total }),
     limit,
-    total: cachedData.total,
+    nextCursor: cachedData.nextCursor,
   });
 });
 
+/**
+ * Get search box suggestions: completions, popular queries and spelling corrections
+ */
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const language = req.query.language || searchService.DEFAULT_LANGUAGE;
+  const limit = parseInt(req.query.limit) || searchService.SUGGESTION_LIMIT;
+  const query = searchService.normalizeQuery(req.query.q);
+
+  const cacheKey = cacheKeys.searchSuggestions(query, language, limit);
+  let suggestions = await cache.get(cacheKey);
+
+  if (!suggestions) {
+    suggestions = await searchService.getSuggestions({ query, language }, { limit });
+    await cache.set(cacheKey, suggestions, 300); // 5 minutes for suggestions
+  }
+
+  successResponse(res, 'Search suggestions retrieved successfully', suggestions);
+});
+
 /**
  * Get single fact details with related facts
  */
@@ -345,6 +345,9 @@ const getFactDetails = asyncHandler(async (req, res) => {
         id: factId,
         isApproved: true,
         isActive: true,
+        publishedAt: {
+          lte: new Date(),
+        },
       },
       include: {
         category: {
@@ -366,6 +369,14 @@ const getFactDetails = asyncHandler(async (req, res) => {
     await cache.set(cacheKeys.factDetails(factId), fact, 3600); // 1 hour
   }
 
+  // Opened from search results
+  if (req.query.searchId) {
+    analyticsService.trackSearchClick(userId || null, req.query.searchId, factId, req.query.position || null, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+    });
+  }
+
   // Get related facts
   const relatedFactsCacheKey = `related_facts:${factId}`;
   let relatedFacts = await cache.get(relatedFactsCacheKey);
@@ -582,7 +593,7 @@ const toggleLike = asyncHandler(async (req, res) => {
 
   // Check if fact exists
   const fact = await prisma.fact.findUnique({
-    where: { id: factId, isApproved: true, isActive: true },
+    where: { id: factId, isApproved: true, isActive: true, publishedAt: { lte: new Date() } },
   });
 
   if (!fact) {
@@ -612,11 +623,13 @@ const toggleLike = asyncHandler(async (req, res) => {
     },
     update: {
       isLiked: newLikedState,
+      likedAt: newLikedState ? new Date() : null,
     },
     create: {
       userId,
       factId,
       isLiked: newLikedState,
+      likedAt: newLikedState ? new Date() : null,
     },
   });
 
@@ -661,7 +674,7 @@ const toggleBookmark = asyncHandler(async (req, res) => {
 
   // Check if fact exists
   const fact = await prisma.fact.findUnique({
-    where: { id: factId, isApproved: true, isActive: true },
+    where: { id: factId, isApproved: true, isActive: true, publishedAt: { lte: new Date() } },
   });
 
   if (!fact) {
@@ -691,11 +704,13 @@ const toggleBookmark = asyncHandler(async (req, res) => {
     },
     update: {
       isBookmarked: newBookmarkedState,
+      bookmarkedAt: newBookmarkedState ? new Date() : null,
     },
     create: {
       userId,
       factId,
       isBookmarked: newBookmarkedState,
+      bookmarkedAt: newBookmarkedState ? new Date() : null,
     },
   });
 
@@ -740,7 +755,7 @@ const shareFact = asyncHandler(async (req, res) => {
 
   // Check if fact exists
   const fact = await prisma.fact.findUnique({
-    where: { id: factId, isApproved: true, isActive: true },
+    where: { id: factId, isApproved: true, isActive: true, publishedAt: { lte: new Date() } },
   });
 
   if (!fact) {
@@ -821,6 +836,7 @@ const getCategories = asyncHandler(async (req, res) => {
             title: true,
             shortContent: true,
             imageUrl: true,
+            images: true,
             difficulty: true,
             tags: true,
             isFeatured: true,
@@ -900,8 +916,11 @@ const getCategories = asyncHandler(async (req, res) => {
 
 module.exports = {
   getDailyFacts,
+  getFeed,
+  submitFeedFeedback,
   getFactsByCategory,
   searchFacts,
+  getSearchSuggestions,
   getFactDetails,
   toggleLike,
   toggleBookmark,
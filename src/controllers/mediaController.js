@@ -0,0 +1,19 @@
+const { successResponse } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const mediaService = require('../services/mediaService');
+
+/**
+ * Receive a direct upload for local storage. The signed token from the
+ * upload URL, verified by localUpload, names the key, content type and size limit.
+ */
+const receiveUpload = asyncHandler(async (req, res) => {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+
+  const { key } = await mediaService.receiveLocalUpload(req.upload, { contentType, body: req.body });
+
+  successResponse(res, 'File uploaded successfully', { key }, null, 201);
+});
+
+module.exports = {
+  receiveUpload,
+};
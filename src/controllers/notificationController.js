@@ -0,0 +1,38 @@
+const { successResponse, notFoundResponse } = require('../utils/response');
+const { asyncHandler } = require('../middleware/errorHandler');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Mark a notification as delivered to the device
+ */
+const markDelivered = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markNotificationDelivered(req.user.id, req.params.id);
+
+  if (!notification) {
+    return notFoundResponse(res, 'Notification');
+  }
+
+  successResponse(res, 'Notification marked as delivered', { notification });
+});
+
+/**
+ * Mark a notification as opened by the user
+ */
+const markOpened = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markNotificationOpened(req.user.id, req.params.id, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+    deviceId: req.headers['x-device-id'],
+  });
+
+  if (!notification) {
+    return notFoundResponse(res, 'Notification');
+  }
+
+  successResponse(res, 'Notification marked as opened', { notification });
+});
+
+module.exports = {
+  markDelivered,
+  markOpened,
+};
@@ -1,7 +1,14 @@
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/database');
 const { cache, cacheKeys } = require('../config/redis');
 const { successResponse, errorResponse, notFoundResponse, paginatedResponse } = require('../utils/response');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { paginate } = require('../utils/cursor');
+const deviceService = require('../services/deviceService');
+const topicService = require('../services/topicService');
+const inboxService = require('../services/inboxService');
+const mediaService = require('../services/mediaService');
+const { rescheduleUser } = require('../services/deliveryPlannerService');
 const logger = require('../utils/logger');
 
 /**
@@ -23,6 +30,7 @@ const getProfile = asyncHandler(async (req, res) => {
         firstName: true,
         lastName: true,
         avatar: true,
+        avatarImages: true,
         dateOfBirth: true,
         timezone: true,
         isEmailVerified: true,
@@ -31,6 +39,9 @@ const getProfile = asyncHandler(async (req, res) => {
         dailyNotificationTime: true,
         maxNotificationsPerDay: true,
         weekendNotifications: true,
+        notificationSlots: true,
+        quietHoursStart: true,
+        quietHoursEnd: true,
         difficultyLevel: true,
         languagePreference: true,
         totalFactsViewed: true,
@@ -69,6 +80,15 @@ const updateProfile = asyncHandler(async (req, res) => {
   if (timezone !== undefined) updateData.timezone = timezone;
   if (avatar !== undefined) updateData.avatar = avatar;
 
+  const previous = avatar !== undefined
+    ? await prisma.user.findUnique({ where: { id: userId }, select: { avatar: true, avatarImages: true } })
+    : null;
+
+  // Derivatives belong to the uploaded avatar they were made from
+  if (previous && previous.avatar !== avatar) {
+    updateData.avatarImages = Prisma.DbNull;
+  }
+
   const user = await prisma.user.update({
     where: { id: userId },
     data: updateData,
@@ -78,6 +98,7 @@ const updateProfile = asyncHandler(async (req, res) => {
       firstName: true,
       lastName: true,
       avatar: true,
+      avatarImages: true,
       dateOfBirth: true,
       timezone: true,
       isEmailVerified: true,
@@ -90,12 +111,68 @@ const updateProfile = asyncHandler(async (req, res) => {
   await cache.del(cacheKeys.userProfile(userId));
   await cache.set(cacheKeys.userProfile(userId), user, 3600);
 
+  // An uploaded avatar replaced by another URL is deleted from storage
+  if (previous) {
+    await mediaService.removeReplacedMedia(previous.avatar, user.avatar, previous.avatarImages);
+  }
+
+  // Delivery times are local to the user's timezone
+  if (timezone !== undefined) {
+    await rescheduleUser(userId);
+  }
+
   // Log profile update
   logger.logUserAction('PROFILE_UPDATED', userId, { updateData });
 
   successResponse(res, 'Profile updated successfully', { user });
 });
 
+/**
+ * Set the user's avatar, from a multipart file or the key of a direct upload
+ */
+const uploadAvatar = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { key } = req.body;
+
+  if (!req.file && !key) {
+    return errorResponse(res, 'Upload a file, or send the key of a direct upload', null, 400);
+  }
+
+  const user = await mediaService.setAvatar(userId, { file: req.file, key });
+
+  await cache.del(cacheKeys.userProfile(userId));
+
+  logger.logUserAction('AVATAR_UPLOADED', userId, { avatar: user.avatar });
+
+  successResponse(res, 'Avatar uploaded successfully', { user });
+});
+
+/**
+ * Create a URL for uploading an avatar straight to storage
+ */
+const createAvatarUploadUrl = asyncHandler(async (req, res) => {
+  const { contentType, size } = req.body;
+
+  const upload = await mediaService.createAvatarUploadUrl(req.user.id, { contentType, size });
+
+  successResponse(res, 'Upload URL created successfully', { upload });
+});
+
+/**
+ * Remove the user's avatar
+ */
+const deleteAvatar = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await mediaService.removeAvatar(userId);
+
+  await cache.del(cacheKeys.userProfile(userId));
+
+  logger.logUserAction('AVATAR_REMOVED', userId);
+
+  successResponse(res, 'Avatar removed successfully', { user });
+});
+
 /**
  * Get user statistics
  */
@@ -235,6 +312,9 @@ const updateNotificationSettings = asyncHandler(async (req, res) => {
     dailyNotificationTime,
     maxNotificationsPerDay,
     weekendNotifications,
+    notificationSlots,
+    quietHoursStart,
+    quietHoursEnd,
   } = req.body;
 
   const updateData = {};
@@ -242,6 +322,9 @@ const updateNotificationSettings = asyncHandler(async (req, res) => {
   if (dailyNotificationTime !== undefined) updateData.dailyNotificationTime = dailyNotificationTime;
   if (maxNotificationsPerDay !== undefined) updateData.maxNotificationsPerDay = maxNotificationsPerDay;
   if (weekendNotifications !== undefined) updateData.weekendNotifications = weekendNotifications;
+  if (notificationSlots !== undefined) updateData.notificationSlots = [...new Set(notificationSlots)].sort();
+  if (quietHoursStart !== undefined) updateData.quietHoursStart = quietHoursStart;
+  if (quietHoursEnd !== undefined) updateData.quietHoursEnd = quietHoursEnd;
 
   const user = await prisma.user.update({
     where: { id: userId },
@@ -252,6 +335,9 @@ const updateNotificationSettings = asyncHandler(async (req, res) => {
       dailyNotificationTime: true,
       maxNotificationsPerDay: true,
       weekendNotifications: true,
+      notificationSlots: true,
+      quietHoursStart: true,
+      quietHoursEnd: true,
       updatedAt: true,
     },
   });
@@ -259,6 +345,14 @@ const updateNotificationSettings = asyncHandler(async (req, res) => {
   // Update cache
   await cache.del(cacheKeys.userProfile(userId));
 
+  // Move the upcoming daily fact to the new settings
+  await rescheduleUser(userId);
+
+  // Topic broadcasts follow the notification switch
+  if (notificationsEnabled !== undefined) {
+    await topicService.syncUserTopics(userId);
+  }
+
   // Log settings update
   logger.logUserAction('NOTIFICATION_SETTINGS_UPDATED', userId, { updateData });
 
@@ -335,6 +429,11 @@ const updateTopicPreferences = asyncHandler(async (req, res) => {
   await cache.del(cacheKeys.userProfile(userId));
   await cache.del(cacheKeys.userPreferences(userId));
 
+  // Move the user's devices to the new category topics
+  if (categories) {
+    await topicService.syncUserTopics(userId);
+  }
+
   // Log preferences update
   logger.logUserAction('TOPIC_PREFERENCES_UPDATED', userId, {
     categories: categories || [],
@@ -351,53 +450,44 @@ const getBookmarkedFacts = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
+  const cursor = req.query.cursor || null;
 
-  const [bookmarkedFacts, total] = await Promise.all([
-    prisma.userFact.findMany({
-      where: {
-        userId,
-        isBookmarked: true,
-      },
-      include: {
-        fact: {
-          include: {
-            category: {
-              select: {
-                id: true,
-                name: true,
-                icon: true,
-                color: true,
-              },
+  const { items: bookmarkedFacts, total, nextCursor } = await paginate(prisma.userFact, {
+    where: {
+      userId,
+      isBookmarked: true,
+    },
+    include: {
+      fact: {
+        include: {
+          category: {
+            select: {
+              id: true,
+              name: true,
+              icon: true,
+              color: true,
             },
           },
         },
       },
-      orderBy: {
-        updatedAt: 'desc',
-      },
-      skip,
-      take: limit,
-    }),
-    prisma.userFact.count({
-      where: {
-        userId,
-        isBookmarked: true,
-      },
-    }),
-  ]);
+    },
+    orderBy: [
+      { bookmarkedAt: 'desc' },
+      { id: 'desc' },
+    ],
+  }, { cursor, page, limit });
 
   const facts = bookmarkedFacts.map(uf => ({
     ...uf.fact,
-    bookmarkedAt: uf.updatedAt,
+    bookmarkedAt: uf.bookmarkedAt,
     isLiked: uf.isLiked,
     isViewed: uf.isViewed,
   }));
 
   paginatedResponse(res, 'Bookmarked facts retrieved successfully', { facts }, {
-    page,
+    ...(!cursor && { page, total }),
     limit,
-    total,
+    nextCursor,
   });
 });
 
@@ -408,53 +498,44 @@ const getLikedFacts = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
+  const cursor = req.query.cursor || null;
 
-  const [likedFacts, total] = await Promise.all([
-    prisma.userFact.findMany({
-      where: {
-        userId,
-        isLiked: true,
-      },
-      include: {
-        fact: {
-          include: {
-            category: {
-              select: {
-                id: true,
-                name: true,
-                icon: true,
-                color: true,
-              },
+  const { items: likedFacts, total, nextCursor } = await paginate(prisma.userFact, {
+    where: {
+      userId,
+      isLiked: true,
+    },
+    include: {
+      fact: {
+        include: {
+          category: {
+            select: {
+              id: true,
+              name: true,
+              icon: true,
+              color: true,
             },
           },
         },
       },
-      orderBy: {
-        updatedAt: 'desc',
-      },
-      skip,
-      take: limit,
-    }),
-    prisma.userFact.count({
-      where: {
-        userId,
-        isLiked: true,
-      },
-    }),
-  ]);
+    },
+    orderBy: [
+      { likedAt: 'desc' },
+      { id: 'desc' },
+    ],
+  }, { cursor, page, limit });
 
   const facts = likedFacts.map(uf => ({
     ...uf.fact,
-    likedAt: uf.updatedAt,
+    likedAt: uf.likedAt,
     isBookmarked: uf.isBookmarked,
     isViewed: uf.isViewed,
   }));
 
   paginatedResponse(res, 'Liked facts retrieved successfully', { facts }, {
-    page,
+    ...(!cursor && { page, total }),
     limit,
-    total,
+    nextCursor,
   });
 });
 
@@ -465,45 +546,36 @@ const getLearningHistory = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
-  const skip = (page - 1) * limit;
+  const cursor = req.query.cursor || null;
 
-  const [history, total] = await Promise.all([
-    prisma.userFact.findMany({
-      where: {
-        userId,
-        isViewed: true,
-      },
-      include: {
-        fact: {
-          select: {
-            id: true,
-            title: true,
-            shortContent: true,
-            difficulty: true,
-            category: {
-              select: {
-                id: true,
-                name: true,
-                icon: true,
-                color: true,
-              },
+  const { items: history, total, nextCursor } = await paginate(prisma.userFact, {
+    where: {
+      userId,
+      isViewed: true,
+    },
+    include: {
+      fact: {
+        select: {
+          id: true,
+          title: true,
+          shortContent: true,
+          difficulty: true,
+          category: {
+            select: {
+              id: true,
+              name: true,
+              icon: true,
+              color: true,
             },
           },
         },
       },
-      orderBy: {
-        viewedAt: 'desc',
-      },
-      skip,
-      take: limit,
-    }),
-    prisma.userFact.count({
-      where: {
-        userId,
-        isViewed: true,
-      },
-    }),
-  ]);
+    },
+    orderBy: [
+      { viewedAt: 'desc' },
+      { id: 'desc' },
+    ],
+  }, { cursor, page, limit });
 
   const learningHistory = history.map(uf => ({
     factId: uf.fact.id,
@@ -519,12 +591,148 @@ const getLearningHistory = asyncHandler(async (req, res) => {
   }));
 
   paginatedResponse(res, 'Learning history retrieved successfully', { history: learningHistory }, {
-    page,
+    ...(!cursor && { page, total }),
+    limit,
+    nextCursor,
+  });
+});
+
+/**
+ * Register device push token
+ */
+const registerDevice = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { fcmToken, deviceId, platform, appVersion } = req.body;
+
+  const device = await deviceService.registerDevice(userId, {
+    fcmToken,
+    deviceId: deviceId || req.headers['x-device-id'],
+    platform: platform || req.headers['x-device-type'],
+    appVersion: appVersion || req.headers['x-app-version'],
+  });
+
+  // Subscribe the new token to the user's category topics
+  await topicService.syncUserTopics(userId);
+
+  // Log device registration
+  logger.logUserAction('DEVICE_REGISTERED', userId, {
+    deviceId: device.id,
+    platform: device.platform,
+  });
+
+  successResponse(res, 'Device registered successfully', {
+    device: {
+      id: device.id,
+      deviceId: device.deviceId,
+      platform: device.platform,
+      appVersion: device.appVersion,
+      isActive: device.isActive,
+      lastSeenAt: device.lastSeenAt,
+      createdAt: device.createdAt,
+    },
+  }, null, 201);
+});
+
+/**
+ * Remove device push token
+ */
+const removeDevice = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+
+  // Topic subscriptions can't be tracked once the device row is gone
+  await topicService.unsubscribeDevice(userId, id);
+
+  const removed = await deviceService.removeDevice(userId, id);
+
+  if (!removed) {
+    return notFoundResponse(res, 'Device');
+  }
+
+  // Log device removal
+  logger.logUserAction('DEVICE_REMOVED', userId, { deviceId: id });
+
+  successResponse(res, 'Device removed successfully');
+});
+
+/**
+ * Get notification inbox
+ */
+const getNotificationInbox = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const inbox = await inboxService.getInbox(userId, {
+    cursor: req.query.cursor,
+    limit,
+    unreadOnly: req.query.unread === 'true',
+  });
+
+  if (!inbox) {
+    return errorResponse(res, 'Invalid cursor', null, 400);
+  }
+
+  paginatedResponse(res, 'Notification inbox retrieved successfully', {
+    notifications: inbox.notifications,
+    unreadCount: inbox.unreadCount,
+  }, {
     limit,
-    total,
+    nextCursor: inbox.nextCursor,
   });
 });
 
+/**
+ * Get number of unread inbox notifications
+ */
+const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+  const unreadCount = await inboxService.getUnreadCount(req.user.id);
+
+  successResponse(res, 'Unread count retrieved successfully', { unreadCount });
+});
+
+/**
+ * Mark an inbox notification as read
+ */
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const found = await inboxService.markAsRead(userId, req.params.id);
+
+  if (!found) {
+    return notFoundResponse(res, 'Notification');
+  }
+
+  const unreadCount = await inboxService.getUnreadCount(userId);
+
+  successResponse(res, 'Notification marked as read', { unreadCount });
+});
+
+/**
+ * Mark all inbox notifications as read
+ */
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const updated = await inboxService.markAllAsRead(req.user.id);
+
+  successResponse(res, 'All notifications marked as read', { updated, unreadCount: 0 });
+});
+
+/**
+ * Remove a notification from the inbox
+ */
+const deleteInboxNotification = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const deleted = await inboxService.deleteFromInbox(userId, req.params.id);
+
+  if (!deleted) {
+    return notFoundResponse(res, 'Notification');
+  }
+
+  const unreadCount = await inboxService.getUnreadCount(userId);
+
+  successResponse(res, 'Notification deleted successfully', { unreadCount });
+});
+
 /**
  * Delete user account
  */
@@ -544,6 +752,9 @@ const deleteAccount = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Invalid password', null, 400);
   }
 
+  // Uploaded avatars don't outlive the account
+  await mediaService.removeAvatar(userId);
+
   // Soft delete - mark account as inactive instead of hard delete
   await prisma.user.update({
     where: { id: userId },
@@ -556,6 +767,8 @@ const deleteAccount = asyncHandler(async (req, res) => {
   // Invalidate all sessions
   const { invalidateAllUserSessions } = require('../utils/jwt');
   await invalidateAllUserSessions(userId);
+  await deviceService.deactivateUserDevices(userId);
+  await topicService.syncUserTopics(userId);
 
   // Clear all caches
   await cache.del(cacheKeys.userProfile(userId));
@@ -574,11 +787,21 @@ const deleteAccount = asyncHandler(async (req, res) => {
 module.exports = {
   getProfile,
   updateProfile,
+  uploadAvatar,
+  createAvatarUploadUrl,
+  deleteAvatar,
   getStats,
   updateNotificationSettings,
   updateTopicPreferences,
   getBookmarkedFacts,
   getLikedFacts,
   getLearningHistory,
+  registerDevice,
+  removeDevice,
+  getNotificationInbox,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteInboxNotification,
   deleteAccount,
 };
@@ -221,6 +221,7 @@ const trackDevice = (req, res, next) => {
     deviceId: req.headers['x-device-id'],
     deviceType: req.headers['x-device-type'],
     appVersion: req.headers['x-app-version'],
+    fcmToken: req.headers['x-fcm-token'] || req.body?.fcmToken,
     ipAddress: req.ip,
     userAgent: req.get('User-Agent'),
   };
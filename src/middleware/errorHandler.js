@@ -40,6 +40,11 @@ const globalErrorHandler = (err, req, res, next) => {
     userId: req.user?.id,
   });
 
+  // A streamed response already started; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Invalid ID format';
@@ -62,6 +67,17 @@ const globalErrorHandler = (err, req, res, next) => {
     error = new ApiError(message, 400);
   }
 
+  // Upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = new ApiError(message, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+  }
+
+  // Bodies over the parser's limit
+  if (err.type === 'entity.too.large') {
+    error = new ApiError('Request body is too large', 413);
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
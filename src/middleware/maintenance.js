@@ -0,0 +1,58 @@
+const { verifyAccessToken, extractTokenFromHeader } = require('../utils/jwt');
+const { errorResponse } = require('../utils/response');
+const { getConfig } = require('../services/configService');
+const logger = require('../utils/logger');
+
+const ADMIN_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+
+/**
+ * Routes that stay open during maintenance so admins can still sign in
+ */
+const OPEN_PATHS = ['/api/auth/login', '/api/auth/refresh'];
+
+const RETRY_AFTER_SECONDS = 300;
+
+/**
+ * Check the access token role without a database lookup; admin routes still
+ * verify the user through authenticate/requireAdmin.
+ */
+const isAdminRequest = (req) => {
+  const token = extractTokenFromHeader(req.headers.authorization);
+
+  if (!token) {
+    return false;
+  }
+
+  try {
+    return ADMIN_ROLES.includes(verifyAccessToken(token).role);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Maintenance mode middleware: answers 503 to everyone but admins while the
+ * maintenance_mode setting is on. Mounted after the health routes.
+ */
+const maintenanceMode = async (req, res, next) => {
+  let config;
+
+  try {
+    config = await getConfig();
+  } catch (error) {
+    // Never take the API down because the setting can't be read
+    logger.error('Error reading maintenance mode:', error);
+    return next();
+  }
+
+  if (!config.maintenance_mode || OPEN_PATHS.includes(req.originalUrl.split('?')[0]) || isAdminRequest(req)) {
+    return next();
+  }
+
+  res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+  return errorResponse(res, config.maintenance_message, null, 503);
+};
+
+module.exports = {
+  maintenanceMode,
+};
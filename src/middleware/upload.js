@@ -0,0 +1,38 @@
+const express = require('express');
+const multer = require('multer');
+const s3Service = require('../services/s3Service');
+const { driverType } = require('../config/storage');
+const { verifyUploadToken } = require('../utils/jwt');
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Media uploads are held in memory until the media service stores them, one file per request
+ */
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: s3Service.MAX_FILE_SIZE, files: 1 },
+});
+
+/**
+ * Direct uploads to local storage. The signed token from the upload URL is
+ * checked before the body is read, and only a body of the content type and
+ * size it allows is buffered. The verified grant is left on req.upload.
+ */
+const localUpload = (req, res, next) => {
+  if (driverType !== 'local') {
+    return next(new ApiError('Upload not found', 404));
+  }
+
+  try {
+    req.upload = verifyUploadToken(req.params.token);
+  } catch (error) {
+    return next(error);
+  }
+
+  return express.raw({ type: req.upload.contentType, limit: req.upload.maxSize })(req, res, next);
+};
+
+module.exports = {
+  mediaUpload,
+  localUpload,
+};
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const moment = require('moment-timezone');
 const { validationErrorResponse } = require('../utils/response');
 
 /**
@@ -44,8 +45,8 @@ const validateUserRegistration = [
     .withMessage('Date of birth must be a valid date'),
   body('timezone')
     .optional()
-    .isLength({ min: 1 })
-    .withMessage('Timezone is required'),
+    .custom(value => !!moment.tz.zone(value))
+    .withMessage('Timezone must be a valid IANA timezone'),
   handleValidationErrors,
 ];
 
@@ -121,8 +122,47 @@ const validateProfileUpdate = [
     .withMessage('Date of birth must be a valid date'),
   body('timezone')
     .optional()
-    .isLength({ min: 1 })
-    .withMessage('Timezone is required'),
+    .custom(value => !!moment.tz.zone(value))
+    .withMessage('Timezone must be a valid IANA timezone'),
+  handleValidationErrors,
+];
+
+/**
+ * Rules for the key of a file already sent to an upload URL
+ */
+const uploadKeyRule = () => body('key')
+  .optional()
+  .isString()
+  .isLength({ min: 1, max: 300 })
+  .withMessage('Key must be the key of a direct upload');
+
+/**
+ * Rules for requesting a direct upload URL
+ */
+const uploadUrlRules = () => [
+  body('contentType')
+    .isString()
+    .notEmpty()
+    .withMessage('Content type is required'),
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('Size must be the file size in bytes')
+    .toInt(),
+];
+
+/**
+ * Avatar upload validation (multipart file or direct upload key)
+ */
+const validateAvatarUpload = [
+  uploadKeyRule(),
+  handleValidationErrors,
+];
+
+/**
+ * Avatar upload URL validation
+ */
+const validateAvatarUploadUrl = [
+  ...uploadUrlRules(),
   handleValidationErrors,
 ];
 
@@ -146,6 +186,21 @@ const validateNotificationSettings = [
     .optional()
     .isBoolean()
     .withMessage('Weekend notifications must be a boolean'),
+  body('notificationSlots')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Notification slots must be an array of at most 10 times'),
+  body('notificationSlots.*')
+    .matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Notification slots must be in HH:MM format'),
+  body('quietHoursStart')
+    .optional({ values: 'null' })
+    .matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Quiet hours start must be in HH:MM format'),
+  body('quietHoursEnd')
+    .optional({ values: 'null' })
+    .matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Quiet hours end must be in HH:MM format'),
   handleValidationErrors,
 ];
 
@@ -166,6 +221,29 @@ const validateTopicPreferences = [
   handleValidationErrors,
 ];
 
+/**
+ * Device registration validation
+ */
+const validateDeviceRegistration = [
+  body('fcmToken')
+    .isString()
+    .isLength({ min: 1, max: 4096 })
+    .withMessage('FCM token is required'),
+  body('deviceId')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Device ID must be between 1 and 200 characters'),
+  body('platform')
+    .optional()
+    .isIn(['ios', 'android', 'web'])
+    .withMessage('Platform must be ios, android, or web'),
+  body('appVersion')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('App version must be less than 50 characters'),
+  handleValidationErrors,
+];
+
 /**
  * Fact creation validation
  */
@@ -202,6 +280,10 @@ const validateFactCreation = [
     .optional()
     .isLength({ min: 2, max: 5 })
     .withMessage('Language must be a valid language code'),
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('Draft must be a boolean'),
   handleValidationErrors,
 ];
 
@@ -230,6 +312,484 @@ const validatePagination = [
   handleValidationErrors,
 ];
 
+/**
+ * Opaque pagination cursor (a nextCursor from a previous page)
+ */
+const cursorRule = query('cursor')
+  .optional()
+  .isString()
+  .isLength({ max: 500 })
+  .withMessage('Cursor must be a valid cursor');
+
+/**
+ * Pagination by cursor (infinite lists) or by page number
+ */
+const validateCursorPagination = [
+  cursorRule,
+  ...validatePagination,
+];
+
+/**
+ * Campaign audience segment rules
+ */
+const campaignSegmentRules = [
+  body('segment')
+    .optional()
+    .isObject()
+    .withMessage('Segment must be an object'),
+  body('segment.categoryIds')
+    .optional()
+    .isArray()
+    .withMessage('Segment categories must be an array'),
+  body('segment.categoryIds.*')
+    .isUUID()
+    .withMessage('Each segment category must be a valid UUID'),
+  body('segment.difficultyLevels')
+    .optional()
+    .isArray()
+    .withMessage('Segment difficulty levels must be an array'),
+  body('segment.difficultyLevels.*')
+    .isIn(['EASY', 'MEDIUM', 'HARD', 'EXPERT'])
+    .withMessage('Segment difficulty levels must be EASY, MEDIUM, HARD, or EXPERT'),
+  body('segment.languages')
+    .optional()
+    .isArray()
+    .withMessage('Segment languages must be an array'),
+  body('segment.languages.*')
+    .isLength({ min: 2, max: 5 })
+    .withMessage('Segment languages must be valid language codes'),
+  body('segment.timezones')
+    .optional()
+    .isArray()
+    .withMessage('Segment timezones must be an array'),
+  body('segment.timezones.*')
+    .custom((value) => !!moment.tz.zone(value))
+    .withMessage('Segment timezones must be valid timezones'),
+  body('segment.activity')
+    .optional()
+    .isIn(['active_7d', 'active_30d', 'inactive_30d', 'new_7d'])
+    .withMessage('Segment activity must be active_7d, active_30d, inactive_30d, or new_7d'),
+];
+
+/**
+ * Campaign creation validation
+ */
+const validateCampaignCreation = [
+  body('title')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('body')
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Body must be between 1 and 500 characters'),
+  body('imageUrl')
+    .optional({ values: 'null' })
+    .isURL()
+    .withMessage('Image URL must be a valid URL'),
+  body('factId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Fact ID must be a valid UUID'),
+  body('scheduledFor')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Scheduled time must be an ISO 8601 date'),
+  ...campaignSegmentRules,
+  handleValidationErrors,
+];
+
+/**
+ * Campaign update validation
+ */
+const validateCampaignUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  body('title')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('body')
+    .optional()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Body must be between 1 and 500 characters'),
+  body('imageUrl')
+    .optional({ values: 'null' })
+    .isURL()
+    .withMessage('Image URL must be a valid URL'),
+  body('factId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Fact ID must be a valid UUID'),
+  body('scheduledFor')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Scheduled time must be an ISO 8601 date'),
+  ...campaignSegmentRules,
+  handleValidationErrors,
+];
+
+/**
+ * Campaign audience preview validation
+ */
+const validateCampaignAudience = [
+  ...campaignSegmentRules,
+  handleValidationErrors,
+];
+
+/**
+ * Campaign scheduling validation
+ */
+const validateCampaignSchedule = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  body('scheduledFor')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Scheduled time must be an ISO 8601 date'),
+  handleValidationErrors,
+];
+
+/**
+ * Campaign list validation
+ */
+const validateCampaignsQuery = [
+  query('status')
+    .optional()
+    .isIn(['DRAFT', 'SCHEDULED', 'SENDING', 'SENT', 'CANCELLED'])
+    .withMessage('Status must be one of DRAFT, SCHEDULED, SENDING, SENT, CANCELLED'),
+  ...validatePagination,
+];
+
+/**
+ * System config update validation; values are checked against their type by the config service
+ */
+const validateConfigUpdate = [
+  body()
+    .custom((value) => value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0)
+    .withMessage('Body must be an object of config values'),
+  handleValidationErrors,
+];
+
+/**
+ * Audit log query validation
+ */
+const validateAuditLogsQuery = [
+  query('userId')
+    .optional()
+    .isUUID()
+    .withMessage('userId must be a valid UUID'),
+  query('action')
+    .optional()
+    .matches(/^[A-Z_]+$/)
+    .withMessage('Action must be an action name such as FACT_APPROVED'),
+  query('resource')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Resource must be between 1 and 50 characters'),
+  query('resourceId')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Resource ID must be between 1 and 100 characters'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  ...validatePagination,
+];
+
+const MODERATION_STATUSES = ['DRAFT', 'PENDING_REVIEW', 'CHANGES_REQUESTED', 'APPROVED', 'REJECTED', 'ARCHIVED'];
+
+/**
+ * Reviewer note rule
+ */
+const moderationNoteRule = (field) => body(field)
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 2000 })
+  .withMessage(`${field[0].toUpperCase()}${field.slice(1)} must be between 1 and 2000 characters`);
+
+/**
+ * Admin facts list query validation
+ */
+const validateAdminFactsQuery = [
+  query('status')
+    .optional()
+    .isIn(['approved', 'pending', 'inactive'])
+    .withMessage('Status must be approved, pending or inactive'),
+  query('moderationStatus')
+    .optional()
+    .isIn(MODERATION_STATUSES)
+    .withMessage(`Moderation status must be one of ${MODERATION_STATUSES.join(', ')}`),
+  query('category')
+    .optional()
+    .isUUID()
+    .withMessage('Category must be a valid UUID'),
+  query('mine')
+    .optional()
+    .isBoolean()
+    .withMessage('Mine must be a boolean'),
+  ...validateCursorPagination,
+];
+
+/**
+ * Fact import validation
+ */
+const validateFactImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  handleValidationErrors,
+];
+
+/**
+ * Fact export validation, with the admin facts list filters
+ */
+const validateFactExport = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  ...validateAdminFactsQuery,
+];
+
+/**
+ * Moderation step with an optional note (submit, approve, restore)
+ */
+const validateModerationNote = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  moderationNoteRule('note').optional(),
+  handleValidationErrors,
+];
+
+/**
+ * Fact approval validation; publishAt schedules the fact
+ */
+const validateFactApproval = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  moderationNoteRule('note').optional(),
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Publish date must be an ISO 8601 date'),
+  handleValidationErrors,
+];
+
+/**
+ * Request changes validation: the author needs to know what to change
+ */
+const validateChangesRequest = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  moderationNoteRule('note'),
+  handleValidationErrors,
+];
+
+/**
+ * Fact rejection validation; `reason` is accepted as an alias of `note`
+ */
+const validateFactRejection = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  moderationNoteRule('note').optional(),
+  moderationNoteRule('reason').optional(),
+  body()
+    .custom((value) => Boolean(value && (value.note || value.reason)))
+    .withMessage('A rejection reason is required'),
+  handleValidationErrors,
+];
+
+/**
+ * Reviewer assignment validation; null unassigns
+ */
+const validateReviewerAssignment = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  body('reviewerId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Reviewer ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+/**
+ * Fact publishing date validation
+ */
+const validateFactSchedule = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  body('publishAt')
+    .isISO8601()
+    .withMessage('Publish date must be an ISO 8601 date'),
+  handleValidationErrors,
+];
+
+/**
+ * Duplicate facts report validation
+ */
+const validateDuplicatesQuery = [
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0.1, max: 1 })
+    .withMessage('Threshold must be between 0.1 and 1'),
+  ...validatePagination,
+];
+
+/**
+ * Fact merge validation
+ */
+const validateFactMerge = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  body('duplicateIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('duplicateIds must list between 1 and 50 facts'),
+  body('duplicateIds.*')
+    .isUUID()
+    .withMessage('Each duplicate must be a valid fact ID'),
+  handleValidationErrors,
+];
+
+/**
+ * Fact media upload validation (multipart file or direct upload key)
+ */
+const validateFactMediaUpload = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  body('kind')
+    .isIn(['image', 'video'])
+    .withMessage('Kind must be image or video'),
+  uploadKeyRule(),
+  handleValidationErrors,
+];
+
+/**
+ * Fact media upload URL validation
+ */
+const validateFactMediaUploadUrl = [
+  param('id')
+    .isUUID()
+    .withMessage('id must be a valid UUID'),
+  body('kind')
+    .isIn(['image', 'video'])
+    .withMessage('Kind must be image or video'),
+  ...uploadUrlRules(),
+  handleValidationErrors,
+];
+
+/**
+ * Calendar day rule (YYYY-MM-DD)
+ */
+const calendarDateRule = (field) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage('Date must be formatted as YYYY-MM-DD');
+
+/**
+ * Editorial calendar query validation
+ */
+const validateCalendarQuery = [
+  calendarDateRule(query('from').optional()),
+  calendarDateRule(query('to').optional()),
+  handleValidationErrors,
+];
+
+/**
+ * Calendar date parameter validation
+ */
+const validateCalendarDate = [
+  calendarDateRule(param('date')),
+  handleValidationErrors,
+];
+
+/**
+ * Fact of the day validation
+ */
+const validateFactOfTheDay = [
+  calendarDateRule(param('date')),
+  body('factId')
+    .isUUID()
+    .withMessage('Fact ID must be a valid UUID'),
+  handleValidationErrors,
+];
+
+/**
+ * Moderation queue query validation
+ */
+const validateModerationQueueQuery = [
+  query('assignee')
+    .optional()
+    .if(query('assignee').not().isIn(['me', 'unassigned']))
+    .isUUID()
+    .withMessage('Assignee must be me, unassigned or a user ID'),
+  query('category')
+    .optional()
+    .isUUID()
+    .withMessage('Category must be a valid UUID'),
+  ...validatePagination,
+];
+
+/**
+ * Notification inbox validation
+ */
+const validateInboxQuery = [
+  cursorRule,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be a boolean'),
+  handleValidationErrors,
+];
+
+/**
+ * Job run history validation
+ */
+const validateJobRunsQuery = [
+  query('status')
+    .optional()
+    .isIn(['QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED'])
+    .withMessage('Status must be one of QUEUED, RUNNING, SUCCEEDED, FAILED'),
+  ...validatePagination,
+];
+
+const DIFFICULTY_LEVELS = ['EASY', 'MEDIUM', 'HARD', 'EXPERT'];
+
+/**
+ * Query parameter taking several values, either comma separated
+ * (?tags=a,b) or repeated (?tags=a&tags=b); sanitized into an array
+ */
+const listQueryRule = (field, maxValues) => query(field)
+  .optional()
+  .customSanitizer(value => [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))
+  .isArray({ max: maxValues })
+  .withMessage(`${field[0].toUpperCase()}${field.slice(1)} accepts at most ${maxValues} values`);
+
 /**
  * Search validation
  */
@@ -237,7 +797,133 @@ const validateSearch = [
   query('q')
     .isLength({ min: 1, max: 100 })
     .withMessage('Search query must be between 1 and 100 characters'),
-  ...validatePagination,
+  listQueryRule('category', 20),
+  query('category.*')
+    .isUUID()
+    .withMessage('Categories must be valid UUIDs'),
+  listQueryRule('difficulty', DIFFICULTY_LEVELS.length),
+  query('difficulty.*')
+    .customSanitizer(value => value.toUpperCase())
+    .isIn(DIFFICULTY_LEVELS)
+    .withMessage(`Difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')}`),
+  listQueryRule('tags', 10),
+  query('tags.*')
+    .isLength({ max: 50 })
+    .withMessage('Tags must be at most 50 characters'),
+  query('language')
+    .optional()
+    .isLength({ min: 2, max: 5 })
+    .withMessage('Language must be a valid language code'),
+  query('hasImage')
+    .optional()
+    .isBoolean()
+    .withMessage('hasImage must be a boolean')
+    .toBoolean(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('searchId')
+    .optional()
+    .isUUID()
+    .withMessage('searchId must be a valid UUID'),
+  ...validateCursorPagination,
+];
+
+/**
+ * Fact details validation; searchId and position tell a fact was opened from search results
+ */
+const validateFactDetailsQuery = [
+  query('searchId')
+    .optional()
+    .isUUID()
+    .withMessage('searchId must be a valid UUID'),
+  query('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer')
+    .toInt(),
+  handleValidationErrors,
+];
+
+/**
+ * Search analytics report validation
+ */
+const validateSearchAnalyticsQuery = [
+  query('timeframe')
+    .optional()
+    .isIn(['7d', '30d', '90d'])
+    .withMessage('Timeframe must be 7d, 30d or 90d'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+];
+
+/**
+ * Search suggestions validation
+ */
+const validateSearchSuggest = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  query('language')
+    .optional()
+    .isLength({ min: 2, max: 5 })
+    .withMessage('Language must be a valid language code'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Limit must be between 1 and 10'),
+  handleValidationErrors,
+];
+
+/**
+ * Feed page validation
+ */
+const validateFeedQuery = [
+  query('sessionId')
+    .optional()
+    .isUUID()
+    .withMessage('sessionId must be a valid UUID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  handleValidationErrors,
+];
+
+/**
+ * Feed feedback validation; dwell events carry the time spent on the fact
+ */
+const validateFeedFeedback = [
+  body('sessionId')
+    .isUUID()
+    .withMessage('sessionId must be a valid UUID'),
+  body('events')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('events must list between 1 and 50 feedback events'),
+  body('events.*.factId')
+    .isUUID()
+    .withMessage('Each event needs a valid factId'),
+  body('events.*.signal')
+    .isIn(['skip', 'dwell'])
+    .withMessage('Signal must be skip or dwell'),
+  body('events.*.dwellMs')
+    .optional()
+    .isInt({ min: 0, max: 3600000 })
+    .withMessage('dwellMs must be between 0 and 3600000')
+    .toInt(),
+  body('events.*')
+    .custom(event => event.signal !== 'dwell' || event.dwellMs !== undefined)
+    .withMessage('Dwell events need dwellMs'),
+  handleValidationErrors,
 ];
 
 module.exports = {
@@ -249,9 +935,44 @@ module.exports = {
   validateProfileUpdate,
   validateNotificationSettings,
   validateTopicPreferences,
+  validateDeviceRegistration,
   validateFactCreation,
   validateUUIDParam,
   validatePagination,
+  validateCursorPagination,
+  validateInboxQuery,
+  validateJobRunsQuery,
+  validateCampaignCreation,
+  validateCampaignUpdate,
+  validateCampaignAudience,
+  validateCampaignSchedule,
+  validateCampaignsQuery,
+  validateConfigUpdate,
+  validateAuditLogsQuery,
+  validateAdminFactsQuery,
+  validateFactImport,
+  validateFactExport,
+  validateModerationNote,
+  validateFactApproval,
+  validateChangesRequest,
+  validateFactRejection,
+  validateReviewerAssignment,
+  validateModerationQueueQuery,
+  validateFactSchedule,
+  validateDuplicatesQuery,
+  validateFactMerge,
+  validateFactMediaUpload,
+  validateFactMediaUploadUrl,
+  validateAvatarUpload,
+  validateAvatarUploadUrl,
+  validateCalendarQuery,
+  validateCalendarDate,
+  validateFactOfTheDay,
   validateSearch,
+  validateSearchSuggest,
+  validateFactDetailsQuery,
+  validateSearchAnalyticsQuery,
+  validateFeedQuery,
+  validateFeedFeedback,
   handleValidationErrors,
 };
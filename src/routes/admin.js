@@ -1,28 +1,97 @@
 const express = require('express');
+const multer = require('multer');
 const {
   createFact,
   updateFact,
   deleteFact,
   getAllFacts,
+  importFacts,
+  exportFacts,
   approveFact,
   rejectFact,
+  submitFact,
+  requestFactChanges,
+  restoreFact,
+  assignFactReviewer,
+  getFactReviews,
+  getModerationQueue,
+  getFactRevisions,
+  restoreFactRevision,
+  getSimilarFacts,
+  getDuplicateFacts,
+  mergeFacts,
+  uploadFactMedia,
+  createFactMediaUploadUrl,
+  scheduleFact,
+  getCalendar,
+  setFactOfTheDay,
+  clearFactOfTheDay,
   createCategory,
   updateCategory,
   deleteCategory,
   getAnalytics,
+  getSearchAnalytics,
   getSystemMetrics,
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob,
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  previewCampaignAudience,
+  scheduleCampaign,
+  cancelCampaign,
+  getConfig,
+  updateConfig,
+  getAuditLogs,
 } = require('../controllers/adminController');
 
 const { authenticate, requireAdmin, requireModerator } = require('../middleware/auth');
 const { adminLimiter } = require('../middleware/rateLimiter');
+const { mediaUpload } = require('../middleware/upload');
 const {
   validateFactCreation,
   validateUUIDParam,
   validatePagination,
+  validateJobRunsQuery,
+  validateCampaignCreation,
+  validateCampaignUpdate,
+  validateCampaignAudience,
+  validateCampaignSchedule,
+  validateCampaignsQuery,
+  validateConfigUpdate,
+  validateAuditLogsQuery,
+  validateAdminFactsQuery,
+  validateFactImport,
+  validateFactExport,
+  validateModerationNote,
+  validateChangesRequest,
+  validateFactRejection,
+  validateReviewerAssignment,
+  validateModerationQueueQuery,
+  validateFactApproval,
+  validateFactSchedule,
+  validateDuplicatesQuery,
+  validateFactMerge,
+  validateFactMediaUpload,
+  validateFactMediaUploadUrl,
+  validateCalendarQuery,
+  validateCalendarDate,
+  validateFactOfTheDay,
+  validateSearchAnalyticsQuery,
 } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Fact imports are parsed in memory, one file per request
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+});
+
 // Apply authentication and admin authorization to all admin routes
 router.use(authenticate);
 router.use(adminLimiter);
@@ -47,6 +116,203 @@ router.use(adminLimiter);
  *             approvedAt:
  *               type: string
  *               format: date-time
+ *             moderationStatus:
+ *               type: string
+ *               enum: [DRAFT, PENDING_REVIEW, CHANGES_REQUESTED, APPROVED, REJECTED, ARCHIVED]
+ *             submittedAt:
+ *               type: string
+ *               format: date-time
+ *             reviewerId:
+ *               type: string
+ *               format: uuid
+ *             assignedAt:
+ *               type: string
+ *               format: date-time
+ *             reviews:
+ *               type: array
+ *               description: Latest moderation step
+ *               items:
+ *                 $ref: '#/components/schemas/FactReview'
+ *     FactRevision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         version:
+ *           type: integer
+ *         restoredFrom:
+ *           type: integer
+ *           nullable: true
+ *           description: Version this revision was restored from
+ *         title:
+ *           type: string
+ *         content:
+ *           type: string
+ *         categoryId:
+ *           type: string
+ *           format: uuid
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         changes:
+ *           type: array
+ *           description: Fields changed since the previous revision
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *     FactImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *         valid:
+ *           type: integer
+ *         created:
+ *           type: integer
+ *         duplicates:
+ *           type: integer
+ *         similar:
+ *           type: integer
+ *           description: Rows close to existing facts
+ *         invalid:
+ *           type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Position in the file, 1 for the first fact
+ *               status:
+ *                 type: string
+ *                 enum: [valid, created, duplicate, invalid]
+ *               title:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               duplicateOf:
+ *                 type: object
+ *                 description: The earlier row or existing fact with the same title
+ *                 properties:
+ *                   row:
+ *                     type: integer
+ *                   factId:
+ *                     type: string
+ *                     format: uuid
+ *               similar:
+ *                 type: array
+ *                 description: Existing facts with close wording, imported anyway for moderators to judge
+ *                 items:
+ *                   $ref: '#/components/schemas/SimilarFact'
+ *               factId:
+ *                 type: string
+ *                 format: uuid
+ *     SimilarFact:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *         moderationStatus:
+ *           type: string
+ *         score:
+ *           type: number
+ *           description: Trigram similarity of the title or content, from 0 to 1
+ *     DuplicateCluster:
+ *       type: object
+ *       properties:
+ *         maxScore:
+ *           type: number
+ *         facts:
+ *           type: array
+ *           description: Facts of the cluster, the suggested fact to keep first
+ *           items:
+ *             type: object
+ *         pairs:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               factId:
+ *                 type: string
+ *                 format: uuid
+ *               otherId:
+ *                 type: string
+ *                 format: uuid
+ *               score:
+ *                 type: number
+ *     CalendarDay:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         factOfTheDay:
+ *           type: object
+ *           nullable: true
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: object
+ *               facts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     title:
+ *                       type: string
+ *                     publishedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     isFeatured:
+ *                       type: boolean
+ *     FactReview:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         factId:
+ *           type: string
+ *           format: uuid
+ *         userId:
+ *           type: string
+ *           format: uuid
+ *         fromStatus:
+ *           type: string
+ *           nullable: true
+ *           description: Empty for the step that created the fact
+ *         toStatus:
+ *           type: string
+ *         note:
+ *           type: string
+ *           nullable: true
+ *           description: Reviewer note, such as the rejection reason or the changes needed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     Analytics:
  *       type: object
  *       properties:
@@ -92,6 +358,20 @@ router.use(adminLimiter);
  *               type: string
  *             bookmarkRate:
  *               type: string
+ *         notifications:
+ *           type: object
+ *           description: Funnel of notifications sent in the timeframe
+ *           properties:
+ *             sent:
+ *               type: integer
+ *             delivered:
+ *               type: integer
+ *             opened:
+ *               type: integer
+ *             deliveryRate:
+ *               type: number
+ *             openRate:
+ *               type: number
  *         popularFacts:
  *           type: array
  *           items:
@@ -107,6 +387,7 @@ router.use(adminLimiter);
  * /api/admin/facts:
  *   post:
  *     summary: Create new fact
+ *     description: Facts created by moderators wait for approval while the `fact_approval_required` setting is on; admins always publish directly.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -160,6 +441,9 @@ router.use(adminLimiter);
  *                 maxLength: 5
  *               isFeatured:
  *                 type: boolean
+ *               draft:
+ *                 type: boolean
+ *                 description: Save as a draft to submit for review later
  *     responses:
  *       201:
  *         description: Fact created successfully
@@ -177,6 +461,11 @@ router.use(adminLimiter);
  *                   properties:
  *                     fact:
  *                       $ref: '#/components/schemas/AdminFact'
+ *                     duplicates:
+ *                       type: array
+ *                       description: Existing facts with close wording
+ *                       items:
+ *                         $ref: '#/components/schemas/SimilarFact'
  *       400:
  *         description: Validation error
  *       401:
@@ -198,6 +487,11 @@ router.post('/facts', requireModerator, validateFactCreation, createFact);
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's meta.pagination.nextCursor; takes precedence over page
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -219,6 +513,17 @@ router.post('/facts', requireModerator, validateFactCreation, createFact);
  *           enum: [approved, pending, inactive]
  *         description: Filter by approval status
  *       - in: query
+ *         name: moderationStatus
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, PENDING_REVIEW, CHANGES_REQUESTED, APPROVED, REJECTED, ARCHIVED]
+ *         description: Filter by moderation state
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only facts created by the current user
+ *       - in: query
  *         name: category
  *         schema:
  *           type: string
@@ -258,229 +563,2053 @@ router.post('/facts', requireModerator, validateFactCreation, createFact);
  *       403:
  *         description: Insufficient permissions
  */
-router.get('/facts', requireModerator, validatePagination, getAllFacts);
+router.get('/facts', requireModerator, validateAdminFactsQuery, getAllFacts);
 
 /**
  * @swagger
- * /api/admin/facts/{id}:
- *   put:
- *     summary: Update existing fact
+ * /api/admin/facts/import:
+ *   post:
+ *     summary: Import facts from a CSV or JSON file
+ *     description: |
+ *       Columns (or JSON keys) follow the export: title, content, shortContent, category (name or ID),
+ *       difficulty, tags (separated by |), source, sourceUrl, imageUrl, videoUrl, language, isFeatured.
+ *       Other columns are ignored. Invalid rows and duplicates of another row or of an existing fact
+ *       (same title) are reported and skipped. Imported facts go through moderation like new facts.
+ *       At most 1000 facts per file.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Check the file and report without creating facts
+ *       - in: query
+ *         name: format
  *         schema:
  *           type: string
- *           format: uuid
- *         description: Fact ID
+ *           enum: [csv, json]
+ *         description: File format, detected from the file name when omitted
  *     requestBody:
+ *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
  *             properties:
- *               title:
- *                 type: string
- *                 minLength: 5
- *                 maxLength: 200
- *               content:
- *                 type: string
- *                 minLength: 10
- *                 maxLength: 2000
- *               shortContent:
- *                 type: string
- *                 maxLength: 280
- *               categoryId:
- *                 type: string
- *                 format: uuid
- *               difficulty:
- *                 type: string
- *                 enum: [EASY, MEDIUM, HARD, EXPERT]
- *               source:
- *                 type: string
- *                 maxLength: 200
- *               sourceUrl:
- *                 type: string
- *                 format: uri
- *               imageUrl:
+ *               file:
  *                 type: string
- *                 format: uri
- *               videoUrl:
- *                 type: string
- *                 format: uri
- *               tags:
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               facts:
  *                 type: array
  *                 items:
- *                   type: string
- *               language:
- *                 type: string
- *                 minLength: 2
- *                 maxLength: 5
- *               isFeatured:
- *                 type: boolean
- *               isActive:
- *                 type: boolean
+ *                   type: object
  *     responses:
  *       200:
- *         description: Fact updated successfully
+ *         description: Import checked (dry run)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/FactImportReport'
+ *       201:
+ *         description: Facts imported successfully
  *       400:
- *         description: Validation error
+ *         description: Unreadable file, no facts or too many facts
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
- *       404:
- *         description: Fact not found
+ *       413:
+ *         description: File is too large
  */
-router.put('/facts/:id', requireModerator, validateUUIDParam('id'), updateFact);
+router.post('/facts/import', requireModerator, importUpload.single('file'), validateFactImport, importFacts);
 
 /**
  * @swagger
- * /api/admin/facts/{id}:
- *   delete:
- *     summary: Delete fact (soft delete)
+ * /api/admin/facts/export:
+ *   get:
+ *     summary: Export the filtered fact catalog as CSV or JSON
+ *     description: Takes the same filters as the fact list; the file can be imported back.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: format
  *         schema:
  *           type: string
- *           format: uuid
- *         description: Fact ID
- *     responses:
- *       200:
- *         description: Fact deleted successfully
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Insufficient permissions
- *       404:
- *         description: Fact not found
- */
-router.delete('/facts/:id', requireAdmin, validateUUIDParam('id'), deleteFact);
-
-/**
- * @swagger
- * /api/admin/facts/{id}/approve:
- *   post:
- *     summary: Approve pending fact
- *     tags: [Admin]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [approved, pending, inactive]
+ *       - in: query
+ *         name: moderationStatus
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, PENDING_REVIEW, CHANGES_REQUESTED, APPROVED, REJECTED, ARCHIVED]
+ *       - in: query
+ *         name: category
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Fact ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: Fact approved successfully
- *       400:
- *         description: Fact already approved
+ *         description: Fact file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
- *       404:
- *         description: Fact not found
  */
-router.post('/facts/:id/approve', requireModerator, validateUUIDParam('id'), approveFact);
+router.get('/facts/export', requireModerator, validateFactExport, exportFacts);
 
 /**
  * @swagger
- * /api/admin/facts/{id}/reject:
- *   post:
- *     summary: Reject pending fact
+ * /api/admin/facts/duplicates:
+ *   get:
+ *     summary: Get clusters of near-duplicate facts, most similar first
+ *     description: Archived facts are left out. Facts are compared by trigram similarity of their title and content.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: threshold
  *         schema:
- *           type: string
- *           format: uuid
- *         description: Fact ID
- *     requestBody:
- *       content:
+ *           type: number
+ *           minimum: 0.1
+ *           maximum: 1
+ *           default: 0.5
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Duplicate facts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     clusters:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DuplicateCluster'
+ *                     truncated:
+ *                       type: boolean
+ *                       description: Whether only the most similar pairs were looked at
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/facts/duplicates', requireModerator, validateDuplicatesQuery, getDuplicateFacts);
+
+/**
+ * @swagger
+ * /api/admin/moderation/queue:
+ *   get:
+ *     summary: Get facts waiting for review, oldest submission first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: me, unassigned or a reviewer ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Moderation queue retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     facts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AdminFact'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/moderation/queue', requireModerator, validateModerationQueueQuery, getModerationQueue);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}:
+ *   put:
+ *     summary: Update existing fact
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 200
+ *               content:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 2000
+ *               shortContent:
+ *                 type: string
+ *                 maxLength: 280
+ *               categoryId:
+ *                 type: string
+ *                 format: uuid
+ *               difficulty:
+ *                 type: string
+ *                 enum: [EASY, MEDIUM, HARD, EXPERT]
+ *               source:
+ *                 type: string
+ *                 maxLength: 200
+ *               sourceUrl:
+ *                 type: string
+ *                 format: uri
+ *               imageUrl:
+ *                 type: string
+ *                 format: uri
+ *               videoUrl:
+ *                 type: string
+ *                 format: uri
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               language:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 5
+ *               isFeatured:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: |
+ *           Fact updated successfully, or sent back for approval when a moderator changed the content of an approved fact.
+ *           When the title or content changed, `data.duplicates` lists existing facts with close wording.
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ */
+router.put('/facts/:id', requireModerator, validateUUIDParam('id'), updateFact);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}:
+ *   delete:
+ *     summary: Delete fact (archives it)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     responses:
+ *       200:
+ *         description: Fact deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ */
+router.delete('/facts/:id', requireAdmin, validateUUIDParam('id'), deleteFact);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/approve:
+ *   post:
+ *     summary: Approve pending fact
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Optional reviewer note
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish at a later date instead of right away
+ *     responses:
+ *       200:
+ *         description: Fact approved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or reviewing your own fact
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not pending review
+ */
+router.post('/facts/:id/approve', requireModerator, validateFactApproval, approveFact);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/reject:
+ *   post:
+ *     summary: Reject pending fact
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Reason for rejection, shown to the author
+ *               reason:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Alias of note
+ *     responses:
+ *       200:
+ *         description: Fact rejected successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or reviewing your own fact
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not pending review
+ */
+router.post('/facts/:id/reject', requireModerator, validateFactRejection, rejectFact);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/request-changes:
+ *   post:
+ *     summary: Send a pending fact back to its author with the changes needed
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Changes the author needs to make
+ *     responses:
+ *       200:
+ *         description: Changes requested successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or reviewing your own fact
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not pending review
+ */
+router.post('/facts/:id/request-changes', requireModerator, validateChangesRequest, requestFactChanges);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/submit:
+ *   post:
+ *     summary: Submit a draft, or resubmit a fact after requested changes, for review
+ *     description: Only the author of the fact or an admin can submit it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Optional note for the reviewer
+ *     responses:
+ *       200:
+ *         description: Fact submitted for review
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author of the fact
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not a draft or waiting for changes
+ */
+router.post('/facts/:id/submit', requireModerator, validateModerationNote, submitFact);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/restore:
+ *   post:
+ *     summary: Restore an archived fact as a draft
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Optional note
+ *     responses:
+ *       200:
+ *         description: Fact restored as draft
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not archived
+ */
+router.post('/facts/:id/restore', requireAdmin, validateModerationNote, restoreFact);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/assign:
+ *   post:
+ *     summary: Assign a reviewer to a fact awaiting review
+ *     description: Moderators can only take or release facts themselves; admins can assign any moderator or admin.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewerId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Defaults to the current user; null unassigns
+ *     responses:
+ *       200:
+ *         description: Reviewer assigned successfully
+ *       400:
+ *         description: Reviewer is not an active moderator or admin
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not awaiting review
+ */
+router.post('/facts/:id/assign', requireModerator, validateReviewerAssignment, assignFactReviewer);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/reviews:
+ *   get:
+ *     summary: Get the moderation history of a fact, with reviewer notes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     responses:
+ *       200:
+ *         description: Fact reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fact:
+ *                       type: object
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FactReview'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ */
+router.get('/facts/:id/reviews', requireModerator, validateUUIDParam('id'), getFactReviews);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/revisions:
+ *   get:
+ *     summary: Get the revision history of a fact with field-level changes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Fact revisions retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FactRevision'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ */
+router.get('/facts/:id/revisions', requireModerator, validateUUIDParam('id'), validatePagination, getFactRevisions);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/revisions/{revId}/restore:
+ *   post:
+ *     summary: Restore a fact to the content of one of its revisions
+ *     description: Recorded as a new revision. Approved facts restored by a moderator go back for approval.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *       - in: path
+ *         name: revId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Revision ID
+ *     responses:
+ *       200:
+ *         description: Revision restored successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Revision not found
+ *       409:
+ *         description: Fact is archived or the revision's category no longer exists
+ */
+router.post('/facts/:id/revisions/:revId/restore', requireModerator, validateUUIDParam('id'), validateUUIDParam('revId'), restoreFactRevision);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/media:
+ *   post:
+ *     summary: Upload the image or video of a fact
+ *     description: |
+ *       Send the file as a multipart `file`, or the `key` of a file already sent to an upload URL
+ *       from `/api/admin/facts/{id}/media/upload-url`. Recorded as a revision; the replaced upload is deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - kind
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [image, video]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - kind
+ *               - key
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [image, video]
+ *               key:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Fact media uploaded successfully
+ *       400:
+ *         description: Missing file, invalid file type or unknown upload key
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is archived
+ *       413:
+ *         description: File is too large
+ */
+router.post('/facts/:id/media', requireModerator, mediaUpload.single('file'), validateFactMediaUpload, uploadFactMedia);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/media/upload-url:
+ *   post:
+ *     summary: Get a URL to upload fact media straight to storage
+ *     description: Send the file to the URL, then confirm it with `POST /api/admin/facts/{id}/media` and the returned `key`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - kind
+ *               - contentType
+ *               - size
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [image, video]
+ *               contentType:
+ *                 type: string
+ *                 example: image/png
+ *               size:
+ *                 type: integer
+ *                 description: File size in bytes
+ *     responses:
+ *       200:
+ *         description: Upload URL created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     upload:
+ *                       $ref: '#/components/schemas/MediaUploadTarget'
+ *       400:
+ *         description: Invalid file type or size
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ */
+router.post('/facts/:id/media/upload-url', requireModerator, validateFactMediaUploadUrl, createFactMediaUploadUrl);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/similar:
+ *   get:
+ *     summary: Get facts similar to a fact
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     responses:
+ *       200:
+ *         description: Similar facts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     duplicates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SimilarFact'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ */
+router.get('/facts/:id/similar', requireModerator, validateUUIDParam('id'), getSimilarFacts);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate facts into this fact (Admin only)
+ *     description: |
+ *       Likes, bookmarks and other user interactions, campaigns, notifications and facts of the day
+ *       move to this fact and its counters are recomputed. The duplicates are archived.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID of the fact to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicateIds
+ *             properties:
+ *               duplicateIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Facts merged successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: One of the facts is archived
+ */
+router.post('/facts/:id/merge', requireAdmin, validateFactMerge, mergeFacts);
+
+/**
+ * @swagger
+ * /api/admin/facts/{id}/schedule:
+ *   post:
+ *     summary: Move the publishing date of an approved fact
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Fact ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [publishAt]
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Fact scheduled successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not approved
+ */
+router.post('/facts/:id/schedule', requireModerator, validateFactSchedule, scheduleFact);
+
+/**
+ * @swagger
+ * /api/admin/calendar:
+ *   get:
+ *     summary: Get the editorial calendar
+ *     description: Facts going live each day, grouped by category, with the fact of the day. Defaults to the next 7 days; at most 92 days.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (YYYY-MM-DD, UTC), defaults to today
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (YYYY-MM-DD, UTC), defaults to 6 days after from
+ *     responses:
+ *       200:
+ *         description: Calendar retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CalendarDay'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/calendar', requireModerator, validateCalendarQuery, getCalendar);
+
+/**
+ * @swagger
+ * /api/admin/calendar/{date}/fact-of-the-day:
+ *   put:
+ *     summary: Set the fact of the day served to anonymous users on a date
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Calendar day (YYYY-MM-DD, UTC)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [factId]
+ *             properties:
+ *               factId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Fact of the day set successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fact not found
+ *       409:
+ *         description: Fact is not approved or not published by that date
+ *   delete:
+ *     summary: Clear the fact of the day on a date
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Calendar day (YYYY-MM-DD, UTC)
+ *     responses:
+ *       200:
+ *         description: Fact of the day cleared successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: No fact of the day on that date
+ */
+router.put('/calendar/:date/fact-of-the-day', requireModerator, validateFactOfTheDay, setFactOfTheDay);
+router.delete('/calendar/:date/fact-of-the-day', requireModerator, validateCalendarDate, clearFactOfTheDay);
+
+/**
+ * @swagger
+ * /api/admin/categories:
+ *   post:
+ *     summary: Create new category
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               icon:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               sortOrder:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Category name already exists
+ */
+router.post('/categories', requireAdmin, createCategory);
+
+/**
+ * @swagger
+ * /api/admin/categories/{id}:
+ *   put:
+ *     summary: Update category
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Category ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               icon:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               sortOrder:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category name already exists
+ */
+router.put('/categories/:id', requireAdmin, validateUUIDParam('id'), updateCategory);
+
+/**
+ * @swagger
+ * /api/admin/categories/{id}:
+ *   delete:
+ *     summary: Delete category
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Category ID
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       400:
+ *         description: Cannot delete category with existing facts
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Category not found
+ */
+router.delete('/categories/:id', requireAdmin, validateUUIDParam('id'), deleteCategory);
+
+/**
+ * @swagger
+ * /api/admin/analytics:
+ *   get:
+ *     summary: Get user engagement analytics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: timeframe
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d, 1y]
+ *           default: 30d
+ *         description: Analytics timeframe
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     analytics:
+ *                       $ref: '#/components/schemas/Analytics'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/analytics', requireAdmin, getAnalytics);
+
+/**
+ * @swagger
+ * /api/admin/analytics/search:
+ *   get:
+ *     summary: Get the search report
+ *     description: |
+ *       Searches, the share that found nothing and the share after which a result
+ *       was opened (search-to-view conversion), the top queries and the queries
+ *       without results, showing which facts are missing.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: timeframe
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d]
+ *           default: 30d
+ *         description: Report timeframe
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Queries listed in each list
+ *     responses:
+ *       200:
+ *         description: Search analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timeframe:
+ *                       type: string
+ *                     dateRange:
+ *                       type: object
+ *                       properties:
+ *                         start:
+ *                           type: string
+ *                           format: date-time
+ *                         end:
+ *                           type: string
+ *                           format: date-time
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         searches:
+ *                           type: integer
+ *                         zeroResultSearches:
+ *                           type: integer
+ *                         clickedSearches:
+ *                           type: integer
+ *                           description: Searches after which a result was opened
+ *                         zeroResultRate:
+ *                           type: number
+ *                         conversionRate:
+ *                           type: number
+ *                     topQueries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           query:
+ *                             type: string
+ *                           searches:
+ *                             type: integer
+ *                           clickedSearches:
+ *                             type: integer
+ *                           averageResults:
+ *                             type: integer
+ *                           conversionRate:
+ *                             type: number
+ *                     zeroResultQueries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           query:
+ *                             type: string
+ *                           searches:
+ *                             type: integer
+ *                           lastSearchedAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/analytics/search', requireModerator, validateSearchAnalyticsQuery, getSearchAnalytics);
+
+/**
+ * @swagger
+ * /api/admin/metrics:
+ *   get:
+ *     summary: Get system health and metrics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: System metrics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     metrics:
+ *                       type: object
+ *                       properties:
+ *                         notifications:
+ *                           type: object
+ *                           properties:
+ *                             retries:
+ *                               type: object
+ *                               description: Push notification retry pipeline over the last 24 hours
+ *                               properties:
+ *                                 periodHours:
+ *                                   type: integer
+ *                                 awaitingRetry:
+ *                                   type: integer
+ *                                   description: Failed notifications with a retry scheduled
+ *                                 recovered:
+ *                                   type: integer
+ *                                   description: Notifications sent after at least one retry
+ *                                 failedPermanently:
+ *                                   type: integer
+ *                                   description: Notifications that will not be retried
+ *                                 errorCodes:
+ *                                   type: array
+ *                                   items:
+ *                                     type: object
+ *                                     properties:
+ *                                       errorCode:
+ *                                         type: string
+ *                                       classification:
+ *                                         type: string
+ *                                         enum: [invalid-token, permanent, retryable]
+ *                                       count:
+ *                                         type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/metrics', requireAdmin, getSystemMetrics);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         jobName:
+ *           type: string
+ *         trigger:
+ *           type: string
+ *           enum: [SCHEDULE, MANUAL]
+ *         triggeredBy:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [QUEUED, RUNNING, SUCCEEDED, FAILED]
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         durationMs:
+ *           type: integer
+ *         result:
+ *           type: object
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List scheduled jobs with pause state and latest run
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     isRunning:
+ *                       type: boolean
+ *                       description: Whether this instance runs the scheduler
+ *                     workerId:
+ *                       type: string
+ *                     jobCount:
+ *                       type: integer
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           cronExpression:
+ *                             type: string
+ *                           maxAttempts:
+ *                             type: integer
+ *                           isPaused:
+ *                             type: boolean
+ *                           pausedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           pausedBy:
+ *                             type: string
+ *                           runningLocally:
+ *                             type: boolean
+ *                           lastRun:
+ *                             $ref: '#/components/schemas/JobRun'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/jobs', requireAdmin, getJobs);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/runs:
+ *   get:
+ *     summary: Get run history of a job
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [QUEUED, RUNNING, SUCCEEDED, FAILED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRun'
+ *                 meta:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:name/runs', requireAdmin, validateJobRunsQuery, getJobRuns);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/trigger:
+ *   post:
+ *     summary: Queue a manual run of a job
+ *     description: The run is executed by the next available scheduler instance, even if the job is paused.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *     responses:
+ *       202:
+ *         description: Job queued successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Job not found
+ */
+router.post('/jobs/:name/trigger', requireAdmin, triggerJob);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/pause:
+ *   post:
+ *     summary: Pause a job on all instances
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *     responses:
+ *       200:
+ *         description: Job paused successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Job not found
+ */
+router.post('/jobs/:name/pause', requireAdmin, pauseJob);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/resume:
+ *   post:
+ *     summary: Resume a paused job
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *     responses:
+ *       200:
+ *         description: Job resumed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Job not found
+ */
+router.post('/jobs/:name/resume', requireAdmin, resumeJob);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignSegment:
+ *       type: object
+ *       description: Audience filters, combined with AND. An empty segment targets every user with notifications enabled.
+ *       properties:
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *           description: Users subscribed to any of these categories
+ *         difficultyLevels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [EASY, MEDIUM, HARD, EXPERT]
+ *         languages:
+ *           type: array
+ *           items:
+ *             type: string
+ *         timezones:
+ *           type: array
+ *           items:
+ *             type: string
+ *         activity:
+ *           type: string
+ *           enum: [active_7d, active_30d, inactive_30d, new_7d]
+ *     CampaignInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         body:
+ *           type: string
+ *           maxLength: 500
+ *         imageUrl:
+ *           type: string
+ *           format: uri
+ *         factId:
+ *           type: string
+ *           format: uuid
+ *           description: Published fact opened when the notification is tapped
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: Schedules the campaign; omit to save it as a draft
+ *         segment:
+ *           $ref: '#/components/schemas/CampaignSegment'
+ *     Campaign:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         imageUrl:
+ *           type: string
+ *           nullable: true
+ *         factId:
+ *           type: string
+ *           nullable: true
+ *         segment:
+ *           $ref: '#/components/schemas/CampaignSegment'
+ *         status:
+ *           type: string
+ *           enum: [DRAFT, SCHEDULED, SENDING, SENT, CANCELLED]
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         audienceSize:
+ *           type: integer
+ *           nullable: true
+ *           description: Users matching the segment when sending started
+ *         createdBy:
+ *           type: string
+ *         stats:
+ *           type: object
+ *           properties:
+ *             sent:
+ *               type: integer
+ *             delivered:
+ *               type: integer
+ *             opened:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *             cancelled:
+ *               type: integer
+ *               description: Users skipped because of quiet hours
+ *             openRate:
+ *               type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/campaigns:
+ *   get:
+ *     summary: List campaigns with delivery stats
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, SCHEDULED, SENDING, SENT, CANCELLED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Campaign'
+ *                 meta:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/campaigns', requireAdmin, validateCampaignsQuery, getCampaigns);
+
+/**
+ * @swagger
+ * /api/admin/campaigns:
+ *   post:
+ *     summary: Create a broadcast campaign
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CampaignInput'
+ *               - required: [title, body]
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully
+ *       400:
+ *         description: Validation error or linked fact not published
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/campaigns', requireAdmin, validateCampaignCreation, createCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/audience-preview:
+ *   post:
+ *     summary: Count the users a segment would reach
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               reason:
- *                 type: string
- *                 description: Reason for rejection
+ *               segment:
+ *                 $ref: '#/components/schemas/CampaignSegment'
  *     responses:
  *       200:
- *         description: Fact rejected successfully
+ *         description: Audience preview retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     audienceSize:
+ *                       type: integer
+ *                     reachable:
+ *                       type: integer
+ *                       description: Users in the segment with an active device
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/campaigns/audience-preview', requireAdmin, validateCampaignAudience, previewCampaignAudience);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}:
+ *   get:
+ *     summary: Get a campaign with delivery stats
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved successfully
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  *       404:
- *         description: Fact not found
+ *         description: Campaign not found
  */
-router.post('/facts/:id/reject', requireModerator, validateUUIDParam('id'), rejectFact);
+router.get('/campaigns/:id', requireAdmin, validateUUIDParam('id'), getCampaign);
 
 /**
  * @swagger
- * /api/admin/categories:
- *   post:
- *     summary: Create new category
+ * /api/admin/campaigns/{id}:
+ *   put:
+ *     summary: Update a draft or scheduled campaign
+ *     description: Setting scheduledFor schedules the campaign; setting it to null turns it back into a draft.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Campaign ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 100
- *               description:
- *                 type: string
- *                 maxLength: 500
- *               icon:
- *                 type: string
- *               color:
- *                 type: string
- *               sortOrder:
- *                 type: integer
+ *             $ref: '#/components/schemas/CampaignInput'
  *     responses:
- *       201:
- *         description: Category created successfully
- *       400:
- *         description: Validation error
+ *       200:
+ *         description: Campaign updated successfully
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
+ *       404:
+ *         description: Campaign not found
  *       409:
- *         description: Category name already exists
+ *         description: Campaign is already being sent, sent or cancelled
  */
-router.post('/categories', requireAdmin, createCategory);
+router.put('/campaigns/:id', requireAdmin, validateCampaignUpdate, updateCampaign);
 
 /**
  * @swagger
- * /api/admin/categories/{id}:
- *   put:
- *     summary: Update category
+ * /api/admin/campaigns/{id}/schedule:
+ *   post:
+ *     summary: Schedule a campaign
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -491,49 +2620,37 @@ router.post('/categories', requireAdmin, createCategory);
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Category ID
+ *         description: Campaign ID
  *     requestBody:
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               name:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 100
- *               description:
- *                 type: string
- *                 maxLength: 500
- *               icon:
+ *               scheduledFor:
  *                 type: string
- *               color:
- *                 type: string
- *               sortOrder:
- *                 type: integer
- *               isActive:
- *                 type: boolean
+ *                 format: date-time
+ *                 description: Send time; omit to send right away
  *     responses:
  *       200:
- *         description: Category updated successfully
- *       400:
- *         description: Validation error
+ *         description: Campaign scheduled successfully
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  *       404:
- *         description: Category not found
+ *         description: Campaign not found
  *       409:
- *         description: Category name already exists
+ *         description: Campaign is already being sent, sent or cancelled
  */
-router.put('/categories/:id', requireAdmin, validateUUIDParam('id'), updateCategory);
+router.post('/campaigns/:id/schedule', requireAdmin, validateCampaignSchedule, scheduleCampaign);
 
 /**
  * @swagger
- * /api/admin/categories/{id}:
- *   delete:
- *     summary: Delete category
+ * /api/admin/campaigns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign
+ *     description: A campaign that is being sent stops after the current batch.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -544,40 +2661,68 @@ router.put('/categories/:id', requireAdmin, validateUUIDParam('id'), updateCateg
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Category ID
+ *         description: Campaign ID
  *     responses:
  *       200:
- *         description: Category deleted successfully
- *       400:
- *         description: Cannot delete category with existing facts
+ *         description: Campaign cancelled successfully
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  *       404:
- *         description: Category not found
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is already sent or cancelled
  */
-router.delete('/categories/:id', requireAdmin, validateUUIDParam('id'), deleteCategory);
+router.post('/campaigns/:id/cancel', requireAdmin, validateUUIDParam('id'), cancelCampaign);
 
 /**
  * @swagger
- * /api/admin/analytics:
+ * components:
+ *   schemas:
+ *     ConfigSetting:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: maintenance_mode
+ *         value:
+ *           oneOf:
+ *             - type: string
+ *             - type: number
+ *             - type: boolean
+ *         type:
+ *           type: string
+ *           enum: [string, number, boolean]
+ *         default:
+ *           oneOf:
+ *             - type: string
+ *             - type: number
+ *             - type: boolean
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *         description:
+ *           type: string
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Null while the default applies
+ */
+
+/**
+ * @swagger
+ * /api/admin/config:
  *   get:
- *     summary: Get user engagement analytics
+ *     summary: Get runtime configuration
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: timeframe
- *         schema:
- *           type: string
- *           enum: [7d, 30d, 90d, 1y]
- *           default: 30d
- *         description: Analytics timeframe
  *     responses:
  *       200:
- *         description: Analytics retrieved successfully
+ *         description: Configuration retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -590,26 +2735,162 @@ router.delete('/categories/:id', requireAdmin, validateUUIDParam('id'), deleteCa
  *                 data:
  *                   type: object
  *                   properties:
- *                     analytics:
- *                       $ref: '#/components/schemas/Analytics'
+ *                     config:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConfigSetting'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  */
-router.get('/analytics', requireAdmin, getAnalytics);
+router.get('/config', requireAdmin, getConfig);
 
 /**
  * @swagger
- * /api/admin/metrics:
+ * /api/admin/config:
+ *   put:
+ *     summary: Update runtime configuration
+ *     description: Takes a map of setting keys to values. Changes apply to every instance immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: true
+ *             example:
+ *               maintenance_mode: true
+ *               max_daily_notifications: 3
+ *     responses:
+ *       200:
+ *         description: Configuration updated successfully
+ *       400:
+ *         description: Unknown key or invalid value
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.put('/config', requireAdmin, validateConfigUpdate, updateConfig);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *         user:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             email:
+ *               type: string
+ *             firstName:
+ *               type: string
+ *             lastName:
+ *               type: string
+ *             role:
+ *               type: string
+ *         action:
+ *           type: string
+ *           example: FACT_APPROVED
+ *         resource:
+ *           type: string
+ *           enum: [fact, category, job, campaign, config]
+ *         resourceId:
+ *           type: string
+ *           nullable: true
+ *         changes:
+ *           type: object
+ *           description: Changed fields before and after the action, plus optional details
+ *           properties:
+ *             before:
+ *               type: object
+ *               nullable: true
+ *             after:
+ *               type: object
+ *               nullable: true
+ *             details:
+ *               type: object
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
  *   get:
- *     summary: Get system health and metrics
+ *     summary: Get the audit trail of admin actions
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Admin or moderator who performed the action
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv downloads every matching entry, ignoring pagination
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: System metrics retrieved successfully
+ *         description: Audit logs retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -620,15 +2901,19 @@ router.get('/analytics', requireAdmin, getAnalytics);
  *                 message:
  *                   type: string
  *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 meta:
  *                   type: object
- *                   properties:
- *                     metrics:
- *                       type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  */
-router.get('/metrics', requireAdmin, getSystemMetrics);
+router.get('/audit-logs', requireAdmin, validateAuditLogsQuery, getAuditLogs);
 
 module.exports = router;
@@ -142,6 +142,9 @@ router.post('/register', authLimiter, trackDevice, validateUserRegistration, reg
  *                 type: string
  *               deviceId:
  *                 type: string
+ *               fcmToken:
+ *                 type: string
+ *                 description: Push token of the device (also accepted as X-FCM-Token header)
  *     responses:
  *       200:
  *         description: Login successful
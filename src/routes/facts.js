@@ -1,8 +1,11 @@
 const express = require('express');
 const {
   getDailyFacts,
+  getFeed,
+  submitFeedFeedback,
   getFactsByCategory,
   searchFacts,
+  getSearchSuggestions,
   getFactDetails,
   toggleLike,
   toggleBookmark,
@@ -14,8 +17,12 @@ const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
 const {
   validateUUIDParam,
-  validatePagination,
+  validateCursorPagination,
   validateSearch,
+  validateSearchSuggest,
+  validateFactDetailsQuery,
+  validateFeedQuery,
+  validateFeedFeedback,
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -47,6 +54,8 @@ router.use(apiLimiter);
  *         imageUrl:
  *           type: string
  *           format: uri
+ *         images:
+ *           $ref: '#/components/schemas/ImageSet'
  *         videoUrl:
  *           type: string
  *           format: uri
@@ -89,6 +98,65 @@ router.use(apiLimiter);
  *         isViewed:
  *           type: boolean
  *           description: Only present for authenticated users
+ *     SearchResult:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Fact'
+ *         - type: object
+ *           properties:
+ *             rank:
+ *               type: number
+ *               description: Relevance of the fact to the query (ts_rank)
+ *             highlights:
+ *               type: object
+ *               description: Matched words wrapped in <mark> tags
+ *               properties:
+ *                 title:
+ *                   type: string
+ *                 content:
+ *                   type: string
+ *                   description: Fragments of the content around the matches
+ *     SearchFacets:
+ *       type: object
+ *       description: |
+ *         How the results split across filter values. Each facet is counted with
+ *         all filters applied except its own, so other values can be added to it.
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *               icon:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         difficulties:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               difficulty:
+ *                 type: string
+ *                 enum: [EASY, MEDIUM, HARD, EXPERT]
+ *               count:
+ *                 type: integer
+ *         tags:
+ *           type: array
+ *           description: The 10 most used tags
+ *           items:
+ *             type: object
+ *             properties:
+ *               tag:
+ *                 type: string
+ *               count:
+ *                 type: integer
  *     Pagination:
  *       type: object
  *       properties:
@@ -104,6 +172,10 @@ router.use(apiLimiter);
  *           type: boolean
  *         hasPrev:
  *           type: boolean
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to fetch the next page; null on the last page
  */
 
 /**
@@ -111,6 +183,7 @@ router.use(apiLimiter);
  * /api/facts/daily:
  *   get:
  *     summary: Get daily facts for user
+ *     description: Personalized for signed-in users; anonymous users get the editors' fact of the day first, then popular facts.
  *     tags: [Facts]
  *     security:
  *       - bearerAuth: []
@@ -147,6 +220,116 @@ router.use(apiLimiter);
  */
 router.get('/daily', optionalAuthenticate, getDailyFacts);
 
+/**
+ * @swagger
+ * /api/facts/feed:
+ *   get:
+ *     summary: Get the next page of the endless fact feed
+ *     description: |
+ *       The first request starts a feed session; pass its sessionId to get the next pages.
+ *       Facts already served in the session, and facts the user has viewed, are never repeated.
+ *       Pages interleave recommended (signed-in users only), trending and new facts, ranked with
+ *       the skip and dwell feedback sent for the session. Expired or unknown sessions start over
+ *       with a new sessionId.
+ *     tags: [Facts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Feed session from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Number of facts to return
+ *     responses:
+ *       200:
+ *         description: Feed retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionId:
+ *                       type: string
+ *                       format: uuid
+ *                     facts:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Fact'
+ *                           - type: object
+ *                             properties:
+ *                               feedSource:
+ *                                 type: string
+ *                                 enum: [recommended, trending, new]
+ *                     hasMore:
+ *                       type: boolean
+ *                       description: False once every fact has been served
+ */
+router.get('/feed', optionalAuthenticate, validateFeedQuery, getFeed);
+
+/**
+ * @swagger
+ * /api/facts/feed/feedback:
+ *   post:
+ *     summary: Send skip and dwell feedback on facts of a feed session
+ *     description: Skips and dwells under 2 seconds rank the fact's category and tags lower for the rest of the session; longer dwells rank them higher.
+ *     tags: [Facts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sessionId, events]
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *                 format: uuid
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required: [factId, signal]
+ *                   properties:
+ *                     factId:
+ *                       type: string
+ *                       format: uuid
+ *                     signal:
+ *                       type: string
+ *                       enum: [skip, dwell]
+ *                     dwellMs:
+ *                       type: integer
+ *                       description: Time spent on the fact, required for dwell
+ *     responses:
+ *       200:
+ *         description: Feed feedback recorded successfully
+ *       400:
+ *         description: Validation error or fact not served in the session
+ *       404:
+ *         description: Feed session not found
+ */
+router.post('/feed/feedback', optionalAuthenticate, validateFeedFeedback, submitFeedFeedback);
+
 /**
  * @swagger
  * /api/facts/categories:
@@ -226,6 +409,11 @@ router.get('/categories', optionalAuthenticate, getCategories);
  *           format: uuid
  *         description: Category ID
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's meta.pagination.nextCursor; takes precedence over page
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -273,13 +461,17 @@ router.get('/categories', optionalAuthenticate, getCategories);
  *       404:
  *         description: Category not found
  */
-router.get('/category/:id', optionalAuthenticate, validateUUIDParam('id'), validatePagination, getFactsByCategory);
+router.get('/category/:id', optionalAuthenticate, validateUUIDParam('id'), validateCursorPagination, getFactsByCategory);
 
 /**
  * @swagger
  * /api/facts/search:
  *   get:
  *     summary: Search facts
+ *     description: |
+ *       Full-text search over title, tags and content, weighted in that order.
+ *       Words are matched by their stem ("volcanoes" finds "volcano"), and the
+ *       query accepts web search syntax: "quoted phrases", OR and -excluded words.
  *     tags: [Facts]
  *     security:
  *       - bearerAuth: []
@@ -293,6 +485,11 @@ router.get('/category/:id', optionalAuthenticate, validateUUIDParam('id'), valid
  *           maxLength: 100
  *         description: Search query
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's meta.pagination.nextCursor; takes precedence over page
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -309,19 +506,67 @@ router.get('/category/:id', optionalAuthenticate, validateUUIDParam('id'), valid
  *         description: Number of items per page
  *       - in: query
  *         name: category
+ *         style: form
+ *         explode: false
  *         schema:
- *           type: string
- *           format: uuid
- *         description: Filter by category ID
+ *           type: array
+ *           maxItems: 20
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         description: Filter by category IDs (comma separated or repeated; any of them)
  *       - in: query
  *         name: difficulty
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [EASY, MEDIUM, HARD, EXPERT]
+ *         description: Filter by difficulty levels (any of them)
+ *       - in: query
+ *         name: tags
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           maxItems: 10
+ *           items:
+ *             type: string
+ *         description: Filter by tags (facts with any of them)
+ *       - in: query
+ *         name: language
  *         schema:
  *           type: string
- *           enum: [EASY, MEDIUM, HARD, EXPERT]
- *         description: Filter by difficulty level
+ *           default: en
+ *         description: Language of the facts searched; the query is stemmed with its text search configuration
+ *       - in: query
+ *         name: hasImage
+ *         schema:
+ *           type: boolean
+ *         description: Only facts with (true) or without (false) an image
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published on or before
+ *       - in: query
+ *         name: searchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: searchId returned by the first page; pass it back when loading more pages of the same search
  *     responses:
  *       200:
- *         description: Search results retrieved successfully
+ *         description: Search results ordered by relevance
  *         content:
  *           application/json:
  *             schema:
@@ -334,14 +579,20 @@ router.get('/category/:id', optionalAuthenticate, validateUUIDParam('id'), valid
  *                 data:
  *                   type: object
  *                   properties:
+ *                     searchId:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Identifies the search; pass it when opening a result (GET /api/facts/{id}?searchId=)
  *                     facts:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Fact'
+ *                         $ref: '#/components/schemas/SearchResult'
  *                     query:
  *                       type: string
  *                     filters:
  *                       type: object
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *                 meta:
  *                   type: object
  *                   properties:
@@ -352,6 +603,96 @@ router.get('/category/:id', optionalAuthenticate, validateUUIDParam('id'), valid
  */
 router.get('/search', optionalAuthenticate, validateSearch, searchFacts);
 
+/**
+ * @swagger
+ * /api/facts/search/suggest:
+ *   get:
+ *     summary: Get search suggestions while typing
+ *     description: |
+ *       Completions from fact titles, tags and category names starting with the
+ *       text typed, popular queries of the last week, and a "did you mean"
+ *       correction when the query finds no facts.
+ *     tags: [Facts]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *         description: Text typed so far
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Language of the facts suggested
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         description: Suggestions of each kind
+ *     responses:
+ *       200:
+ *         description: Search suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                       description: The normalized query
+ *                     completions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             enum: [title, tag, category]
+ *                           text:
+ *                             type: string
+ *                           factId:
+ *                             type: string
+ *                             format: uuid
+ *                             description: Only for titles
+ *                           categoryId:
+ *                             type: string
+ *                             format: uuid
+ *                             description: Only for categories
+ *                           count:
+ *                             type: integer
+ *                             description: Facts with the tag (only for tags)
+ *                     popular:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           query:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     correction:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Corrected query, when the query finds no facts and the correction does
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/search/suggest', validateSearchSuggest, getSearchSuggestions);
+
 /**
  * @swagger
  * /api/facts/{id}:
@@ -368,6 +709,18 @@ router.get('/search', optionalAuthenticate, validateSearch, searchFacts);
  *           type: string
  *           format: uuid
  *         description: Fact ID
+ *       - in: query
+ *         name: searchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: searchId of the search the fact was opened from, recorded for search analytics
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Position of the fact in the search results
  *     responses:
  *       200:
  *         description: Fact details retrieved successfully
@@ -388,7 +741,7 @@ router.get('/search', optionalAuthenticate, validateSearch, searchFacts);
  *       404:
  *         description: Fact not found
  */
-router.get('/:id', optionalAuthenticate, validateUUIDParam('id'), getFactDetails);
+router.get('/:id', optionalAuthenticate, validateUUIDParam('id'), validateFactDetailsQuery, getFactDetails);
 
 /**
  * @swagger
@@ -1,6 +1,7 @@
 const express = require('express');
 const { checkDBHealth } = require('../config/database');
 const { checkRedisHealth } = require('../config/redis');
+const { checkMailerHealth } = require('../config/mailer');
 const { successResponse, errorResponse } = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
@@ -90,6 +91,8 @@ router.get('/', (req, res) => {
  *                           type: object
  *                         redis:
  *                           type: object
+ *                         mailer:
+ *                           type: object
  *                     system:
  *                       type: object
  *                       properties:
@@ -104,9 +107,10 @@ router.get('/detailed', asyncHandler(async (req, res) => {
   const startTime = Date.now();
 
   // Check all dependencies
-  const [databaseHealth, redisHealth] = await Promise.allSettled([
+  const [databaseHealth, redisHealth, mailerHealth] = await Promise.allSettled([
     checkDBHealth(),
     checkRedisHealth(),
+    checkMailerHealth(),
   ]);
 
   // Get system metrics
@@ -132,6 +136,9 @@ router.get('/detailed', asyncHandler(async (req, res) => {
       redis: redisHealth.status === 'fulfilled' 
         ? redisHealth.value 
         : { status: 'unhealthy', error: redisHealth.reason?.message },
+      mailer: mailerHealth.status === 'fulfilled'
+        ? mailerHealth.value
+        : { status: 'unhealthy', error: mailerHealth.reason?.message },
     },
     system: {
       memory: {
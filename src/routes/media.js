@@ -0,0 +1,49 @@
+const express = require('express');
+const { receiveUpload } = require('../controllers/mediaController');
+const { localUpload } = require('../middleware/upload');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/media/uploads/{token}:
+ *   put:
+ *     summary: Send a file to an upload URL (local storage)
+ *     description: |
+ *       Target of the upload URLs handed out for fact media and avatars when media is stored on the
+ *       local filesystem. The token authorizes one file and is checked before the body is read; only a body
+ *       of its content type, up to its size limit, is accepted. Confirm the file afterwards with the returned key.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed upload token from the upload URL
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/*:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         video/*:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: File uploaded successfully
+ *       400:
+ *         description: Content type doesn't match the upload URL, or empty file
+ *       401:
+ *         description: Invalid or expired upload token
+ *       404:
+ *         description: Media is not stored locally
+ *       413:
+ *         description: File is too large
+ */
+router.put('/uploads/:token', localUpload, receiveUpload);
+
+module.exports = router;
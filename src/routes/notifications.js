@@ -0,0 +1,126 @@
+const express = require('express');
+const {
+  markDelivered,
+  markOpened,
+} = require('../controllers/notificationController');
+
+const { authenticate } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { validateUUIDParam } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply authentication to all notification routes
+router.use(authenticate);
+router.use(apiLimiter);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationTracking:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         factId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [PENDING, SENT, DELIVERED, OPENED, FAILED, CANCELLED]
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/notifications/{id}/delivered:
+ *   post:
+ *     summary: Report that a push notification reached the device
+ *     description: Idempotent; only the first report is recorded. The ID is sent in the push data payload as `notificationId`.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as delivered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       $ref: '#/components/schemas/NotificationTracking'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/delivered', validateUUIDParam('id'), markDelivered);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/opened:
+ *   post:
+ *     summary: Report that the user opened a push notification
+ *     description: Idempotent; the first open marks the linked fact as viewed and is recorded in analytics.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       $ref: '#/components/schemas/NotificationTracking'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/opened', validateUUIDParam('id'), markOpened);
+
+module.exports = router;
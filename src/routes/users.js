@@ -2,22 +2,38 @@ const express = require('express');
 const {
   getProfile,
   updateProfile,
+  uploadAvatar,
+  createAvatarUploadUrl,
+  deleteAvatar,
   getStats,
   updateNotificationSettings,
   updateTopicPreferences,
   getBookmarkedFacts,
   getLikedFacts,
   getLearningHistory,
+  registerDevice,
+  removeDevice,
+  getNotificationInbox,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteInboxNotification,
   deleteAccount,
 } = require('../controllers/userController');
 
 const { authenticate, requireEmailVerification } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const { mediaUpload } = require('../middleware/upload');
 const {
   validateProfileUpdate,
   validateNotificationSettings,
   validateTopicPreferences,
-  validatePagination,
+  validateDeviceRegistration,
+  validateUUIDParam,
+  validateCursorPagination,
+  validateInboxQuery,
+  validateAvatarUpload,
+  validateAvatarUploadUrl,
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -45,6 +61,8 @@ router.use(apiLimiter);
  *           type: string
  *         avatar:
  *           type: string
+ *         avatarImages:
+ *           $ref: '#/components/schemas/ImageSet'
  *         dateOfBirth:
  *           type: string
  *           format: date
@@ -63,6 +81,17 @@ router.use(apiLimiter);
  *           type: integer
  *         weekendNotifications:
  *           type: boolean
+ *         notificationSlots:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Local delivery times (HH:MM); when empty facts are spread across waking hours
+ *         quietHoursStart:
+ *           type: string
+ *           nullable: true
+ *         quietHoursEnd:
+ *           type: string
+ *           nullable: true
  *         difficultyLevel:
  *           type: string
  *           enum: [EASY, MEDIUM, HARD, EXPERT]
@@ -142,6 +171,67 @@ router.use(apiLimiter);
  *           type: string
  *         color:
  *           type: string
+ *     Device:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         deviceId:
+ *           type: string
+ *         platform:
+ *           type: string
+ *           enum: [ios, android, web]
+ *         appVersion:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     InboxNotification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         factId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         imageUrl:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [SENT, DELIVERED, OPENED, FAILED]
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isRead:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -225,6 +315,105 @@ router.get('/profile', getProfile);
  */
 router.put('/profile', validateProfileUpdate, updateProfile);
 
+/**
+ * @swagger
+ * /api/users/avatar:
+ *   post:
+ *     summary: Upload an avatar
+ *     description: |
+ *       Send the image as a multipart `file`, or the `key` of an image already sent to an upload URL
+ *       from `/api/users/avatar/upload-url`. The previous uploaded avatar is deleted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Avatar uploaded successfully
+ *       400:
+ *         description: Missing file, invalid file type or unknown upload key
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: File is too large
+ *   delete:
+ *     summary: Remove the avatar
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar removed successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/avatar', mediaUpload.single('file'), validateAvatarUpload, uploadAvatar);
+router.delete('/avatar', deleteAvatar);
+
+/**
+ * @swagger
+ * /api/users/avatar/upload-url:
+ *   post:
+ *     summary: Get a URL to upload an avatar straight to storage
+ *     description: Send the image to the URL, then confirm it with `POST /api/users/avatar` and the returned `key`.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contentType
+ *               - size
+ *             properties:
+ *               contentType:
+ *                 type: string
+ *                 example: image/jpeg
+ *               size:
+ *                 type: integer
+ *                 description: File size in bytes
+ *     responses:
+ *       200:
+ *         description: Upload URL created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     upload:
+ *                       $ref: '#/components/schemas/MediaUploadTarget'
+ *       400:
+ *         description: Invalid file type or size
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/avatar/upload-url', validateAvatarUploadUrl, createAvatarUploadUrl);
+
 /**
  * @swagger
  * /api/users/stats:
@@ -280,6 +469,21 @@ router.get('/stats', getStats);
  *                 maximum: 10
  *               weekendNotifications:
  *                 type: boolean
+ *               notificationSlots:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+ *                 description: Local delivery times, e.g. ["08:00", "12:30", "19:00"]. At most maxNotificationsPerDay are used; leave empty to spread facts from dailyNotificationTime until quiet hours start
+ *               quietHoursStart:
+ *                 type: string
+ *                 nullable: true
+ *                 pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+ *               quietHoursEnd:
+ *                 type: string
+ *                 nullable: true
+ *                 pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
  *     responses:
  *       200:
  *         description: Notification settings updated successfully
@@ -295,6 +499,7 @@ router.put('/notifications', validateNotificationSettings, updateNotificationSet
  * /api/users/topics:
  *   put:
  *     summary: Update topic preferences
+ *     description: The user's devices are subscribed to the FCM topic of each selected category (`category-<categoryId>`).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -334,6 +539,11 @@ router.put('/topics', validateTopicPreferences, updateTopicPreferences);
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's meta.pagination.nextCursor; takes precedence over page
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -375,7 +585,7 @@ router.put('/topics', validateTopicPreferences, updateTopicPreferences);
  *       401:
  *         description: Unauthorized
  */
-router.get('/bookmarked', validatePagination, getBookmarkedFacts);
+router.get('/bookmarked', validateCursorPagination, getBookmarkedFacts);
 
 /**
  * @swagger
@@ -387,6 +597,11 @@ router.get('/bookmarked', validatePagination, getBookmarkedFacts);
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's meta.pagination.nextCursor; takes precedence over page
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -407,7 +622,7 @@ router.get('/bookmarked', validatePagination, getBookmarkedFacts);
  *       401:
  *         description: Unauthorized
  */
-router.get('/liked', validatePagination, getLikedFacts);
+router.get('/liked', validateCursorPagination, getLikedFacts);
 
 /**
  * @swagger
@@ -419,6 +634,11 @@ router.get('/liked', validatePagination, getLikedFacts);
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's meta.pagination.nextCursor; takes precedence over page
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -439,7 +659,236 @@ router.get('/liked', validatePagination, getLikedFacts);
  *       401:
  *         description: Unauthorized
  */
-router.get('/history', validatePagination, getLearningHistory);
+router.get('/history', validateCursorPagination, getLearningHistory);
+
+/**
+ * @swagger
+ * /api/users/devices:
+ *   post:
+ *     summary: Register a device push token
+ *     description: Registers or refreshes the FCM token of the calling device. A token previously bound to another account is moved to the current user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fcmToken
+ *             properties:
+ *               fcmToken:
+ *                 type: string
+ *               deviceId:
+ *                 type: string
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *               appVersion:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Device registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     device:
+ *                       $ref: '#/components/schemas/Device'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/devices', validateDeviceRegistration, registerDevice);
+
+/**
+ * @swagger
+ * /api/users/devices/{id}:
+ *   delete:
+ *     summary: Remove a registered device
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Device removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Device not found
+ */
+router.delete('/devices/:id', validateUUIDParam('id'), removeDevice);
+
+/**
+ * @swagger
+ * /api/users/notifications/inbox:
+ *   get:
+ *     summary: Get notification inbox
+ *     description: Past notifications, newest first, including ones whose push delivery failed
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's meta.pagination.nextCursor
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *     responses:
+ *       200:
+ *         description: Notification inbox retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InboxNotification'
+ *                     unreadCount:
+ *                       type: integer
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         limit:
+ *                           type: integer
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *                         hasNext:
+ *                           type: boolean
+ *       400:
+ *         description: Validation error or invalid cursor
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/notifications/inbox', validateInboxQuery, getNotificationInbox);
+
+/**
+ * @swagger
+ * /api/users/notifications/inbox/unread-count:
+ *   get:
+ *     summary: Get number of unread inbox notifications
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/notifications/inbox/unread-count', getUnreadNotificationCount);
+
+/**
+ * @swagger
+ * /api/users/notifications/inbox/read-all:
+ *   post:
+ *     summary: Mark all inbox notifications as read
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/notifications/inbox/read-all', markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/users/notifications/inbox/{id}/read:
+ *   post:
+ *     summary: Mark an inbox notification as read
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/notifications/inbox/:id/read', validateUUIDParam('id'), markNotificationRead);
+
+/**
+ * @swagger
+ * /api/users/notifications/inbox/{id}:
+ *   delete:
+ *     summary: Remove a notification from the inbox
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.delete('/notifications/inbox/:id', validateUUIDParam('id'), deleteInboxNotification);
 
 /**
  * @swagger
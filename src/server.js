@@ -2,6 +2,7 @@ const app = require('./app');
 const { connectDB, disconnectDB } = require('./config/database');
 const { connectRedis, disconnectRedis } = require('./config/redis');
 const schedulerService = require('./services/schedulerService');
+const analyticsService = require('./services/analyticsService');
 const logger = require('./utils/logger');
 
 const PORT = process.env.PORT || 3000;
@@ -18,11 +19,12 @@ const startServer = async () => {
     await connectRedis();
     
     // Start scheduler service (only in non-serverless environments)
-    if (process.env.VERCEL !== '1' && process.env.NODE_ENV !== 'production') {
+    // Runs are coordinated through the database, so every replica can take part
+    if (process.env.VERCEL !== '1' && process.env.ENABLE_SCHEDULER !== 'false') {
       logger.info('Starting scheduler service');
       schedulerService.start();
     } else {
-      logger.info('Scheduler service disabled in serverless environment');
+      logger.info('Scheduler service disabled for this instance');
     }
     
     // Start HTTP server
@@ -40,6 +42,9 @@ const startServer = async () => {
         try {
           // Stop scheduler service
           schedulerService.stop();
+
+          // Persist queued analytics events
+          await analyticsService.flushEventQueue();
           
           await disconnectDB();
           await disconnectRedis();
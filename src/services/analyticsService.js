@@ -1,7 +1,11 @@
+const { EventType, Prisma } = require('@prisma/client');
 const { prisma } = require('../config/database');
-const { cacheGet, cacheSet } = require('../config/redis');
+const { cache } = require('../config/redis');
+const { normalizeQuery } = require('./searchService');
 const logger = require('../utils/logger');
 
+const EVENT_TYPES = new Set(Object.values(EventType));
+
 /**
  * Analytics service for tracking user engagement and system metrics
  */
@@ -9,7 +13,10 @@ class AnalyticsService {
   constructor() {
     this.CACHE_TTL = 1800; // 30 minutes
     this.BATCH_SIZE = 100;
+    this.FLUSH_INTERVAL_MS = 5000;
+    this.MAX_QUEUE_SIZE = 10000;
     this.eventQueue = [];
+    this.flushTimer = null;
   }
 
   /**
@@ -17,25 +24,33 @@ class AnalyticsService {
    */
   async trackEvent(eventType, eventData, userId = null, metadata = {}) {
     try {
-      const event = {
+      // Only EventType values can be stored
+      if (!EVENT_TYPES.has(eventType)) {
+        logger.debug(`Skipping analytics event with unknown type ${eventType}`);
+        return;
+      }
+
+      const data = eventData !== null && typeof eventData === 'object' ? eventData : { data: eventData };
+
+      this.eventQueue.push({
         eventType,
-        eventData: typeof eventData === 'object' ? eventData : { data: eventData },
+        eventData: data,
         userId,
-        metadata: {
-          ...metadata,
-          timestamp: new Date(),
-          userAgent: metadata.userAgent || null,
-          ipAddress: metadata.ipAddress || null,
-        },
+        sessionId: metadata.sessionId || null,
+        deviceId: metadata.deviceId || null,
+        ipAddress: metadata.ipAddress || null,
+        userAgent: metadata.userAgent || null,
+        referer: metadata.referer || null,
+        factId: data.factId || null,
+        categoryId: data.categoryId || null,
         timestamp: new Date(),
-      };
-
-      // Add to queue for batch processing
-      this.eventQueue.push(event);
+      });
 
-      // Process queue if it reaches batch size
+      // Process queue if it reaches batch size, otherwise shortly after
       if (this.eventQueue.length >= this.BATCH_SIZE) {
         await this.flushEventQueue();
+      } else {
+        this.scheduleFlush();
       }
 
       logger.debug('Event tracked', { eventType, userId });
@@ -44,16 +59,29 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Flush the queue once the flush interval has passed
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushEventQueue();
+    }, this.FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+
   /**
    * Flush event queue to database
    */
   async flushEventQueue() {
     if (this.eventQueue.length === 0) return;
 
-    try {
-      const events = [...this.eventQueue];
-      this.eventQueue = [];
+    const events = [...this.eventQueue];
+    this.eventQueue = [];
 
+    try {
       await prisma.analytics.createMany({
         data: events,
         skipDuplicates: true,
@@ -62,8 +90,9 @@ class AnalyticsService {
       logger.debug(`Flushed ${events.length} events to database`);
     } catch (error) {
       logger.error('Error flushing event queue:', error);
-      // Re-add events to queue for retry
-      this.eventQueue.unshift(...this.eventQueue);
+      // Re-add events to queue for retry, dropping the oldest when the database stays down
+      this.eventQueue = [...events, ...this.eventQueue].slice(-this.MAX_QUEUE_SIZE);
+      this.scheduleFlush();
     }
   }
 
@@ -71,7 +100,7 @@ class AnalyticsService {
    * Track user registration
    */
   async trackUserRegistration(userId, registrationData) {
-    await this.trackEvent('USER_REGISTRATION', {
+    await this.trackEvent('USER_REGISTERED', {
       source: registrationData.source || 'direct',
       method: registrationData.method || 'email',
       referrer: registrationData.referrer,
@@ -147,25 +176,38 @@ class AnalyticsService {
   /**
    * Track notification events
    */
-  async trackNotification(userId, notificationId, eventType, eventData = {}) {
+  async trackNotification(userId, notificationId, eventType, eventData = {}, metadata = {}) {
     await this.trackEvent(`NOTIFICATION_${eventType.toUpperCase()}`, {
       notificationId,
       factId: eventData.factId,
       deliveryTime: eventData.deliveryTime,
       ...eventData,
-    }, userId);
+    }, userId, metadata);
   }
 
   /**
-   * Track search query
+   * Track search query. The query is normalized so the same search typed
+   * differently is counted together; searchId links the results opened from it.
    */
-  async trackSearch(userId, query, results) {
+  async trackSearch(userId, search, metadata = {}) {
     await this.trackEvent('SEARCH_PERFORMED', {
-      query,
-      resultCount: results.length,
-      categories: [...new Set(results.map(r => r.categoryId))],
-      hasResults: results.length > 0,
-    }, userId);
+      searchId: search.searchId,
+      query: normalizeQuery(search.query),
+      filters: search.filters,
+      resultCount: search.resultCount,
+      hasResults: search.resultCount > 0,
+    }, userId, metadata);
+  }
+
+  /**
+   * Track a search result opened from a search
+   */
+  async trackSearchClick(userId, searchId, factId, position = null, metadata = {}) {
+    await this.trackEvent('SEARCH_RESULT_CLICKED', {
+      searchId,
+      factId,
+      position,
+    }, userId, metadata);
   }
 
   /**
@@ -186,10 +228,10 @@ class AnalyticsService {
   async getUserEngagementMetrics(userId, timeframe = '30d') {
     try {
       const cacheKey = `user_engagement:${userId}:${timeframe}`;
-      let metrics = await cacheGet(cacheKey);
+      let metrics = await cache.get(cacheKey);
 
       if (metrics) {
-        return JSON.parse(metrics);
+        return metrics;
       }
 
       const startDate = this.getStartDateForTimeframe(timeframe);
@@ -292,7 +334,7 @@ class AnalyticsService {
       };
 
       // Cache for 30 minutes
-      await cacheSet(cacheKey, JSON.stringify(metrics), this.CACHE_TTL);
+      await cache.set(cacheKey, metrics, this.CACHE_TTL);
       return metrics;
     } catch (error) {
       logger.error(`Error getting engagement metrics for user ${userId}:`, error);
@@ -306,10 +348,10 @@ class AnalyticsService {
   async getSystemAnalytics(timeframe = '30d') {
     try {
       const cacheKey = `system_analytics:${timeframe}`;
-      let analytics = await cacheGet(cacheKey);
+      let analytics = await cache.get(cacheKey);
 
       if (analytics) {
-        return JSON.parse(analytics);
+        return analytics;
       }
 
       const startDate = this.getStartDateForTimeframe(timeframe);
@@ -323,6 +365,7 @@ class AnalyticsService {
         totalInteractions,
         topCategories,
         userRetention,
+        notificationFunnel,
       ] = await Promise.all([
         // Total users
         prisma.user.count(),
@@ -360,6 +403,8 @@ class AnalyticsService {
         this.getTopCategories(startDate),
         // User retention metrics
         this.getUserRetentionMetrics(startDate),
+        // Notification sent -> delivered -> opened
+        this.getNotificationFunnel(startDate),
       ]);
 
       analytics = {
@@ -372,12 +417,13 @@ class AnalyticsService {
         engagementRate: totalViews > 0 ? totalInteractions / totalViews : 0,
         topCategories,
         userRetention,
+        notificationFunnel,
         timeframe,
         generatedAt: new Date(),
       };
 
       // Cache for 1 hour
-      await cacheSet(cacheKey, JSON.stringify(analytics), 3600);
+      await cache.set(cacheKey, analytics, 3600);
       return analytics;
     } catch (error) {
       logger.error('Error getting system analytics:', error);
@@ -484,6 +530,110 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Get the push notification funnel (sent, delivered, opened) since a date
+   */
+  async getNotificationFunnel(startDate) {
+    try {
+      const [sent, delivered, opened] = await Promise.all([
+        prisma.notification.count({
+          where: { sentAt: { gte: startDate } },
+        }),
+        prisma.notification.count({
+          where: { sentAt: { gte: startDate }, deliveredAt: { not: null } },
+        }),
+        prisma.notification.count({
+          where: { sentAt: { gte: startDate }, openedAt: { not: null } },
+        }),
+      ]);
+
+      return {
+        sent,
+        delivered,
+        opened,
+        deliveryRate: sent > 0 ? delivered / sent : 0,
+        openRate: sent > 0 ? opened / sent : 0,
+      };
+    } catch (error) {
+      logger.error('Error getting notification funnel:', error);
+      return { sent: 0, delivered: 0, opened: 0, deliveryRate: 0, openRate: 0 };
+    }
+  }
+
+  /**
+   * Get the search report since a date: how many searches found nothing or
+   * led to a fact being opened, the top queries and the queries without
+   * results (content editors could add)
+   */
+  async getSearchReport(startDate, limit = 20) {
+    const searches = Prisma.sql`
+      WITH searches AS (
+        SELECT "eventData"->>'searchId' AS "searchId",
+          "eventData"->>'query' AS query,
+          ("eventData"->>'resultCount')::int AS "resultCount",
+          timestamp
+        FROM "analytics"
+        WHERE "eventType" = 'SEARCH_PERFORMED' AND timestamp >= ${startDate}
+          AND "eventData"->>'searchId' IS NOT NULL
+      ),
+      clicked AS (
+        SELECT DISTINCT "eventData"->>'searchId' AS "searchId"
+        FROM "analytics"
+        WHERE "eventType" = 'SEARCH_RESULT_CLICKED' AND timestamp >= ${startDate}
+      )`;
+
+    try {
+      const [[totals], topQueries, zeroResultQueries] = await Promise.all([
+        prisma.$queryRaw`${searches}
+          SELECT COUNT(*)::int AS searches,
+            COUNT(*) FILTER (WHERE s."resultCount" = 0)::int AS "zeroResultSearches",
+            COUNT(c."searchId")::int AS "clickedSearches"
+          FROM searches s
+          LEFT JOIN clicked c ON c."searchId" = s."searchId"`,
+        prisma.$queryRaw`${searches}
+          SELECT s.query, COUNT(*)::int AS searches,
+            COUNT(c."searchId")::int AS "clickedSearches",
+            ROUND(AVG(s."resultCount"))::int AS "averageResults"
+          FROM searches s
+          LEFT JOIN clicked c ON c."searchId" = s."searchId"
+          GROUP BY s.query
+          ORDER BY searches DESC, s.query
+          LIMIT ${limit}`,
+        prisma.$queryRaw`${searches}
+          SELECT s.query, COUNT(*)::int AS searches, MAX(s.timestamp) AS "lastSearchedAt"
+          FROM searches s
+          WHERE s."resultCount" = 0
+          GROUP BY s.query
+          ORDER BY searches DESC, "lastSearchedAt" DESC
+          LIMIT ${limit}`,
+      ]);
+
+      const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+      return {
+        totals: {
+          ...totals,
+          zeroResultRate: rate(totals.zeroResultSearches, totals.searches),
+          conversionRate: rate(totals.clickedSearches, totals.searches),
+        },
+        topQueries: topQueries.map(query => ({
+          ...query,
+          conversionRate: rate(query.clickedSearches, query.searches),
+        })),
+        zeroResultQueries,
+      };
+    } catch (error) {
+      logger.error('Error getting search report:', error);
+      return {
+        totals: {
+          searches: 0, zeroResultSearches: 0, clickedSearches: 0, zeroResultRate: 0, conversionRate: 0,
+        },
+        topQueries: [],
+        zeroResultQueries: [],
+      };
+    }
+  }
+
   /**
    * Get popular content analytics
    */
@@ -0,0 +1,179 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * Fields left out of diffs: bookkeeping that changes on every write
+ */
+const IGNORED_FIELDS = new Set(['createdAt', 'updatedAt']);
+
+/**
+ * Fields never written to the audit trail
+ */
+const REDACTED_FIELDS = new Set(['password', 'refreshToken']);
+
+/**
+ * Actor fields included with audit entries
+ */
+const auditActorSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+};
+
+/**
+ * JSON-safe form of a field value
+ */
+const toAuditValue = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Copy of a record with ignored and sensitive fields removed
+ */
+const toAuditRecord = (record) => {
+  const result = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    result[key] = REDACTED_FIELDS.has(key) ? '[REDACTED]' : toAuditValue(value);
+  }
+
+  return result;
+};
+
+/**
+ * Before/after diff of two versions of a record. A missing side (create or delete)
+ * keeps the whole other record; otherwise only fields present in both and changed are kept.
+ */
+const diffRecords = (before, after) => {
+  if (!before || !after) {
+    return {
+      before: before ? toAuditRecord(before) : null,
+      after: after ? toAuditRecord(after) : null,
+    };
+  }
+
+  const diff = { before: {}, after: {} };
+
+  for (const key of Object.keys(after)) {
+    if (IGNORED_FIELDS.has(key) || !(key in before)) continue;
+
+    const previous = toAuditValue(before[key]);
+    const next = toAuditValue(after[key]);
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      diff.before[key] = REDACTED_FIELDS.has(key) ? '[REDACTED]' : previous;
+      diff.after[key] = REDACTED_FIELDS.has(key) ? '[REDACTED]' : next;
+    }
+  }
+
+  return diff;
+};
+
+/**
+ * Write an admin action to the audit trail.
+ * Never throws: the action already happened, so a failed write is logged instead.
+ */
+const recordAudit = async (req, { action, resource, resourceId = null, before = null, after = null, details = null }) => {
+  const changes = {
+    ...((before || after) && diffRecords(before, after)),
+    ...(details && { details }),
+  };
+
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        userId: req.user?.id || null,
+        action,
+        resource,
+        resourceId: resourceId === null ? null : String(resourceId),
+        changes,
+        ipAddress: req.ip || null,
+        userAgent: req.get?.('User-Agent') || null,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error writing audit log for ${action}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Where clause for audit log filters
+ */
+const buildAuditWhere = ({ userId, action, resource, resourceId, from, to } = {}) => {
+  const where = {};
+
+  if (userId) where.userId = userId;
+  if (action) where.action = action;
+  if (resource) where.resource = resource;
+  if (resourceId) where.resourceId = resourceId;
+
+  if (from || to) {
+    where.timestamp = {
+      ...(from && { gte: new Date(from) }),
+      ...(to && { lte: new Date(to) }),
+    };
+  }
+
+  return where;
+};
+
+/**
+ * Get paginated audit logs, newest first
+ */
+const getAuditLogs = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  const where = buildAuditWhere(filters);
+
+  const [logs, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      include: { user: { select: auditActorSelect } },
+      orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.auditLog.count({ where }),
+  ]);
+
+  return { logs, total };
+};
+
+/**
+ * Iterate over all matching audit logs in batches, newest first, for exports
+ */
+async function* iterateAuditLogs(filters = {}) {
+  const where = buildAuditWhere(filters);
+  let lastId = null;
+
+  do {
+    const logs = await prisma.auditLog.findMany({
+      where,
+      include: { user: { select: auditActorSelect } },
+      orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+      take: EXPORT_BATCH_SIZE,
+      ...(lastId && { cursor: { id: lastId }, skip: 1 }),
+    });
+
+    if (logs.length > 0) {
+      yield logs;
+    }
+
+    lastId = logs.length === EXPORT_BATCH_SIZE ? logs[logs.length - 1].id : null;
+  } while (lastId);
+}
+
+module.exports = {
+  diffRecords,
+  recordAudit,
+  getAuditLogs,
+  iterateAuditLogs,
+};
@@ -0,0 +1,211 @@
+const { prisma } = require('../config/database');
+const { cache, cacheKeys } = require('../config/redis');
+const { ApiError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Longest calendar range served in one request, in days
+ */
+const MAX_CALENDAR_DAYS = 92;
+
+const factCategorySelect = {
+  id: true,
+  name: true,
+  icon: true,
+  color: true,
+};
+
+/**
+ * Calendar day (YYYY-MM-DD, UTC) of a date
+ */
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Start of a calendar day and of the day after it
+ */
+const dayBounds = (dateKey) => {
+  const start = new Date(`${dateKey}T00:00:00.000Z`);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+/**
+ * Calendar day a number of days after another
+ */
+const addDays = (dateKey, days) => toDateKey(new Date(dayBounds(dateKey).start.getTime() + days * DAY_MS));
+
+/**
+ * Facts going live each day between two dates (inclusive), grouped by category,
+ * with the fact of the day of each date
+ */
+const getCalendar = async (from, to) => {
+  const { start } = dayBounds(from);
+  const { end } = dayBounds(to);
+  const days = Math.round((end - start) / DAY_MS);
+
+  if (days < 1 || days > MAX_CALENDAR_DAYS) {
+    throw new ApiError(`Calendar range must be between 1 and ${MAX_CALENDAR_DAYS} days`, 400);
+  }
+
+  const [facts, picks] = await Promise.all([
+    prisma.fact.findMany({
+      where: {
+        isApproved: true,
+        isActive: true,
+        publishedAt: { gte: start, lt: end },
+      },
+      select: {
+        id: true,
+        title: true,
+        publishedAt: true,
+        isFeatured: true,
+        category: { select: factCategorySelect },
+      },
+      orderBy: [{ publishedAt: 'asc' }, { id: 'asc' }],
+    }),
+    prisma.factOfTheDay.findMany({
+      where: { date: { gte: from, lte: to } },
+      include: {
+        fact: {
+          select: {
+            id: true,
+            title: true,
+            publishedAt: true,
+            category: { select: factCategorySelect },
+          },
+        },
+      },
+    }),
+  ]);
+
+  const picksByDate = new Map(picks.map(pick => [pick.date, pick.fact]));
+  const calendar = new Map();
+
+  for (let i = 0; i < days; i++) {
+    const date = addDays(from, i);
+    calendar.set(date, { date, factOfTheDay: picksByDate.get(date) || null, categories: new Map() });
+  }
+
+  for (const { category, ...fact } of facts) {
+    const day = calendar.get(toDateKey(fact.publishedAt));
+
+    if (!day.categories.has(category.id)) {
+      day.categories.set(category.id, { category, facts: [] });
+    }
+
+    day.categories.get(category.id).facts.push(fact);
+  }
+
+  return [...calendar.values()].map(day => ({
+    ...day,
+    categories: [...day.categories.values()],
+  }));
+};
+
+/**
+ * Move the publishing date of an approved fact. Returns null when the fact doesn't exist.
+ */
+const scheduleFact = async (factId, publishAt) => {
+  const fact = await prisma.fact.findUnique({ where: { id: factId } });
+
+  if (!fact) {
+    return null;
+  }
+
+  if (!fact.isApproved || !fact.isActive) {
+    throw new ApiError('Only approved, active facts can be scheduled; set publishAt when approving instead', 409);
+  }
+
+  const updated = await prisma.fact.update({
+    where: { id: factId },
+    data: { publishedAt: new Date(publishAt) },
+    include: { category: { select: factCategorySelect } },
+  });
+
+  return { before: fact, fact: updated };
+};
+
+/**
+ * Pick the fact of the day for a date. The fact has to be approved and live
+ * by the end of that day. Returns null when the fact doesn't exist.
+ */
+const setFactOfTheDay = async (date, factId, actor) => {
+  const fact = await prisma.fact.findUnique({
+    where: { id: factId },
+    select: { id: true, isApproved: true, isActive: true, publishedAt: true },
+  });
+
+  if (!fact) {
+    return null;
+  }
+
+  if (!fact.isApproved || !fact.isActive) {
+    throw new ApiError('Only approved, active facts can be the fact of the day', 409);
+  }
+
+  if (!fact.publishedAt || fact.publishedAt >= dayBounds(date).end) {
+    throw new ApiError('Fact is not published yet on that date', 409);
+  }
+
+  const before = await prisma.factOfTheDay.findUnique({ where: { date } });
+
+  const pick = await prisma.factOfTheDay.upsert({
+    where: { date },
+    update: { factId, setBy: actor.id },
+    create: { date, factId, setBy: actor.id },
+  });
+
+  await cache.del(cacheKeys.anonymousDailyFacts(date));
+
+  return { before, pick };
+};
+
+/**
+ * Clear the fact of the day for a date. Returns null when none was set.
+ */
+const clearFactOfTheDay = async (date) => {
+  const pick = await prisma.factOfTheDay.findUnique({ where: { date } });
+
+  if (!pick) {
+    return null;
+  }
+
+  await prisma.factOfTheDay.delete({ where: { date } });
+  await cache.del(cacheKeys.anonymousDailyFacts(date));
+
+  return pick;
+};
+
+/**
+ * The fact of the day for a date, as long as it is still live
+ */
+const getFactOfTheDay = async (date) => {
+  const pick = await prisma.factOfTheDay.findUnique({
+    where: { date },
+    include: {
+      fact: {
+        include: { category: { select: factCategorySelect } },
+      },
+    },
+  });
+
+  if (!pick) {
+    return null;
+  }
+
+  const { fact } = pick;
+  const isLive = fact.isApproved && fact.isActive && fact.publishedAt && fact.publishedAt <= new Date();
+
+  return isLive ? fact : null;
+};
+
+module.exports = {
+  MAX_CALENDAR_DAYS,
+  toDateKey,
+  addDays,
+  getCalendar,
+  scheduleFact,
+  setFactOfTheDay,
+  clearFactOfTheDay,
+  getFactOfTheDay,
+};
@@ -0,0 +1,505 @@
+const { prisma } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { isWithinQuietHours, deliveryUserSelect, claimNotification } = require('./deliveryPlannerService');
+const { getActiveTokens } = require('./deviceService');
+const { deliverToTokens, recordSendResult, getNotificationData, cancelNotification } = require('./notificationService');
+const logger = require('../utils/logger');
+
+const SEND_BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+/**
+ * Activity segments, by the user fields they filter on
+ */
+const ACTIVITY_SEGMENTS = {
+  active_7d: () => ({ lastActiveDate: { gte: daysAgo(7) } }),
+  active_30d: () => ({ lastActiveDate: { gte: daysAgo(30) } }),
+  inactive_30d: () => ({ OR: [{ lastActiveDate: null }, { lastActiveDate: { lt: daysAgo(30) } }] }),
+  new_7d: () => ({ createdAt: { gte: daysAgo(7) } }),
+};
+
+/**
+ * Campaign statuses that can still be edited or scheduled
+ */
+const EDITABLE_STATUSES = ['DRAFT', 'SCHEDULED'];
+
+/**
+ * Build the user filter for a campaign segment.
+ *
+ * Supported keys (all optional, combined with AND):
+ * - categoryIds: users subscribed to any of the categories
+ * - difficultyLevels, languages, timezones: users whose preference is in the list
+ * - activity: one of ACTIVITY_SEGMENTS
+ */
+const buildAudienceWhere = (segment = {}) => {
+  const where = {
+    isActive: true,
+    notificationsEnabled: true,
+  };
+
+  if (segment.categoryIds?.length > 0) {
+    where.userCategories = {
+      some: { categoryId: { in: segment.categoryIds }, isEnabled: true },
+    };
+  }
+
+  if (segment.difficultyLevels?.length > 0) {
+    where.difficultyLevel = { in: segment.difficultyLevels };
+  }
+
+  if (segment.languages?.length > 0) {
+    where.languagePreference = { in: segment.languages };
+  }
+
+  if (segment.timezones?.length > 0) {
+    where.timezone = { in: segment.timezones };
+  }
+
+  if (segment.activity && ACTIVITY_SEGMENTS[segment.activity]) {
+    Object.assign(where, ACTIVITY_SEGMENTS[segment.activity]());
+  }
+
+  return where;
+};
+
+/**
+ * Count the users a segment targets, and how many of them have a device to push to
+ */
+const getAudiencePreview = async (segment = {}) => {
+  const where = buildAudienceWhere(segment);
+
+  const [audienceSize, reachable] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.count({
+      where: { ...where, devices: { some: { isActive: true } } },
+    }),
+  ]);
+
+  return { audienceSize, reachable };
+};
+
+const emptyStats = () => ({
+  sent: 0,
+  delivered: 0,
+  opened: 0,
+  failed: 0,
+  cancelled: 0,
+  openRate: 0,
+});
+
+/**
+ * Delivery counts per campaign, keyed by campaign ID.
+ * Notification statuses only move forward, so an opened notification was also sent and delivered.
+ */
+const getCampaignStats = async (campaignIds) => {
+  const stats = new Map(campaignIds.map(id => [id, emptyStats()]));
+
+  if (campaignIds.length === 0) {
+    return stats;
+  }
+
+  const groups = await prisma.notification.groupBy({
+    by: ['campaignId', 'status'],
+    where: { campaignId: { in: campaignIds } },
+    _count: { _all: true },
+  });
+
+  for (const group of groups) {
+    const campaignStats = stats.get(group.campaignId);
+    const count = group._count._all;
+
+    if (['SENT', 'DELIVERED', 'OPENED'].includes(group.status)) campaignStats.sent += count;
+    if (['DELIVERED', 'OPENED'].includes(group.status)) campaignStats.delivered += count;
+    if (group.status === 'OPENED') campaignStats.opened += count;
+    if (group.status === 'FAILED') campaignStats.failed += count;
+    if (group.status === 'CANCELLED') campaignStats.cancelled += count;
+  }
+
+  for (const campaignStats of stats.values()) {
+    campaignStats.openRate = campaignStats.sent > 0 ? campaignStats.opened / campaignStats.sent : 0;
+  }
+
+  return stats;
+};
+
+/**
+ * Attach delivery counts to campaigns
+ */
+const withStats = async (campaigns) => {
+  const stats = await getCampaignStats(campaigns.map(campaign => campaign.id));
+  return campaigns.map(campaign => ({ ...campaign, stats: stats.get(campaign.id) }));
+};
+
+/**
+ * Make sure a linked fact exists and is published
+ */
+const assertFactLinkable = async (factId) => {
+  if (!factId) {
+    return;
+  }
+
+  const fact = await prisma.fact.findFirst({
+    where: { id: factId, isApproved: true, isActive: true },
+    select: { id: true },
+  });
+
+  if (!fact) {
+    throw new ApiError('Linked fact not found or not published', 400);
+  }
+};
+
+/**
+ * Create a campaign; it is scheduled right away when a send time is given
+ */
+const createCampaign = async (data, adminId) => {
+  await assertFactLinkable(data.factId);
+
+  return prisma.campaign.create({
+    data: {
+      title: data.title,
+      body: data.body,
+      imageUrl: data.imageUrl,
+      factId: data.factId,
+      segment: data.segment || {},
+      scheduledFor: data.scheduledFor ? new Date(data.scheduledFor) : null,
+      status: data.scheduledFor ? 'SCHEDULED' : 'DRAFT',
+      createdBy: adminId,
+    },
+  });
+};
+
+/**
+ * Get a campaign with its delivery counts
+ */
+const getCampaign = async (id) => {
+  const campaign = await prisma.campaign.findUnique({ where: { id } });
+
+  if (!campaign) {
+    return null;
+  }
+
+  const [withCounts] = await withStats([campaign]);
+  return withCounts;
+};
+
+/**
+ * Get paginated campaigns, newest first
+ */
+const getCampaigns = async ({ page = 1, limit = 20, status } = {}) => {
+  const where = status ? { status } : {};
+
+  const [campaigns, total] = await Promise.all([
+    prisma.campaign.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.campaign.count({ where }),
+  ]);
+
+  return { campaigns: await withStats(campaigns), total };
+};
+
+/**
+ * Load a campaign that can still be changed
+ */
+const getEditableCampaign = async (id) => {
+  const campaign = await prisma.campaign.findUnique({ where: { id } });
+
+  if (campaign && !EDITABLE_STATUSES.includes(campaign.status)) {
+    throw new ApiError(`Campaign is already ${campaign.status.toLowerCase()}`, 409);
+  }
+
+  return campaign;
+};
+
+/**
+ * Update a draft or scheduled campaign
+ */
+const updateCampaign = async (id, data) => {
+  const campaign = await getEditableCampaign(id);
+
+  if (!campaign) {
+    return null;
+  }
+
+  await assertFactLinkable(data.factId);
+
+  const updateData = {};
+  for (const field of ['title', 'body', 'imageUrl', 'factId', 'segment']) {
+    if (data[field] !== undefined) {
+      updateData[field] = data[field];
+    }
+  }
+
+  if (data.scheduledFor !== undefined) {
+    updateData.scheduledFor = data.scheduledFor ? new Date(data.scheduledFor) : null;
+    updateData.status = data.scheduledFor ? 'SCHEDULED' : 'DRAFT';
+  }
+
+  return prisma.campaign.update({
+    where: { id },
+    data: updateData,
+  });
+};
+
+/**
+ * Schedule a campaign, immediately when no time is given
+ */
+const scheduleCampaign = async (id, scheduledFor = null) => {
+  const campaign = await getEditableCampaign(id);
+
+  if (!campaign) {
+    return null;
+  }
+
+  return prisma.campaign.update({
+    where: { id },
+    data: {
+      status: 'SCHEDULED',
+      scheduledFor: scheduledFor ? new Date(scheduledFor) : new Date(),
+    },
+  });
+};
+
+/**
+ * Cancel a campaign. A campaign that is being sent stops after the current batch.
+ */
+const cancelCampaign = async (id) => {
+  const campaign = await prisma.campaign.findUnique({ where: { id } });
+
+  if (!campaign) {
+    return null;
+  }
+
+  if (![...EDITABLE_STATUSES, 'SENDING'].includes(campaign.status)) {
+    throw new ApiError(`Campaign is already ${campaign.status.toLowerCase()}`, 409);
+  }
+
+  return prisma.campaign.update({
+    where: { id },
+    data: { status: 'CANCELLED', completedAt: new Date() },
+  });
+};
+
+const addTotals = (totals, result) => {
+  totals.sent += result.sent;
+  totals.failed += result.failed;
+  totals.skipped += result.skipped;
+};
+
+/**
+ * Push stored PENDING campaign notifications (each with its user). Every row
+ * is claimed (PENDING to SENDING) before it is pushed, so no row goes out
+ * twice and a push interrupted midway is settled like a daily send. Users now
+ * in their quiet hours are skipped.
+ */
+const pushNotifications = async (campaign, notifications) => {
+  const now = new Date();
+  const totals = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const notification of notifications) {
+    if (!(await claimNotification(notification.id))) {
+      continue;
+    }
+
+    try {
+      if (isWithinQuietHours(notification.user, now)) {
+        await cancelNotification(notification.id, 'Quiet hours');
+        totals.skipped++;
+        continue;
+      }
+
+      const fcmTokens = await getActiveTokens(notification.userId);
+
+      const result = fcmTokens.length > 0
+        ? await deliverToTokens(fcmTokens, notification, await getNotificationData(notification))
+        : { success: false, error: 'No FCM tokens', retryable: false };
+
+      await recordSendResult(notification, result);
+
+      if (result.success) {
+        totals.sent++;
+      } else {
+        totals.failed++;
+      }
+    } catch (error) {
+      logger.error(`Error sending campaign ${campaign.id} to user ${notification.userId}:`, error);
+      totals.failed++;
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Push the campaign to one batch of users.
+ * Users in their quiet hours get a cancelled row so the campaign never reaches them late.
+ */
+const sendToBatch = async (campaign, users) => {
+  const now = new Date();
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  // The unique (campaignId, userId) key keeps a resumed send from notifying anyone twice
+  const notifications = await prisma.notification.createManyAndReturn({
+    data: users.map(user => {
+      const isQuiet = isWithinQuietHours(user, now);
+
+      return {
+        userId: user.id,
+        campaignId: campaign.id,
+        factId: campaign.factId,
+        title: campaign.title,
+        body: campaign.body,
+        imageUrl: campaign.imageUrl,
+        status: isQuiet ? 'CANCELLED' : 'PENDING',
+        errorMessage: isQuiet ? 'Quiet hours' : null,
+        scheduledFor: now,
+      };
+    }),
+    skipDuplicates: true,
+  });
+
+  const pending = notifications.filter(notification => notification.status === 'PENDING');
+  const totals = await pushNotifications(
+    campaign,
+    pending.map(notification => ({ ...notification, user: usersById.get(notification.userId) })),
+  );
+  totals.skipped += notifications.length - pending.length;
+
+  return totals;
+};
+
+/**
+ * Push the rows an interrupted send stored but never got to
+ */
+const sendLeftoverNotifications = async (campaign) => {
+  const totals = { sent: 0, failed: 0, skipped: 0 };
+  let lastId = null;
+
+  do {
+    const notifications = await prisma.notification.findMany({
+      where: {
+        campaignId: campaign.id,
+        status: 'PENDING',
+        ...(lastId && { id: { gt: lastId } }),
+      },
+      include: { user: { select: deliveryUserSelect } },
+      orderBy: { id: 'asc' },
+      take: SEND_BATCH_SIZE,
+    });
+
+    addTotals(totals, await pushNotifications(campaign, notifications));
+
+    lastId = notifications.length === SEND_BATCH_SIZE ? notifications[notifications.length - 1].id : null;
+  } while (lastId);
+
+  return totals;
+};
+
+/**
+ * Send one campaign to its whole audience in batches.
+ * An interrupted send resumes where it stopped: rows it stored but didn't push
+ * are pushed first, and users who already have a row for the campaign are excluded.
+ */
+const sendCampaign = async (campaign) => {
+  const audienceWhere = buildAudienceWhere(campaign.segment);
+  const totals = { sent: 0, failed: 0, skipped: 0 };
+
+  if (campaign.status === 'SCHEDULED') {
+    // Don't start a campaign that was cancelled or rescheduled after it was loaded
+    const { count } = await prisma.campaign.updateMany({
+      where: { id: campaign.id, status: 'SCHEDULED', scheduledFor: campaign.scheduledFor },
+      data: {
+        status: 'SENDING',
+        startedAt: new Date(),
+        audienceSize: await prisma.user.count({ where: audienceWhere }),
+      },
+    });
+
+    if (count === 0) {
+      return totals;
+    }
+  } else {
+    addTotals(totals, await sendLeftoverNotifications(campaign));
+  }
+
+  let lastId = null;
+
+  do {
+    const users = await prisma.user.findMany({
+      where: {
+        ...audienceWhere,
+        ...(lastId && { id: { gt: lastId } }),
+        devices: { some: { isActive: true } },
+        notifications: { none: { campaignId: campaign.id } },
+      },
+      select: deliveryUserSelect,
+      orderBy: { id: 'asc' },
+      take: SEND_BATCH_SIZE,
+    });
+
+    addTotals(totals, await sendToBatch(campaign, users));
+
+    lastId = users.length === SEND_BATCH_SIZE ? users[users.length - 1].id : null;
+
+    // Stop early when an admin cancelled the campaign meanwhile
+    const current = await prisma.campaign.findUnique({
+      where: { id: campaign.id },
+      select: { status: true },
+    });
+
+    if (current?.status !== 'SENDING') {
+      logger.info(`Campaign ${campaign.id} was cancelled while sending`);
+      return totals;
+    }
+  } while (lastId);
+
+  await prisma.campaign.update({
+    where: { id: campaign.id },
+    data: { status: 'SENT', completedAt: new Date() },
+  });
+
+  logger.info(`Campaign ${campaign.id} sent`, totals);
+  return totals;
+};
+
+/**
+ * Send all campaigns that are due, including ones interrupted mid-send
+ */
+const processDueCampaigns = async () => {
+  const campaigns = await prisma.campaign.findMany({
+    where: {
+      OR: [
+        { status: 'SCHEDULED', scheduledFor: { lte: new Date() } },
+        { status: 'SENDING' },
+      ],
+    },
+    orderBy: { scheduledFor: 'asc' },
+  });
+
+  const summary = { campaigns: campaigns.length, sent: 0, failed: 0, skipped: 0 };
+
+  for (const campaign of campaigns) {
+    addTotals(summary, await sendCampaign(campaign));
+  }
+
+  return summary;
+};
+
+module.exports = {
+  ACTIVITY_SEGMENTS,
+  buildAudienceWhere,
+  getAudiencePreview,
+  getCampaignStats,
+  createCampaign,
+  getCampaign,
+  getCampaigns,
+  updateCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  processDueCampaigns,
+};
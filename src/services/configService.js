@@ -0,0 +1,203 @@
+const { prisma } = require('../config/database');
+const { cache, cacheKeys } = require('../config/redis');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const CONFIG_CACHE_TTL = 5 * 60;
+
+/**
+ * How long an instance reuses the settings it loaded without asking Redis,
+ * in milliseconds. Settings are read on every request (maintenance mode), so
+ * this also spares the database when Redis is down; other instances see an
+ * update after at most this long.
+ */
+const LOCAL_CACHE_TTL_MS = 10 * 1000;
+
+let localCache = null;
+
+/**
+ * Known runtime settings. Values are stored as strings in system_config and
+ * parsed to their type on read; missing or inactive rows fall back to the default.
+ */
+const CONFIG_DEFINITIONS = {
+  app_version: {
+    type: 'string',
+    default: '1.0.0',
+    description: 'Current application version',
+  },
+  maintenance_mode: {
+    type: 'boolean',
+    default: false,
+    description: 'Reject API requests from non-admins with 503',
+  },
+  maintenance_message: {
+    type: 'string',
+    default: 'The service is under maintenance, please try again later',
+    description: 'Message returned while maintenance mode is on',
+  },
+  max_daily_notifications: {
+    type: 'number',
+    default: 5,
+    min: 1,
+    max: 10,
+    description: 'Maximum daily fact notifications per user per day, whatever the user setting',
+  },
+  fact_approval_required: {
+    type: 'boolean',
+    default: true,
+    description: 'Facts created by moderators wait for admin approval',
+  },
+};
+
+/**
+ * Parse a stored value, returning undefined when it doesn't match the type
+ */
+const parseValue = (definition, value) => {
+  switch (definition.type) {
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      if (!Number.isFinite(number)) return undefined;
+      if (definition.min !== undefined && number < definition.min) return undefined;
+      if (definition.max !== undefined && number > definition.max) return undefined;
+      return number;
+    }
+    default:
+      return typeof value === 'string' ? value : undefined;
+  }
+};
+
+/**
+ * Load the stored values of all active settings, from cache when possible
+ */
+const loadStoredValues = async () => {
+  if (localCache && localCache.expiresAt > Date.now()) {
+    return localCache.values;
+  }
+
+  let values = await cache.get(cacheKeys.systemConfig());
+
+  if (!values) {
+    const rows = await prisma.systemConfig.findMany({
+      where: { isActive: true },
+      select: { key: true, value: true },
+    });
+
+    values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+    await cache.set(cacheKeys.systemConfig(), values, CONFIG_CACHE_TTL);
+  }
+
+  localCache = { values, expiresAt: Date.now() + LOCAL_CACHE_TTL_MS };
+
+  return values;
+};
+
+/**
+ * Drop the cached settings so the next read loads them from the database
+ */
+const clearConfigCache = async () => {
+  localCache = null;
+  await cache.del(cacheKeys.systemConfig());
+};
+
+/**
+ * Get all settings as typed values
+ */
+const getConfig = async () => {
+  const stored = await loadStoredValues();
+  const config = {};
+
+  for (const [key, definition] of Object.entries(CONFIG_DEFINITIONS)) {
+    const value = key in stored ? parseValue(definition, stored[key]) : undefined;
+
+    if (key in stored && value === undefined) {
+      logger.warn(`Invalid value for system config ${key}, using default`);
+    }
+
+    config[key] = value === undefined ? definition.default : value;
+  }
+
+  return config;
+};
+
+/**
+ * Get one typed setting
+ */
+const getConfigValue = async (key) => {
+  if (!CONFIG_DEFINITIONS[key]) {
+    throw new Error(`Unknown system config key: ${key}`);
+  }
+
+  const config = await getConfig();
+  return config[key];
+};
+
+/**
+ * Describe every setting for the admin API
+ */
+const describeConfig = async () => {
+  const [config, rows] = await Promise.all([
+    getConfig(),
+    prisma.systemConfig.findMany({
+      where: { key: { in: Object.keys(CONFIG_DEFINITIONS) }, isActive: true },
+      select: { key: true, updatedAt: true },
+    }),
+  ]);
+
+  const updatedAt = Object.fromEntries(rows.map(row => [row.key, row.updatedAt]));
+
+  return Object.entries(CONFIG_DEFINITIONS).map(([key, definition]) => ({
+    key,
+    value: config[key],
+    type: definition.type,
+    default: definition.default,
+    ...(definition.min !== undefined && { min: definition.min }),
+    ...(definition.max !== undefined && { max: definition.max }),
+    description: definition.description,
+    updatedAt: updatedAt[key] || null,
+  }));
+};
+
+/**
+ * Update settings from a { key: value } map. All values are checked before anything is written.
+ */
+const updateConfig = async (updates) => {
+  const entries = Object.entries(updates);
+
+  for (const [key, value] of entries) {
+    const definition = CONFIG_DEFINITIONS[key];
+
+    if (!definition) {
+      throw new ApiError(`Unknown config key: ${key}`, 400);
+    }
+
+    if (parseValue(definition, value) === undefined) {
+      const range = definition.min !== undefined ? ` between ${definition.min} and ${definition.max}` : '';
+      throw new ApiError(`${key} must be a ${definition.type}${range}`, 400);
+    }
+  }
+
+  await prisma.$transaction(entries.map(([key, value]) => prisma.systemConfig.upsert({
+    where: { key },
+    update: { value: String(value), isActive: true },
+    create: { key, value: String(value), description: CONFIG_DEFINITIONS[key].description },
+  })));
+
+  // Every instance reads through the cache, so dropping it applies the change
+  // everywhere (once their local copy expires)
+  await clearConfigCache();
+
+  return describeConfig();
+};
+
+module.exports = {
+  CONFIG_DEFINITIONS,
+  getConfig,
+  getConfigValue,
+  describeConfig,
+  updateConfig,
+  clearConfigCache,
+};
@@ -0,0 +1,368 @@
+const moment = require('moment-timezone');
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+const DAILY_FACT_TITLE = 'Daily Fact Ready! 🧠';
+const DEFAULT_WAKING_END = '21:00';
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * User fields needed to plan and dispatch deliveries
+ */
+const deliveryUserSelect = {
+  id: true,
+  isActive: true,
+  timezone: true,
+  notificationsEnabled: true,
+  dailyNotificationTime: true,
+  maxNotificationsPerDay: true,
+  weekendNotifications: true,
+  notificationSlots: true,
+  quietHoursStart: true,
+  quietHoursEnd: true,
+  difficultyLevel: true,
+};
+
+/**
+ * Fall back to UTC for missing or unknown timezones
+ */
+const resolveTimezone = (timezone) => (timezone && moment.tz.zone(timezone) ? timezone : 'UTC');
+
+/**
+ * Convert "HH:MM" into minutes since midnight
+ */
+const parseTime = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Check whether a minute of the day falls in the user's quiet hours (which may wrap past midnight)
+ */
+const isQuietMinute = (user, minuteOfDay) => {
+  if (!user.quietHoursStart || !user.quietHoursEnd) {
+    return false;
+  }
+
+  const start = parseTime(user.quietHoursStart);
+  const end = parseTime(user.quietHoursEnd);
+
+  if (start === end) {
+    return false;
+  }
+
+  return start < end
+    ? minuteOfDay >= start && minuteOfDay < end
+    : minuteOfDay >= start || minuteOfDay < end;
+};
+
+/**
+ * Check whether an instant falls in the user's local quiet hours
+ */
+const isWithinQuietHours = (user, date = new Date()) => {
+  const local = moment.tz(date, resolveTimezone(user.timezone));
+  return isQuietMinute(user, local.hours() * 60 + local.minutes());
+};
+
+/**
+ * End of the user's quiet hours around an instant, or null when the instant
+ * isn't in them
+ */
+const getQuietHoursEnd = (user, date = new Date()) => {
+  if (!isWithinQuietHours(user, date)) {
+    return null;
+  }
+
+  const timezone = resolveTimezone(user.timezone);
+  const local = moment.tz(date, timezone);
+  const end = parseTime(user.quietHoursEnd);
+
+  for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+    const day = local.clone().add(dayOffset, 'days');
+    const candidate = moment.tz({
+      year: day.year(),
+      month: day.month(),
+      date: day.date(),
+      hour: Math.floor(end / 60),
+      minute: end % 60,
+    }, timezone);
+
+    if (candidate.isAfter(local)) {
+      return candidate.toDate();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the local times of day (in minutes) at which the user receives facts.
+ * Configured slots win; otherwise maxNotificationsPerDay facts are spread evenly
+ * from dailyNotificationTime until quiet hours start (or 21:00).
+ */
+const getDailySlots = (user) => {
+  const limit = user.maxNotificationsPerDay || 1;
+  let slots;
+
+  if (user.notificationSlots?.length > 0) {
+    slots = user.notificationSlots.map(parseTime);
+  } else {
+    const start = parseTime(user.dailyNotificationTime || '09:00');
+    let end = parseTime(user.quietHoursStart || DEFAULT_WAKING_END);
+    if (end <= start) {
+      end += MINUTES_PER_DAY;
+    }
+
+    const step = Math.floor((end - start) / limit);
+    slots = Array.from({ length: limit }, (_, i) => (start + i * step) % MINUTES_PER_DAY);
+  }
+
+  return [...new Set(slots)]
+    .filter(minuteOfDay => !isQuietMinute(user, minuteOfDay))
+    .sort((a, b) => a - b)
+    .slice(0, limit);
+};
+
+/**
+ * Get the UTC range covering the user's local calendar day around `date`
+ */
+const getLocalDayRange = (user, date = new Date()) => {
+  const start = moment.tz(date, resolveTimezone(user.timezone)).startOf('day');
+  return {
+    start: start.toDate(),
+    end: start.clone().add(1, 'day').toDate(),
+  };
+};
+
+/**
+ * Compute the next instant after `from` at which the user should get a fact.
+ * Slots are interpreted on the user's local calendar, so DST shifts and
+ * half-hour offsets are handled by moment-timezone.
+ */
+const getNextSendTime = (user, from = new Date()) => {
+  const timezone = resolveTimezone(user.timezone);
+  const slots = getDailySlots(user);
+  const localFrom = moment.tz(from, timezone);
+
+  // A week ahead always contains a weekday
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const day = localFrom.clone().add(dayOffset, 'days');
+
+    for (const slot of slots) {
+      const candidate = moment.tz({
+        year: day.year(),
+        month: day.month(),
+        date: day.date(),
+        hour: Math.floor(slot / 60),
+        minute: slot % 60,
+      }, timezone);
+
+      if (!candidate.isAfter(localFrom)) {
+        continue;
+      }
+
+      const isWeekend = candidate.day() === 0 || candidate.day() === 6;
+      if (isWeekend && !user.weekendNotifications) {
+        continue;
+      }
+
+      return candidate.toDate();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Where clause for a user's upcoming planned daily fact notifications
+ */
+const upcomingPlannedWhere = (userId, from) => ({
+  userId,
+  status: 'PENDING',
+  factId: null,
+  campaignId: null,
+  scheduledFor: { gt: from },
+});
+
+/**
+ * Make sure the user has exactly one upcoming daily fact notification at the right time
+ */
+const planUserDelivery = async (user, from = new Date()) => {
+  const scheduledFor = user.isActive !== false && user.notificationsEnabled
+    ? getNextSendTime(user, from)
+    : null;
+
+  const upcoming = await prisma.notification.findMany({
+    where: upcomingPlannedWhere(user.id, from),
+    orderBy: { scheduledFor: 'asc' },
+  });
+
+  if (!scheduledFor) {
+    if (upcoming.length > 0) {
+      await prisma.notification.updateMany({
+        where: { id: { in: upcoming.map(n => n.id) } },
+        data: { status: 'CANCELLED' },
+      });
+    }
+    return null;
+  }
+
+  const [current, ...duplicates] = upcoming;
+
+  if (duplicates.length > 0) {
+    await prisma.notification.updateMany({
+      where: { id: { in: duplicates.map(n => n.id) } },
+      data: { status: 'CANCELLED' },
+    });
+  }
+
+  if (current) {
+    if (current.scheduledFor.getTime() === scheduledFor.getTime()) {
+      return current;
+    }
+
+    return prisma.notification.update({
+      where: { id: current.id },
+      data: { scheduledFor },
+    });
+  }
+
+  // The fact itself is picked by the dispatcher at send time
+  return prisma.notification.create({
+    data: {
+      userId: user.id,
+      title: DAILY_FACT_TITLE,
+      body: '',
+      status: 'PENDING',
+      scheduledFor,
+    },
+  });
+};
+
+/**
+ * Re-plan a user's delivery after their preferences changed
+ */
+const rescheduleUser = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: deliveryUserSelect,
+    });
+
+    if (!user) {
+      return null;
+    }
+
+    return await planUserDelivery(user);
+  } catch (error) {
+    // Planning is retried by the scheduler, never fail the request
+    logger.error(`Error rescheduling deliveries for user ${userId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Plan the next delivery for every user with notifications enabled
+ */
+const planDeliveries = async (batchSize = 500) => {
+  let cursor = null;
+  let usersProcessed = 0;
+  let planned = 0;
+
+  do {
+    const users = await prisma.user.findMany({
+      where: { isActive: true, notificationsEnabled: true },
+      select: deliveryUserSelect,
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    for (const user of users) {
+      try {
+        if (await planUserDelivery(user)) {
+          planned++;
+        }
+      } catch (error) {
+        logger.error(`Error planning delivery for user ${user.id}:`, error);
+      }
+    }
+
+    usersProcessed += users.length;
+    cursor = users.length === batchSize ? users[users.length - 1].id : null;
+  } while (cursor);
+
+  return { usersProcessed, planned };
+};
+
+/**
+ * Get scheduled daily fact notifications that are due for sending
+ * (campaign notifications are sent by the campaign job)
+ */
+const getDueNotifications = async (limit = 200) => prisma.notification.findMany({
+  where: {
+    status: 'PENDING',
+    campaignId: null,
+    scheduledFor: { lte: new Date() },
+  },
+  include: {
+    user: { select: deliveryUserSelect },
+  },
+  orderBy: { scheduledFor: 'asc' },
+  take: limit,
+});
+
+/**
+ * How long a notification may stay claimed before its send counts as interrupted
+ */
+const SEND_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Claim a due notification for sending (PENDING to SENDING). Only one worker
+ * gets the row, so replicas reading the same due notifications never send one
+ * twice. Returns whether this worker claimed it.
+ */
+const claimNotification = async (notificationId) => {
+  const { count } = await prisma.notification.updateMany({
+    where: { id: notificationId, status: 'PENDING' },
+    data: { status: 'SENDING' },
+  });
+
+  return count === 1;
+};
+
+/**
+ * Fail notifications whose worker died while sending them. They are not
+ * retried: the push may already have gone out.
+ */
+const failInterruptedSends = async () => {
+  const { count } = await prisma.notification.updateMany({
+    where: {
+      status: 'SENDING',
+      updatedAt: { lt: new Date(Date.now() - SEND_CLAIM_TIMEOUT_MS) },
+    },
+    data: { status: 'FAILED', errorMessage: 'Send interrupted', nextRetryAt: null },
+  });
+
+  if (count > 0) {
+    logger.warn('Failed interrupted notification sends', { count });
+  }
+
+  return count;
+};
+
+module.exports = {
+  deliveryUserSelect,
+  resolveTimezone,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+  getDailySlots,
+  getLocalDayRange,
+  getNextSendTime,
+  planUserDelivery,
+  rescheduleUser,
+  planDeliveries,
+  getDueNotifications,
+  claimNotification,
+  failInterruptedSends,
+};
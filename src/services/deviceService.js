@@ -0,0 +1,185 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Register (or re-assign) a push token for a user
+ */
+const registerDevice = async (userId, deviceData, sessionId = null) => {
+  const { fcmToken, deviceId, platform, appVersion } = deviceData;
+
+  try {
+    // FCM tokens are unique per app install, so a token seen again under a
+    // different user means the device changed hands and must move with it
+    const device = await prisma.device.upsert({
+      where: { fcmToken },
+      update: {
+        userId,
+        sessionId,
+        deviceId,
+        platform,
+        appVersion,
+        isActive: true,
+        invalidatedAt: null,
+        lastSeenAt: new Date(),
+      },
+      create: {
+        userId,
+        sessionId,
+        fcmToken,
+        deviceId,
+        platform,
+        appVersion,
+      },
+    });
+
+    // A device install only ever holds one live token, drop the stale ones
+    if (deviceId) {
+      await prisma.device.updateMany({
+        where: {
+          userId,
+          deviceId,
+          id: { not: device.id },
+          isActive: true,
+        },
+        data: { isActive: false, invalidatedAt: new Date() },
+      });
+    }
+
+    logger.info('Device registered', { userId, deviceId: device.id, platform });
+    return device;
+  } catch (error) {
+    logger.error('Error registering device:', error);
+    throw error;
+  }
+};
+
+/**
+ * Register the push token sent along with a login/registration request
+ */
+const refreshDeviceToken = async (userId, deviceInfo = {}, refreshToken = null) => {
+  if (!deviceInfo.fcmToken) {
+    return null;
+  }
+
+  try {
+    let sessionId = null;
+    if (refreshToken) {
+      const session = await prisma.userSession.findUnique({
+        where: { refreshToken },
+        select: { id: true },
+      });
+      sessionId = session?.id || null;
+    }
+
+    return await registerDevice(userId, {
+      fcmToken: deviceInfo.fcmToken,
+      deviceId: deviceInfo.deviceId,
+      platform: deviceInfo.deviceType,
+      appVersion: deviceInfo.appVersion,
+    }, sessionId);
+  } catch (error) {
+    // Never fail authentication because of a push token problem
+    logger.error('Error refreshing device token:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove a device owned by the user
+ */
+const removeDevice = async (userId, id) => {
+  const result = await prisma.device.deleteMany({
+    where: { id, userId },
+  });
+
+  if (result.count > 0) {
+    logger.info('Device removed', { userId, deviceId: id });
+  }
+
+  return result.count > 0;
+};
+
+/**
+ * Get active push tokens for a user
+ */
+const getActiveTokens = async (userId) => {
+  const devices = await prisma.device.findMany({
+    where: { userId, isActive: true },
+    select: { fcmToken: true },
+    orderBy: { lastSeenAt: 'desc' },
+  });
+
+  return devices.map(device => device.fcmToken);
+};
+
+/**
+ * Deactivate tokens reported as invalid by FCM
+ */
+const pruneInvalidTokens = async (fcmTokens) => {
+  if (!fcmTokens || fcmTokens.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await prisma.device.updateMany({
+      where: {
+        fcmToken: { in: fcmTokens },
+        isActive: true,
+      },
+      data: { isActive: false, invalidatedAt: new Date() },
+    });
+
+    logger.info('Pruned invalid FCM tokens', { count: result.count });
+    return result.count;
+  } catch (error) {
+    logger.error('Error pruning invalid FCM tokens:', error);
+    return 0;
+  }
+};
+
+/**
+ * Deactivate devices bound to a session (logout)
+ */
+const deactivateSessionDevices = async (refreshToken) => {
+  try {
+    const result = await prisma.device.updateMany({
+      where: {
+        session: { refreshToken },
+        isActive: true,
+      },
+      data: { isActive: false },
+    });
+
+    return result.count;
+  } catch (error) {
+    logger.error('Error deactivating session devices:', error);
+    return 0;
+  }
+};
+
+/**
+ * Deactivate all devices of a user (logout from all devices)
+ */
+const deactivateUserDevices = async (userId) => {
+  try {
+    const result = await prisma.device.updateMany({
+      where: { userId, isActive: true },
+      data: { isActive: false },
+    });
+
+    return result.count;
+  } catch (error) {
+    logger.error('Error deactivating user devices:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  registerDevice,
+  refreshDeviceToken,
+  removeDevice,
+  getActiveTokens,
+  pruneInvalidTokens,
+  deactivateSessionDevices,
+  deactivateUserDevices,
+};
@@ -0,0 +1,331 @@
+const { prisma } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { buildTransitionData } = require('./moderationService');
+const logger = require('../utils/logger');
+
+/**
+ * Trigram similarity (0-1) from which two facts count as near-duplicates
+ */
+const SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Candidates returned when checking one fact
+ */
+const MAX_CANDIDATES = 5;
+
+/**
+ * Most similar pairs looked at when building the duplicate clusters report
+ */
+const MAX_REPORT_PAIRS = 2000;
+
+const MERGE_TIMEOUT_MS = 60 * 1000;
+
+const clusterFactSelect = {
+  id: true,
+  title: true,
+  moderationStatus: true,
+  likeCount: true,
+  bookmarkCount: true,
+  viewCount: true,
+  createdAt: true,
+  category: { select: { id: true, name: true } },
+};
+
+const roundScore = (score) => Math.round(Number(score) * 100) / 100;
+
+/**
+ * Facts whose title or content is close to the given ones, most similar first.
+ * Archived facts are left out. Never throws: the check only informs moderators,
+ * so a failure is logged and no candidates are returned.
+ */
+const findSimilarFacts = async ({ title, content }, { excludeId = null, limit = MAX_CANDIDATES } = {}) => {
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT id, title, "moderationStatus", score
+      FROM (
+        SELECT id, title, "moderationStatus",
+          GREATEST(similarity(title, ${title}), similarity(content, ${content})) AS score
+        FROM "facts"
+        WHERE (title % ${title} OR content % ${content})
+          AND "moderationStatus" <> 'ARCHIVED'
+          AND id <> ${excludeId || ''}
+      ) candidates
+      WHERE score >= ${SIMILARITY_THRESHOLD}
+      ORDER BY score DESC
+      LIMIT ${limit}`;
+
+    return rows.map(row => ({ ...row, score: roundScore(row.score) }));
+  } catch (error) {
+    logger.error('Error finding similar facts:', error);
+    return [];
+  }
+};
+
+/**
+ * findSimilarFacts for many facts in one query, e.g. the rows of an import.
+ * Returns one list of candidates per given fact, in the same order. Never
+ * throws either.
+ */
+const findSimilarFactsForEach = async (facts, { limit = MAX_CANDIDATES } = {}) => {
+  const matches = facts.map(() => []);
+  if (facts.length === 0) {
+    return matches;
+  }
+
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT input.position::int AS position, match.id, match.title, match."moderationStatus", match.score
+      FROM unnest(${facts.map(fact => fact.title)}::text[], ${facts.map(fact => fact.content)}::text[])
+        WITH ORDINALITY AS input(title, content, position)
+      CROSS JOIN LATERAL (
+        SELECT id, title, "moderationStatus", score
+        FROM (
+          SELECT id, title, "moderationStatus",
+            GREATEST(similarity(title, input.title), similarity(content, input.content)) AS score
+          FROM "facts"
+          WHERE (title % input.title OR content % input.content)
+            AND "moderationStatus" <> 'ARCHIVED'
+        ) candidates
+        WHERE score >= ${SIMILARITY_THRESHOLD}
+        ORDER BY score DESC
+        LIMIT ${limit}
+      ) match
+      ORDER BY input.position, match.score DESC`;
+
+    for (const { position, ...row } of rows) {
+      matches[position - 1].push({ ...row, score: roundScore(row.score) });
+    }
+  } catch (error) {
+    logger.error('Error finding similar facts:', error);
+  }
+
+  return matches;
+};
+
+/**
+ * Group similar pairs into clusters (connected components)
+ */
+const clusterPairs = (pairs) => {
+  const parent = new Map();
+
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+
+  for (const { factId, otherId } of pairs) {
+    parent.set(find(factId), find(otherId));
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.factId);
+    if (!clusters.has(root)) {
+      clusters.set(root, { factIds: new Set(), pairs: [] });
+    }
+
+    const cluster = clusters.get(root);
+    cluster.factIds.add(pair.factId);
+    cluster.factIds.add(pair.otherId);
+    cluster.pairs.push(pair);
+  }
+
+  return [...clusters.values()];
+};
+
+/**
+ * Clusters of near-duplicate facts in the catalog, most similar first. Within
+ * a cluster, facts are ordered by engagement so the first one is the suggested
+ * fact to keep when merging.
+ */
+const getDuplicateClusters = async ({ threshold = SIMILARITY_THRESHOLD } = {}, { page = 1, limit = 20 } = {}) => {
+  const pairs = await prisma.$transaction(async (tx) => {
+    // Let the % operator use the trigram indexes with the requested threshold
+    await tx.$queryRaw`SELECT set_config('pg_trgm.similarity_threshold', ${String(threshold)}, true)`;
+
+    return tx.$queryRaw`
+      SELECT "factId", "otherId", score
+      FROM (
+        SELECT a.id AS "factId", b.id AS "otherId",
+          GREATEST(similarity(a.title, b.title), similarity(a.content, b.content)) AS score
+        FROM "facts" a
+        JOIN "facts" b ON a.id < b.id AND (a.title % b.title OR a.content % b.content)
+        WHERE a."moderationStatus" <> 'ARCHIVED' AND b."moderationStatus" <> 'ARCHIVED'
+      ) pairs
+      WHERE score >= ${threshold}
+      ORDER BY score DESC
+      LIMIT ${MAX_REPORT_PAIRS}`;
+  });
+
+  const clusters = clusterPairs(pairs.map(pair => ({ ...pair, score: roundScore(pair.score) })))
+    .map(cluster => ({ ...cluster, maxScore: Math.max(...cluster.pairs.map(pair => pair.score)) }))
+    .sort((a, b) => b.maxScore - a.maxScore);
+
+  const pageClusters = clusters.slice((page - 1) * limit, page * limit);
+  const facts = await prisma.fact.findMany({
+    where: { id: { in: pageClusters.flatMap(cluster => [...cluster.factIds]) } },
+    select: clusterFactSelect,
+  });
+  const factsById = new Map(facts.map(fact => [fact.id, fact]));
+
+  const engagement = (fact) => fact.likeCount + fact.bookmarkCount;
+
+  return {
+    clusters: pageClusters.map(cluster => ({
+      maxScore: cluster.maxScore,
+      facts: [...cluster.factIds]
+        .map(id => factsById.get(id))
+        .filter(Boolean)
+        .sort((a, b) => engagement(b) - engagement(a) || a.createdAt - b.createdAt),
+      pairs: cluster.pairs,
+    })),
+    total: clusters.length,
+    truncated: pairs.length === MAX_REPORT_PAIRS,
+  };
+};
+
+/**
+ * Move the user interactions of the duplicates to the kept fact. A user
+ * who interacted with several of them keeps one row with the flags combined.
+ */
+const moveInteractions = async (tx, survivorId, duplicateIds) => {
+  const interactions = await tx.userFact.findMany({
+    where: { factId: { in: [survivorId, ...duplicateIds] } },
+  });
+
+  const byUser = new Map();
+  for (const interaction of interactions) {
+    if (!byUser.has(interaction.userId)) byUser.set(interaction.userId, []);
+    byUser.get(interaction.userId).push(interaction);
+  }
+
+  const moveIds = [];
+  let combined = 0;
+
+  for (const rows of byUser.values()) {
+    const kept = rows.find(row => row.factId === survivorId) || rows[0];
+    const others = rows.filter(row => row !== kept);
+
+    if (others.length === 0) {
+      if (kept.factId !== survivorId) moveIds.push(kept.id);
+      continue;
+    }
+
+    const earliest = (field) => rows
+      .map(row => row[field])
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0] || null;
+
+    await tx.userFact.update({
+      where: { id: kept.id },
+      data: {
+        factId: survivorId,
+        isViewed: rows.some(row => row.isViewed),
+        isLiked: rows.some(row => row.isLiked),
+        isBookmarked: rows.some(row => row.isBookmarked),
+        isShared: rows.some(row => row.isShared),
+        viewedAt: earliest('viewedAt'),
+        likedAt: earliest('likedAt'),
+        bookmarkedAt: earliest('bookmarkedAt'),
+      },
+    });
+    await tx.userFact.deleteMany({ where: { id: { in: others.map(row => row.id) } } });
+    combined += others.length;
+  }
+
+  if (moveIds.length > 0) {
+    await tx.userFact.updateMany({ where: { id: { in: moveIds } }, data: { factId: survivorId } });
+  }
+
+  return { moved: moveIds.length, combined };
+};
+
+/**
+ * Merge duplicate facts into one. Likes, bookmarks and other interactions,
+ * campaigns, notifications and facts of the day move to the kept fact, whose
+ * counters are recomputed; the duplicates are archived with a review note.
+ * Returns null when the kept fact doesn't exist.
+ */
+const mergeFacts = async (survivorId, duplicateIds, actor) => {
+  const ids = [...new Set(duplicateIds)].filter(id => id !== survivorId);
+
+  if (ids.length === 0) {
+    throw new ApiError('Choose at least one other fact to merge', 400);
+  }
+
+  const [survivor, duplicates] = await Promise.all([
+    prisma.fact.findUnique({ where: { id: survivorId } }),
+    prisma.fact.findMany({ where: { id: { in: ids } } }),
+  ]);
+
+  if (!survivor) {
+    return null;
+  }
+
+  if (duplicates.length !== ids.length) {
+    throw new ApiError('Some facts to merge were not found', 404);
+  }
+
+  if ([survivor, ...duplicates].some(fact => fact.moderationStatus === 'ARCHIVED')) {
+    throw new ApiError('Archived facts cannot be merged', 409);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const interactions = await moveInteractions(tx, survivorId, ids);
+
+    await tx.campaign.updateMany({ where: { factId: { in: ids } }, data: { factId: survivorId } });
+    await tx.notification.updateMany({ where: { factId: { in: ids } }, data: { factId: survivorId } });
+    await tx.factOfTheDay.updateMany({ where: { factId: { in: ids } }, data: { factId: survivorId } });
+
+    const [likeCount, bookmarkCount] = await Promise.all([
+      tx.userFact.count({ where: { factId: survivorId, isLiked: true } }),
+      tx.userFact.count({ where: { factId: survivorId, isBookmarked: true } }),
+    ]);
+
+    const now = new Date();
+    for (const duplicate of duplicates) {
+      await tx.fact.update({
+        where: { id: duplicate.id },
+        data: {
+          ...buildTransitionData(duplicate, 'ARCHIVED', actor.id, now),
+          likeCount: 0,
+          bookmarkCount: 0,
+        },
+      });
+      await tx.factReview.create({
+        data: {
+          factId: duplicate.id,
+          userId: actor.id,
+          fromStatus: duplicate.moderationStatus,
+          toStatus: 'ARCHIVED',
+          note: `Merged into ${survivorId}`,
+        },
+      });
+    }
+
+    const fact = await tx.fact.update({
+      where: { id: survivorId },
+      data: {
+        likeCount,
+        bookmarkCount,
+        viewCount: { increment: duplicates.reduce((sum, duplicate) => sum + duplicate.viewCount, 0) },
+        shareCount: { increment: duplicates.reduce((sum, duplicate) => sum + duplicate.shareCount, 0) },
+      },
+      include: { category: { select: { id: true, name: true } } },
+    });
+
+    return { before: survivor, fact, merged: ids, interactions };
+  }, { timeout: MERGE_TIMEOUT_MS });
+};
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  findSimilarFacts,
+  findSimilarFactsForEach,
+  clusterPairs,
+  getDuplicateClusters,
+  mergeFacts,
+};
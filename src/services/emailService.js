@@ -0,0 +1,234 @@
+const { prisma } = require('../config/database');
+const { deliver } = require('../config/mailer');
+const { renderTemplate } = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+/**
+ * Delay before the next delivery attempt (exponential backoff, in ms)
+ */
+const getRetryDelay = (attempts) => Math.min(Math.pow(2, attempts), 240) * 60 * 1000;
+
+/**
+ * How long the link in each template works (ms). Messages not delivered by
+ * then are dropped from the outbox instead of sending a dead link.
+ */
+const TEMPLATE_EXPIRY = {
+  welcome: 24 * 60 * 60 * 1000,
+  emailVerification: 24 * 60 * 60 * 1000,
+  passwordReset: 15 * 60 * 1000,
+};
+
+/**
+ * Bodies carry verification and reset links, so they are cleared as soon as a
+ * message leaves the outbox (sent, failed or expired)
+ */
+const REDACTED_BODY = { html: '', text: '' };
+
+/**
+ * Try to deliver a stored message and record the outcome
+ */
+const attemptDelivery = async (message) => {
+  const attempts = message.attempts + 1;
+
+  try {
+    const result = await deliver({
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+
+    const sent = await prisma.emailMessage.update({
+      where: { id: message.id },
+      data: {
+        status: 'SENT',
+        attempts,
+        messageId: result.messageId,
+        sentAt: new Date(),
+        lastError: null,
+        ...REDACTED_BODY,
+      },
+    });
+
+    logger.info('Email sent', { emailId: message.id, template: message.template, transport: result.transport });
+    return sent;
+  } catch (error) {
+    const exhausted = attempts >= message.maxAttempts;
+
+    logger.error('Error sending email:', error, { emailId: message.id, attempts });
+
+    return prisma.emailMessage.update({
+      where: { id: message.id },
+      data: {
+        status: exhausted ? 'FAILED' : 'PENDING',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)),
+        ...(exhausted && REDACTED_BODY),
+      },
+    });
+  }
+};
+
+/**
+ * Render a template, store it in the outbox and start sending it. Delivery is
+ * not awaited: requests never wait on the mail server (nor reveal by their
+ * timing whether anything was sent), and a failed attempt is left to the
+ * outbox job. Returns the stored message.
+ */
+const sendEmail = async ({ to, userId = null, template, language, variables = {} }) => {
+  try {
+    const rendered = renderTemplate(template, language, variables);
+
+    const message = await prisma.emailMessage.create({
+      data: {
+        userId,
+        to,
+        template,
+        language: rendered.language,
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text,
+        // Keep the outbox job away from the message during the first attempt
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(0)),
+        expiresAt: TEMPLATE_EXPIRY[template] ? new Date(Date.now() + TEMPLATE_EXPIRY[template]) : null,
+      },
+    });
+
+    attemptDelivery(message).catch((error) => {
+      logger.error('Error recording email delivery:', error, { emailId: message.id });
+    });
+
+    return message;
+  } catch (error) {
+    // Email problems must never break the request that triggered them
+    logger.error('Error queueing email:', error, { template, userId });
+    return null;
+  }
+};
+
+/**
+ * Drop pending messages whose link has expired
+ */
+const expireMessages = async (now) => {
+  const { count } = await prisma.emailMessage.updateMany({
+    where: { status: 'PENDING', expiresAt: { lte: now } },
+    data: { status: 'EXPIRED', lastError: 'Expired before delivery', ...REDACTED_BODY },
+  });
+
+  return count;
+};
+
+/**
+ * Retry pending messages that are due, after dropping the expired ones
+ */
+const processOutbox = async (batchSize = 50) => {
+  const now = new Date();
+  const expired = await expireMessages(now);
+  const messages = await prisma.emailMessage.findMany({
+    where: {
+      status: 'PENDING',
+      nextAttemptAt: { lte: now },
+      OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+    },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize,
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const message of messages) {
+    const result = await attemptDelivery(message);
+    if (result.status === 'SENT') {
+      sent++;
+    } else {
+      failed++;
+    }
+  }
+
+  if (messages.length > 0 || expired > 0) {
+    logger.info('Email outbox processed', { processed: messages.length, sent, failed, expired });
+  }
+
+  return { processed: messages.length, sent, failed, expired };
+};
+
+/**
+ * Delete messages that left the outbox more than daysToKeep days ago
+ */
+const cleanupOldEmails = async (daysToKeep = 30) => {
+  const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+
+  const result = await prisma.emailMessage.deleteMany({
+    where: {
+      status: { in: ['SENT', 'FAILED', 'EXPIRED'] },
+      updatedAt: { lt: cutoffDate },
+    },
+  });
+
+  logger.info('Cleaned up old emails', { deleted: result.count });
+  return { deleted: result.count };
+};
+
+/**
+ * Build the link that verifies an email address
+ */
+const getVerificationUrl = (token) => `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/auth/verify-email/${token}`;
+
+/**
+ * Build the link to the client password reset page
+ */
+const getPasswordResetUrl = (token) => `${process.env.APP_URL || 'http://localhost:3001'}/reset-password?token=${token}`;
+
+/**
+ * Send welcome email including the verification link
+ */
+const sendWelcomeEmail = (user, verificationToken) => sendEmail({
+  to: user.email,
+  userId: user.id,
+  template: 'welcome',
+  language: user.languagePreference,
+  variables: {
+    firstName: user.firstName,
+    actionUrl: getVerificationUrl(verificationToken),
+  },
+});
+
+/**
+ * Send email verification link
+ */
+const sendVerificationEmail = (user, verificationToken) => sendEmail({
+  to: user.email,
+  userId: user.id,
+  template: 'emailVerification',
+  language: user.languagePreference,
+  variables: {
+    firstName: user.firstName,
+    actionUrl: getVerificationUrl(verificationToken),
+  },
+});
+
+/**
+ * Send password reset link
+ */
+const sendPasswordResetEmail = (user, resetToken) => sendEmail({
+  to: user.email,
+  userId: user.id,
+  template: 'passwordReset',
+  language: user.languagePreference,
+  variables: {
+    firstName: user.firstName,
+    actionUrl: getPasswordResetUrl(resetToken),
+  },
+});
+
+module.exports = {
+  TEMPLATE_EXPIRY,
+  sendEmail,
+  processOutbox,
+  cleanupOldEmails,
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
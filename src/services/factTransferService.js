@@ -0,0 +1,396 @@
+const { prisma } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { initialModerationStatus } = require('./moderationService');
+const { snapshotFact } = require('./revisionService');
+const { findSimilarFactsForEach } = require('./duplicateService');
+const { parseCsv, fromCsvCell } = require('../utils/csv');
+
+const MAX_IMPORT_ROWS = 1000;
+const CREATE_BATCH_SIZE = 100;
+const LOOKUP_BATCH_SIZE = 500;
+const EXPORT_BATCH_SIZE = 500;
+const SIMILAR_PER_ROW = 3;
+
+const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD', 'EXPERT'];
+
+/**
+ * Columns of exported files. Imports read the fact fields they know
+ * (category by name or categoryId) and ignore the rest.
+ */
+const EXPORT_COLUMNS = [
+  'id',
+  'title',
+  'content',
+  'shortContent',
+  'category',
+  'difficulty',
+  'tags',
+  'source',
+  'sourceUrl',
+  'imageUrl',
+  'videoUrl',
+  'language',
+  'isFeatured',
+  'moderationStatus',
+  'publishedAt',
+  'createdAt',
+];
+
+/**
+ * Separator of tags in a CSV cell; commas and semicolons are accepted on import too
+ */
+const TAG_SEPARATOR = '|';
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * Key used to spot duplicate facts: the title, case and spacing aside
+ */
+const titleKey = (title) => text(title).toLowerCase().replace(/\s+/g, ' ');
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+
+  const normalized = text(value).toLowerCase();
+  if (['', 'false', '0', 'no'].includes(normalized)) return false;
+  if (['true', '1', 'yes'].includes(normalized)) return true;
+  return undefined;
+};
+
+const parseTags = (value) => {
+  const tags = Array.isArray(value) ? value.map(text) : text(value).split(/[|,;]/).map(tag => tag.trim());
+  return [...new Set(tags.filter(Boolean))];
+};
+
+/**
+ * Read an uploaded CSV or JSON file into plain records.
+ * JSON files hold an array of facts, or an object with a `facts` array.
+ */
+const parseImportFile = (content, format) => {
+  if (format === 'json') {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new ApiError(`Invalid JSON file: ${error.message}`, 400);
+    }
+
+    const records = Array.isArray(parsed) ? parsed : parsed?.facts;
+
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new ApiError('JSON file must contain an array of facts', 400);
+    }
+
+    return records;
+  }
+
+  let rows;
+
+  try {
+    rows = parseCsv(content);
+  } catch (error) {
+    throw new ApiError(`Invalid CSV file: ${error.message}`, 400);
+  }
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(column => column.trim());
+
+  return rows.slice(1).map(cells => Object.fromEntries(
+    header.map((column, index) => [column, fromCsvCell(cells[index] ?? '')]),
+  ));
+};
+
+/**
+ * Check one imported record and turn it into fact content, with the same
+ * rules as creating a fact through the API
+ */
+const normalizeRecord = (record, categories) => {
+  const errors = [];
+  const optional = (field, max) => {
+    const value = text(record[field]);
+    if (max && value.length > max) {
+      errors.push(`${field} must be less than ${max} characters`);
+    }
+    return value || null;
+  };
+
+  const title = text(record.title);
+  if (title.length < 5 || title.length > 200) {
+    errors.push('title must be between 5 and 200 characters');
+  }
+
+  const content = text(record.content);
+  if (content.length < 10 || content.length > 2000) {
+    errors.push('content must be between 10 and 2000 characters');
+  }
+
+  const categoryRef = text(record.categoryId) || text(record.category);
+  const category = categories.get(categoryRef) || categories.get(categoryRef.toLowerCase());
+  if (!category) {
+    errors.push(categoryRef ? `Unknown category "${categoryRef}"` : 'category is required');
+  }
+
+  const difficulty = text(record.difficulty).toUpperCase() || 'MEDIUM';
+  if (!DIFFICULTIES.includes(difficulty)) {
+    errors.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+
+  const language = text(record.language) || 'en';
+  if (language.length < 2 || language.length > 5) {
+    errors.push('language must be a valid language code');
+  }
+
+  const isFeatured = parseBoolean(record.isFeatured);
+  if (isFeatured === undefined) {
+    errors.push('isFeatured must be true or false');
+  }
+
+  const data = {
+    title,
+    content,
+    shortContent: optional('shortContent', 280),
+    categoryId: category?.id,
+    difficulty,
+    source: optional('source', 200),
+    sourceUrl: optional('sourceUrl'),
+    imageUrl: optional('imageUrl'),
+    videoUrl: optional('videoUrl'),
+    tags: parseTags(record.tags),
+    language,
+    isFeatured: Boolean(isFeatured),
+  };
+
+  for (const field of ['sourceUrl', 'imageUrl', 'videoUrl']) {
+    if (data[field] && !isUrl(data[field])) {
+      errors.push(`${field} must be a valid URL`);
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Active categories by id and lower-cased name
+ */
+const loadCategoryLookup = async () => {
+  const categories = await prisma.category.findMany({
+    where: { isActive: true },
+    select: { id: true, name: true },
+  });
+
+  const lookup = new Map();
+  for (const category of categories) {
+    lookup.set(category.id, category);
+    lookup.set(category.name.toLowerCase(), category);
+  }
+
+  return lookup;
+};
+
+/**
+ * Existing (not archived) facts with one of the given titles, by title key
+ */
+const findExistingTitles = async (titles) => {
+  const existing = new Map();
+
+  for (let i = 0; i < titles.length; i += LOOKUP_BATCH_SIZE) {
+    const facts = await prisma.fact.findMany({
+      where: {
+        title: { in: titles.slice(i, i + LOOKUP_BATCH_SIZE), mode: 'insensitive' },
+        moderationStatus: { not: 'ARCHIVED' },
+      },
+      select: { id: true, title: true },
+    });
+
+    for (const fact of facts) {
+      existing.set(titleKey(fact.title), fact.id);
+    }
+  }
+
+  return existing;
+};
+
+/**
+ * Data for a new imported fact, going through moderation like facts created one by one
+ */
+const buildCreateData = (data, actor, moderationStatus, now) => {
+  const isApproved = moderationStatus === 'APPROVED';
+
+  return {
+    ...data,
+    isApproved,
+    moderationStatus,
+    submittedAt: moderationStatus === 'PENDING_REVIEW' ? now : null,
+    createdBy: actor.id,
+    approvedBy: isApproved ? actor.id : null,
+    approvedAt: isApproved ? now : null,
+    publishedAt: isApproved ? now : null,
+    reviews: {
+      create: { userId: actor.id, toStatus: moderationStatus, note: 'Imported' },
+    },
+    revisions: {
+      create: { version: 1, userId: actor.id, ...snapshotFact(data) },
+    },
+  };
+};
+
+/**
+ * Import facts from parsed records. Invalid rows and duplicates (of another
+ * row or of an existing fact) are reported and skipped; rows close to existing
+ * facts are imported with the similar facts listed. With dryRun nothing is written.
+ * Rows are numbered from 1, the first fact after the header.
+ */
+const importFacts = async (records, actor, { dryRun = false } = {}) => {
+  if (records.length === 0) {
+    throw new ApiError('The file has no facts to import', 400);
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(`At most ${MAX_IMPORT_ROWS} facts can be imported at once`, 400);
+  }
+
+  const categories = await loadCategoryLookup();
+  const rows = records.map((record, index) => ({ row: index + 1, ...normalizeRecord(record, categories) }));
+
+  // Duplicates inside the file
+  const seen = new Map();
+  for (const row of rows) {
+    if (row.errors.length > 0) continue;
+
+    const key = titleKey(row.data.title);
+    if (seen.has(key)) {
+      row.duplicateOf = { row: seen.get(key) };
+    } else {
+      seen.set(key, row.row);
+    }
+  }
+
+  // Duplicates of facts already in the catalog
+  const candidates = rows.filter(row => row.errors.length === 0 && !row.duplicateOf);
+  const existing = await findExistingTitles(candidates.map(row => row.data.title));
+  for (const row of candidates) {
+    const factId = existing.get(titleKey(row.data.title));
+    if (factId) {
+      row.duplicateOf = { factId };
+    }
+  }
+
+  const toCreate = rows.filter(row => row.errors.length === 0 && !row.duplicateOf);
+
+  // Near-duplicates are left for moderators to judge
+  const similar = await findSimilarFactsForEach(toCreate.map(row => row.data), { limit: SIMILAR_PER_ROW });
+  toCreate.forEach((row, index) => {
+    row.similar = similar[index];
+  });
+
+  if (!dryRun && toCreate.length > 0) {
+    const moderationStatus = await initialModerationStatus(actor);
+    const now = new Date();
+
+    for (let i = 0; i < toCreate.length; i += CREATE_BATCH_SIZE) {
+      const batch = toCreate.slice(i, i + CREATE_BATCH_SIZE);
+      const created = await prisma.$transaction(batch.map(row => prisma.fact.create({
+        data: buildCreateData(row.data, actor, moderationStatus, now),
+        select: { id: true },
+      })));
+
+      created.forEach((fact, index) => {
+        batch[index].factId = fact.id;
+      });
+    }
+  }
+
+  const report = rows.map(({ row, data, errors, duplicateOf, similar, factId }) => {
+    let status = dryRun ? 'valid' : 'created';
+    if (errors.length > 0) status = 'invalid';
+    else if (duplicateOf) status = 'duplicate';
+
+    return {
+      row,
+      status,
+      title: data.title,
+      ...(errors.length > 0 && { errors }),
+      ...(duplicateOf && { duplicateOf }),
+      ...(similar?.length > 0 && { similar }),
+      ...(factId && { factId }),
+    };
+  });
+
+  return {
+    dryRun,
+    total: rows.length,
+    valid: toCreate.length,
+    created: dryRun ? 0 : toCreate.length,
+    duplicates: report.filter(row => row.status === 'duplicate').length,
+    invalid: report.filter(row => row.status === 'invalid').length,
+    similar: report.filter(row => row.similar).length,
+    rows: report,
+  };
+};
+
+/**
+ * Export form of a fact
+ */
+const toExportRecord = (fact) => ({
+  id: fact.id,
+  title: fact.title,
+  content: fact.content,
+  shortContent: fact.shortContent,
+  category: fact.category.name,
+  difficulty: fact.difficulty,
+  tags: fact.tags,
+  source: fact.source,
+  sourceUrl: fact.sourceUrl,
+  imageUrl: fact.imageUrl,
+  videoUrl: fact.videoUrl,
+  language: fact.language,
+  isFeatured: fact.isFeatured,
+  moderationStatus: fact.moderationStatus,
+  publishedAt: fact.publishedAt,
+  createdAt: fact.createdAt,
+});
+
+/**
+ * Iterate over all facts matching a where clause in batches, newest first, for exports
+ */
+async function* iterateFacts(where = {}) {
+  let lastId = null;
+
+  do {
+    const facts = await prisma.fact.findMany({
+      where,
+      include: { category: { select: { name: true } } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: EXPORT_BATCH_SIZE,
+      ...(lastId && { cursor: { id: lastId }, skip: 1 }),
+    });
+
+    if (facts.length > 0) {
+      yield facts.map(toExportRecord);
+    }
+
+    lastId = facts.length === EXPORT_BATCH_SIZE ? facts[facts.length - 1].id : null;
+  } while (lastId);
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  EXPORT_COLUMNS,
+  TAG_SEPARATOR,
+  parseImportFile,
+  normalizeRecord,
+  importFacts,
+  iterateFacts,
+};
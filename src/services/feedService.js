@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { cache, cacheKeys } = require('../config/redis');
+const { ApiError } = require('../middleware/errorHandler');
+const personalizationService = require('./personalizationService');
+
+/**
+ * How long an idle feed session is kept, in seconds
+ */
+const SESSION_TTL = 2 * 60 * 60;
+
+/**
+ * Facts a session remembers as served; older ones drop out first. Facts the
+ * user viewed stay excluded through their interactions.
+ */
+const MAX_SERVED = 500;
+
+/**
+ * Sessions kept in memory while Redis can't store them, so paging through a
+ * feed doesn't repeat facts during an outage
+ */
+const MAX_LOCAL_SESSIONS = 1000;
+const localSessions = new Map();
+
+/**
+ * Candidates fetched from each source per fact of the page, so the session
+ * ranking has room to reorder them
+ */
+const CANDIDATE_MULTIPLIER = 3;
+
+/**
+ * Days of views counted for trending facts
+ */
+const TRENDING_WINDOW_DAYS = 7;
+
+/**
+ * Source of each slot of a round of the feed. Anonymous users have no
+ * profile to recommend from.
+ */
+const FEED_PATTERN = ['recommended', 'recommended', 'trending', 'recommended', 'new'];
+const ANONYMOUS_FEED_PATTERN = ['trending', 'trending', 'new'];
+
+/**
+ * Dwell times (ms): shorter than DWELL_MIN_MS counts against the fact's
+ * topics, DWELL_FULL_MS and longer counts fully for them
+ */
+const DWELL_MIN_MS = 2000;
+const DWELL_FULL_MS = 15000;
+
+/**
+ * Ranking boost per point of session affinity, and the affinity bounds
+ */
+const AFFINITY_STEP = 0.2;
+const AFFINITY_LIMIT = 3;
+
+const factInclude = {
+  category: {
+    select: {
+      id: true,
+      name: true,
+      icon: true,
+      color: true,
+    },
+  },
+};
+
+const publishedFact = () => ({
+  isApproved: true,
+  isActive: true,
+  publishedAt: { lte: new Date() },
+});
+
+/**
+ * Fact filter leaving out the facts a user viewed (none for anonymous users)
+ */
+const notViewedBy = userId => (userId ? { userFacts: { none: { userId, isViewed: true } } } : {});
+
+/**
+ * Feed session of a user (null for anonymous users). Sessions of another
+ * user, or that expired, are not returned.
+ */
+const getSession = async (sessionId, userId) => {
+  if (!sessionId) {
+    return null;
+  }
+
+  let session = await cache.get(cacheKeys.feedSession(sessionId));
+
+  if (!session) {
+    const local = localSessions.get(sessionId);
+    session = local && local.expiresAt > Date.now() ? local.session : null;
+  }
+
+  return session && session.userId === (userId || null) ? session : null;
+};
+
+const createSession = (userId) => ({
+  id: crypto.randomUUID(),
+  userId: userId || null,
+  served: {},
+  affinity: { categories: {}, tags: {} },
+  slot: 0,
+});
+
+/**
+ * Store a session in Redis, or in memory when Redis fails
+ */
+const saveSession = async (session) => {
+  localSessions.delete(session.id);
+
+  if (await cache.set(cacheKeys.feedSession(session.id), session, SESSION_TTL)) {
+    return;
+  }
+
+  localSessions.set(session.id, { session, expiresAt: Date.now() + SESSION_TTL * 1000 });
+  if (localSessions.size > MAX_LOCAL_SESSIONS) {
+    localSessions.delete(localSessions.keys().next().value);
+  }
+};
+
+/**
+ * Remember facts as served, forgetting the oldest ones past MAX_SERVED
+ */
+const markServed = (session, facts) => {
+  for (const fact of facts) {
+    delete session.served[fact.id];
+    session.served[fact.id] = { categoryId: fact.categoryId, tags: fact.tags || [] };
+  }
+
+  const servedIds = Object.keys(session.served);
+  for (const factId of servedIds.slice(0, servedIds.length - MAX_SERVED)) {
+    delete session.served[factId];
+  }
+};
+
+/**
+ * Ranking multiplier from the session's feedback on a fact's category and tags
+ */
+const sessionBoost = (fact, { categories, tags }) => {
+  const factTags = fact.tags || [];
+  const tagAffinity = factTags.length > 0
+    ? factTags.reduce((sum, tag) => sum + (tags[tag] || 0), 0) / factTags.length
+    : 0;
+
+  return Math.max(0.1, 1 + AFFINITY_STEP * ((categories[fact.categoryId] || 0) + tagAffinity));
+};
+
+/**
+ * Facts picked for the user by PersonalizationService, scored against their profile
+ */
+const getRecommended = async (userId, servedIds, take) => {
+  const profile = await personalizationService.getUserProfile(userId);
+
+  if (!profile) {
+    return [];
+  }
+
+  const facts = await personalizationService.getFactCandidates(userId, {
+    excludeViewed: true,
+    excludeIds: servedIds,
+    categoryFilters: profile.preferredCategories,
+    limit: take,
+    include: factInclude,
+  });
+
+  return facts.map(fact => ({ fact, score: personalizationService.calculateFactScore(fact, profile) }));
+};
+
+/**
+ * Most viewed facts of the last days, scored relative to the top one
+ */
+const getTrending = async (userId, servedIds, take) => {
+  const since = new Date(Date.now() - TRENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const views = await prisma.userFact.groupBy({
+    by: ['factId'],
+    where: {
+      viewedAt: { gte: since },
+      factId: { notIn: servedIds },
+      fact: { ...publishedFact(), ...notViewedBy(userId) },
+    },
+    _count: { factId: true },
+    orderBy: { _count: { factId: 'desc' } },
+    take,
+  });
+
+  if (views.length === 0) {
+    return [];
+  }
+
+  const facts = await prisma.fact.findMany({
+    where: { id: { in: views.map(view => view.factId) } },
+    include: factInclude,
+  });
+  const viewCounts = new Map(views.map(view => [view.factId, view._count.factId]));
+  const topViews = views[0]._count.factId;
+
+  return facts.map(fact => ({ fact, score: viewCounts.get(fact.id) / topViews }));
+};
+
+/**
+ * Latest published facts, scored by freshness
+ */
+const getNew = async (userId, servedIds, take) => {
+  const facts = await prisma.fact.findMany({
+    where: { ...publishedFact(), ...notViewedBy(userId), id: { notIn: servedIds } },
+    include: factInclude,
+    orderBy: [{ publishedAt: 'desc' }, { id: 'desc' }],
+    take,
+  });
+
+  return facts.map(fact => ({ fact, score: personalizationService.calculateFreshnessScore(fact.publishedAt) }));
+};
+
+/**
+ * Fill a page by taking the best fact of each slot's source in turn. A source
+ * that ran out is replaced by the next one that still has facts, and a fact
+ * found by several sources is only shown once.
+ */
+const interleave = (ranked, pattern, slot, limit) => {
+  const picked = [];
+  const pickedIds = new Set();
+  const next = source => {
+    while (ranked[source].length > 0 && pickedIds.has(ranked[source][0].id)) {
+      ranked[source].shift();
+    }
+    return ranked[source].shift();
+  };
+
+  while (picked.length < limit) {
+    const wanted = pattern[slot % pattern.length];
+    const source = [wanted, ...pattern].find(candidate => ranked[candidate].some(fact => !pickedIds.has(fact.id)));
+
+    if (!source) {
+      break;
+    }
+
+    const fact = next(source);
+    picked.push({ ...fact, feedSource: source });
+    pickedIds.add(fact.id);
+    slot += 1;
+  }
+
+  return { picked, slot };
+};
+
+/**
+ * Next page of the feed. Without a session (or with an expired one) a new
+ * session starts. Facts already served in the session (the last MAX_SERVED),
+ * and facts the user has viewed, are not shown again; the rest is ranked by
+ * its source's score and the session's feedback.
+ *
+ * Returns the session id to pass back, the facts (each with its feedSource)
+ * and whether more facts are left.
+ */
+const getFeed = async (userId, { sessionId = null, limit = 10 } = {}) => {
+  const session = (await getSession(sessionId, userId)) || createSession(userId);
+  const servedIds = Object.keys(session.served);
+  const take = limit * CANDIDATE_MULTIPLIER;
+
+  const [recommended, trending, latest] = await Promise.all([
+    userId ? getRecommended(userId, servedIds, take) : [],
+    getTrending(userId, servedIds, take),
+    getNew(userId, servedIds, take),
+  ]);
+
+  const rank = candidates => candidates
+    .map(({ fact, score }) => ({ fact, score: score * sessionBoost(fact, session.affinity) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ fact }) => fact);
+
+  const { picked, slot } = interleave(
+    { recommended: rank(recommended), trending: rank(trending), new: rank(latest) },
+    userId ? FEED_PATTERN : ANONYMOUS_FEED_PATTERN,
+    session.slot,
+    limit,
+  );
+
+  markServed(session, picked);
+  session.slot = slot;
+  await saveSession(session);
+
+  return {
+    sessionId: session.id,
+    facts: picked,
+    hasMore: picked.length === limit,
+  };
+};
+
+/**
+ * Affinity change of a feedback event: skips and short dwells count against
+ * the fact's topics, longer dwells for them
+ */
+const feedbackWeight = ({ signal, dwellMs }) => {
+  if (signal === 'skip') {
+    return -1;
+  }
+
+  if (dwellMs < DWELL_MIN_MS) {
+    return -0.5;
+  }
+
+  return Math.min(dwellMs, DWELL_FULL_MS) / DWELL_FULL_MS;
+};
+
+const adjust = (weights, key, change) => {
+  weights[key] = Math.max(-AFFINITY_LIMIT, Math.min(AFFINITY_LIMIT, (weights[key] || 0) + change));
+};
+
+/**
+ * Record skip and dwell feedback on facts served in a feed session. It moves
+ * the session's affinity for the facts' category (fully) and tags (half), so
+ * the next pages rank those topics lower or higher.
+ *
+ * Returns null when the session doesn't exist. Throws a 400 for facts the
+ * session didn't serve.
+ */
+const recordFeedback = async (userId, sessionId, events) => {
+  const session = await getSession(sessionId, userId);
+
+  if (!session) {
+    return null;
+  }
+
+  const unknown = events.find(event => !session.served[event.factId]);
+  if (unknown) {
+    throw new ApiError(`Fact ${unknown.factId} was not served in this feed session`, 400);
+  }
+
+  for (const event of events) {
+    const { categoryId, tags } = session.served[event.factId];
+    const weight = feedbackWeight(event);
+
+    adjust(session.affinity.categories, categoryId, weight);
+    for (const tag of tags) {
+      adjust(session.affinity.tags, tag, weight / 2);
+    }
+  }
+
+  await saveSession(session);
+
+  return { sessionId: session.id, recorded: events.length };
+};
+
+module.exports = {
+  SESSION_TTL,
+  MAX_SERVED,
+  getFeed,
+  recordFeedback,
+};
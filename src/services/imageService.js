@@ -0,0 +1,156 @@
+const path = require('path');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { storage } = require('../config/storage');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Derivatives made from each uploaded image. The app gets WebP; push
+ * notifications get JPEG, which every platform displays. Images are never enlarged.
+ */
+const IMAGE_PRESETS = {
+  fact: {
+    thumbnail: { width: 320, height: 320, fit: 'cover', format: 'webp' },
+    notification: { width: 1024, height: 512, fit: 'cover', format: 'jpeg' },
+    full: { width: 1600, height: 1600, fit: 'inside', format: 'webp' },
+  },
+  avatar: {
+    thumbnail: { width: 96, height: 96, fit: 'cover', format: 'webp' },
+    full: { width: 512, height: 512, fit: 'cover', format: 'webp' },
+  },
+};
+
+const FORMATS = {
+  webp: { contentType: 'image/webp', extension: '.webp', options: { quality: 80 } },
+  jpeg: { contentType: 'image/jpeg', extension: '.jpg', options: { quality: 80, progressive: true, mozjpeg: true } },
+};
+
+/**
+ * Blurhash is computed on a small copy of the image, with 4x3 components
+ */
+const BLURHASH_SIZE = 32;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+
+/**
+ * Placeholder hash shown while the image loads
+ */
+const computeBlurhash = async (image) => {
+  const { data, info } = await image
+    .clone()
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y);
+};
+
+/**
+ * Resize an image into the derivatives of a preset, upright (EXIF orientation
+ * applied) and without metadata. Throws a 400 for files that aren't images.
+ */
+const processImage = async (buffer, presetName) => {
+  const image = sharp(buffer, { failOn: 'error' }).rotate();
+
+  try {
+    const metadata = await image.metadata();
+    const { width, height } = metadata.autoOrient || metadata;
+    const derivatives = [];
+
+    // One at a time, so large images don't hold several decoded copies in memory
+    for (const [name, preset] of Object.entries(IMAGE_PRESETS[presetName])) {
+      const format = FORMATS[preset.format];
+      const { data, info } = await image
+        .clone()
+        .resize({ width: preset.width, height: preset.height, fit: preset.fit, withoutEnlargement: true })
+        .toFormat(preset.format, format.options)
+        .toBuffer({ resolveWithObject: true });
+
+      derivatives.push({
+        name,
+        buffer: data,
+        contentType: format.contentType,
+        extension: format.extension,
+        width: info.width,
+        height: info.height,
+      });
+    }
+
+    return {
+      width,
+      height,
+      blurhash: await computeBlurhash(image),
+      derivatives,
+    };
+  } catch (error) {
+    throw new ApiError('File is not a valid image', 400);
+  }
+};
+
+/**
+ * Stored objects of an images object, other than the original
+ */
+const derivativeKeys = (images) => Object.entries(images || {})
+  .filter(([name, image]) => name !== 'original' && image && image.url)
+  .map(([, image]) => storage.keyFromUrl(image.url))
+  .filter(Boolean);
+
+/**
+ * Delete the derivatives of an images object
+ */
+const removeDerivatives = async (images) => {
+  for (const key of derivativeKeys(images)) {
+    await storage.remove(key);
+  }
+};
+
+/**
+ * Make and store the derivatives of a stored image, next to it. Returns the
+ * images object saved with the fact or user: dimensions, blurhash and each
+ * derivative with its URL, size and content type.
+ */
+const createDerivatives = async (original, buffer, presetName) => {
+  const processed = await processImage(buffer, presetName);
+  const baseKey = original.key.slice(0, original.key.length - path.extname(original.key).length);
+
+  const images = {
+    width: processed.width,
+    height: processed.height,
+    blurhash: processed.blurhash,
+    original: {
+      url: original.url,
+      width: processed.width,
+      height: processed.height,
+      contentType: original.contentType,
+    },
+  };
+
+  try {
+    for (const derivative of processed.derivatives) {
+      const stored = await storage.save({
+        buffer: derivative.buffer,
+        mimetype: derivative.contentType,
+        size: derivative.buffer.length,
+      }, `${baseKey}-${derivative.name}${derivative.extension}`);
+
+      images[derivative.name] = {
+        url: stored.url,
+        width: derivative.width,
+        height: derivative.height,
+        contentType: derivative.contentType,
+      };
+    }
+  } catch (error) {
+    await removeDerivatives(images);
+    throw error;
+  }
+
+  return images;
+};
+
+module.exports = {
+  IMAGE_PRESETS,
+  processImage,
+  createDerivatives,
+  removeDerivatives,
+};
@@ -0,0 +1,149 @@
+const { prisma } = require('../config/database');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+/**
+ * Notifications that made it past planning. Failed pushes stay visible so the
+ * user still sees the fact in the app.
+ */
+const INBOX_STATUSES = ['SENT', 'DELIVERED', 'OPENED', 'FAILED'];
+
+/**
+ * Fields returned for inbox items
+ */
+const inboxSelect = {
+  id: true,
+  factId: true,
+  title: true,
+  body: true,
+  imageUrl: true,
+  status: true,
+  scheduledFor: true,
+  sentAt: true,
+  openedAt: true,
+  readAt: true,
+  createdAt: true,
+};
+
+/**
+ * Where clause for the notifications shown in a user's inbox.
+ * Planned rows have no content until they are dispatched.
+ */
+const inboxWhere = (userId) => ({
+  userId,
+  deletedAt: null,
+  status: { in: INBOX_STATUSES },
+  body: { not: '' },
+});
+
+/**
+ * Count unread inbox notifications
+ */
+const getUnreadCount = async (userId) => prisma.notification.count({
+  where: { ...inboxWhere(userId), readAt: null },
+});
+
+/**
+ * Get a page of the user's inbox, newest first.
+ * Returns null when the cursor is malformed.
+ */
+const getInbox = async (userId, { cursor = null, limit = 20, unreadOnly = false } = {}) => {
+  const where = inboxWhere(userId);
+
+  if (unreadOnly) {
+    where.readAt = null;
+  }
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    const scheduledFor = position && new Date(position.scheduledFor);
+
+    if (!scheduledFor || isNaN(scheduledFor.getTime()) || typeof position.id !== 'string') {
+      return null;
+    }
+
+    // Keyset pagination on (scheduledFor, id) so new notifications don't shift pages
+    where.OR = [
+      { scheduledFor: { lt: scheduledFor } },
+      { scheduledFor, id: { lt: position.id } },
+    ];
+  }
+
+  const [rows, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where,
+      select: inboxSelect,
+      orderBy: [{ scheduledFor: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+    }),
+    getUnreadCount(userId),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const notifications = hasMore ? rows.slice(0, limit) : rows;
+  const last = notifications[notifications.length - 1];
+
+  return {
+    notifications: notifications.map(notification => ({
+      ...notification,
+      isRead: notification.readAt !== null,
+    })),
+    unreadCount,
+    nextCursor: hasMore ? encodeCursor({ scheduledFor: last.scheduledFor, id: last.id }) : null,
+  };
+};
+
+/**
+ * Mark one inbox notification as read. Returns false when it isn't in the user's inbox.
+ */
+const markAsRead = async (userId, notificationId) => {
+  const notification = await prisma.notification.findFirst({
+    where: { ...inboxWhere(userId), id: notificationId },
+    select: { id: true, readAt: true },
+  });
+
+  if (!notification) {
+    return false;
+  }
+
+  if (!notification.readAt) {
+    await prisma.notification.update({
+      where: { id: notificationId },
+      data: { readAt: new Date() },
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Mark every unread inbox notification as read
+ */
+const markAllAsRead = async (userId) => {
+  const result = await prisma.notification.updateMany({
+    where: { ...inboxWhere(userId), readAt: null },
+    data: { readAt: new Date() },
+  });
+
+  return result.count;
+};
+
+/**
+ * Remove a notification from the user's inbox.
+ * The row is kept for delivery statistics.
+ */
+const deleteFromInbox = async (userId, notificationId) => {
+  const result = await prisma.notification.updateMany({
+    where: { ...inboxWhere(userId), id: notificationId },
+    data: { deletedAt: new Date() },
+  });
+
+  return result.count > 0;
+};
+
+module.exports = {
+  getInbox,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteFromInbox,
+};
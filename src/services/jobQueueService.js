@@ -0,0 +1,298 @@
+const os = require('os');
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Identifies this process as the holder of job run locks
+ */
+const workerId = `${os.hostname()}:${process.pid}`;
+
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+
+/**
+ * Delay before retrying a failed run (exponential backoff)
+ */
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Queue a run of a job.
+ *
+ * Scheduled runs are keyed by job name and fire minute, so when every replica's
+ * cron fires at the same time only the first insert wins and the others get null.
+ */
+const enqueueRun = async (jobName, options = {}) => {
+  const {
+    trigger = 'SCHEDULE',
+    triggeredBy = null,
+    maxAttempts = 3,
+    scheduledFor = new Date(),
+  } = options;
+
+  try {
+    return await prisma.jobRun.create({
+      data: {
+        jobName,
+        trigger,
+        triggeredBy,
+        maxAttempts,
+        scheduledFor,
+        nextAttemptAt: new Date(),
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      logger.debug(`Job ${jobName} already queued by another instance`, { scheduledFor });
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Claim a queued run unless a run of the same job is already running.
+ *
+ * The transaction holds an advisory lock on the job name while it checks for
+ * a running run and claims this one, so two workers claiming different runs
+ * of the same job (a retry next to the next scheduled run, or a manual
+ * trigger) can't both pass the check. A worker that doesn't get the lock
+ * skips the run. Returns null when the run wasn't claimed.
+ */
+const claimRun = (candidate, lockDurationMs, now) => prisma.$transaction(async (tx) => {
+  const lockKey = `job_runs:${candidate.jobName}`;
+  const [{ locked }] = await tx.$queryRaw`SELECT pg_try_advisory_xact_lock(hashtext(${lockKey})) AS locked`;
+
+  if (!locked) {
+    return null;
+  }
+
+  const running = await tx.jobRun.count({
+    where: {
+      jobName: candidate.jobName,
+      status: 'RUNNING',
+      lockedUntil: { gt: now },
+    },
+  });
+
+  if (running > 0) {
+    return null;
+  }
+
+  const { count } = await tx.jobRun.updateMany({
+    where: { id: candidate.id, status: 'QUEUED' },
+    data: {
+      status: 'RUNNING',
+      attempts: { increment: 1 },
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + lockDurationMs),
+      startedAt: now,
+    },
+  });
+
+  return count === 1 ? tx.jobRun.findUnique({ where: { id: candidate.id } }) : null;
+});
+
+/**
+ * Claim the next due run that isn't already running anywhere
+ */
+const claimNextRun = async (getLockDuration, excludeJobs = []) => {
+  const now = new Date();
+
+  const candidates = await prisma.jobRun.findMany({
+    where: {
+      status: 'QUEUED',
+      nextAttemptAt: { lte: now },
+      jobName: { notIn: excludeJobs },
+    },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: 20,
+  });
+
+  for (const candidate of candidates) {
+    const run = await claimRun(candidate, getLockDuration(candidate.jobName), now);
+
+    if (run) {
+      return run;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Extend the lock of a run that is still in progress
+ */
+const extendLock = async (runId, lockDurationMs) => prisma.jobRun.updateMany({
+  where: { id: runId, status: 'RUNNING', lockedBy: workerId },
+  data: { lockedUntil: new Date(Date.now() + lockDurationMs) },
+});
+
+/**
+ * Mark a run as succeeded
+ */
+const completeRun = async (run, result = null) => {
+  const finishedAt = new Date();
+
+  return prisma.jobRun.update({
+    where: { id: run.id },
+    data: {
+      status: 'SUCCEEDED',
+      finishedAt,
+      durationMs: finishedAt.getTime() - run.startedAt.getTime(),
+      ...(result !== undefined && result !== null && { result }),
+      error: null,
+      lockedBy: null,
+      lockedUntil: null,
+    },
+  });
+};
+
+/**
+ * Record a failed attempt and queue a retry while attempts remain
+ */
+const failRun = async (run, error) => {
+  const finishedAt = new Date();
+  const exhausted = run.attempts >= run.maxAttempts;
+
+  return prisma.jobRun.update({
+    where: { id: run.id },
+    data: {
+      status: exhausted ? 'FAILED' : 'QUEUED',
+      finishedAt,
+      durationMs: finishedAt.getTime() - run.startedAt.getTime(),
+      error: error.message,
+      nextAttemptAt: exhausted ? run.nextAttemptAt : new Date(finishedAt.getTime() + getRetryDelay(run.attempts)),
+      lockedBy: null,
+      lockedUntil: null,
+    },
+  });
+};
+
+/**
+ * Requeue runs whose worker died while holding the lock
+ */
+const recoverStaleRuns = async () => {
+  const now = new Date();
+  const stale = {
+    status: 'RUNNING',
+    lockedUntil: { lt: now },
+  };
+
+  const [requeued, failed] = await prisma.$transaction([
+    prisma.jobRun.updateMany({
+      where: { ...stale, attempts: { lt: prisma.jobRun.fields.maxAttempts } },
+      data: { status: 'QUEUED', nextAttemptAt: now, error: 'Worker lock expired', lockedBy: null, lockedUntil: null },
+    }),
+    prisma.jobRun.updateMany({
+      where: stale,
+      data: { status: 'FAILED', finishedAt: now, error: 'Worker lock expired', lockedBy: null, lockedUntil: null },
+    }),
+  ]);
+
+  if (requeued.count > 0 || failed.count > 0) {
+    logger.warn('Recovered stale job runs', { requeued: requeued.count, failed: failed.count });
+  }
+
+  return { requeued: requeued.count, failed: failed.count };
+};
+
+/**
+ * Get pause state for all jobs, keyed by name
+ */
+const getJobStates = async () => {
+  const states = await prisma.scheduledJob.findMany();
+  return new Map(states.map(state => [state.name, state]));
+};
+
+/**
+ * Check whether a job is paused
+ */
+const isJobPaused = async (jobName) => {
+  const state = await prisma.scheduledJob.findUnique({ where: { name: jobName } });
+  return !!state?.isPaused;
+};
+
+/**
+ * Pause or resume a job for all instances
+ */
+const setJobPaused = async (jobName, isPaused, userId = null) => prisma.scheduledJob.upsert({
+  where: { name: jobName },
+  update: {
+    isPaused,
+    pausedAt: isPaused ? new Date() : null,
+    pausedBy: isPaused ? userId : null,
+  },
+  create: {
+    name: jobName,
+    isPaused,
+    pausedAt: isPaused ? new Date() : null,
+    pausedBy: isPaused ? userId : null,
+  },
+});
+
+/**
+ * Get the latest run of every job, keyed by name
+ */
+const getLatestRuns = async (jobNames) => {
+  const runs = await Promise.all(jobNames.map(jobName => prisma.jobRun.findFirst({
+    where: { jobName },
+    orderBy: { createdAt: 'desc' },
+  })));
+
+  return new Map(runs.filter(Boolean).map(run => [run.jobName, run]));
+};
+
+/**
+ * Get paginated run history of a job
+ */
+const getRuns = async (jobName, { page = 1, limit = 20, status } = {}) => {
+  const where = { jobName };
+  if (status) {
+    where.status = status;
+  }
+
+  const [runs, total] = await Promise.all([
+    prisma.jobRun.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.jobRun.count({ where }),
+  ]);
+
+  return { runs, total };
+};
+
+/**
+ * Delete finished run history
+ */
+const cleanupJobRuns = async (daysToKeep = 14) => {
+  const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+
+  const result = await prisma.jobRun.deleteMany({
+    where: {
+      createdAt: { lt: cutoffDate },
+      status: { in: ['SUCCEEDED', 'FAILED'] },
+    },
+  });
+
+  logger.info('Cleaned up old job runs', { deleted: result.count });
+  return { deleted: result.count };
+};
+
+module.exports = {
+  workerId,
+  enqueueRun,
+  claimNextRun,
+  extendLock,
+  completeRun,
+  failRun,
+  recoverStaleRuns,
+  getJobStates,
+  isJobPaused,
+  setJobPaused,
+  getLatestRuns,
+  getRuns,
+  cleanupJobRuns,
+};
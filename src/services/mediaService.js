@@ -0,0 +1,256 @@
+const path = require('path');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { storage, CONTENT_TYPES } = require('../config/storage');
+const { ApiError } = require('../middleware/errorHandler');
+const s3Service = require('./s3Service');
+const { updateFactWithRevision } = require('./revisionService');
+const imageService = require('./imageService');
+const logger = require('../utils/logger');
+
+/**
+ * How long a direct upload URL stays valid, in seconds
+ */
+const UPLOAD_URL_EXPIRES_IN = 15 * 60;
+
+/**
+ * Fact media kinds and the field each one fills
+ */
+const FACT_MEDIA = {
+  image: { field: 'imageUrl', type: 'image' },
+  video: { field: 'videoUrl', type: 'video' },
+};
+
+const EXTENSIONS = Object.fromEntries(
+  Object.entries(CONTENT_TYPES).map(([extension, contentType]) => [contentType, extension]),
+);
+
+/**
+ * New storage key under a prefix. The extension comes from the content type,
+ * not from the client's file name.
+ */
+const mediaKey = (prefix, contentType) => s3Service.generateFileName(`upload${EXTENSIONS[contentType]}`, prefix);
+
+/**
+ * Store a file uploaded through the API (multipart)
+ */
+const storeFile = async (file, type, prefix) => {
+  s3Service.validateFile(file, type);
+  const stored = await storage.save(file, mediaKey(prefix, file.mimetype));
+  return { ...stored, contentType: file.mimetype };
+};
+
+/**
+ * Check a file uploaded straight to storage. Files of the wrong type or size are deleted.
+ */
+const confirmUpload = async (key, type, prefix) => {
+  if (!key.startsWith(`${prefix}/`) || key.split('/').includes('..')) {
+    throw new ApiError('Upload key does not belong to this resource', 400);
+  }
+
+  const stored = await storage.stat(key);
+
+  if (!stored) {
+    throw new ApiError('Upload not found; send the file to the upload URL first', 400);
+  }
+
+  try {
+    s3Service.validateFile({ mimetype: stored.contentType, size: stored.size }, type);
+  } catch (error) {
+    await storage.remove(key);
+    throw error;
+  }
+
+  return { key, url: storage.urlFor(key), contentType: stored.contentType };
+};
+
+/**
+ * Store a multipart file, or confirm a direct upload by its key
+ */
+const resolveUpload = ({ file, key }, type, prefix) => (file ? storeFile(file, type, prefix) : confirmUpload(key, type, prefix));
+
+/**
+ * Upload URL for sending a file straight to storage, to be confirmed with its key afterwards
+ */
+const createUploadUrl = async ({ contentType, size }, type, prefix) => {
+  s3Service.validateFile({ mimetype: contentType, size }, type);
+
+  const key = mediaKey(prefix, contentType);
+  const target = await storage.createUploadTarget(key, {
+    contentType,
+    maxSize: s3Service.MAX_FILE_SIZE,
+    expiresIn: UPLOAD_URL_EXPIRES_IN,
+  });
+
+  return {
+    key,
+    ...target,
+    expiresAt: new Date(Date.now() + UPLOAD_URL_EXPIRES_IN * 1000),
+  };
+};
+
+/**
+ * Make the derivatives of an uploaded image. The upload is deleted when it
+ * can't be processed.
+ */
+const processUpload = async (stored, upload, preset) => {
+  try {
+    const buffer = upload.file ? upload.file.buffer : await storage.read(stored.key);
+    return await imageService.createDerivatives(stored, buffer, preset);
+  } catch (error) {
+    await storage.remove(stored.key);
+    throw error;
+  }
+};
+
+/**
+ * Delete the stored object behind a URL that was replaced, with its image
+ * derivatives. URLs pointing elsewhere (pasted links) are left alone.
+ */
+const removeReplacedMedia = async (previousUrl, currentUrl, previousImages = null) => {
+  if (!previousUrl || previousUrl === currentUrl) {
+    return;
+  }
+
+  const key = storage.keyFromUrl(previousUrl);
+  if (key) {
+    await storage.remove(key);
+  }
+
+  await imageService.removeDerivatives(previousImages);
+};
+
+/**
+ * Run an update with a newly stored object, deleting the object (and its
+ * derivatives) if the update fails
+ */
+const withStoredUpload = async (stored, images, update) => {
+  try {
+    return await update();
+  } catch (error) {
+    await storage.remove(stored.key);
+    await imageService.removeDerivatives(images);
+    throw error;
+  }
+};
+
+/**
+ * Set the image or video of a fact from an upload, recorded as a revision.
+ * Returns null when the fact doesn't exist.
+ */
+const setFactMedia = async (factId, kind, upload, actor) => {
+  const fact = await prisma.fact.findUnique({ where: { id: factId } });
+
+  if (!fact) {
+    return null;
+  }
+
+  if (fact.moderationStatus === 'ARCHIVED') {
+    throw new ApiError('Archived facts cannot be changed; restore the fact first', 409);
+  }
+
+  const { field, type } = FACT_MEDIA[kind];
+  const stored = await resolveUpload(upload, type, `facts/${factId}`);
+  const images = type === 'image' ? await processUpload(stored, upload, 'fact') : null;
+  const data = images ? { [field]: stored.url, images } : { [field]: stored.url };
+
+  const result = await withStoredUpload(stored, images, () => updateFactWithRevision(fact, data, actor));
+
+  await removeReplacedMedia(fact[field], stored.url, images ? fact.images : null);
+  logger.info('Fact media stored', { factId, kind, key: stored.key });
+
+  return { before: fact, ...result };
+};
+
+/**
+ * Upload URL for the image or video of a fact. Returns null when the fact doesn't exist.
+ */
+const createFactMediaUploadUrl = async (factId, kind, file) => {
+  const fact = await prisma.fact.findUnique({ where: { id: factId }, select: { id: true } });
+
+  if (!fact) {
+    return null;
+  }
+
+  return createUploadUrl(file, FACT_MEDIA[kind].type, `facts/${factId}`);
+};
+
+/**
+ * Set a user's avatar from an upload
+ */
+const setAvatar = async (userId, upload) => {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { avatar: true, avatarImages: true } });
+  const stored = await resolveUpload(upload, 'image', `avatars/${userId}`);
+  const avatarImages = await processUpload(stored, upload, 'avatar');
+
+  const updated = await withStoredUpload(stored, avatarImages, () => prisma.user.update({
+    where: { id: userId },
+    data: { avatar: stored.url, avatarImages },
+    select: { id: true, avatar: true, avatarImages: true },
+  }));
+
+  await removeReplacedMedia(user?.avatar, stored.url, user?.avatarImages);
+
+  return updated;
+};
+
+/**
+ * Remove a user's avatar
+ */
+const removeAvatar = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { avatar: true, avatarImages: true } });
+
+  if (!user?.avatar) {
+    return { id: userId, avatar: null, avatarImages: null };
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { avatar: null, avatarImages: Prisma.DbNull },
+    select: { id: true, avatar: true, avatarImages: true },
+  });
+
+  await removeReplacedMedia(user.avatar, null, user.avatarImages);
+
+  return updated;
+};
+
+/**
+ * Avatar upload URL for a user
+ */
+const createAvatarUploadUrl = (userId, file) => createUploadUrl(file, 'image', `avatars/${userId}`);
+
+/**
+ * Save a direct upload sent to local storage with a signed upload token
+ */
+const receiveLocalUpload = async (upload, { contentType, body }) => {
+  if (contentType !== upload.contentType) {
+    throw new ApiError(`Content-Type must be ${upload.contentType}`, 400);
+  }
+
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw new ApiError('Upload body is empty', 400);
+  }
+
+  if (body.length > upload.maxSize) {
+    throw new ApiError(`File size too large. Maximum size: ${upload.maxSize / 1024 / 1024}MB`, 413);
+  }
+
+  if (path.extname(upload.key) !== EXTENSIONS[contentType]) {
+    throw new ApiError('Upload key does not match the content type', 400);
+  }
+
+  return storage.save({ buffer: body, mimetype: contentType, size: body.length }, upload.key);
+};
+
+module.exports = {
+  FACT_MEDIA,
+  UPLOAD_URL_EXPIRES_IN,
+  setFactMedia,
+  createFactMediaUploadUrl,
+  setAvatar,
+  removeAvatar,
+  createAvatarUploadUrl,
+  removeReplacedMedia,
+  receiveLocalUpload,
+};
@@ -0,0 +1,284 @@
+const { prisma } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const configService = require('./configService');
+
+const ADMIN_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+const REVIEWER_ROLES = ['MODERATOR', ...ADMIN_ROLES];
+
+/**
+ * Allowed moderation moves. Every live state can be archived; archived facts
+ * go back to DRAFT when restored, and approved facts go back to review when
+ * their content is edited.
+ */
+const MODERATION_TRANSITIONS = {
+  DRAFT: ['PENDING_REVIEW', 'ARCHIVED'],
+  PENDING_REVIEW: ['APPROVED', 'CHANGES_REQUESTED', 'REJECTED', 'ARCHIVED'],
+  CHANGES_REQUESTED: ['PENDING_REVIEW', 'ARCHIVED'],
+  APPROVED: ['PENDING_REVIEW', 'ARCHIVED'],
+  REJECTED: ['ARCHIVED'],
+  ARCHIVED: ['DRAFT'],
+};
+
+/**
+ * Review decisions, which the author of a fact can't make on it
+ */
+const REVIEW_DECISIONS = ['APPROVED', 'CHANGES_REQUESTED', 'REJECTED'];
+
+/**
+ * States that can have a reviewer assigned
+ */
+const ASSIGNABLE_STATES = ['PENDING_REVIEW', 'CHANGES_REQUESTED'];
+
+const factCategorySelect = {
+  id: true,
+  name: true,
+  icon: true,
+  color: true,
+};
+
+const reviewUserSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+};
+
+const isAdmin = (user) => ADMIN_ROLES.includes(user.role);
+
+/**
+ * Check whether a fact may move from one moderation state to another
+ */
+const canTransition = (from, to) => (MODERATION_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Moderation state of a new fact: admins publish right away, moderators wait
+ * for approval unless it is switched off
+ */
+const initialModerationStatus = async (actor, { draft = false } = {}) => {
+  if (draft) {
+    return 'DRAFT';
+  }
+
+  const approvalRequired = await configService.getConfigValue('fact_approval_required');
+  return !approvalRequired || isAdmin(actor) ? 'APPROVED' : 'PENDING_REVIEW';
+};
+
+/**
+ * Fields to write when a fact enters a moderation state, keeping the
+ * isApproved/isActive flags used by the public queries in step
+ */
+const buildTransitionData = (fact, toStatus, actorId, now = new Date()) => {
+  const data = {
+    moderationStatus: toStatus,
+    isApproved: toStatus === 'APPROVED',
+  };
+
+  if (toStatus === 'PENDING_REVIEW') {
+    data.submittedAt = now;
+  }
+
+  if (toStatus === 'APPROVED') {
+    data.approvedBy = actorId;
+    data.approvedAt = now;
+    data.publishedAt = fact.publishedAt || now;
+  }
+
+  if (toStatus === 'ARCHIVED') {
+    data.isActive = false;
+  } else if (fact.moderationStatus === 'ARCHIVED') {
+    data.isActive = true;
+  }
+
+  return data;
+};
+
+/**
+ * Check the actor is allowed to make this move on the fact
+ */
+const assertCanTransition = (fact, toStatus, actor) => {
+  if (!canTransition(fact.moderationStatus, toStatus)) {
+    throw new ApiError(`Cannot move a fact from ${fact.moderationStatus} to ${toStatus}`, 409);
+  }
+
+  if (isAdmin(actor)) {
+    return;
+  }
+
+  if (REVIEW_DECISIONS.includes(toStatus) && fact.createdBy === actor.id) {
+    throw new ApiError('You cannot review your own fact', 403);
+  }
+
+  if (toStatus === 'PENDING_REVIEW' && fact.createdBy !== actor.id) {
+    throw new ApiError('Only the author can submit this fact for review', 403);
+  }
+};
+
+/**
+ * Move a fact to another moderation state and record the step with its note.
+ * Approvals can set a future publishAt to schedule the fact.
+ * Returns null when the fact doesn't exist.
+ */
+const transitionFact = async (factId, toStatus, actor, { note = null, publishAt = null } = {}) => {
+  const fact = await prisma.fact.findUnique({ where: { id: factId } });
+
+  if (!fact) {
+    return null;
+  }
+
+  assertCanTransition(fact, toStatus, actor);
+
+  const data = buildTransitionData(fact, toStatus, actor.id);
+
+  if (toStatus === 'APPROVED' && publishAt) {
+    data.publishedAt = new Date(publishAt);
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Only move from the state we checked, so concurrent reviews can't both win
+    const { count } = await tx.fact.updateMany({
+      where: { id: factId, moderationStatus: fact.moderationStatus },
+      data,
+    });
+
+    if (count === 0) {
+      throw new ApiError('Fact was changed by someone else, please try again', 409);
+    }
+
+    await tx.factReview.create({
+      data: {
+        factId,
+        userId: actor.id,
+        fromStatus: fact.moderationStatus,
+        toStatus,
+        note,
+      },
+    });
+
+    return tx.fact.findUnique({
+      where: { id: factId },
+      include: { category: { select: factCategorySelect } },
+    });
+  });
+
+  return { before: fact, fact: updated };
+};
+
+/**
+ * Assign a reviewer to a fact awaiting review, or unassign with null.
+ * Moderators can only take facts themselves; admins can assign anyone who reviews.
+ */
+const assignReviewer = async (factId, reviewerId, actor) => {
+  const fact = await prisma.fact.findUnique({ where: { id: factId } });
+
+  if (!fact) {
+    return null;
+  }
+
+  if (!ASSIGNABLE_STATES.includes(fact.moderationStatus)) {
+    throw new ApiError(`Cannot assign a reviewer to a ${fact.moderationStatus} fact`, 409);
+  }
+
+  // Unassigning acts on the current reviewer
+  if (!isAdmin(actor) && (reviewerId || fact.reviewerId) !== actor.id) {
+    throw new ApiError('Moderators can only assign facts to themselves', 403);
+  }
+
+  if (reviewerId) {
+    const reviewer = await prisma.user.findUnique({
+      where: { id: reviewerId },
+      select: { id: true, role: true, isActive: true },
+    });
+
+    if (!reviewer || !reviewer.isActive || !REVIEWER_ROLES.includes(reviewer.role)) {
+      throw new ApiError('Reviewer must be an active moderator or admin', 400);
+    }
+
+    if (reviewer.id === fact.createdBy && !isAdmin(reviewer)) {
+      throw new ApiError('Reviewer cannot be the author of the fact', 400);
+    }
+  }
+
+  const updated = await prisma.fact.update({
+    where: { id: factId },
+    data: {
+      reviewerId,
+      assignedAt: reviewerId ? new Date() : null,
+    },
+    include: { category: { select: factCategorySelect } },
+  });
+
+  return { before: fact, fact: updated };
+};
+
+/**
+ * Facts waiting for review, oldest submission first.
+ * assignee is 'me', 'unassigned' or a reviewer id.
+ */
+const getModerationQueue = async ({ assignee, categoryId } = {}, { page = 1, limit = 20 } = {}, actor) => {
+  const where = { moderationStatus: 'PENDING_REVIEW' };
+
+  if (assignee === 'me') {
+    where.reviewerId = actor.id;
+  } else if (assignee === 'unassigned') {
+    where.reviewerId = null;
+  } else if (assignee) {
+    where.reviewerId = assignee;
+  }
+
+  if (categoryId) {
+    where.categoryId = categoryId;
+  }
+
+  const [facts, total] = await Promise.all([
+    prisma.fact.findMany({
+      where,
+      include: {
+        category: { select: factCategorySelect },
+        reviews: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: { user: { select: reviewUserSelect } },
+        },
+      },
+      orderBy: [{ submittedAt: 'asc' }, { id: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.fact.count({ where }),
+  ]);
+
+  return { facts, total };
+};
+
+/**
+ * Moderation history of a fact, oldest first. Returns null when the fact doesn't exist.
+ */
+const getFactReviews = async (factId) => {
+  const fact = await prisma.fact.findUnique({
+    where: { id: factId },
+    select: { id: true, moderationStatus: true, reviewerId: true },
+  });
+
+  if (!fact) {
+    return null;
+  }
+
+  const reviews = await prisma.factReview.findMany({
+    where: { factId },
+    include: { user: { select: reviewUserSelect } },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return { fact, reviews };
+};
+
+module.exports = {
+  MODERATION_TRANSITIONS,
+  canTransition,
+  initialModerationStatus,
+  buildTransitionData,
+  transitionFact,
+  assignReviewer,
+  getModerationQueue,
+  getFactReviews,
+};
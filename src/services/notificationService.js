@@ -1,7 +1,85 @@
 const admin = require('firebase-admin');
 const { prisma } = require('../config/database');
+const { cache, cacheKeys } = require('../config/redis');
+const analyticsService = require('./analyticsService');
+const { getActiveTokens, pruneInvalidTokens } = require('./deviceService');
+const { deliveryUserSelect, getQuietHoursEnd } = require('./deliveryPlannerService');
 const logger = require('../utils/logger');
 
+/**
+ * Error code used when Firebase is not configured
+ */
+const FIREBASE_UNAVAILABLE = 'app/no-app';
+
+/**
+ * FCM error codes whose token will never work again
+ */
+const INVALID_TOKEN_ERRORS = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+  'messaging/mismatched-credential',
+]);
+
+/**
+ * FCM error codes for messages that will never be accepted as they are
+ */
+const PERMANENT_ERRORS = new Set([
+  FIREBASE_UNAVAILABLE,
+  'messaging/invalid-argument',
+  'messaging/invalid-payload',
+  'messaging/invalid-data-key',
+  'messaging/payload-size-limit-exceeded',
+  'messaging/invalid-package-name',
+  'messaging/invalid-apns-credentials',
+  'messaging/third-party-auth-error',
+  'messaging/authentication-error',
+  'messaging/invalid-recipient',
+]);
+
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Classify an FCM error code as 'invalid-token', 'permanent' or 'retryable'.
+ * Unknown codes (network errors, quota, FCM outages) are retried; the number
+ * of retries is bounded by the notification's maxRetries.
+ */
+const classifyFcmError = (code) => {
+  if (INVALID_TOKEN_ERRORS.has(code)) {
+    return 'invalid-token';
+  }
+
+  if (PERMANENT_ERRORS.has(code)) {
+    return 'permanent';
+  }
+
+  return 'retryable';
+};
+
+/**
+ * Delay before the next retry: exponential backoff where half of the delay is
+ * random, so notifications that failed together are not retried together
+ */
+const getRetryDelay = (retryCount, random = Math.random) => {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, retryCount), RETRY_MAX_DELAY_MS);
+  return Math.round(delay / 2 + random() * (delay / 2));
+};
+
+/**
+ * Build the result of a failed send from an FCM error
+ */
+const toFailureResult = (code, message) => {
+  const kind = classifyFcmError(code);
+
+  return {
+    success: false,
+    error: message,
+    errorCode: code || null,
+    retryable: kind === 'retryable',
+    shouldDelete: kind === 'invalid-token',
+  };
+};
+
 /**
  * Initialize Firebase Admin SDK
  */
@@ -41,7 +119,7 @@ const sendNotification = async (fcmToken, notification, data = {}) => {
   
   if (!firebaseAdmin) {
     logger.warn('Firebase not initialized, skipping notification');
-    return { success: false, error: 'Firebase not initialized' };
+    return toFailureResult(FIREBASE_UNAVAILABLE, 'Firebase not initialized');
   }
 
   try {
@@ -100,15 +178,7 @@ const sendNotification = async (fcmToken, notification, data = {}) => {
     };
   } catch (error) {
     logger.error('Failed to send push notification:', error);
-    
-    // Handle specific FCM errors
-    if (error.code === 'messaging/registration-token-not-registered') {
-      return { success: false, error: 'Token not registered', shouldDelete: true };
-    } else if (error.code === 'messaging/invalid-registration-token') {
-      return { success: false, error: 'Invalid token', shouldDelete: true };
-    }
-    
-    return { success: false, error: error.message };
+    return toFailureResult(error.code, error.message);
   }
 };
 
@@ -120,7 +190,7 @@ const sendMulticastNotification = async (fcmTokens, notification, data = {}) =>
   
   if (!firebaseAdmin || !fcmTokens.length) {
     logger.warn('Firebase not initialized or no tokens provided');
-    return { success: false, error: 'Firebase not initialized or no tokens' };
+    return toFailureResult(FIREBASE_UNAVAILABLE, 'Firebase not initialized or no tokens');
   }
 
   try {
@@ -158,7 +228,7 @@ const sendMulticastNotification = async (fcmTokens, notification, data = {}) =>
       },
     };
 
-    const response = await firebaseAdmin.messaging().sendMulticast(message);
+    const response = await firebaseAdmin.messaging().sendEachForMulticast(message);
     
     logger.info('Multicast notification sent', {
       successCount: response.successCount,
@@ -166,24 +236,43 @@ const sendMulticastNotification = async (fcmTokens, notification, data = {}) =>
       totalTokens: fcmTokens.length,
     });
 
-    // Handle failed tokens
+    // Collect dead tokens and remember why the other devices failed
     const failedTokens = [];
-    if (response.failureCount > 0) {
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success) {
-          const error = resp.error;
-          if (
-            error.code === 'messaging/registration-token-not-registered' ||
-            error.code === 'messaging/invalid-registration-token'
-          ) {
-            failedTokens.push(fcmTokens[idx]);
-          }
-        }
-      });
+    let retryableError = null;
+    let permanentError = null;
+
+    response.responses.forEach((resp, idx) => {
+      if (resp.success) {
+        return;
+      }
+
+      const kind = classifyFcmError(resp.error?.code);
+      if (kind === 'invalid-token') {
+        failedTokens.push(fcmTokens[idx]);
+      } else if (kind === 'retryable') {
+        retryableError = retryableError || resp.error;
+      } else {
+        permanentError = permanentError || resp.error;
+      }
+    });
+
+    // Delivered to at least one device counts as sent
+    if (response.successCount === 0) {
+      const error = retryableError || permanentError || response.responses[0].error;
+
+      return {
+        ...toFailureResult(error?.code, error?.message || 'All devices failed'),
+        retryable: !!retryableError,
+        shouldDelete: false,
+        successCount: 0,
+        failureCount: response.failureCount,
+        failedTokens,
+      };
     }
 
     return {
       success: true,
+      messageId: response.responses.find(resp => resp.success).messageId,
       successCount: response.successCount,
       failureCount: response.failureCount,
       failedTokens,
@@ -191,94 +280,263 @@ const sendMulticastNotification = async (fcmTokens, notification, data = {}) =>
     };
   } catch (error) {
     logger.error('Failed to send multicast notification:', error);
-    return { success: false, error: error.message };
+    return toFailureResult(error.code, error.message);
   }
 };
 
 /**
- * Send daily fact notification to user
+ * Send to one or many devices and deactivate the tokens FCM rejected
  */
-const sendDailyFactNotification = async (userId, fact) => {
-  try {
-    // Get user's FCM tokens from active sessions
-    const userSessions = await prisma.userSession.findMany({
-      where: {
-        userId,
-        isActive: true,
-        expiresAt: { gt: new Date() },
-      },
-      select: {
-        deviceId: true,
-        // Note: FCM tokens would typically be stored in sessions or separate device table
+const deliverToTokens = async (fcmTokens, notification, data) => {
+  const result = fcmTokens.length === 1
+    ? await sendNotification(fcmTokens[0], notification, data)
+    : await sendMulticastNotification(fcmTokens, notification, data);
+
+  const invalidTokens = result.failedTokens || (result.shouldDelete ? fcmTokens : []);
+  if (invalidTokens.length > 0) {
+    await pruneInvalidTokens(invalidTokens);
+  }
+
+  return result;
+};
+
+/**
+ * Store the outcome of a send attempt.
+ * Transient failures get a retry scheduled while retries remain.
+ */
+const recordSendResult = async (notificationRecord, result) => {
+  if (result.success) {
+    return prisma.notification.update({
+      where: { id: notificationRecord.id },
+      data: {
+        status: 'SENT',
+        sentAt: new Date(),
+        retryCount: notificationRecord.retryCount,
+        nextRetryAt: null,
+        fcmMessageId: result.messageId || null,
+        fcmResponse: JSON.stringify(result),
+        errorMessage: null,
+        errorCode: null,
       },
     });
+  }
 
-    // For this example, we'll assume FCM tokens are stored elsewhere or passed in
-    // In a real implementation, you'd have a separate device tokens table
-    const fcmTokens = []; // This should be populated from actual device tokens
+  const canRetry = result.retryable && notificationRecord.retryCount < notificationRecord.maxRetries;
+
+  return prisma.notification.update({
+    where: { id: notificationRecord.id },
+    data: {
+      status: 'FAILED',
+      retryCount: notificationRecord.retryCount,
+      nextRetryAt: canRetry ? new Date(Date.now() + getRetryDelay(notificationRecord.retryCount)) : null,
+      fcmResponse: JSON.stringify(result),
+      errorMessage: result.error || null,
+      errorCode: result.errorCode || null,
+    },
+  });
+};
+
+/**
+ * Send daily fact notification to user
+ *
+ * When a scheduled notification record is passed it is filled in and updated,
+ * otherwise a new record is created.
+ */
+const sendDailyFactNotification = async (userId, fact, scheduledNotification = null) => {
+  try {
+    // Get user's registered push tokens
+    const fcmTokens = await getActiveTokens(userId);
 
     if (fcmTokens.length === 0) {
       logger.info('No FCM tokens found for user', { userId });
+      if (scheduledNotification) {
+        await cancelNotification(scheduledNotification.id, 'No FCM tokens');
+      }
       return { success: false, error: 'No FCM tokens' };
     }
 
     const notification = {
       title: 'Daily Fact Ready! 🧠',
       body: fact.shortContent || fact.title,
-      imageUrl: fact.imageUrl,
+      // Notification-size derivative of uploaded images, keeping push payloads small
+      imageUrl: fact.images?.notification?.url || fact.imageUrl,
+    };
+
+    const notificationData = {
+      userId,
+      factId: fact.id,
+      title: notification.title,
+      body: notification.body,
+      imageUrl: notification.imageUrl,
+      // Claimed until the result is recorded, so the dispatcher never picks it up
+      status: 'SENDING',
     };
 
+    // Create or fill in the notification record
+    const notificationRecord = scheduledNotification
+      ? await prisma.notification.update({
+        where: { id: scheduledNotification.id },
+        data: notificationData,
+      })
+      : await prisma.notification.create({
+        data: { ...notificationData, scheduledFor: new Date() },
+      });
+
+    // The app reports delivery and opens back with the notification ID
     const data = {
       type: 'daily_fact',
+      notificationId: notificationRecord.id,
       factId: fact.id,
       categoryId: fact.categoryId,
     };
 
-    // Create notification record
-    const notificationRecord = await prisma.notification.create({
-      data: {
-        userId,
-        factId: fact.id,
-        title: notification.title,
-        body: notification.body,
-        imageUrl: notification.imageUrl,
-        status: 'PENDING',
-        scheduledFor: new Date(),
-      },
-    });
+    const result = await deliverToTokens(fcmTokens, notification, data);
+    await recordSendResult(notificationRecord, result);
 
-    let result;
-    if (fcmTokens.length === 1) {
-      result = await sendNotification(fcmTokens[0], notification, data);
-    } else {
-      result = await sendMulticastNotification(fcmTokens, notification, data);
-    }
+    return result;
+  } catch (error) {
+    logger.error('Error sending daily fact notification:', error);
+    throw error;
+  }
+};
 
-    // Update notification record
-    await prisma.notification.update({
-      where: { id: notificationRecord.id },
+/**
+ * Cancel a pending notification
+ */
+const cancelNotification = async (notificationId, reason = null) => prisma.notification.update({
+  where: { id: notificationId },
+  data: {
+    status: 'CANCELLED',
+    errorMessage: reason,
+  },
+});
+
+/**
+ * Fields returned to the app when it reports delivery or opens
+ */
+const trackingSelect = {
+  id: true,
+  factId: true,
+  status: true,
+  sentAt: true,
+  deliveredAt: true,
+  openedAt: true,
+};
+
+/**
+ * Reflect a delivered or opened notification on the user's fact interaction.
+ * Returns true when the fact was viewed for the first time.
+ */
+const updateLinkedUserFact = async (notification, opened, at) => {
+  const userFactKey = { userId_factId: { userId: notification.userId, factId: notification.factId } };
+  const existing = await prisma.userFact.findUnique({ where: userFactKey });
+  const firstView = opened && !existing?.isViewed;
+
+  const data = {
+    deliveryStatus: opened || existing?.deliveryStatus === 'OPENED' ? 'OPENED' : 'DELIVERED',
+    deliveredAt: existing?.deliveredAt || at,
+    ...(firstView && { isViewed: true, viewedAt: at }),
+  };
+
+  await prisma.userFact.upsert({
+    where: userFactKey,
+    update: data,
+    create: { userId: notification.userId, factId: notification.factId, ...data },
+  });
+
+  // Keep counters in line with viewing the fact in the app
+  if (firstView) {
+    await prisma.fact.update({
+      where: { id: notification.factId },
+      data: { viewCount: { increment: 1 } },
+    });
+
+    await prisma.user.update({
+      where: { id: notification.userId },
       data: {
-        status: result.success ? 'SENT' : 'FAILED',
-        sentAt: result.success ? new Date() : null,
-        fcmMessageId: result.messageId || null,
-        fcmResponse: JSON.stringify(result),
-        errorMessage: result.error || null,
+        totalFactsViewed: { increment: 1 },
+        lastActiveDate: at,
       },
     });
 
-    // Clean up invalid tokens if any
-    if (result.failedTokens?.length > 0) {
-      // Here you would remove invalid tokens from your device tokens table
-      logger.info('Cleaning up invalid FCM tokens', {
-        count: result.failedTokens.length,
-      });
+    await cache.del(cacheKeys.factDetails(notification.factId));
+    await cache.del(cacheKeys.userStats(notification.userId));
+  }
+
+  return firstView;
+};
+
+/**
+ * Record that a notification reached the user's device.
+ * Returns null when the user does not own the notification; repeated calls are no-ops.
+ */
+const markNotificationDelivered = async (userId, notificationId) => {
+  const notification = await prisma.notification.findFirst({
+    where: { id: notificationId, userId },
+  });
+
+  if (!notification) {
+    return null;
+  }
+
+  const deliveredAt = new Date();
+
+  // Opening sets deliveredAt too, so this never downgrades an opened notification
+  const { count } = await prisma.notification.updateMany({
+    where: { id: notificationId, deliveredAt: null },
+    data: { status: 'DELIVERED', deliveredAt },
+  });
+
+  if (count > 0 && notification.factId) {
+    await updateLinkedUserFact(notification, false, deliveredAt);
+  }
+
+  return prisma.notification.findUnique({
+    where: { id: notificationId },
+    select: trackingSelect,
+  });
+};
+
+/**
+ * Record that the user opened a notification.
+ * Returns null when the user does not own the notification; repeated calls are no-ops.
+ */
+const markNotificationOpened = async (userId, notificationId, context = {}) => {
+  const notification = await prisma.notification.findFirst({
+    where: { id: notificationId, userId },
+  });
+
+  if (!notification) {
+    return null;
+  }
+
+  const openedAt = new Date();
+
+  const { count } = await prisma.notification.updateMany({
+    where: { id: notificationId, openedAt: null },
+    data: {
+      status: 'OPENED',
+      openedAt,
+      deliveredAt: notification.deliveredAt || openedAt,
+      readAt: notification.readAt || openedAt,
+    },
+  });
+
+  if (count > 0) {
+    if (notification.factId) {
+      await updateLinkedUserFact(notification, true, openedAt);
     }
 
-    return result;
-  } catch (error) {
-    logger.error('Error sending daily fact notification:', error);
-    throw error;
+    await analyticsService.trackNotification(userId, notificationId, 'opened', {
+      factId: notification.factId,
+      deliveryTime: notification.sentAt ? openedAt.getTime() - notification.sentAt.getTime() : null,
+    }, context);
   }
+
+  return prisma.notification.findUnique({
+    where: { id: notificationId },
+    select: trackingSelect,
+  });
 };
 
 /**
@@ -289,7 +547,7 @@ const sendTopicNotification = async (topic, notification, data = {}) => {
   
   if (!firebaseAdmin) {
     logger.warn('Firebase not initialized, skipping topic notification');
-    return { success: false, error: 'Firebase not initialized' };
+    return toFailureResult(FIREBASE_UNAVAILABLE, 'Firebase not initialized');
   }
 
   try {
@@ -339,119 +597,224 @@ const sendTopicNotification = async (topic, notification, data = {}) => {
     };
   } catch (error) {
     logger.error('Failed to send topic notification:', error);
-    return { success: false, error: error.message };
+    return toFailureResult(error.code, error.message);
   }
 };
 
 /**
- * Subscribe device to topic
+ * Subscribe or unsubscribe tokens from a topic.
+ * FCM reports failures per token; dead tokens are returned separately since
+ * they can never be (un)subscribed.
  */
-const subscribeToTopic = async (fcmToken, topic) => {
+const manageTopicSubscription = async (method, fcmTokens, topic) => {
+  const tokens = Array.isArray(fcmTokens) ? fcmTokens : [fcmTokens];
   const firebaseAdmin = initializeFirebase();
-  
+
   if (!firebaseAdmin) {
-    return { success: false, error: 'Firebase not initialized' };
+    return {
+      ...toFailureResult(FIREBASE_UNAVAILABLE, 'Firebase not initialized'),
+      successCount: 0,
+      failedTokens: tokens,
+      invalidTokens: [],
+    };
   }
 
   try {
-    await firebaseAdmin.messaging().subscribeToTopic([fcmToken], topic);
-    logger.info('Device subscribed to topic', { topic });
-    return { success: true };
+    const response = await firebaseAdmin.messaging()[method](tokens, topic);
+    const failedTokens = [];
+    const invalidTokens = [];
+
+    for (const { index, error } of response.errors) {
+      if (classifyFcmError(error.code) === 'invalid-token') {
+        invalidTokens.push(tokens[index]);
+      } else {
+        failedTokens.push(tokens[index]);
+      }
+    }
+
+    logger.info(`Topic ${method} completed`, {
+      topic,
+      successCount: response.successCount,
+      failureCount: response.failureCount,
+    });
+
+    return {
+      success: failedTokens.length === 0,
+      successCount: response.successCount,
+      failedTokens,
+      invalidTokens,
+    };
   } catch (error) {
-    logger.error('Failed to subscribe to topic:', error);
-    return { success: false, error: error.message };
+    logger.error(`Failed to ${method}:`, error);
+    return {
+      ...toFailureResult(error.code, error.message),
+      successCount: 0,
+      failedTokens: tokens,
+      invalidTokens: [],
+    };
   }
 };
 
 /**
- * Unsubscribe device from topic
+ * Subscribe one or more devices to a topic
  */
-const unsubscribeFromTopic = async (fcmToken, topic) => {
-  const firebaseAdmin = initializeFirebase();
-  
-  if (!firebaseAdmin) {
-    return { success: false, error: 'Firebase not initialized' };
+const subscribeToTopic = async (fcmTokens, topic) => manageTopicSubscription('subscribeToTopic', fcmTokens, topic);
+
+/**
+ * Unsubscribe one or more devices from a topic
+ */
+const unsubscribeFromTopic = async (fcmTokens, topic) => manageTopicSubscription('unsubscribeFromTopic', fcmTokens, topic);
+
+/**
+ * Data payload for a stored notification
+ */
+const getNotificationData = async (notification) => {
+  if (notification.campaignId) {
+    return {
+      type: 'campaign',
+      notificationId: notification.id,
+      campaignId: notification.campaignId,
+      ...(notification.factId && { factId: notification.factId }),
+    };
   }
 
-  try {
-    await firebaseAdmin.messaging().unsubscribeFromTopic([fcmToken], topic);
-    logger.info('Device unsubscribed from topic', { topic });
-    return { success: true };
-  } catch (error) {
-    logger.error('Failed to unsubscribe from topic:', error);
-    return { success: false, error: error.message };
+  if (!notification.factId) {
+    return { notificationId: notification.id };
+  }
+
+  const fact = await prisma.fact.findUnique({
+    where: { id: notification.factId },
+    select: { categoryId: true },
+  });
+
+  return {
+    type: 'daily_fact',
+    notificationId: notification.id,
+    factId: notification.factId,
+    ...(fact && { categoryId: fact.categoryId }),
+  };
+};
+
+/**
+ * Resend a failed notification to the user's current devices
+ */
+const retryNotification = async (notification) => {
+  const { user } = notification;
+
+  if (!user.isActive || !user.notificationsEnabled) {
+    await cancelNotification(notification.id, 'Notifications disabled');
+    return 'cancelled';
+  }
+
+  // Retried once the user's quiet hours are over
+  const quietHoursEnd = getQuietHoursEnd(user);
+  if (quietHoursEnd) {
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { nextRetryAt: quietHoursEnd },
+    });
+    return 'postponed';
   }
+
+  const fcmTokens = await getActiveTokens(user.id);
+  if (fcmTokens.length === 0) {
+    await cancelNotification(notification.id, 'No FCM tokens');
+    return 'cancelled';
+  }
+
+  const result = await deliverToTokens(fcmTokens, {
+    title: notification.title,
+    body: notification.body,
+    imageUrl: notification.imageUrl,
+  }, await getNotificationData(notification));
+
+  await recordSendResult({ ...notification, retryCount: notification.retryCount + 1 }, result);
+
+  return result.success ? 'sent' : 'failed';
 };
 
 /**
- * Retry failed notifications
+ * Retry failed notifications that are due
  */
-const retryFailedNotifications = async () => {
+const retryFailedNotifications = async (batchSize = 50) => {
   try {
     const failedNotifications = await prisma.notification.findMany({
       where: {
         status: 'FAILED',
-        retryCount: { lt: 3 },
         nextRetryAt: { lte: new Date() },
+        retryCount: { lt: prisma.notification.fields.maxRetries },
       },
       include: {
-        user: {
-          select: {
-            id: true,
-            notificationsEnabled: true,
-          },
-        },
+        user: { select: deliveryUserSelect },
       },
-      take: 50, // Limit batch size
+      orderBy: { nextRetryAt: 'asc' },
+      take: batchSize,
     });
 
-    logger.info('Retrying failed notifications', {
-      count: failedNotifications.length,
-    });
+    const stats = { processed: failedNotifications.length, sent: 0, failed: 0, cancelled: 0, postponed: 0 };
 
     for (const notification of failedNotifications) {
-      if (!notification.user.notificationsEnabled) {
-        // Mark as cancelled if user disabled notifications
-        await prisma.notification.update({
-          where: { id: notification.id },
-          data: { status: 'CANCELLED' },
-        });
-        continue;
-      }
-
       try {
-        // Retry the notification (simplified - you'd need FCM tokens)
-        // const result = await sendNotification(fcmToken, {
-        //   title: notification.title,
-        //   body: notification.body,
-        //   imageUrl: notification.imageUrl,
-        // });
-
-        // Update retry count and next retry time
-        const nextRetryAt = new Date();
-        nextRetryAt.setMinutes(nextRetryAt.getMinutes() + Math.pow(2, notification.retryCount + 1) * 5); // Exponential backoff
-
-        await prisma.notification.update({
-          where: { id: notification.id },
-          data: {
-            retryCount: { increment: 1 },
-            nextRetryAt,
-            // status: result.success ? 'SENT' : 'FAILED',
-            // sentAt: result.success ? new Date() : null,
-          },
-        });
+        stats[await retryNotification(notification)]++;
       } catch (error) {
-        logger.error('Error retrying notification:', error);
+        logger.error(`Error retrying notification ${notification.id}:`, error);
+        stats.failed++;
       }
     }
 
-    return { processed: failedNotifications.length };
+    if (stats.processed > 0) {
+      logger.info('Retried failed notifications', stats);
+    }
+
+    return stats;
   } catch (error) {
     logger.error('Error in retry failed notifications:', error);
     throw error;
   }
 };
 
+/**
+ * Retry pipeline statistics for the admin metrics
+ */
+const getRetryStats = async (hours = 24) => {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const [awaitingRetry, recovered, failedPermanently, errorCodes] = await Promise.all([
+    prisma.notification.count({
+      where: { status: 'FAILED', nextRetryAt: { not: null } },
+    }),
+    prisma.notification.count({
+      where: {
+        status: { in: ['SENT', 'DELIVERED', 'OPENED'] },
+        retryCount: { gt: 0 },
+        sentAt: { gte: since },
+      },
+    }),
+    prisma.notification.count({
+      where: { status: 'FAILED', nextRetryAt: null, updatedAt: { gte: since } },
+    }),
+    prisma.notification.groupBy({
+      by: ['errorCode'],
+      where: { status: 'FAILED', updatedAt: { gte: since } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  return {
+    periodHours: hours,
+    awaitingRetry,
+    recovered,
+    failedPermanently,
+    errorCodes: errorCodes
+      .map(group => ({
+        errorCode: group.errorCode || 'unknown',
+        classification: group.errorCode ? classifyFcmError(group.errorCode) : null,
+        count: group._count._all,
+      }))
+      .sort((a, b) => b.count - a.count),
+  };
+};
+
 /**
  * Clean up old notifications
  */
@@ -476,13 +839,22 @@ const cleanupOldNotifications = async (daysToKeep = 30) => {
 };
 
 module.exports = {
+  classifyFcmError,
+  getRetryDelay,
   initializeFirebase,
   sendNotification,
   sendMulticastNotification,
   sendDailyFactNotification,
+  deliverToTokens,
+  recordSendResult,
+  getNotificationData,
+  cancelNotification,
+  markNotificationDelivered,
+  markNotificationOpened,
   sendTopicNotification,
   subscribeToTopic,
   unsubscribeFromTopic,
   retryFailedNotifications,
+  getRetryStats,
   cleanupOldNotifications,
 };
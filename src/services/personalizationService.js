@@ -341,9 +341,11 @@ class PersonalizationService {
   async getFactCandidates(userId, options) {
     const {
       excludeViewed = true,
+      excludeIds = [],
       difficultyOverride = null,
       categoryFilters = [],
       limit = 30,
+      include,
     } = options;
 
     const whereClause = {
@@ -352,18 +354,18 @@ class PersonalizationService {
       publishedAt: { lte: new Date() },
     };
 
-    // Exclude viewed facts if requested
+    // Exclude viewed facts if requested, in the query rather than by listing
+    // every fact the user ever viewed
     if (excludeViewed) {
-      const viewedFactIds = await prisma.userFact.findMany({
-        where: { userId, isViewed: true },
-        select: { factId: true },
-      });
+      whereClause.userFacts = {
+        none: { userId, isViewed: true },
+      };
+    }
 
-      if (viewedFactIds.length > 0) {
-        whereClause.id = {
-          notIn: viewedFactIds.map(uf => uf.factId),
-        };
-      }
+    if (excludeIds.length > 0) {
+      whereClause.id = {
+        notIn: excludeIds,
+      };
     }
 
     // Apply difficulty filter
@@ -378,6 +380,7 @@ class PersonalizationService {
 
     return await prisma.fact.findMany({
       where: whereClause,
+      ...(include && { include }),
       take: limit,
       orderBy: [
         { isFeatured: 'desc' },
@@ -462,6 +465,7 @@ class PersonalizationService {
           fact: {
             isApproved: true,
             isActive: true,
+            publishedAt: { lte: new Date() },
           },
         },
         include: { fact: true },
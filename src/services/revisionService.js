@@ -0,0 +1,240 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { buildTransitionData } = require('./moderationService');
+const configService = require('./configService');
+const { storage } = require('../config/storage');
+
+const ADMIN_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+
+/**
+ * Fact fields kept in every revision
+ */
+const REVISION_FIELDS = [
+  'title',
+  'content',
+  'shortContent',
+  'source',
+  'sourceUrl',
+  'imageUrl',
+  'videoUrl',
+  'categoryId',
+  'difficulty',
+  'tags',
+  'language',
+];
+
+/**
+ * Fields whose change sends an approved fact back for review
+ */
+const CONTENT_FIELDS = ['title', 'content', 'shortContent', 'source', 'sourceUrl'];
+
+const factCategorySelect = {
+  id: true,
+  name: true,
+  icon: true,
+  color: true,
+};
+
+const revisionUserSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Revision fields of a fact (or of a revision)
+ */
+const snapshotFact = (fact) => Object.fromEntries(REVISION_FIELDS.map(field => [field, fact[field] ?? null]));
+
+/**
+ * Field-level changes between two snapshots; a missing previous snapshot lists every set field
+ */
+const diffSnapshots = (before, after) => REVISION_FIELDS
+  .filter(field => !isSameValue(before && before[field], after[field]))
+  .map(field => ({
+    field,
+    before: before ? before[field] ?? null : null,
+    after: after[field] ?? null,
+  }));
+
+/**
+ * Whether an update has to go through review again: moderators changing the
+ * content of an approved fact while approval is required
+ */
+const needsReapproval = async (fact, data, actor) => {
+  if (fact.moderationStatus !== 'APPROVED' || ADMIN_ROLES.includes(actor.role)) {
+    return false;
+  }
+
+  const contentChanged = CONTENT_FIELDS.some(field => field in data && !isSameValue(fact[field], data[field]));
+
+  return contentChanged && configService.getConfigValue('fact_approval_required');
+};
+
+/**
+ * Update a fact and record a revision when its content changed.
+ * Returns the updated fact and whether it went back to review.
+ *
+ * The fact row stays locked until the transaction commits, so concurrent
+ * edits number their revisions one after the other instead of both taking
+ * the next version.
+ */
+const updateFactWithRevision = async (fact, data, actor, { restoredFrom = null } = {}) => {
+  const reapproval = await needsReapproval(fact, data, actor);
+
+  // Image derivatives belong to the upload they were made from
+  const imageReplaced = data.imageUrl !== undefined && data.imageUrl !== fact.imageUrl && data.images === undefined;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM "facts" WHERE id = ${fact.id} FOR UPDATE`;
+
+    const latest = await tx.factRevision.findFirst({
+      where: { factId: fact.id },
+      orderBy: { version: 'desc' },
+    });
+
+    let version = latest ? latest.version : 0;
+
+    // Facts created before revisions were kept get their current state recorded first
+    if (!latest) {
+      version = 1;
+      await tx.factRevision.create({
+        data: { factId: fact.id, version, ...snapshotFact(fact) },
+      });
+    }
+
+    const result = await tx.fact.update({
+      where: { id: fact.id },
+      data: {
+        ...data,
+        ...(imageReplaced && { images: Prisma.DbNull }),
+        ...(reapproval && buildTransitionData(fact, 'PENDING_REVIEW', actor.id)),
+      },
+      include: { category: { select: factCategorySelect } },
+    });
+
+    const snapshot = snapshotFact(result);
+
+    if (diffSnapshots(snapshotFact(latest || fact), snapshot).length > 0) {
+      await tx.factRevision.create({
+        data: {
+          factId: fact.id,
+          version: version + 1,
+          userId: actor.id,
+          restoredFrom,
+          ...snapshot,
+        },
+      });
+    }
+
+    if (reapproval) {
+      await tx.factReview.create({
+        data: {
+          factId: fact.id,
+          userId: actor.id,
+          fromStatus: 'APPROVED',
+          toStatus: 'PENDING_REVIEW',
+          note: restoredFrom ? `Restored revision ${restoredFrom}` : 'Content changed after approval',
+        },
+      });
+    }
+
+    return result;
+  }).catch((error) => {
+    if (error.code === 'P2002') {
+      throw new ApiError('Fact was changed by another edit, please retry', 409);
+    }
+    throw error;
+  });
+
+  return { fact: updated, reapproval };
+};
+
+/**
+ * Revisions of a fact, newest first, each with its changes from the previous one.
+ * Returns null when the fact doesn't exist.
+ */
+const getRevisions = async (factId, { page = 1, limit = 20 } = {}) => {
+  const fact = await prisma.fact.findUnique({
+    where: { id: factId },
+    select: { id: true },
+  });
+
+  if (!fact) {
+    return null;
+  }
+
+  const [rows, total] = await Promise.all([
+    prisma.factRevision.findMany({
+      where: { factId },
+      include: { user: { select: revisionUserSelect } },
+      orderBy: { version: 'desc' },
+      skip: (page - 1) * limit,
+      // One extra row to diff the last revision of the page against
+      take: limit + 1,
+    }),
+    prisma.factRevision.count({ where: { factId } }),
+  ]);
+
+  const revisions = rows.slice(0, limit).map((revision, index) => ({
+    ...revision,
+    changes: diffSnapshots(rows[index + 1] ? snapshotFact(rows[index + 1]) : null, snapshotFact(revision)),
+  }));
+
+  return { revisions, total };
+};
+
+/**
+ * Bring a fact back to the content of one of its revisions, as a new revision.
+ * Returns null when the fact or revision doesn't exist.
+ */
+const restoreRevision = async (factId, revisionId, actor) => {
+  const [fact, revision] = await Promise.all([
+    prisma.fact.findUnique({ where: { id: factId } }),
+    prisma.factRevision.findFirst({ where: { id: revisionId, factId } }),
+  ]);
+
+  if (!fact || !revision) {
+    return null;
+  }
+
+  if (fact.moderationStatus === 'ARCHIVED') {
+    throw new ApiError('Restore the archived fact before restoring one of its revisions', 409);
+  }
+
+  const category = await prisma.category.findUnique({
+    where: { id: revision.categoryId, isActive: true },
+  });
+
+  if (!category) {
+    throw new ApiError('The category of this revision no longer exists', 409);
+  }
+
+  // Uploaded media replaced since this revision has been deleted from storage
+  const snapshot = snapshotFact(revision);
+  for (const field of ['imageUrl', 'videoUrl']) {
+    const key = storage.keyFromUrl(snapshot[field]);
+    if (key && !(await storage.stat(key))) {
+      snapshot[field] = null;
+    }
+  }
+
+  const result = await updateFactWithRevision(fact, snapshot, actor, {
+    restoredFrom: revision.version,
+  });
+
+  return { before: fact, revision, ...result };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotFact,
+  diffSnapshots,
+  updateFactWithRevision,
+  getRevisions,
+  restoreRevision,
+};
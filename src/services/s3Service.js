@@ -68,6 +68,13 @@ class S3Service {
     return `${prefix}/${timestamp}-${uuid}${extension}`;
   }
 
+  /**
+   * Public URL of an object
+   */
+  getFileUrl(key) {
+    return `https://${this.bucketName}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${key}`;
+  }
+
   /**
    * Validate file type and size
    */
@@ -101,7 +108,7 @@ class S3Service {
 
       this.validateFile(file, options.type || 'image');
 
-      const key = this.generateFileName(file.originalname, prefix);
+      const key = options.key || this.generateFileName(file.originalname, prefix);
       
       const uploadParams = {
         Bucket: this.bucketName,
@@ -221,6 +228,29 @@ class S3Service {
     }
   }
 
+  /**
+   * Download file contents
+   */
+  async downloadFile(key) {
+    try {
+      if (!this.isConfigured()) {
+        throw new ApiError('S3 not configured', 500);
+      }
+
+      const result = await this.s3.getObject({ Bucket: this.bucketName, Key: key }).promise();
+      return result.Body;
+    } catch (error) {
+      logger.error('Error downloading file from S3:', error, { key });
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      if (error.statusCode === 404) {
+        throw new ApiError('File not found', 404);
+      }
+      throw new ApiError('Failed to download file', 500);
+    }
+  }
+
   /**
    * Get file metadata
    */
@@ -282,6 +312,39 @@ class S3Service {
     }
   }
 
+  /**
+   * Generate presigned URL for uploading an object straight to S3
+   */
+  async generateUploadUrl(key, contentType, expiresIn = 900) {
+    try {
+      if (!this.isConfigured()) {
+        throw new ApiError('S3 not configured', 500);
+      }
+
+      const params = {
+        Bucket: this.bucketName,
+        Key: key,
+        ContentType: contentType,
+        ACL: 'public-read',
+        Expires: expiresIn,
+      };
+
+      const url = await this.s3.getSignedUrlPromise('putObject', params);
+
+      return {
+        url,
+        expiresIn,
+        expiresAt: new Date(Date.now() + expiresIn * 1000),
+      };
+    } catch (error) {
+      logger.error('Error generating presigned upload URL:', error, { key });
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw new ApiError('Failed to generate upload URL', 500);
+    }
+  }
+
   /**
    * Copy file within S3
    */
@@ -305,7 +368,7 @@ class S3Service {
       
       return {
         key: destinationKey,
-        url: `https://${this.bucketName}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${destinationKey}`,
+        url: this.getFileUrl(destinationKey),
         etag: result.CopyObjectResult.ETag,
       };
     } catch (error) {
@@ -337,7 +400,7 @@ class S3Service {
           size: file.Size,
           lastModified: file.LastModified,
           etag: file.ETag,
-          url: `https://${this.bucketName}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${file.Key}`,
+          url: this.getFileUrl(file.Key),
         })),
         isTruncated: result.IsTruncated,
         nextContinuationToken: result.NextContinuationToken,
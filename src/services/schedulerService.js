@@ -1,50 +1,147 @@
 const cron = require('node-cron');
-const moment = require('moment-timezone');
 const { prisma } = require('../config/database');
-const { sendDailyFactNotification, retryFailedNotifications, cleanupOldNotifications } = require('./notificationService');
+const { sendDailyFactNotification, cancelNotification, retryFailedNotifications, cleanupOldNotifications } = require('./notificationService');
+const {
+  planDeliveries,
+  planUserDelivery,
+  getDueNotifications,
+  claimNotification,
+  failInterruptedSends,
+  getLocalDayRange,
+  isWithinQuietHours,
+} = require('./deliveryPlannerService');
+const { processOutbox, cleanupOldEmails } = require('./emailService');
+const { processDueCampaigns } = require('./campaignService');
+const { reconcileTopicSubscriptions } = require('./topicService');
+const { refreshLexicon } = require('./searchService');
+const { getConfigValue } = require('./configService');
+const {
+  workerId,
+  enqueueRun,
+  claimNextRun,
+  extendLock,
+  completeRun,
+  failRun,
+  recoverStaleRuns,
+  getJobStates,
+  isJobPaused,
+  setJobPaused,
+  getLatestRuns,
+  cleanupJobRuns,
+} = require('./jobQueueService');
 const { cleanupExpiredSessions } = require('../utils/jwt');
 const logger = require('../utils/logger');
 
 /**
- * Scheduler service for managing cron jobs
+ * Scheduler service for recurring jobs
+ *
+ * Every instance runs the same cron triggers, but a trigger only queues a run
+ * (see jobQueueService). Runs live in the database, so each one is executed by
+ * exactly one instance, retried with backoff and kept as history.
  */
 class SchedulerService {
   constructor() {
     this.jobs = new Map();
+    this.definitions = new Map();
+    this.activeRuns = new Map();
     this.isRunning = false;
+    this.isProcessing = false;
+    this.isDispatching = false;
+    this.pollTimer = null;
+
+    // How often idle workers look for queued runs
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+
+    // Scheduled notifications older than this are skipped instead of sent late
+    this.maxDispatchDelayMinutes = 60;
+
+    this.registerJobs();
   }
 
   /**
-   * Start all scheduled jobs
+   * Register all recurring jobs.
+   * Definitions exist on every instance so jobs can be listed and triggered
+   * from the API even where the scheduler isn't started.
    */
-  start() {
-    if (this.isRunning) {
-      logger.warn('Scheduler already running');
-      return;
-    }
+  registerJobs() {
+    // Plan upcoming daily fact deliveries - runs every hour
+    this.defineJob('daily-facts-distribution', '0 * * * *', this.distributeDailyFacts.bind(this), { timeoutMinutes: 30 });
 
-    logger.info('Starting scheduler service');
-    this.isRunning = true;
+    // Send scheduled notifications that are due - runs every minute
+    this.defineJob('dispatch-scheduled-notifications', '* * * * *', this.dispatchScheduledNotifications.bind(this), { maxAttempts: 1 });
+
+    // Send broadcast campaigns that are due - runs every minute
+    this.defineJob('send-campaigns', '* * * * *', this.sendDueCampaigns.bind(this), { timeoutMinutes: 60 });
 
-    // Daily fact distribution job - runs every hour
-    this.scheduleJob('daily-facts-distribution', '0 * * * *', this.distributeDailyFacts.bind(this));
+    // Retry failed notifications - runs every 5 minutes
+    this.defineJob('retry-failed-notifications', '*/5 * * * *', this.retryFailedNotifications.bind(this));
 
-    // Retry failed notifications - runs every 15 minutes
-    this.scheduleJob('retry-failed-notifications', '*/15 * * * *', this.retryFailedNotifications.bind(this));
+    // Retry pending emails from the outbox - runs every 5 minutes
+    this.defineJob('process-email-outbox', '*/5 * * * *', this.processEmailOutbox.bind(this), { maxAttempts: 1 });
+
+    // Repair drift between category preferences and FCM topics - runs every hour
+    this.defineJob('reconcile-topic-subscriptions', '30 * * * *', () => reconcileTopicSubscriptions(), { timeoutMinutes: 30 });
+
+    // Rebuild the search spelling correction lexicon - runs every hour
+    this.defineJob('refresh-search-lexicon', '45 * * * *', () => refreshLexicon(), { timeoutMinutes: 30 });
 
     // Cleanup expired sessions - runs every hour
-    this.scheduleJob('cleanup-expired-sessions', '0 * * * *', this.cleanupExpiredSessions.bind(this));
+    this.defineJob('cleanup-expired-sessions', '0 * * * *', this.cleanupExpiredSessions.bind(this));
 
     // Cleanup old notifications - runs daily at 2 AM
-    this.scheduleJob('cleanup-old-notifications', '0 2 * * *', this.cleanupOldNotifications.bind(this));
+    this.defineJob('cleanup-old-notifications', '0 2 * * *', this.cleanupOldNotifications.bind(this));
+
+    // Cleanup old job run history - runs daily at 4 AM
+    this.defineJob('cleanup-job-runs', '0 4 * * *', () => cleanupJobRuns(14));
+
+    // Cleanup delivered and dropped emails - runs daily at 4:30 AM
+    this.defineJob('cleanup-old-emails', '30 4 * * *', () => cleanupOldEmails(30));
 
     // Update user streaks - runs daily at 1 AM
-    this.scheduleJob('update-user-streaks', '0 1 * * *', this.updateUserStreaks.bind(this));
+    this.defineJob('update-user-streaks', '0 1 * * *', this.updateUserStreaks.bind(this), { timeoutMinutes: 30 });
 
     // Generate analytics snapshots - runs daily at 3 AM
-    this.scheduleJob('generate-analytics', '0 3 * * *', this.generateDailyAnalytics.bind(this));
+    this.defineJob('generate-analytics', '0 3 * * *', this.generateDailyAnalytics.bind(this));
+  }
+
+  /**
+   * Define a recurring job
+   */
+  defineJob(name, cronExpression, handler, options = {}) {
+    this.definitions.set(name, {
+      name,
+      cronExpression,
+      handler,
+      maxAttempts: options.maxAttempts || 3,
+      timeoutMs: (options.timeoutMinutes || 10) * 60 * 1000,
+    });
+  }
+
+  /**
+   * Start all scheduled jobs
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Scheduler already running');
+      return;
+    }
+
+    logger.info('Starting scheduler service', { workerId });
+    this.isRunning = true;
+
+    for (const definition of this.definitions.values()) {
+      this.scheduleJob(definition);
+    }
+
+    this.pollTimer = setInterval(() => this.processQueue(), this.pollIntervalMs);
+    this.pollTimer.unref();
 
     logger.info('All scheduled jobs started successfully');
+
+    // Plan right away instead of waiting for the first hourly run
+    this.triggerJob('daily-facts-distribution').catch(error => {
+      logger.error('Failed to queue initial daily facts distribution:', error);
+    });
   }
 
   /**
@@ -59,19 +156,21 @@ class SchedulerService {
     logger.info('Stopping scheduler service');
     
     for (const [name, task] of this.jobs) {
-      task.destroy();
+      task.stop();
       logger.info(`Stopped job: ${name}`);
     }
 
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
     this.jobs.clear();
     this.isRunning = false;
     logger.info('All scheduled jobs stopped');
   }
 
   /**
-   * Schedule a new job
+   * Start the cron trigger that queues runs of a job
    */
-  scheduleJob(name, cronExpression, handler) {
+  scheduleJob({ name, cronExpression, maxAttempts }) {
     try {
       if (this.jobs.has(name)) {
         logger.warn(`Job ${name} already exists, skipping`);
@@ -79,15 +178,21 @@ class SchedulerService {
       }
 
       const task = cron.schedule(cronExpression, async () => {
-        const startTime = Date.now();
-        logger.info(`Starting scheduled job: ${name}`);
-
         try {
-          await handler();
-          const duration = Date.now() - startTime;
-          logger.info(`Completed scheduled job: ${name} in ${duration}ms`);
+          if (await isJobPaused(name)) {
+            logger.debug(`Skipping paused job: ${name}`);
+            return;
+          }
+
+          // Truncate to the minute so every instance queues the same run
+          const scheduledFor = new Date(Math.floor(Date.now() / 60000) * 60000);
+          const run = await enqueueRun(name, { scheduledFor, maxAttempts });
+
+          if (run) {
+            this.processQueue();
+          }
         } catch (error) {
-          logger.error(`Error in scheduled job ${name}:`, error);
+          logger.error(`Error queueing scheduled job ${name}:`, error);
         }
       }, {
         scheduled: false,
@@ -103,106 +208,250 @@ class SchedulerService {
   }
 
   /**
-   * Distribute daily facts to users based on their preferences and timezone
+   * Claim and execute queued runs until none are due
    */
-  async distributeDailyFacts() {
+  async processQueue() {
+    if (this.isProcessing || !this.isRunning) {
+      return;
+    }
+
+    this.isProcessing = true;
     try {
-      const currentHour = new Date().getUTCHours();
-      
-      // Get users who should receive notifications at this hour
-      const users = await prisma.user.findMany({
-        where: {
-          isActive: true,
-          notificationsEnabled: true,
-        },
-        select: {
-          id: true,
-          timezone: true,
-          dailyNotificationTime: true,
-          maxNotificationsPerDay: true,
-          weekendNotifications: true,
-          difficultyLevel: true,
-        },
-      });
+      await recoverStaleRuns();
 
-      const usersToNotify = users.filter(user => {
-        // Convert user's notification time to UTC
-        const userTime = moment.tz(user.dailyNotificationTime, 'HH:mm', user.timezone);
-        const userHourUTC = userTime.utc().hour();
-        
-        // Check if current UTC hour matches user's notification time
-        if (userHourUTC !== currentHour) {
-          return false;
-        }
+      let run = await claimNextRun(name => this.getLockDuration(name), [...this.activeRuns.keys()]);
+      while (run) {
+        const execution = this.executeRun(run)
+          .catch(error => logger.error(`Error executing job ${run.jobName}:`, error))
+          .finally(() => this.activeRuns.delete(run.jobName));
+        this.activeRuns.set(run.jobName, execution);
 
-        // Check weekend notifications
-        const isWeekend = moment().day() === 0 || moment().day() === 6; // Sunday = 0, Saturday = 6
-        if (isWeekend && !user.weekendNotifications) {
-          return false;
-        }
+        run = await claimNextRun(name => this.getLockDuration(name), [...this.activeRuns.keys()]);
+      }
+    } catch (error) {
+      logger.error('Error processing job queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Lock duration for a job's runs
+   */
+  getLockDuration(name) {
+    return this.definitions.get(name)?.timeoutMs || 10 * 60 * 1000;
+  }
 
-        return true;
+  /**
+   * Execute a claimed run and record the outcome
+   */
+  async executeRun(run) {
+    const definition = this.definitions.get(run.jobName);
+
+    if (!definition) {
+      // Queued by an instance running a newer version, leave the failure on record
+      await failRun(run, new Error(`Unknown job: ${run.jobName}`));
+      return;
+    }
+
+    // Keep the lock alive while long jobs are still working
+    const heartbeat = setInterval(() => {
+      extendLock(run.id, definition.timeoutMs).catch(error => {
+        logger.error(`Failed to extend lock for job ${run.jobName}:`, error);
       });
+    }, definition.timeoutMs / 3);
+    heartbeat.unref();
 
-      logger.info(`Processing daily facts for ${usersToNotify.length} users`);
+    logger.info(`Starting scheduled job: ${run.jobName}`, { runId: run.id, attempt: run.attempts });
 
-      // Process users in batches to avoid overwhelming the system
-      const batchSize = 50;
-      for (let i = 0; i < usersToNotify.length; i += batchSize) {
-        const batch = usersToNotify.slice(i, i + batchSize);
-        await Promise.all(batch.map(user => this.sendDailyFactToUser(user)));
-        
-        // Add small delay between batches
-        if (i + batchSize < usersToNotify.length) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
+    try {
+      const result = await definition.handler();
+      await completeRun(run, result);
+      logger.info(`Completed scheduled job: ${run.jobName} in ${Date.now() - run.startedAt.getTime()}ms`);
+    } catch (error) {
+      logger.error(`Error in scheduled job ${run.jobName}:`, error);
+      await failRun(run, error).catch(failError => {
+        logger.error(`Failed to record failure for job ${run.jobName}:`, failError);
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Queue a manual run of a job
+   */
+  async triggerJob(name, userId = null) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      return null;
+    }
+
+    const run = await enqueueRun(name, {
+      trigger: 'MANUAL',
+      triggeredBy: userId,
+      maxAttempts: definition.maxAttempts,
+    });
+
+    this.processQueue();
+    return run;
+  }
 
-      logger.info('Daily facts distribution completed');
+  /**
+   * Pause or resume a job on all instances
+   */
+  async setJobPaused(name, isPaused, userId = null) {
+    if (!this.definitions.has(name)) {
+      return null;
+    }
+
+    const state = await setJobPaused(name, isPaused, userId);
+    logger.info(`Job ${name} ${isPaused ? 'paused' : 'resumed'}`, { userId });
+    return state;
+  }
+
+  /**
+   * Check whether a job is known to this instance
+   */
+  hasJob(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Plan the next daily fact notification for every user in their own timezone
+   */
+  async distributeDailyFacts() {
+    try {
+      const result = await planDeliveries();
+      logger.info('Daily facts distribution planned', result);
+      return result;
     } catch (error) {
       logger.error('Error in daily facts distribution:', error);
       throw error;
     }
   }
 
+  /**
+   * Send scheduled notifications whose time has come
+   */
+  async dispatchScheduledNotifications() {
+    // A run can outlast the one-minute interval, never send the same rows twice
+    if (this.isDispatching) {
+      logger.warn('Previous notification dispatch still running, skipping');
+      return;
+    }
+
+    this.isDispatching = true;
+    try {
+      await failInterruptedSends();
+      const dueNotifications = await getDueNotifications();
+
+      if (dueNotifications.length > 0) {
+        logger.info(`Dispatching ${dueNotifications.length} scheduled notifications`);
+      }
+
+      for (const notification of dueNotifications) {
+        await this.dispatchNotification(notification);
+      }
+    } catch (error) {
+      logger.error('Error dispatching scheduled notifications:', error);
+      throw error;
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * Send a single scheduled notification and plan the user's next one
+   */
+  async dispatchNotification(notification) {
+    const { user } = notification;
+
+    // Another instance read the same row and got to it first
+    if (!(await claimNotification(notification.id))) {
+      return;
+    }
+
+    try {
+      const delayMinutes = (Date.now() - notification.scheduledFor.getTime()) / 60000;
+
+      if (!user.isActive || !user.notificationsEnabled) {
+        await cancelNotification(notification.id, 'Notifications disabled');
+      } else if (delayMinutes > this.maxDispatchDelayMinutes) {
+        await cancelNotification(notification.id, 'Delivery window missed');
+      } else if (isWithinQuietHours(user)) {
+        await cancelNotification(notification.id, 'Quiet hours');
+      } else {
+        await this.sendDailyFactToUser(user, notification);
+      }
+    } catch (error) {
+      logger.error(`Error dispatching notification ${notification.id}:`, error);
+    }
+
+    try {
+      await planUserDelivery(user, notification.scheduledFor);
+    } catch (error) {
+      logger.error(`Error planning next delivery for user ${user.id}:`, error);
+    }
+  }
+
   /**
    * Send daily fact to individual user
    */
-  async sendDailyFactToUser(user) {
+  async sendDailyFactToUser(user, notification = null) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      
-      // Check if user already received notifications today
+      // Check if user already received their daily facts on their local day (campaigns don't count)
+      const today = getLocalDayRange(user);
       const todayNotifications = await prisma.notification.count({
         where: {
           userId: user.id,
-          createdAt: {
-            gte: new Date(today),
-            lt: new Date(new Date(today).getTime() + 24 * 60 * 60 * 1000),
+          campaignId: null,
+          sentAt: {
+            gte: today.start,
+            lt: today.end,
           },
-          status: { in: ['SENT', 'DELIVERED'] },
+          status: { in: ['SENT', 'DELIVERED', 'OPENED'] },
         },
       });
 
-      if (todayNotifications >= user.maxNotificationsPerDay) {
+      // The global setting caps whatever the user asked for
+      const dailyLimit = Math.min(user.maxNotificationsPerDay, await getConfigValue('max_daily_notifications'));
+
+      if (todayNotifications >= dailyLimit) {
         logger.debug(`User ${user.id} already received max notifications for today`);
+        if (notification) {
+          await cancelNotification(notification.id, 'Daily notification limit reached');
+        }
         return;
       }
 
-      // Get personalized fact for user
-      const fact = await this.getPersonalizedFact(user);
+      // Use the fact the notification was scheduled with, or pick a personalized one
+      const fact = notification?.factId
+        ? await prisma.fact.findUnique({ where: { id: notification.factId } })
+        : await this.getPersonalizedFact(user);
       
       if (!fact) {
         logger.debug(`No suitable fact found for user ${user.id}`);
+        if (notification) {
+          await cancelNotification(notification.id, 'No suitable fact found');
+        }
         return;
       }
 
       // Send notification
-      await sendDailyFactNotification(user.id, fact);
+      await sendDailyFactNotification(user.id, fact, notification);
       
       logger.debug(`Daily fact sent to user ${user.id}`, { factId: fact.id });
     } catch (error) {
       logger.error(`Error sending daily fact to user ${user.id}:`, error);
+
+      // Take the scheduled row out of the due queue so it is not picked up again every minute
+      if (notification) {
+        await prisma.notification.updateMany({
+          where: { id: notification.id, status: 'SENDING' },
+          data: { status: 'FAILED', errorMessage: error.message },
+        }).catch(() => {});
+      }
     }
   }
 
@@ -285,8 +534,40 @@ class SchedulerService {
     try {
       const result = await retryFailedNotifications();
       logger.info('Retry failed notifications completed', result);
+      return result;
     } catch (error) {
       logger.error('Error in retry failed notifications job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send broadcast campaigns that are due
+   */
+  async sendDueCampaigns() {
+    try {
+      const result = await processDueCampaigns();
+      if (result.campaigns > 0) {
+        logger.info('Campaign sending completed', result);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error in send campaigns job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver pending emails that are due for a retry
+   */
+  async processEmailOutbox() {
+    try {
+      const result = await processOutbox();
+      logger.info('Email outbox processing completed', result);
+      return result;
+    } catch (error) {
+      logger.error('Error in process email outbox job:', error);
+      throw error;
     }
   }
 
@@ -297,8 +578,10 @@ class SchedulerService {
     try {
       const cleanedCount = await cleanupExpiredSessions();
       logger.info('Expired sessions cleanup completed', { cleanedCount });
+      return { cleanedCount };
     } catch (error) {
       logger.error('Error in cleanup expired sessions job:', error);
+      throw error;
     }
   }
 
@@ -309,8 +592,10 @@ class SchedulerService {
     try {
       const result = await cleanupOldNotifications(30); // Keep 30 days
       logger.info('Old notifications cleanup completed', result);
+      return result;
     } catch (error) {
       logger.error('Error in cleanup old notifications job:', error);
+      throw error;
     }
   }
 
@@ -370,8 +655,10 @@ class SchedulerService {
       }
 
       logger.info('User streaks update completed', { processedUsers: users.length });
+      return { processedUsers: users.length };
     } catch (error) {
       logger.error('Error in update user streaks job:', error);
+      throw error;
     }
   }
 
@@ -422,7 +709,7 @@ class SchedulerService {
         }),
         prisma.userFact.count({
           where: {
-            updatedAt: {
+            likedAt: {
               gte: startOfDay,
               lte: endOfDay,
             },
@@ -468,32 +755,49 @@ class SchedulerService {
         },
       });
 
+      const metrics = { newUsers, activeUsers, factsViewed, factsLiked, factsShared, notificationsSent };
+
       logger.info('Daily analytics snapshot generated', {
         date: yesterday.toISOString().split('T')[0],
-        metrics: { newUsers, activeUsers, factsViewed, factsLiked, factsShared, notificationsSent },
+        metrics,
       });
+      return metrics;
     } catch (error) {
       logger.error('Error in generate daily analytics job:', error);
+      throw error;
     }
   }
 
   /**
-   * Get job status
+   * Get job status including pause state and the latest run of each job
    */
-  getJobStatus() {
-    const jobs = [];
-    for (const [name, task] of this.jobs) {
-      jobs.push({
+  async getJobStatus() {
+    const names = [...this.definitions.keys()];
+    const [states, latestRuns] = await Promise.all([
+      getJobStates(),
+      getLatestRuns(names),
+    ]);
+
+    const jobs = names.map(name => {
+      const definition = this.definitions.get(name);
+      const state = states.get(name);
+
+      return {
         name,
-        running: task.running,
-        lastExecution: task.lastExecution,
-        nextExecution: task.nextExecution,
-      });
-    }
-    
+        cronExpression: definition.cronExpression,
+        maxAttempts: definition.maxAttempts,
+        isPaused: !!state?.isPaused,
+        pausedAt: state?.pausedAt || null,
+        pausedBy: state?.pausedBy || null,
+        runningLocally: this.activeRuns.has(name),
+        lastRun: latestRuns.get(name) || null,
+      };
+    });
+
     return {
       isRunning: this.isRunning,
-      jobCount: this.jobs.size,
+      workerId,
+      jobCount: jobs.length,
       jobs,
     };
   }
@@ -0,0 +1,373 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+/**
+ * Language searched when the request doesn't name one (the Fact.language default)
+ */
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Matched words are wrapped in <mark> tags. Titles are highlighted whole,
+ * content is cut to the fragments around the matches.
+ */
+const TITLE_HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const CONTENT_HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Suggestions returned of each kind (completions per source, popular queries)
+ */
+const SUGGESTION_LIMIT = 5;
+
+/**
+ * Popular queries are taken from the searches of the last days, and only
+ * shown once enough searches were made, so one user's queries never show up
+ */
+const POPULAR_QUERY_DAYS = 7;
+const POPULAR_QUERY_MIN_SEARCHES = 3;
+
+/**
+ * Trigram similarity from which a word of the catalog is offered as the
+ * correction of a misspelled query word
+ */
+const CORRECTION_SIMILARITY = 0.4;
+
+/**
+ * Tags listed in the tags facet of search results
+ */
+const FACET_TAG_LIMIT = 10;
+
+const factInclude = {
+  category: {
+    select: {
+      id: true,
+      name: true,
+      icon: true,
+      color: true,
+    },
+  },
+};
+
+/**
+ * Search text as stored and compared in suggestions: trimmed, lower case, single spaces
+ */
+const normalizeQuery = (query) => String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ */
+const escapeLike = (text) => text.replace(/[\\%_]/g, match => `\\${match}`);
+
+const publishedFact = (language) => Prisma.sql`
+  f."isApproved" = true AND f."isActive" = true AND f."publishedAt" <= NOW() AND f.language = ${language}`;
+
+/**
+ * Conditions shared by the search, its count and its facets: published facts
+ * in the language searched whose search vector matches the query, narrowed by
+ * the filters. Each list filter matches any of its values. Facet counts leave
+ * out the filter of their own facet (except), so the other values stay selectable.
+ */
+const searchConditions = (tsquery, filters, { except = null } = {}) => {
+  const { categories, difficulties, tags, language, hasImage, from, to } = filters;
+  const conditions = [
+    Prisma.sql`f."searchVector" @@ ${tsquery}`,
+    publishedFact(language),
+  ];
+
+  if (categories?.length > 0 && except !== 'categories') {
+    conditions.push(Prisma.sql`f."categoryId" IN (${Prisma.join(categories)})`);
+  }
+
+  if (difficulties?.length > 0 && except !== 'difficulties') {
+    conditions.push(Prisma.sql`f.difficulty::text IN (${Prisma.join(difficulties.map(difficulty => difficulty.toUpperCase()))})`);
+  }
+
+  if (tags?.length > 0 && except !== 'tags') {
+    conditions.push(Prisma.sql`f.tags && ${tags.map(tag => tag.toLowerCase())}::text[]`);
+  }
+
+  if (hasImage !== undefined) {
+    conditions.push(hasImage ? Prisma.sql`f."imageUrl" IS NOT NULL` : Prisma.sql`f."imageUrl" IS NULL`);
+  }
+
+  if (from) {
+    conditions.push(Prisma.sql`f."publishedAt" >= ${new Date(from)}`);
+  }
+
+  if (to) {
+    conditions.push(Prisma.sql`f."publishedAt" <= ${new Date(to)}`);
+  }
+
+  return Prisma.join(conditions, ' AND ');
+};
+
+/**
+ * How the matches split across categories, difficulties and their most used tags
+ */
+const getFacets = async (tsquery, filters) => {
+  const [categories, difficulties, tags] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT c.id, c.name, c.icon, c.color, COUNT(*)::int AS count
+      FROM "facts" f
+      JOIN "categories" c ON c.id = f."categoryId"
+      WHERE ${searchConditions(tsquery, filters, { except: 'categories' })}
+      GROUP BY c.id
+      ORDER BY count DESC, c.name`,
+    prisma.$queryRaw`
+      SELECT f.difficulty::text AS difficulty, COUNT(*)::int AS count
+      FROM "facts" f
+      WHERE ${searchConditions(tsquery, filters, { except: 'difficulties' })}
+      GROUP BY f.difficulty
+      ORDER BY f.difficulty`,
+    prisma.$queryRaw`
+      SELECT tag, COUNT(*)::int AS count
+      FROM "facts" f, unnest(f.tags) AS tag
+      WHERE ${searchConditions(tsquery, filters, { except: 'tags' })}
+      GROUP BY tag
+      ORDER BY count DESC, tag
+      LIMIT ${FACET_TAG_LIMIT}`,
+  ]);
+
+  return { categories, difficulties, tags };
+};
+
+/**
+ * Position of a search result in the result order, for cursors. Only keys
+ * that don't change while someone pages through the results (unlike view
+ * counts or featuring) are used, so no fact is skipped or shown twice.
+ */
+const searchPosition = (row) => ({
+  rank: row.rank,
+  publishedAt: row.publishedAt,
+  id: row.id,
+});
+
+/**
+ * Keyset condition for the results after a cursor. Every sort key is
+ * descending, so the row comparison matches the result order. Returns null
+ * for malformed cursors.
+ */
+const afterCursor = (tsquery, cursor) => {
+  const position = decodeCursor(cursor);
+  const publishedAt = position && new Date(position.publishedAt);
+
+  if (!publishedAt || isNaN(publishedAt.getTime()) || typeof position.rank !== 'number'
+    || typeof position.id !== 'string') {
+    return null;
+  }
+
+  return Prisma.sql`(ts_rank(f."searchVector", ${tsquery}), f."publishedAt", f.id)
+    < (${position.rank}::real, ${publishedAt}, ${position.id})`;
+};
+
+/**
+ * Full-text search over published facts. The query is parsed with the text
+ * search configuration of the language searched (stemming and stop words,
+ * web search syntax: "quoted phrases", OR, -excluded), and facts are ordered
+ * by ts_rank over their title (A), tags (B) and content (C).
+ *
+ * Filters: categories, difficulties and tags (lists), language, hasImage and
+ * a from/to range of publication dates.
+ *
+ * Returns the facts of the page, each with its rank and highlighted title
+ * and content snippet, and the cursor of the next page. Pages requested by
+ * number also carry the total number of matches and the facets; pages
+ * requested by cursor leave them out, the first page has them.
+ */
+const searchFacts = async ({ query, language = DEFAULT_LANGUAGE, ...filters }, { page = 1, limit = 10, cursor = null } = {}) => {
+  const tsquery = Prisma.sql`websearch_to_tsquery(fact_search_config(${language}), ${query})`;
+  const where = searchConditions(tsquery, { ...filters, language });
+  const after = cursor ? afterCursor(tsquery, cursor) : Prisma.sql`true`;
+
+  if (!after) {
+    throw new ApiError('Invalid cursor', 400);
+  }
+
+  const [rows, counts, facets] = await Promise.all([
+    // Highlighting is costly, so it only runs on the rows of the page
+    prisma.$queryRaw`
+      SELECT id, rank, "publishedAt",
+        ts_headline(fact_search_config(language), title, ${tsquery}, ${TITLE_HIGHLIGHT_OPTIONS}) AS "titleHighlight",
+        ts_headline(fact_search_config(language), content, ${tsquery}, ${CONTENT_HIGHLIGHT_OPTIONS}) AS "contentHighlight"
+      FROM (
+        SELECT f.id, f.language, f.title, f.content, ts_rank(f."searchVector", ${tsquery}) AS rank, f."publishedAt"
+        FROM "facts" f
+        WHERE ${where} AND ${after}
+        ORDER BY rank DESC, f."publishedAt" DESC, f.id DESC
+        LIMIT ${limit + 1} OFFSET ${cursor ? 0 : (page - 1) * limit}
+      ) matches
+      ORDER BY rank DESC, "publishedAt" DESC, id DESC`,
+    cursor ? null : prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM "facts" f WHERE ${where}`,
+    cursor ? null : getFacets(tsquery, { ...filters, language }),
+  ]);
+
+  const pageRows = rows.slice(0, limit);
+  const facts = await prisma.fact.findMany({
+    where: { id: { in: pageRows.map(row => row.id) } },
+    include: factInclude,
+  });
+  const factsById = new Map(facts.map(fact => [fact.id, fact]));
+
+  return {
+    facts: pageRows
+      .filter(row => factsById.has(row.id))
+      .map(row => ({
+        ...factsById.get(row.id),
+        rank: Math.round(Number(row.rank) * 10000) / 10000,
+        highlights: {
+          title: row.titleHighlight,
+          content: row.contentHighlight,
+        },
+      })),
+    nextCursor: rows.length > limit ? encodeCursor(searchPosition(pageRows[pageRows.length - 1])) : null,
+    ...(!cursor && { total: counts[0].total, facets }),
+  };
+};
+
+/**
+ * Number of published facts a query finds
+ */
+const countMatches = async (query, language) => {
+  const tsquery = Prisma.sql`websearch_to_tsquery(fact_search_config(${language}), ${query})`;
+  const [{ total }] = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS total FROM "facts" f WHERE ${searchConditions(tsquery, { language })}`;
+  return total;
+};
+
+/**
+ * Fact titles, tags and category names starting with the text typed (titles
+ * also match on the start of any word), for autocompletion
+ */
+const getCompletions = async (prefix, language, limit) => {
+  const pattern = `${escapeLike(prefix)}%`;
+  const wordPattern = `% ${escapeLike(prefix)}%`;
+
+  const [titles, tags, categories] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT f.id, f.title
+      FROM "facts" f
+      WHERE ${publishedFact(language)} AND (f.title ILIKE ${pattern} OR f.title ILIKE ${wordPattern})
+      ORDER BY f.title ILIKE ${pattern} DESC, f."viewCount" DESC
+      LIMIT ${limit}`,
+    prisma.$queryRaw`
+      SELECT tag, COUNT(*)::int AS count
+      FROM "facts" f, unnest(f.tags) AS tag
+      WHERE ${publishedFact(language)} AND tag ILIKE ${pattern}
+      GROUP BY tag
+      ORDER BY count DESC, tag
+      LIMIT ${limit}`,
+    prisma.category.findMany({
+      where: { isActive: true, name: { startsWith: prefix, mode: 'insensitive' } },
+      select: { id: true, name: true },
+      orderBy: { sortOrder: 'asc' },
+      take: limit,
+    }),
+  ]);
+
+  return [
+    ...titles.map(fact => ({ type: 'title', text: fact.title, factId: fact.id })),
+    ...tags.map(({ tag, count }) => ({ type: 'tag', text: tag, count })),
+    ...categories.map(category => ({ type: 'category', text: category.name, categoryId: category.id })),
+  ];
+};
+
+/**
+ * Spelling correction of a query: each word not found in the published facts
+ * is replaced by the most similar word of their titles, tags and content, from
+ * the search_lexicon view (refreshed by a job). The % operator lets the
+ * trigram index find the candidates. Returns null when nothing was corrected
+ * or the corrected query finds nothing either.
+ */
+const getCorrection = async (query, language) => {
+  const words = [...new Set(query.split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3))];
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  const replacements = await prisma.$queryRaw`
+    SELECT input, best.word
+    FROM unnest(${words}::text[]) AS input
+    CROSS JOIN LATERAL (
+      SELECT l.word, similarity(l.word, input) AS score
+      FROM "search_lexicon" l
+      WHERE l.language = ${language} AND l.word % input AND similarity(l.word, input) >= ${CORRECTION_SIMILARITY}
+      ORDER BY (l.word = input) DESC, score DESC, l.frequency DESC, l.word
+      LIMIT 1
+    ) best
+    WHERE best.word <> input`;
+
+  if (replacements.length === 0) {
+    return null;
+  }
+
+  const corrected = replacements.reduce(
+    (text, { input, word }) => text.replace(new RegExp(`(?<![\\p{L}\\p{N}])${input}(?![\\p{L}\\p{N}])`, 'gu'), word),
+    query,
+  );
+
+  return corrected !== query && await countMatches(corrected, language) > 0 ? corrected : null;
+};
+
+/**
+ * Rebuild the spelling correction lexicon from the published facts. Reads
+ * keep using the previous lexicon while it is rebuilt.
+ */
+const refreshLexicon = async () => {
+  await prisma.$executeRaw`REFRESH MATERIALIZED VIEW CONCURRENTLY "search_lexicon"`;
+};
+
+/**
+ * Queries starting with the text typed that were searched most in the last
+ * days, from SEARCH_PERFORMED analytics events. Searches without results are left out.
+ */
+const getPopularQueries = async (prefix, limit) => {
+  const since = new Date(Date.now() - POPULAR_QUERY_DAYS * 24 * 60 * 60 * 1000);
+
+  return prisma.$queryRaw`
+    SELECT query, COUNT(*)::int AS count
+    FROM (
+      SELECT regexp_replace(lower(trim(a."eventData"->>'query')), '\\s+', ' ', 'g') AS query
+      FROM "analytics" a
+      WHERE a."eventType" = 'SEARCH_PERFORMED'
+        AND a.timestamp >= ${since}
+        AND a."eventData"->>'hasResults' IS DISTINCT FROM 'false'
+    ) searches
+    WHERE query LIKE ${`${escapeLike(prefix)}%`}
+    GROUP BY query
+    HAVING COUNT(*) >= ${POPULAR_QUERY_MIN_SEARCHES}
+    ORDER BY count DESC, query
+    LIMIT ${limit}`;
+};
+
+/**
+ * Suggestions for the search box while the user types: completions from fact
+ * titles, tags and category names, popular recent queries, and a "did you
+ * mean" correction when the query finds no facts.
+ */
+const getSuggestions = async ({ query, language = DEFAULT_LANGUAGE }, { limit = SUGGESTION_LIMIT } = {}) => {
+  const text = normalizeQuery(query);
+
+  const [completions, popular, total] = await Promise.all([
+    getCompletions(text, language, limit),
+    getPopularQueries(text, limit),
+    countMatches(text, language),
+  ]);
+
+  return {
+    query: text,
+    completions,
+    popular,
+    correction: total === 0 ? await getCorrection(text, language) : null,
+  };
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUGGESTION_LIMIT,
+  normalizeQuery,
+  searchFacts,
+  getSuggestions,
+  refreshLexicon,
+};
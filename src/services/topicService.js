@@ -0,0 +1,267 @@
+const { prisma } = require('../config/database');
+const { initializeFirebase, subscribeToTopic, unsubscribeFromTopic } = require('./notificationService');
+const { pruneInvalidTokens } = require('./deviceService');
+const logger = require('../utils/logger');
+
+const TOPIC_PREFIX = 'category-';
+
+/**
+ * FCM accepts at most 1000 tokens per topic management call
+ */
+const FCM_TOPIC_BATCH_SIZE = 1000;
+
+const RECONCILE_BATCH_SIZE = 200;
+
+/**
+ * FCM topic of a category. Topics are keyed by ID so renaming a category keeps its subscribers.
+ */
+const categoryTopic = (categoryId) => `${TOPIC_PREFIX}${categoryId}`;
+
+/**
+ * Devices whose subscriptions are managed: active ones, and inactive ones still subscribed somewhere
+ */
+const managedDeviceWhere = {
+  OR: [{ isActive: true }, { topics: { some: {} } }],
+};
+
+/**
+ * User fields needed to work out topic subscriptions
+ */
+const topicUserSelect = {
+  id: true,
+  isActive: true,
+  notificationsEnabled: true,
+  userCategories: {
+    where: { isEnabled: true, category: { isActive: true } },
+    select: { categoryId: true },
+  },
+  devices: {
+    where: managedDeviceWhere,
+    select: {
+      id: true,
+      fcmToken: true,
+      isActive: true,
+      topics: { select: { topic: true } },
+    },
+  },
+};
+
+/**
+ * Topics a user's active devices should be subscribed to
+ */
+const getDesiredTopics = (user) => {
+  if (!user.isActive || !user.notificationsEnabled) {
+    return [];
+  }
+
+  return user.userCategories.map(({ categoryId }) => categoryTopic(categoryId));
+};
+
+/**
+ * Compare each device's recorded topics with the desired ones.
+ * Returns the devices to subscribe and unsubscribe, grouped by topic.
+ */
+const planTopicChanges = (users) => {
+  const subscribe = new Map();
+  const unsubscribe = new Map();
+
+  const add = (changes, topic, device) => {
+    if (!changes.has(topic)) {
+      changes.set(topic, []);
+    }
+    changes.get(topic).push(device);
+  };
+
+  for (const user of users) {
+    const desired = getDesiredTopics(user);
+
+    for (const device of user.devices) {
+      const target = new Set(device.isActive ? desired : []);
+      const current = new Set(device.topics.map(({ topic }) => topic));
+
+      for (const topic of target) {
+        if (!current.has(topic)) add(subscribe, topic, device);
+      }
+
+      for (const topic of current) {
+        if (!target.has(topic)) add(unsubscribe, topic, device);
+      }
+    }
+  }
+
+  return { subscribe, unsubscribe };
+};
+
+/**
+ * Subscribe devices to a topic and record the ones FCM accepted
+ */
+const subscribeDevices = async (topic, devices, totals) => {
+  const result = await subscribeToTopic(devices.map(device => device.fcmToken), topic);
+  const rejected = new Set([...result.failedTokens, ...result.invalidTokens]);
+  const subscribed = devices.filter(device => !rejected.has(device.fcmToken));
+
+  if (subscribed.length > 0) {
+    await prisma.deviceTopic.createMany({
+      data: subscribed.map(device => ({ deviceId: device.id, topic })),
+      skipDuplicates: true,
+    });
+  }
+
+  await pruneInvalidTokens(result.invalidTokens);
+
+  totals.subscribed += subscribed.length;
+  totals.failed += result.failedTokens.length;
+};
+
+/**
+ * Unsubscribe devices from a topic. Dead tokens no longer receive anything, so they count as unsubscribed.
+ */
+const unsubscribeDevices = async (topic, devices, totals) => {
+  const result = await unsubscribeFromTopic(devices.map(device => device.fcmToken), topic);
+  const failed = new Set(result.failedTokens);
+  const unsubscribed = devices.filter(device => !failed.has(device.fcmToken));
+
+  if (unsubscribed.length > 0) {
+    await prisma.deviceTopic.deleteMany({
+      where: { topic, deviceId: { in: unsubscribed.map(device => device.id) } },
+    });
+  }
+
+  await pruneInvalidTokens(result.invalidTokens);
+
+  totals.unsubscribed += unsubscribed.length;
+  totals.failed += result.failedTokens.length;
+};
+
+/**
+ * Bring the topic subscriptions of the given users in line with their category preferences.
+ * Failed calls are left unrecorded, so the reconciliation job retries them.
+ */
+const syncUsers = async (users) => {
+  const totals = { users: users.length, subscribed: 0, unsubscribed: 0, failed: 0 };
+  const { subscribe, unsubscribe } = planTopicChanges(users);
+
+  for (const [topic, devices] of subscribe) {
+    for (let i = 0; i < devices.length; i += FCM_TOPIC_BATCH_SIZE) {
+      await subscribeDevices(topic, devices.slice(i, i + FCM_TOPIC_BATCH_SIZE), totals);
+    }
+  }
+
+  for (const [topic, devices] of unsubscribe) {
+    for (let i = 0; i < devices.length; i += FCM_TOPIC_BATCH_SIZE) {
+      await unsubscribeDevices(topic, devices.slice(i, i + FCM_TOPIC_BATCH_SIZE), totals);
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Sync the topic subscriptions of one user's devices.
+ * Never throws: a failed sync is repaired by the reconciliation job.
+ */
+const syncUserTopics = async (userId) => {
+  if (!initializeFirebase()) {
+    return null;
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: topicUserSelect,
+    });
+
+    return user ? await syncUsers([user]) : null;
+  } catch (error) {
+    logger.error(`Error syncing topic subscriptions for user ${userId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Sync the topics of the user owning a session, e.g. after its device logged out
+ */
+const syncSessionTopics = async (refreshToken) => {
+  try {
+    const session = await prisma.userSession.findUnique({
+      where: { refreshToken },
+      select: { userId: true },
+    });
+
+    return session ? await syncUserTopics(session.userId) : null;
+  } catch (error) {
+    logger.error('Error syncing topic subscriptions for session:', error);
+    return null;
+  }
+};
+
+/**
+ * Unsubscribe a device from all its topics, before it is removed
+ */
+const unsubscribeDevice = async (userId, deviceId) => {
+  if (!initializeFirebase()) {
+    return null;
+  }
+
+  try {
+    const device = await prisma.device.findFirst({
+      where: { id: deviceId, userId },
+      select: topicUserSelect.devices.select,
+    });
+
+    if (!device) {
+      return null;
+    }
+
+    // Plan as if the owner wanted no topics at all
+    return await syncUsers([{ isActive: false, userCategories: [], devices: [device] }]);
+  } catch (error) {
+    logger.error(`Error unsubscribing device ${deviceId} from topics:`, error);
+    return null;
+  }
+};
+
+/**
+ * Repair drift between category preferences and FCM topic subscriptions for all users
+ */
+const reconcileTopicSubscriptions = async () => {
+  if (!initializeFirebase()) {
+    logger.warn('Firebase not initialized, skipping topic reconciliation');
+    return { users: 0, subscribed: 0, unsubscribed: 0, failed: 0 };
+  }
+
+  const summary = { users: 0, subscribed: 0, unsubscribed: 0, failed: 0 };
+  let lastId = null;
+
+  do {
+    const users = await prisma.user.findMany({
+      where: {
+        ...(lastId && { id: { gt: lastId } }),
+        devices: { some: managedDeviceWhere },
+      },
+      select: topicUserSelect,
+      orderBy: { id: 'asc' },
+      take: RECONCILE_BATCH_SIZE,
+    });
+
+    const totals = await syncUsers(users);
+    summary.users += totals.users;
+    summary.subscribed += totals.subscribed;
+    summary.unsubscribed += totals.unsubscribed;
+    summary.failed += totals.failed;
+
+    lastId = users.length === RECONCILE_BATCH_SIZE ? users[users.length - 1].id : null;
+  } while (lastId);
+
+  logger.info('Topic subscriptions reconciled', summary);
+  return summary;
+};
+
+module.exports = {
+  categoryTopic,
+  planTopicChanges,
+  syncUserTopics,
+  syncSessionTopics,
+  unsubscribeDevice,
+  reconcileTopicSubscriptions,
+};
@@ -0,0 +1,110 @@
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+/**
+ * Leading characters that make spreadsheet apps evaluate a cell as a formula
+ */
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format one value as a CSV cell. Objects are written as JSON, and cells that
+ * would be run as formulas when opened in a spreadsheet are prefixed with a quote.
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a list of values as a CSV line
+ */
+const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+/**
+ * Undo the formula guard added by toCsvCell, so exported files import unchanged
+ */
+const fromCsvCell = (text) => (
+  text.length > 1 && text[0] === "'" && FORMULA_PREFIXES.includes(text[1]) ? text.slice(1) : text
+);
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with commas, escaped
+ * quotes and line breaks, CRLF or LF line endings, a leading BOM and blank lines.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted cell');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  toCsvCell,
+  toCsvRow,
+  fromCsvCell,
+  parseCsv,
+};
@@ -0,0 +1,124 @@
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Opaque pagination cursors
+ *
+ * A cursor is the sort key of the last item of a page, serialized as base64url
+ * JSON so clients treat it as an opaque string.
+ */
+
+/**
+ * Encode a sort key into a cursor
+ */
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+/**
+ * Decode a cursor, returning null when it is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return values !== null && typeof values === 'object' ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fields and directions of a Prisma orderBy list, e.g. [['publishedAt', 'desc'], ['id', 'desc']]
+ */
+const sortFields = (orderBy) => orderBy.map(order => Object.entries(order)[0]);
+
+/**
+ * Cursor of an item: its values of the sort fields
+ */
+const cursorFor = (orderBy, item) => encodeCursor(
+  Object.fromEntries(sortFields(orderBy).map(([field]) => [field, item[field]])),
+);
+
+/**
+ * Condition for items sorted strictly after a value. Postgres puts nulls
+ * first in descending order and last in ascending order.
+ */
+const afterValue = (field, direction, value) => {
+  if (value === null) {
+    return direction === 'desc' ? { [field]: { not: null } } : null;
+  }
+
+  return direction === 'desc'
+    ? { [field]: { lt: value } }
+    : { OR: [{ [field]: { gt: value } }, { [field]: null }] };
+};
+
+/**
+ * Keyset condition for the items after a cursor, for an orderBy list ending
+ * with a unique field. Returns null when the cursor is malformed or was made
+ * for other sort fields.
+ */
+const cursorWhere = (orderBy, cursor) => {
+  const position = decodeCursor(cursor);
+  const fields = sortFields(orderBy);
+
+  if (!position || fields.some(([field]) => position[field] === undefined)) {
+    return null;
+  }
+
+  const conditions = fields
+    .map(([field, direction], index) => {
+      const after = afterValue(field, direction, position[field]);
+      const before = fields.slice(0, index).map(([previous]) => ({ [previous]: position[previous] }));
+      return after && { AND: [...before, after] };
+    })
+    .filter(Boolean);
+
+  return { OR: conditions };
+};
+
+/**
+ * Fetch a page of a Prisma model, by cursor (keyset: new rows never shift or
+ * repeat items, deep pages stay fast) or by page number (offset, with the
+ * total count, for tables). Both return the cursor of the next page.
+ *
+ * orderBy must end with a unique field such as id. Throws a 400 for invalid cursors.
+ */
+const paginate = async (model, { where = {}, orderBy, ...args }, { cursor = null, page = 1, limit }) => {
+  if (cursor) {
+    const after = cursorWhere(orderBy, cursor);
+
+    if (!after) {
+      throw new ApiError('Invalid cursor', 400);
+    }
+
+    const rows = await model.findMany({ ...args, where: { AND: [where, after] }, orderBy, take: limit + 1 });
+    const items = rows.slice(0, limit);
+
+    return {
+      items,
+      nextCursor: rows.length > limit ? cursorFor(orderBy, items[items.length - 1]) : null,
+    };
+  }
+
+  const [items, total] = await Promise.all([
+    model.findMany({ ...args, where, orderBy, skip: (page - 1) * limit, take: limit }),
+    model.count({ where }),
+  ]);
+
+  return {
+    items,
+    page,
+    total,
+    nextCursor: page * limit < total && items.length > 0 ? cursorFor(orderBy, items[items.length - 1]) : null,
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFor,
+  cursorWhere,
+  paginate,
+};
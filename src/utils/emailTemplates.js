@@ -0,0 +1,221 @@
+/**
+ * Transactional email templates
+ *
+ * Each template is defined per language as a set of strings; `renderTemplate`
+ * wraps them in the shared layout and produces both HTML and plaintext bodies.
+ * Strings may reference variables as {{name}}.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const greetings = {
+  en: { named: 'Hi {{firstName}},', anonymous: 'Hi there,' },
+  es: { named: 'Hola {{firstName}},', anonymous: 'Hola,' },
+  fr: { named: 'Bonjour {{firstName}},', anonymous: 'Bonjour,' },
+};
+
+const templates = {
+  welcome: {
+    en: {
+      subject: 'Welcome to Daily Facts!',
+      paragraphs: [
+        'Thanks for joining Daily Facts. Starting tomorrow you will receive a fresh, hand-picked fact every day.',
+        'Please confirm your email address so we can keep your account secure.',
+      ],
+      action: 'Verify my email',
+      footer: 'If you did not create this account, you can safely ignore this email.',
+    },
+    es: {
+      subject: '¡Bienvenido a Daily Facts!',
+      paragraphs: [
+        'Gracias por unirte a Daily Facts. A partir de mañana recibirás un dato nuevo cada día.',
+        'Confirma tu dirección de correo para mantener tu cuenta segura.',
+      ],
+      action: 'Verificar mi correo',
+      footer: 'Si no creaste esta cuenta, puedes ignorar este correo.',
+    },
+    fr: {
+      subject: 'Bienvenue sur Daily Facts !',
+      paragraphs: [
+        'Merci de rejoindre Daily Facts. Dès demain, vous recevrez une nouvelle anecdote chaque jour.',
+        'Veuillez confirmer votre adresse e-mail pour sécuriser votre compte.',
+      ],
+      action: 'Vérifier mon e-mail',
+      footer: 'Si vous n\'avez pas créé ce compte, vous pouvez ignorer cet e-mail.',
+    },
+  },
+
+  emailVerification: {
+    en: {
+      subject: 'Verify your email address',
+      paragraphs: [
+        'Please confirm your email address by clicking the button below. The link is valid for 24 hours.',
+      ],
+      action: 'Verify my email',
+      footer: 'If you did not request this, you can safely ignore this email.',
+    },
+    es: {
+      subject: 'Verifica tu dirección de correo',
+      paragraphs: [
+        'Confirma tu dirección de correo haciendo clic en el botón. El enlace es válido durante 24 horas.',
+      ],
+      action: 'Verificar mi correo',
+      footer: 'Si no solicitaste esto, puedes ignorar este correo.',
+    },
+    fr: {
+      subject: 'Vérifiez votre adresse e-mail',
+      paragraphs: [
+        'Veuillez confirmer votre adresse e-mail en cliquant sur le bouton ci-dessous. Le lien est valable 24 heures.',
+      ],
+      action: 'Vérifier mon e-mail',
+      footer: 'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet e-mail.',
+    },
+  },
+
+  passwordReset: {
+    en: {
+      subject: 'Reset your password',
+      paragraphs: [
+        'We received a request to reset the password for your Daily Facts account.',
+        'The link below is valid for 15 minutes.',
+      ],
+      action: 'Reset password',
+      footer: 'If you did not request a password reset, no action is needed and your password stays the same.',
+    },
+    es: {
+      subject: 'Restablece tu contraseña',
+      paragraphs: [
+        'Recibimos una solicitud para restablecer la contraseña de tu cuenta de Daily Facts.',
+        'El enlace es válido durante 15 minutos.',
+      ],
+      action: 'Restablecer contraseña',
+      footer: 'Si no solicitaste el cambio, no necesitas hacer nada.',
+    },
+    fr: {
+      subject: 'Réinitialisez votre mot de passe',
+      paragraphs: [
+        'Nous avons reçu une demande de réinitialisation du mot de passe de votre compte Daily Facts.',
+        'Le lien ci-dessous est valable 15 minutes.',
+      ],
+      action: 'Réinitialiser le mot de passe',
+      footer: 'Si vous n\'avez pas fait cette demande, aucune action n\'est nécessaire.',
+    },
+  },
+};
+
+/**
+ * Escape HTML special characters
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Replace {{name}} placeholders with variables
+ */
+const interpolate = (text, variables, escape = false) => text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+  const value = variables[key] !== undefined && variables[key] !== null ? variables[key] : '';
+  return escape ? escapeHtml(value) : String(value);
+});
+
+/**
+ * Resolve the best supported language for a preference like "es" or "es-MX"
+ */
+const resolveLanguage = (templateName, language) => {
+  const available = templates[templateName] || {};
+  const preferred = (language || DEFAULT_LANGUAGE).toLowerCase();
+
+  if (available[preferred]) return preferred;
+
+  const base = preferred.split(/[-_]/)[0];
+  if (available[base]) return base;
+
+  return DEFAULT_LANGUAGE;
+};
+
+const getGreeting = (language, variables) => {
+  const { named, anonymous } = greetings[language] || greetings[DEFAULT_LANGUAGE];
+  return variables.firstName ? named : anonymous;
+};
+
+const renderHtml = (strings, variables) => {
+  const paragraphs = strings.paragraphs
+    .map(p => `<p style="margin:0 0 16px;">${interpolate(p, variables, true)}</p>`)
+    .join('\n');
+
+  const action = variables.actionUrl ? `
+          <p style="margin:24px 0;">
+            <a href="${escapeHtml(variables.actionUrl)}" style="background:#4285F4;color:#ffffff;padding:12px 24px;border-radius:4px;text-decoration:none;display:inline-block;">${escapeHtml(strings.action)}</a>
+          </p>` : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#333333;">
+    <table width="100%" cellpadding="0" cellspacing="0">
+      <tr>
+        <td align="center" style="padding:24px;">
+          <table width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;padding:32px;">
+            <tr>
+              <td>
+          <h2 style="margin:0 0 24px;color:#4285F4;">Daily Facts</h2>
+          <p style="margin:0 0 16px;">${interpolate(strings.greeting, variables, true)}</p>
+          ${paragraphs}${action}
+          <p style="margin:24px 0 0;font-size:12px;color:#888888;">${interpolate(strings.footer, variables, true)}</p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+};
+
+const renderText = (strings, variables) => {
+  const lines = [
+    interpolate(strings.greeting, variables),
+    '',
+    ...strings.paragraphs.map(p => interpolate(p, variables)),
+  ];
+
+  if (variables.actionUrl) {
+    lines.push('', `${strings.action}: ${variables.actionUrl}`);
+  }
+
+  lines.push('', interpolate(strings.footer, variables), '', '-- Daily Facts');
+
+  return lines.join('\n');
+};
+
+/**
+ * Render a template into subject, html and text bodies
+ */
+const renderTemplate = (templateName, language, variables = {}) => {
+  if (!templates[templateName]) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const resolvedLanguage = resolveLanguage(templateName, language);
+  const strings = {
+    ...templates[templateName][resolvedLanguage],
+    greeting: getGreeting(resolvedLanguage, variables),
+  };
+
+  return {
+    language: resolvedLanguage,
+    subject: interpolate(strings.subject, variables),
+    html: renderHtml(strings, variables),
+    text: renderText(strings, variables),
+  };
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  templates,
+  renderTemplate,
+  resolveLanguage,
+  escapeHtml,
+};
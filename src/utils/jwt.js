@@ -84,6 +84,28 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate a token allowing one direct upload to local storage.
+ * Uses its own audience so it can't be used as an access token.
+ */
+const generateUploadToken = (upload, expiresIn) => {
+  return jwt.sign({ ...upload, type: 'upload' }, JWT_SECRET, {
+    expiresIn,
+    issuer: 'dyk-api',
+    audience: 'dyk-upload',
+  });
+};
+
+/**
+ * Verify direct upload token
+ */
+const verifyUploadToken = (token) => {
+  return jwt.verify(token, JWT_SECRET, {
+    issuer: 'dyk-api',
+    audience: 'dyk-upload',
+  });
+};
+
 /**
  * Extract token from request header
  */
@@ -293,6 +315,8 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateUploadToken,
+  verifyUploadToken,
   extractTokenFromHeader,
   generateTokenPair,
   refreshAccessToken,
@@ -69,9 +69,21 @@ const validationErrorResponse = (res, errors) => {
 };
 
 /**
- * Pagination helper
+ * Pagination helper. Offset pages (page given) report the total and page
+ * counts; cursor pages only whether there is a next page. nextCursor, when
+ * given, continues either kind by cursor.
  */
 const paginatedResponse = (res, message, data, pagination) => {
+  if (pagination.page === undefined) {
+    return successResponse(res, message, data, {
+      pagination: {
+        limit: parseInt(pagination.limit),
+        nextCursor: pagination.nextCursor || null,
+        hasNext: !!pagination.nextCursor,
+      },
+    });
+  }
+
   const meta = {
     pagination: {
       page: parseInt(pagination.page),
@@ -80,6 +92,7 @@ const paginatedResponse = (res, message, data, pagination) => {
       totalPages: Math.ceil(pagination.total / pagination.limit),
       hasNext: pagination.page * pagination.limit < pagination.total,
       hasPrev: pagination.page > 1,
+      ...(pagination.nextCursor !== undefined && { nextCursor: pagination.nextCursor }),
     },
   };
   
@@ -76,6 +76,11 @@ const mockPrisma = {
   auditLog: {
     create: jest.fn(),
   },
+  emailMessage: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findMany: jest.fn(),
+  },
   userSession: {
     findUnique: jest.fn(),
     findMany: jest.fn(),
@@ -242,11 +247,21 @@ global.createMockFact = (overrides = {}) => ({
   id: 'fact-id-123',
   title: 'Test Fact',
   content: 'This is a test fact content.',
+  shortContent: null,
+  source: null,
+  sourceUrl: null,
+  imageUrl: null,
+  videoUrl: null,
   difficulty: 'MEDIUM',
   categoryId: 'category-id-123',
+  tags: [],
+  language: 'en',
   isApproved: true,
   isActive: true,
   isFeatured: false,
+  moderationStatus: 'APPROVED',
+  createdBy: null,
+  reviewerId: null,
   viewCount: 0,
   likeCount: 0,
   bookmarkCount: 0,
@@ -0,0 +1,83 @@
+jest.mock('../../../src/config/database', () => ({ prisma: {} }));
+jest.mock('../../../src/config/redis', () => ({ cache: {}, cacheKeys: {} }));
+jest.mock('../../../src/services/schedulerService', () => ({}));
+jest.mock('../../../src/services/analyticsService', () => ({}));
+jest.mock('../../../src/services/jobQueueService', () => ({}));
+jest.mock('../../../src/services/notificationService', () => ({}));
+jest.mock('../../../src/services/campaignService', () => ({}));
+jest.mock('../../../src/services/configService', () => ({}));
+jest.mock('../../../src/services/moderationService', () => ({}));
+jest.mock('../../../src/services/revisionService', () => ({}));
+jest.mock('../../../src/services/calendarService', () => ({}));
+jest.mock('../../../src/services/auditService', () => ({}));
+jest.mock('../../../src/services/duplicateService', () => ({}));
+jest.mock('../../../src/services/mediaService', () => ({}));
+
+jest.mock('../../../src/services/factTransferService', () => ({
+  ...jest.requireActual('../../../src/services/factTransferService'),
+  iterateFacts: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { iterateFacts } = require('../../../src/services/factTransferService');
+const logger = require('../../../src/utils/logger');
+const { exportFacts } = require('../../../src/controllers/adminController');
+
+describe('Admin Controller', () => {
+  describe('exportFacts', () => {
+    let app;
+    let failure;
+
+    const record = (id) => ({ id, title: `Fact ${id}`, content: 'Content', category: 'Science', tags: ['a', 'b'] });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      failure = null;
+
+      app = express();
+      app.get('/facts/export', (req, res, next) => {
+        req.user = { id: 'admin-1', role: 'ADMIN' };
+        next();
+      }, exportFacts);
+      app.use((err, req, res, next) => {
+        failure = err;
+        next(err);
+      });
+    });
+
+    it('should stream every batch and end the file', async () => {
+      iterateFacts.mockImplementation(async function* () {
+        yield [record('a'), record('b')];
+        yield [record('c')];
+      });
+
+      const res = await request(app).get('/facts/export?format=json');
+
+      expect(res.status).toBe(200);
+      expect(JSON.parse(res.text).map(fact => fact.id)).toEqual(['a', 'b', 'c']);
+      expect(failure).toBeNull();
+    });
+
+    it('should log the export context when a batch fails mid-stream', async () => {
+      const logError = jest.spyOn(logger, 'logError').mockImplementation(() => {});
+      const error = new Error('connection lost');
+      iterateFacts.mockImplementation(async function* () {
+        yield [record('a')];
+        throw error;
+      });
+
+      await request(app).get('/facts/export?format=csv&status=approved').catch(() => {});
+
+      expect(logError).toHaveBeenCalledWith(error, expect.objectContaining({
+        userId: 'admin-1',
+        format: 'csv',
+        count: 1,
+        filters: { format: 'csv', status: 'approved' },
+      }));
+      expect(failure).toBe(error);
+
+      logError.mockRestore();
+    });
+  });
+});
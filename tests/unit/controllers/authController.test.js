@@ -167,4 +167,50 @@ describe('Auth Controller', () => {
       });
     });
   });
+
+  describe('forgotPassword', () => {
+    let app;
+    let prisma;
+    let deliver;
+
+    beforeEach(() => {
+      jest.isolateModules(() => {
+        jest.doMock('../../../src/config/database', () => ({
+          prisma: {
+            user: { findUnique: jest.fn() },
+            emailMessage: { create: jest.fn(), update: jest.fn() },
+          },
+        }));
+        jest.doMock('../../../src/config/redis', () => ({
+          cache: { set: jest.fn() },
+          cacheKeys: {},
+        }));
+        jest.doMock('../../../src/config/mailer', () => ({ deliver: jest.fn() }));
+        jest.doMock('../../../src/services/deviceService', () => ({}));
+        jest.doMock('../../../src/services/topicService', () => ({}));
+
+        const express = require('express');
+        const { forgotPassword } = require('../../../src/controllers/authController');
+        ({ prisma } = require('../../../src/config/database'));
+        ({ deliver } = require('../../../src/config/mailer'));
+
+        app = express();
+        app.use(express.json());
+        app.post('/forgot-password', forgotPassword);
+      });
+    });
+
+    it('should answer without waiting on the mail transport', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ada@example.com', firstName: 'Ada', isActive: true });
+      prisma.emailMessage.create.mockImplementation(({ data }) => Promise.resolve({ id: 'email-1', attempts: 0, maxAttempts: 5, ...data }));
+      // A mail server that never answers
+      deliver.mockReturnValue(new Promise(() => {}));
+
+      const res = await request(app).post('/forgot-password').send({ email: 'ada@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(deliver).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@example.com' }));
+      expect(prisma.emailMessage.update).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,74 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../../src/services/configService', () => ({
+  getConfig: jest.fn(),
+}));
+
+const { getConfig } = require('../../../src/services/configService');
+const { generateAccessToken } = require('../../../src/utils/jwt');
+const { maintenanceMode } = require('../../../src/middleware/maintenance');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const request = (url, token = null) => ({
+  originalUrl: url,
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+});
+
+describe('Maintenance Middleware', () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = mockResponse();
+    next = jest.fn();
+    getConfig.mockResolvedValue({ maintenance_mode: true, maintenance_message: 'Back soon' });
+  });
+
+  it('should let requests through when maintenance mode is off', async () => {
+    getConfig.mockResolvedValue({ maintenance_mode: false });
+
+    await maintenanceMode(request('/api/facts/daily'), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should answer 503 to regular users', async () => {
+    await maintenanceMode(request('/api/facts/daily', generateAccessToken('user-1', 'USER')), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Back soon' }));
+  });
+
+  it('should let admins and sign-in through', async () => {
+    await maintenanceMode(request('/api/admin/config', generateAccessToken('admin-1', 'ADMIN')), res, next);
+    await maintenanceMode(request('/api/auth/login?lang=en'), res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not trust invalid tokens', async () => {
+    await maintenanceMode(request('/api/admin/config', 'forged.token.value'), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  it('should fail open when the setting cannot be read', async () => {
+    getConfig.mockRejectedValue(new Error('Redis down'));
+
+    await maintenanceMode(request('/api/facts/daily'), res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = uploadDir;
+
+jest.mock('../../../src/config/database', () => ({
+  prisma: {},
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { generateUploadToken } = require('../../../src/utils/jwt');
+const { globalErrorHandler } = require('../../../src/middleware/errorHandler');
+const { localUpload } = require('../../../src/middleware/upload');
+
+describe('Upload Middleware', () => {
+  let app;
+  let handler;
+
+  beforeEach(() => {
+    handler = jest.fn((req, res) => res.status(201).json({ size: req.body.length, key: req.upload.key }));
+    app = express();
+    app.put('/uploads/:token', localUpload, handler);
+    app.use(globalErrorHandler);
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  const tokenFor = (maxSize) => generateUploadToken({ key: 'avatars/user-1/a.png', contentType: 'image/png', maxSize }, 60);
+
+  it('should read the body allowed by the token', async () => {
+    const res = await request(app)
+      .put(`/uploads/${tokenFor(1024)}`)
+      .set('Content-Type', 'image/png')
+      .send(Buffer.alloc(512));
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ size: 512, key: 'avatars/user-1/a.png' });
+  });
+
+  it('should refuse invalid tokens before reading the body', async () => {
+    const res = await request(app)
+      .put('/uploads/not-a-token')
+      .set('Content-Type', 'image/png')
+      .send(Buffer.alloc(512));
+
+    expect(res.status).toBe(401);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should stop reading at the size the token allows', async () => {
+    const res = await request(app)
+      .put(`/uploads/${tokenFor(100)}`)
+      .set('Content-Type', 'image/png')
+      .send(Buffer.alloc(512));
+
+    expect(res.status).toBe(413);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should not read bodies of another content type', async () => {
+    await request(app)
+      .put(`/uploads/${tokenFor(1024)}`)
+      .set('Content-Type', 'image/jpeg')
+      .send(Buffer.alloc(512));
+
+    expect(Buffer.isBuffer(handler.mock.calls[0][0].body)).toBe(false);
+  });
+});
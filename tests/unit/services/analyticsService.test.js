@@ -0,0 +1,95 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    analytics: {
+      createMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: {},
+}));
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../../src/config/database');
+const analyticsService = require('../../../src/services/analyticsService');
+
+describe('Analytics Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analyticsService.eventQueue = [];
+  });
+
+  describe('trackSearch', () => {
+    it('should queue the normalized query with its filters and result count', async () => {
+      await analyticsService.trackSearch(null, {
+        searchId: 'search-1',
+        query: '  Volcanoes  OF Iceland ',
+        filters: { language: 'en', tags: ['geology'] },
+        resultCount: 0,
+      }, { ipAddress: '127.0.0.1' });
+
+      expect(analyticsService.eventQueue).toEqual([expect.objectContaining({
+        eventType: 'SEARCH_PERFORMED',
+        userId: null,
+        ipAddress: '127.0.0.1',
+        eventData: {
+          searchId: 'search-1',
+          query: 'volcanoes of iceland',
+          filters: { language: 'en', tags: ['geology'] },
+          resultCount: 0,
+          hasResults: false,
+        },
+      })]);
+    });
+
+    it('should link opened results to their search', async () => {
+      await analyticsService.trackSearchClick('user-1', 'search-1', 'fact-1', 3);
+
+      expect(analyticsService.eventQueue).toEqual([expect.objectContaining({
+        eventType: 'SEARCH_RESULT_CLICKED',
+        userId: 'user-1',
+        factId: 'fact-1',
+        eventData: { searchId: 'search-1', factId: 'fact-1', position: 3 },
+      })]);
+    });
+  });
+
+  describe('getSearchReport', () => {
+    const since = new Date('2025-01-01');
+
+    it('should compute the zero-result and conversion rates', async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([{ searches: 8, zeroResultSearches: 2, clickedSearches: 3 }])
+        .mockResolvedValueOnce([{ query: 'volcano', searches: 4, clickedSearches: 3, averageResults: 12 }])
+        .mockResolvedValueOnce([{ query: 'xylophone', searches: 2, lastSearchedAt: since }]);
+
+      const report = await analyticsService.getSearchReport(since, 10);
+
+      expect(report).toEqual({
+        totals: {
+          searches: 8,
+          zeroResultSearches: 2,
+          clickedSearches: 3,
+          zeroResultRate: 0.25,
+          conversionRate: 0.375,
+        },
+        topQueries: [{ query: 'volcano', searches: 4, clickedSearches: 3, averageResults: 12, conversionRate: 0.75 }],
+        zeroResultQueries: [{ query: 'xylophone', searches: 2, lastSearchedAt: since }],
+      });
+
+      const { values } = Prisma.sql(...prisma.$queryRaw.mock.calls[1]);
+      expect(values).toEqual([since, since, 10]);
+    });
+
+    it('should return an empty report when the queries fail', async () => {
+      prisma.$queryRaw.mockRejectedValue(new Error('connection lost'));
+
+      const report = await analyticsService.getSearchReport(since);
+
+      expect(report.totals).toMatchObject({ searches: 0, conversionRate: 0 });
+      expect(report.topQueries).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    auditLog: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+    },
+  },
+}));
+
+const { prisma } = require('../../../src/config/database');
+const {
+  diffRecords,
+  recordAudit,
+  getAuditLogs,
+  iterateAuditLogs,
+} = require('../../../src/services/auditService');
+
+const adminRequest = {
+  user: { id: 'admin-1' },
+  ip: '127.0.0.1',
+  get: (header) => (header === 'User-Agent' ? 'jest' : undefined),
+};
+
+describe('Audit Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diffRecords', () => {
+    it('should keep only changed fields', () => {
+      const before = { id: 'fact-1', title: 'Old', isApproved: false, updatedAt: new Date('2025-01-01') };
+      const after = { id: 'fact-1', title: 'New', isApproved: false, updatedAt: new Date('2025-01-02'), category: { id: 'c' } };
+
+      expect(diffRecords(before, after)).toEqual({
+        before: { title: 'Old' },
+        after: { title: 'New' },
+      });
+    });
+
+    it('should keep the whole record for creates and deletes', () => {
+      const record = { id: 'category-1', name: 'Science', createdAt: new Date(), approvedAt: new Date('2025-01-01') };
+
+      expect(diffRecords(null, record)).toEqual({
+        before: null,
+        after: { id: 'category-1', name: 'Science', approvedAt: '2025-01-01T00:00:00.000Z' },
+      });
+      expect(diffRecords(record, null).after).toBeNull();
+    });
+
+    it('should compare arrays and JSON by value and redact secrets', () => {
+      const diff = diffRecords(
+        { tags: ['a'], segment: { activity: 'active_7d' }, password: 'old-hash' },
+        { tags: ['a'], segment: { activity: 'active_30d' }, password: 'new-hash' },
+      );
+
+      expect(diff.before).toEqual({ segment: { activity: 'active_7d' }, password: '[REDACTED]' });
+      expect(diff.after).toEqual({ segment: { activity: 'active_30d' }, password: '[REDACTED]' });
+    });
+  });
+
+  describe('recordAudit', () => {
+    it('should store the actor, request origin and diff', async () => {
+      await recordAudit(adminRequest, {
+        action: 'FACT_REJECTED',
+        resource: 'fact',
+        resourceId: 'fact-1',
+        before: { isActive: true },
+        after: { isActive: false },
+        details: { reason: 'Inaccurate' },
+      });
+
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: {
+          userId: 'admin-1',
+          action: 'FACT_REJECTED',
+          resource: 'fact',
+          resourceId: 'fact-1',
+          changes: {
+            before: { isActive: true },
+            after: { isActive: false },
+            details: { reason: 'Inaccurate' },
+          },
+          ipAddress: '127.0.0.1',
+          userAgent: 'jest',
+        },
+      });
+    });
+
+    it('should not throw when the write fails', async () => {
+      prisma.auditLog.create.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(recordAudit(adminRequest, { action: 'JOB_PAUSED', resource: 'job' })).resolves.toBeNull();
+    });
+  });
+
+  describe('getAuditLogs', () => {
+    it('should filter by actor, resource and date range', async () => {
+      prisma.auditLog.findMany.mockResolvedValue([]);
+      prisma.auditLog.count.mockResolvedValue(0);
+
+      await getAuditLogs({
+        userId: 'admin-1',
+        resource: 'fact',
+        from: '2025-10-01T00:00:00Z',
+        to: '2025-10-31T00:00:00Z',
+      }, { page: 2, limit: 10 });
+
+      expect(prisma.auditLog.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          userId: 'admin-1',
+          resource: 'fact',
+          timestamp: { gte: new Date('2025-10-01T00:00:00Z'), lte: new Date('2025-10-31T00:00:00Z') },
+        },
+        skip: 10,
+        take: 10,
+      }));
+    });
+  });
+
+  describe('iterateAuditLogs', () => {
+    it('should page through all matching entries', async () => {
+      const batch = Array.from({ length: 1000 }, (_, i) => ({ id: `log-${i}` }));
+      prisma.auditLog.findMany
+        .mockResolvedValueOnce(batch)
+        .mockResolvedValueOnce([{ id: 'log-1000' }]);
+
+      const batches = [];
+      for await (const logs of iterateAuditLogs({ action: 'FACT_DELETED' })) {
+        batches.push(logs.length);
+      }
+
+      expect(batches).toEqual([1000, 1]);
+      expect(prisma.auditLog.findMany.mock.calls[1][0]).toEqual(expect.objectContaining({
+        cursor: { id: 'log-999' },
+        skip: 1,
+      }));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    fact: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    factOfTheDay: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      delete: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: {
+    del: jest.fn(),
+  },
+  cacheKeys: {
+    anonymousDailyFacts: (date) => `daily_facts:anonymous:${date}`,
+  },
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { cache } = require('../../../src/config/redis');
+const {
+  addDays,
+  getCalendar,
+  scheduleFact,
+  setFactOfTheDay,
+  getFactOfTheDay,
+} = require('../../../src/services/calendarService');
+
+const science = { id: 'science', name: 'Science' };
+const space = { id: 'space', name: 'Space' };
+const editor = { id: 'mod-1', role: 'MODERATOR' };
+
+describe('Calendar Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('addDays', () => {
+    it('should move across month ends', () => {
+      expect(addDays('2025-01-30', 3)).toBe('2025-02-02');
+    });
+  });
+
+  describe('getCalendar', () => {
+    it('should group facts by day and category with each fact of the day', async () => {
+      prisma.fact.findMany.mockResolvedValue([
+        { id: 'a', title: 'A', publishedAt: new Date('2025-03-01T08:00:00Z'), category: space },
+        { id: 'b', title: 'B', publishedAt: new Date('2025-03-01T09:00:00Z'), category: science },
+        { id: 'c', title: 'C', publishedAt: new Date('2025-03-03T23:59:00Z'), category: space },
+      ]);
+      prisma.factOfTheDay.findMany.mockResolvedValue([{ date: '2025-03-02', fact: { id: 'z' } }]);
+
+      const days = await getCalendar('2025-03-01', '2025-03-03');
+
+      expect(prisma.fact.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          publishedAt: { gte: new Date('2025-03-01T00:00:00Z'), lt: new Date('2025-03-04T00:00:00Z') },
+        }),
+      }));
+      expect(days.map(day => day.date)).toEqual(['2025-03-01', '2025-03-02', '2025-03-03']);
+      expect(days[0].categories.map(group => [group.category.id, group.facts.map(f => f.id)]))
+        .toEqual([['space', ['a']], ['science', ['b']]]);
+      expect(days[1]).toEqual({ date: '2025-03-02', factOfTheDay: { id: 'z' }, categories: [] });
+      expect(days[2].categories[0].facts.map(f => f.id)).toEqual(['c']);
+    });
+
+    it('should refuse empty and overly long ranges', async () => {
+      await expect(getCalendar('2025-03-02', '2025-03-01')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(getCalendar('2025-01-01', '2025-12-31')).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.fact.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scheduleFact', () => {
+    it('should only reschedule approved facts', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'a', isApproved: false, isActive: true });
+
+      await expect(scheduleFact('a', '2025-03-01T08:00:00Z')).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.fact.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setFactOfTheDay', () => {
+    it('should pick the fact and drop the cached anonymous daily facts', async () => {
+      prisma.fact.findUnique.mockResolvedValue({
+        id: 'a', isApproved: true, isActive: true, publishedAt: new Date('2025-03-01T08:00:00Z'),
+      });
+      prisma.factOfTheDay.upsert.mockResolvedValue({ date: '2025-03-01', factId: 'a' });
+
+      const { pick } = await setFactOfTheDay('2025-03-01', 'a', editor);
+
+      expect(pick.factId).toBe('a');
+      expect(prisma.factOfTheDay.upsert).toHaveBeenCalledWith({
+        where: { date: '2025-03-01' },
+        update: { factId: 'a', setBy: 'mod-1' },
+        create: { date: '2025-03-01', factId: 'a', setBy: 'mod-1' },
+      });
+      expect(cache.del).toHaveBeenCalledWith('daily_facts:anonymous:2025-03-01');
+    });
+
+    it('should refuse facts published after that day', async () => {
+      prisma.fact.findUnique.mockResolvedValue({
+        id: 'a', isApproved: true, isActive: true, publishedAt: new Date('2025-03-02T00:00:00Z'),
+      });
+
+      await expect(setFactOfTheDay('2025-03-01', 'a', editor)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getFactOfTheDay', () => {
+    it('should skip facts that are not live yet', async () => {
+      prisma.factOfTheDay.findUnique.mockResolvedValue({
+        date: '2025-03-01',
+        fact: { id: 'a', isApproved: true, isActive: true, publishedAt: new Date(Date.now() + 60 * 60 * 1000) },
+      });
+
+      expect(await getFactOfTheDay('2025-03-01')).toBeNull();
+    });
+  });
+});
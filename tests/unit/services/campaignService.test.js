@@ -0,0 +1,210 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    campaign: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    notification: {
+      groupBy: jest.fn(),
+      createManyAndReturn: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    user: {
+      count: jest.fn(),
+      findMany: jest.fn(),
+    },
+    fact: {
+      findFirst: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/services/deviceService', () => ({
+  getActiveTokens: jest.fn(),
+}));
+
+jest.mock('../../../src/services/notificationService', () => ({
+  deliverToTokens: jest.fn(),
+  recordSendResult: jest.fn(),
+  getNotificationData: jest.fn(),
+  cancelNotification: jest.fn(),
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { getActiveTokens } = require('../../../src/services/deviceService');
+const { deliverToTokens, recordSendResult } = require('../../../src/services/notificationService');
+const {
+  buildAudienceWhere,
+  getCampaignStats,
+  updateCampaign,
+  cancelCampaign,
+  processDueCampaigns,
+} = require('../../../src/services/campaignService');
+
+describe('Campaign Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildAudienceWhere', () => {
+    it('should target every user with notifications enabled by default', () => {
+      expect(buildAudienceWhere({})).toEqual({ isActive: true, notificationsEnabled: true });
+    });
+
+    it('should combine segment filters', () => {
+      const where = buildAudienceWhere({
+        categoryIds: ['category-1'],
+        difficultyLevels: ['HARD'],
+        languages: ['en'],
+        timezones: ['Europe/Paris'],
+        activity: 'inactive_30d',
+      });
+
+      expect(where).toEqual(expect.objectContaining({
+        userCategories: { some: { categoryId: { in: ['category-1'] }, isEnabled: true } },
+        difficultyLevel: { in: ['HARD'] },
+        languagePreference: { in: ['en'] },
+        timezone: { in: ['Europe/Paris'] },
+        OR: [{ lastActiveDate: null }, { lastActiveDate: { lt: expect.any(Date) } }],
+      }));
+    });
+  });
+
+  describe('getCampaignStats', () => {
+    it('should count opened notifications as sent and delivered', async () => {
+      prisma.notification.groupBy.mockResolvedValue([
+        { campaignId: 'campaign-1', status: 'SENT', _count: { _all: 5 } },
+        { campaignId: 'campaign-1', status: 'DELIVERED', _count: { _all: 3 } },
+        { campaignId: 'campaign-1', status: 'OPENED', _count: { _all: 2 } },
+        { campaignId: 'campaign-1', status: 'FAILED', _count: { _all: 1 } },
+        { campaignId: 'campaign-1', status: 'CANCELLED', _count: { _all: 4 } },
+      ]);
+
+      const stats = await getCampaignStats(['campaign-1', 'campaign-2']);
+
+      expect(stats.get('campaign-1')).toEqual({
+        sent: 10,
+        delivered: 5,
+        opened: 2,
+        failed: 1,
+        cancelled: 4,
+        openRate: 0.2,
+      });
+      expect(stats.get('campaign-2').sent).toBe(0);
+    });
+  });
+
+  describe('state changes', () => {
+    it('should not edit a campaign that is already sending', async () => {
+      prisma.campaign.findUnique.mockResolvedValue({ id: 'campaign-1', status: 'SENDING' });
+
+      await expect(updateCampaign('campaign-1', { title: 'New' })).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.campaign.update).not.toHaveBeenCalled();
+    });
+
+    it('should turn a scheduled campaign back into a draft', async () => {
+      prisma.campaign.findUnique.mockResolvedValue({ id: 'campaign-1', status: 'SCHEDULED' });
+
+      await updateCampaign('campaign-1', { scheduledFor: null });
+
+      expect(prisma.campaign.update).toHaveBeenCalledWith({
+        where: { id: 'campaign-1' },
+        data: { scheduledFor: null, status: 'DRAFT' },
+      });
+    });
+
+    it('should not cancel a sent campaign', async () => {
+      prisma.campaign.findUnique.mockResolvedValue({ id: 'campaign-1', status: 'SENT' });
+
+      await expect(cancelCampaign('campaign-1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should return null for unknown campaigns', async () => {
+      prisma.campaign.findUnique.mockResolvedValue(null);
+
+      expect(await cancelCampaign('campaign-1')).toBeNull();
+    });
+  });
+
+  describe('processDueCampaigns', () => {
+    const campaign = {
+      id: 'campaign-1',
+      title: 'New category!',
+      body: 'Space facts are here',
+      segment: {},
+      status: 'SCHEDULED',
+      scheduledFor: new Date('2025-10-18T09:00:00Z'),
+    };
+
+    beforeEach(() => {
+      prisma.campaign.findMany.mockResolvedValue([campaign]);
+      prisma.user.count.mockResolvedValue(1);
+      getActiveTokens.mockResolvedValue(['token-a']);
+      prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should skip campaigns that were cancelled after loading', async () => {
+      prisma.campaign.updateMany.mockResolvedValue({ count: 0 });
+
+      const summary = await processDueCampaigns();
+
+      expect(summary).toEqual({ campaigns: 1, sent: 0, failed: 0, skipped: 0 });
+      expect(prisma.user.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should send to the audience and complete the campaign', async () => {
+      prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+      prisma.user.findMany.mockResolvedValue([{ id: 'user-1', timezone: 'UTC' }]);
+      prisma.notification.createManyAndReturn.mockResolvedValue([
+        { id: 'notification-1', userId: 'user-1', status: 'PENDING' },
+      ]);
+      deliverToTokens.mockResolvedValue({ success: true });
+      prisma.campaign.findUnique.mockResolvedValue({ status: 'SENDING' });
+
+      const summary = await processDueCampaigns();
+
+      expect(summary).toEqual({ campaigns: 1, sent: 1, failed: 0, skipped: 0 });
+      expect(prisma.notification.createManyAndReturn).toHaveBeenCalledWith(expect.objectContaining({
+        skipDuplicates: true,
+      }));
+      expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+        where: { id: 'notification-1', status: 'PENDING' },
+        data: { status: 'SENDING' },
+      });
+      expect(prisma.campaign.update).toHaveBeenCalledWith({
+        where: { id: 'campaign-1' },
+        data: { status: 'SENT', completedAt: expect.any(Date) },
+      });
+    });
+
+    it('should push the rows an interrupted send left pending when it resumes', async () => {
+      prisma.campaign.findMany.mockResolvedValue([{ ...campaign, status: 'SENDING' }]);
+      prisma.notification.findMany.mockResolvedValue([
+        { id: 'notification-1', userId: 'user-1', status: 'PENDING', user: { id: 'user-1', timezone: 'UTC' } },
+        { id: 'notification-2', userId: 'user-2', status: 'PENDING', user: { id: 'user-2', timezone: 'UTC' } },
+      ]);
+      // Another worker got to the second row first
+      prisma.notification.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+      prisma.user.findMany.mockResolvedValue([]);
+      prisma.notification.createManyAndReturn.mockResolvedValue([]);
+      deliverToTokens.mockResolvedValue({ success: true });
+      prisma.campaign.findUnique.mockResolvedValue({ status: 'SENDING' });
+
+      const summary = await processDueCampaigns();
+
+      expect(summary).toEqual({ campaigns: 1, sent: 1, failed: 0, skipped: 0 });
+      expect(prisma.notification.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { campaignId: 'campaign-1', status: 'PENDING' },
+      }));
+      expect(recordSendResult).toHaveBeenCalledTimes(1);
+      expect(recordSendResult).toHaveBeenCalledWith(expect.objectContaining({ id: 'notification-1' }), { success: true });
+      expect(prisma.campaign.updateMany).not.toHaveBeenCalled();
+      expect(prisma.campaign.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { status: 'SENT', completedAt: expect.any(Date) },
+      }));
+    });
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    systemConfig: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+  },
+  cacheKeys: {
+    systemConfig: () => 'system_config',
+  },
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { cache } = require('../../../src/config/redis');
+const { getConfig, getConfigValue, updateConfig, clearConfigCache } = require('../../../src/services/configService');
+
+describe('Config Service', () => {
+  beforeEach(async () => {
+    await clearConfigCache();
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+    prisma.systemConfig.findMany.mockResolvedValue([]);
+  });
+
+  describe('getConfig', () => {
+    it('should parse stored values and fall back to defaults', async () => {
+      prisma.systemConfig.findMany.mockResolvedValue([
+        { key: 'maintenance_mode', value: 'true' },
+        { key: 'max_daily_notifications', value: 'lots' },
+      ]);
+
+      const config = await getConfig();
+
+      expect(config.maintenance_mode).toBe(true);
+      expect(config.max_daily_notifications).toBe(5);
+      expect(config.fact_approval_required).toBe(true);
+      expect(cache.set).toHaveBeenCalledWith('system_config', {
+        maintenance_mode: 'true',
+        max_daily_notifications: 'lots',
+      }, expect.any(Number));
+    });
+
+    it('should read through the cache', async () => {
+      cache.get.mockResolvedValue({ max_daily_notifications: '3' });
+
+      expect(await getConfigValue('max_daily_notifications')).toBe(3);
+      expect(prisma.systemConfig.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should keep the settings in memory for a while, even without Redis', async () => {
+      cache.set.mockResolvedValue(false);
+      prisma.systemConfig.findMany.mockResolvedValue([{ key: 'maintenance_mode', value: 'true' }]);
+
+      await getConfig();
+      const config = await getConfig();
+
+      expect(config.maintenance_mode).toBe(true);
+      expect(cache.get).toHaveBeenCalledTimes(1);
+      expect(prisma.systemConfig.findMany).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('updateConfig', () => {
+    it('should store values as strings and invalidate the cache', async () => {
+      await updateConfig({ maintenance_mode: true, max_daily_notifications: 2 });
+
+      expect(prisma.systemConfig.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'maintenance_mode' },
+        update: { value: 'true', isActive: true },
+      }));
+      expect(prisma.systemConfig.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'max_daily_notifications' },
+        update: { value: '2', isActive: true },
+      }));
+      expect(cache.del).toHaveBeenCalledWith('system_config');
+    });
+
+    it('should serve the new values right away on this instance', async () => {
+      prisma.$transaction.mockResolvedValue([]);
+      expect((await getConfig()).maintenance_mode).toBe(false);
+
+      prisma.systemConfig.findMany.mockResolvedValue([{ key: 'maintenance_mode', value: 'true' }]);
+      await updateConfig({ maintenance_mode: true });
+
+      expect((await getConfig()).maintenance_mode).toBe(true);
+    });
+
+    it('should reject unknown keys and invalid values before writing', async () => {
+      await expect(updateConfig({ unknown_key: 'x' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(updateConfig({ maintenance_mode: false, max_daily_notifications: 50 }))
+        .rejects.toThrow('max_daily_notifications must be a number between 1 and 10');
+      await expect(updateConfig({ fact_approval_required: 'yes' })).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
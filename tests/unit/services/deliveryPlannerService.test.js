@@ -0,0 +1,202 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    notification: {
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+const { prisma } = require('../../../src/config/database');
+const {
+  getNextSendTime,
+  getDailySlots,
+  getLocalDayRange,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+  resolveTimezone,
+  claimNotification,
+  failInterruptedSends,
+} = require('../../../src/services/deliveryPlannerService');
+
+describe('Delivery Planner Service', () => {
+  const createUser = (overrides = {}) => ({
+    id: 'user-123',
+    timezone: 'UTC',
+    dailyNotificationTime: '09:00',
+    weekendNotifications: true,
+    ...overrides,
+  });
+
+  describe('resolveTimezone', () => {
+    it('should keep valid IANA timezones', () => {
+      expect(resolveTimezone('Asia/Kolkata')).toBe('Asia/Kolkata');
+    });
+
+    it('should fall back to UTC for unknown timezones', () => {
+      expect(resolveTimezone('Mars/Olympus_Mons')).toBe('UTC');
+      expect(resolveTimezone(null)).toBe('UTC');
+    });
+  });
+
+  describe('getNextSendTime', () => {
+    it('should honor minutes in half-hour offset timezones', () => {
+      const user = createUser({ timezone: 'Asia/Kolkata', dailyNotificationTime: '09:30' });
+
+      // Monday 08:30 in India
+      const next = getNextSendTime(user, new Date('2025-10-20T03:00:00Z'));
+
+      expect(next.toISOString()).toBe('2025-10-20T04:00:00.000Z');
+    });
+
+    it('should move to the next day once the time has passed', () => {
+      const user = createUser({ timezone: 'Asia/Kolkata', dailyNotificationTime: '09:30' });
+
+      const next = getNextSendTime(user, new Date('2025-10-20T04:00:00Z'));
+
+      expect(next.toISOString()).toBe('2025-10-21T04:00:00.000Z');
+    });
+
+    it('should handle Newfoundland time', () => {
+      const user = createUser({ timezone: 'America/St_Johns', dailyNotificationTime: '07:15' });
+
+      const next = getNextSendTime(user, new Date('2025-10-20T00:00:00Z'));
+
+      expect(next.toISOString()).toBe('2025-10-20T09:45:00.000Z');
+    });
+
+    it('should keep the local time across a DST change', () => {
+      const user = createUser({ timezone: 'America/New_York' });
+
+      // Saturday 10:00 EST, clocks move forward on Sunday
+      const next = getNextSendTime(user, new Date('2025-03-08T15:00:00Z'));
+
+      expect(next.toISOString()).toBe('2025-03-09T13:00:00.000Z');
+    });
+
+    it('should skip weekend days in the user timezone', () => {
+      const user = createUser({ timezone: 'Pacific/Auckland', dailyNotificationTime: '10:00', weekendNotifications: false });
+
+      // Friday in UTC but already Saturday in Auckland
+      const next = getNextSendTime(user, new Date('2025-10-17T20:00:00Z'));
+
+      expect(next.toISOString()).toBe('2025-10-19T21:00:00.000Z');
+    });
+
+    it('should deliver on weekends when enabled', () => {
+      const user = createUser({ timezone: 'Europe/Paris' });
+
+      const next = getNextSendTime(user, new Date('2025-10-17T10:00:00Z'));
+
+      expect(next.toISOString()).toBe('2025-10-18T07:00:00.000Z');
+    });
+  });
+
+  describe('getDailySlots', () => {
+    it('should spread facts evenly until the default waking end', () => {
+      const user = createUser({ maxNotificationsPerDay: 3 });
+
+      expect(getDailySlots(user)).toEqual([9 * 60, 13 * 60, 17 * 60]);
+    });
+
+    it('should end the waking window when quiet hours start', () => {
+      const user = createUser({ maxNotificationsPerDay: 2, quietHoursStart: '17:00', quietHoursEnd: '07:00' });
+
+      expect(getDailySlots(user)).toEqual([9 * 60, 13 * 60]);
+    });
+
+    it('should use configured slots up to the daily limit', () => {
+      const user = createUser({
+        maxNotificationsPerDay: 2,
+        notificationSlots: ['19:00', '08:00', '12:30'],
+      });
+
+      expect(getDailySlots(user)).toEqual([8 * 60, 12 * 60 + 30]);
+    });
+
+    it('should drop slots inside quiet hours', () => {
+      const user = createUser({
+        maxNotificationsPerDay: 3,
+        notificationSlots: ['06:30', '12:00', '23:00'],
+        quietHoursStart: '22:00',
+        quietHoursEnd: '07:00',
+      });
+
+      expect(getDailySlots(user)).toEqual([12 * 60]);
+    });
+  });
+
+  describe('multiple slots', () => {
+    it('should pick the next slot of the same local day', () => {
+      const user = createUser({
+        timezone: 'Asia/Kolkata',
+        maxNotificationsPerDay: 3,
+        notificationSlots: ['08:00', '12:30', '19:00'],
+      });
+
+      // Monday 09:00 in India
+      const next = getNextSendTime(user, new Date('2025-10-20T03:30:00Z'));
+
+      expect(next.toISOString()).toBe('2025-10-20T07:00:00.000Z');
+    });
+
+    it('should detect quiet hours in the user timezone', () => {
+      const user = createUser({ timezone: 'America/New_York', quietHoursStart: '22:00', quietHoursEnd: '07:00' });
+
+      expect(isWithinQuietHours(user, new Date('2025-10-20T03:00:00Z'))).toBe(true);
+      expect(isWithinQuietHours(user, new Date('2025-10-20T16:00:00Z'))).toBe(false);
+    });
+
+    it('should compute the local day range', () => {
+      const user = createUser({ timezone: 'Asia/Kolkata' });
+
+      const { start, end } = getLocalDayRange(user, new Date('2025-10-20T20:00:00Z'));
+
+      expect(start.toISOString()).toBe('2025-10-20T18:30:00.000Z');
+      expect(end.toISOString()).toBe('2025-10-21T18:30:00.000Z');
+    });
+  });
+
+  describe('getQuietHoursEnd', () => {
+    const user = createUser({ timezone: 'Europe/Paris', quietHoursStart: '22:00', quietHoursEnd: '07:30' });
+
+    it('should end quiet hours wrapping past midnight on the next local morning', () => {
+      // 23:00 in Paris
+      expect(getQuietHoursEnd(user, new Date('2025-10-20T21:00:00Z')).toISOString()).toBe('2025-10-21T05:30:00.000Z');
+      // 06:00 in Paris
+      expect(getQuietHoursEnd(user, new Date('2025-10-21T04:00:00Z')).toISOString()).toBe('2025-10-21T05:30:00.000Z');
+    });
+
+    it('should return null outside quiet hours', () => {
+      expect(getQuietHoursEnd(user, new Date('2025-10-20T12:00:00Z'))).toBeNull();
+      expect(getQuietHoursEnd(createUser(), new Date('2025-10-20T21:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('claimNotification', () => {
+    it('should let only one of two concurrent dispatchers send a notification', async () => {
+      const notification = { id: 'notification-1', status: 'PENDING' };
+      prisma.notification.updateMany.mockImplementation(({ where, data }) => new Promise(resolve => setImmediate(() => {
+        const claimed = notification.id === where.id && notification.status === where.status;
+        if (claimed) {
+          notification.status = data.status;
+        }
+        resolve({ count: claimed ? 1 : 0 });
+      })));
+
+      const claims = await Promise.all([claimNotification('notification-1'), claimNotification('notification-1')]);
+
+      expect(claims.sort()).toEqual([false, true]);
+      expect(notification.status).toBe('SENDING');
+    });
+
+    it('should fail sends left claimed by a dead worker without retrying them', async () => {
+      prisma.notification.updateMany.mockResolvedValue({ count: 2 });
+
+      expect(await failInterruptedSends()).toBe(2);
+      expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+        where: { status: 'SENDING', updatedAt: { lt: expect.any(Date) } },
+        data: { status: 'FAILED', errorMessage: 'Send interrupted', nextRetryAt: null },
+      });
+    });
+  });
+});
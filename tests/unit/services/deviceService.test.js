@@ -0,0 +1,183 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    device: {
+      upsert: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    userSession: {
+      findUnique: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/services/topicService', () => ({
+  syncUserTopics: jest.fn(),
+  unsubscribeDevice: jest.fn(),
+}));
+
+jest.mock('../../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireEmailVerification: (req, res, next) => next(),
+}));
+
+jest.mock('../../../src/middleware/rateLimiter', () => ({
+  apiLimiter: (req, res, next) => next(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma } = require('../../../src/config/database');
+const topicService = require('../../../src/services/topicService');
+const { globalErrorHandler } = require('../../../src/middleware/errorHandler');
+const userRoutes = require('../../../src/routes/users');
+const {
+  registerDevice,
+  refreshDeviceToken,
+  pruneInvalidTokens,
+} = require('../../../src/services/deviceService');
+
+describe('Device Service', () => {
+  const device = (overrides = {}) => ({
+    id: 'device-1',
+    userId: 'user-1',
+    fcmToken: 'token-1',
+    deviceId: 'install-1',
+    platform: 'ios',
+    appVersion: '2.1.0',
+    isActive: true,
+    lastSeenAt: new Date('2025-03-01'),
+    createdAt: new Date('2025-01-01'),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.device.upsert.mockImplementation(({ create }) => Promise.resolve(device(create)));
+    prisma.device.updateMany.mockResolvedValue({ count: 0 });
+  });
+
+  describe('registerDevice', () => {
+    it('should move a known token to the user registering it', async () => {
+      await registerDevice('user-2', { fcmToken: 'token-1', deviceId: 'install-1', platform: 'android' });
+
+      expect(prisma.device.upsert).toHaveBeenCalledWith({
+        where: { fcmToken: 'token-1' },
+        update: expect.objectContaining({
+          userId: 'user-2',
+          platform: 'android',
+          isActive: true,
+          invalidatedAt: null,
+          lastSeenAt: expect.any(Date),
+        }),
+        create: expect.objectContaining({ userId: 'user-2', fcmToken: 'token-1', deviceId: 'install-1' }),
+      });
+    });
+
+    it('should deactivate the older tokens of the same install', async () => {
+      const registered = await registerDevice('user-1', { fcmToken: 'token-2', deviceId: 'install-1' });
+
+      expect(prisma.device.updateMany).toHaveBeenCalledWith({
+        where: { userId: 'user-1', deviceId: 'install-1', id: { not: registered.id }, isActive: true },
+        data: { isActive: false, invalidatedAt: expect.any(Date) },
+      });
+    });
+
+    it('should leave other tokens alone without a device id', async () => {
+      await registerDevice('user-1', { fcmToken: 'token-2' });
+
+      expect(prisma.device.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshDeviceToken', () => {
+    it('should bind the token to the session of the refresh token', async () => {
+      prisma.userSession.findUnique.mockResolvedValue({ id: 'session-1' });
+
+      await refreshDeviceToken('user-1', { fcmToken: 'token-1', deviceId: 'install-1', deviceType: 'ios' }, 'refresh-1');
+
+      expect(prisma.userSession.findUnique).toHaveBeenCalledWith({ where: { refreshToken: 'refresh-1' }, select: { id: true } });
+      expect(prisma.device.upsert.mock.calls[0][0].create).toMatchObject({ sessionId: 'session-1', platform: 'ios' });
+    });
+
+    it('should do nothing without a token', async () => {
+      expect(await refreshDeviceToken('user-1', { deviceId: 'install-1' })).toBeNull();
+      expect(prisma.device.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should never fail the login it comes with', async () => {
+      prisma.device.upsert.mockRejectedValue(new Error('database is down'));
+
+      await expect(refreshDeviceToken('user-1', { fcmToken: 'token-1' })).resolves.toBeNull();
+    });
+  });
+
+  describe('pruneInvalidTokens', () => {
+    it('should deactivate the tokens FCM rejected', async () => {
+      prisma.device.updateMany.mockResolvedValue({ count: 2 });
+
+      expect(await pruneInvalidTokens(['token-1', 'token-2'])).toBe(2);
+      expect(prisma.device.updateMany).toHaveBeenCalledWith({
+        where: { fcmToken: { in: ['token-1', 'token-2'] }, isActive: true },
+        data: { isActive: false, invalidatedAt: expect.any(Date) },
+      });
+    });
+
+    it('should not query without tokens, nor throw when the update fails', async () => {
+      expect(await pruneInvalidTokens([])).toBe(0);
+      expect(prisma.device.updateMany).not.toHaveBeenCalled();
+
+      prisma.device.updateMany.mockRejectedValue(new Error('database is down'));
+      expect(await pruneInvalidTokens(['token-1'])).toBe(0);
+    });
+  });
+
+  describe('/api/users/devices', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/users', userRoutes);
+      app.use(globalErrorHandler);
+    });
+
+    it('should register the device and subscribe it to the user topics', async () => {
+      const res = await request(app)
+        .post('/api/users/devices')
+        .set('X-Device-Id', 'install-1')
+        .send({ fcmToken: 'token-1', platform: 'ios', appVersion: '2.1.0' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.device).toMatchObject({ id: 'device-1', deviceId: 'install-1', platform: 'ios', isActive: true });
+      expect(res.body.data.device.fcmToken).toBeUndefined();
+      expect(prisma.device.upsert.mock.calls[0][0].create).toMatchObject({ userId: 'user-1', fcmToken: 'token-1' });
+      expect(topicService.syncUserTopics).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should refuse registrations without a token or with an unknown platform', async () => {
+      const missing = await request(app).post('/api/users/devices').send({ platform: 'ios' });
+      const platform = await request(app).post('/api/users/devices').send({ fcmToken: 'token-1', platform: 'symbian' });
+
+      expect(missing.status).toBe(400);
+      expect(platform.status).toBe(400);
+      expect(prisma.device.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should only remove devices of the user', async () => {
+      const id = '3f1c2a4e-8b6d-4c1a-9e2f-5a7b8c9d0e1f';
+      prisma.device.deleteMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+      const removed = await request(app).delete(`/api/users/devices/${id}`);
+      const missing = await request(app).delete(`/api/users/devices/${id}`);
+
+      expect(removed.status).toBe(200);
+      expect(missing.status).toBe(404);
+      expect(prisma.device.deleteMany).toHaveBeenCalledWith({ where: { id, userId: 'user-1' } });
+      expect(topicService.unsubscribeDevice).toHaveBeenCalledWith('user-1', id);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    $queryRaw: jest.fn(),
+    fact: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    factReview: {
+      create: jest.fn(),
+    },
+    userFact: {
+      findMany: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn(),
+      count: jest.fn(),
+    },
+    campaign: {
+      updateMany: jest.fn(),
+    },
+    notification: {
+      updateMany: jest.fn(),
+    },
+    factOfTheDay: {
+      updateMany: jest.fn(),
+    },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../../src/config/database');
+const {
+  findSimilarFacts,
+  findSimilarFactsForEach,
+  clusterPairs,
+  getDuplicateClusters,
+  mergeFacts,
+} = require('../../../src/services/duplicateService');
+
+const admin = { id: 'admin-1', role: 'ADMIN' };
+
+const interaction = (id, userId, factId, overrides = {}) => ({
+  id,
+  userId,
+  factId,
+  isViewed: true,
+  isLiked: false,
+  isBookmarked: false,
+  isShared: false,
+  viewedAt: null,
+  ...overrides,
+});
+
+describe('Duplicate Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findSimilarFacts', () => {
+    it('should round the similarity scores', async () => {
+      prisma.$queryRaw.mockResolvedValue([{ id: 'a', title: 'A', moderationStatus: 'APPROVED', score: 0.87654 }]);
+
+      expect(await findSimilarFacts({ title: 'A', content: 'B' })).toEqual([
+        { id: 'a', title: 'A', moderationStatus: 'APPROVED', score: 0.88 },
+      ]);
+    });
+
+    it('should return no candidates when the check fails', async () => {
+      prisma.$queryRaw.mockRejectedValue(new Error('function similarity does not exist'));
+
+      expect(await findSimilarFacts({ title: 'A', content: 'B' })).toEqual([]);
+    });
+  });
+
+  describe('findSimilarFactsForEach', () => {
+    it('should check all facts in one query and return their candidates in order', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { position: 2, id: 'a', title: 'A', moderationStatus: 'APPROVED', score: 0.61234 },
+        { position: 2, id: 'b', title: 'B', moderationStatus: 'DRAFT', score: 0.5 },
+      ]);
+
+      const matches = await findSimilarFactsForEach([
+        { title: 'One', content: 'First' },
+        { title: 'Two', content: 'Second' },
+      ], { limit: 3 });
+
+      expect(matches).toEqual([[], [
+        { id: 'a', title: 'A', moderationStatus: 'APPROVED', score: 0.61 },
+        { id: 'b', title: 'B', moderationStatus: 'DRAFT', score: 0.5 },
+      ]]);
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+      const { sql, values } = Prisma.sql(...prisma.$queryRaw.mock.calls[0]);
+      expect(sql).toContain('WITH ORDINALITY');
+      expect(values).toEqual(expect.arrayContaining([['One', 'Two'], ['First', 'Second'], 3]));
+    });
+
+    it('should return no candidates when the check fails or nothing is given', async () => {
+      prisma.$queryRaw.mockRejectedValue(new Error('function similarity does not exist'));
+
+      expect(await findSimilarFactsForEach([{ title: 'A', content: 'B' }])).toEqual([[]]);
+      expect(await findSimilarFactsForEach([])).toEqual([]);
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('clusterPairs', () => {
+    it('should group pairs sharing a fact', () => {
+      const clusters = clusterPairs([
+        { factId: 'a', otherId: 'b', score: 0.9 },
+        { factId: 'c', otherId: 'd', score: 0.8 },
+        { factId: 'b', otherId: 'e', score: 0.7 },
+      ]);
+
+      expect(clusters.map(cluster => [...cluster.factIds].sort())).toEqual([['a', 'b', 'e'], ['c', 'd']]);
+      expect(clusters[0].pairs).toHaveLength(2);
+    });
+  });
+
+  describe('getDuplicateClusters', () => {
+    it('should put the most engaging fact of each cluster first', async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ factId: 'a', otherId: 'b', score: 0.91 }]);
+      prisma.fact.findMany.mockResolvedValue([
+        { id: 'a', likeCount: 1, bookmarkCount: 0, createdAt: new Date('2025-01-01') },
+        { id: 'b', likeCount: 5, bookmarkCount: 2, createdAt: new Date('2025-02-01') },
+      ]);
+
+      const { clusters, total, truncated } = await getDuplicateClusters({ threshold: 0.6 });
+
+      expect(total).toBe(1);
+      expect(truncated).toBe(false);
+      expect(clusters[0].maxScore).toBe(0.91);
+      expect(clusters[0].facts.map(fact => fact.id)).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('mergeFacts', () => {
+    beforeEach(() => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ id: 'keep' }));
+      prisma.fact.findMany.mockResolvedValue([createMockFact({ id: 'dup', viewCount: 5, shareCount: 2 })]);
+      prisma.fact.update.mockImplementation(({ where }) => Promise.resolve(createMockFact({ id: where.id })));
+      prisma.userFact.count.mockResolvedValueOnce(2).mockResolvedValueOnce(1);
+    });
+
+    it('should move interactions, combining them for users of both facts', async () => {
+      prisma.userFact.findMany.mockResolvedValue([
+        interaction('uf-1', 'user-1', 'keep', { isBookmarked: true }),
+        interaction('uf-2', 'user-1', 'dup', { isLiked: true, viewedAt: new Date('2025-01-02') }),
+        interaction('uf-3', 'user-2', 'dup', { isLiked: true }),
+      ]);
+
+      const result = await mergeFacts('keep', ['dup', 'keep'], admin);
+
+      expect(prisma.userFact.update).toHaveBeenCalledWith({
+        where: { id: 'uf-1' },
+        data: expect.objectContaining({
+          factId: 'keep',
+          isLiked: true,
+          isBookmarked: true,
+          viewedAt: new Date('2025-01-02'),
+        }),
+      });
+      expect(prisma.userFact.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['uf-2'] } } });
+      expect(prisma.userFact.updateMany).toHaveBeenCalledWith({ where: { id: { in: ['uf-3'] } }, data: { factId: 'keep' } });
+      expect(prisma.campaign.updateMany).toHaveBeenCalledWith({ where: { factId: { in: ['dup'] } }, data: { factId: 'keep' } });
+      expect(prisma.fact.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'dup' },
+        data: expect.objectContaining({ moderationStatus: 'ARCHIVED', isActive: false }),
+      }));
+      expect(prisma.factReview.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ factId: 'dup', toStatus: 'ARCHIVED', note: 'Merged into keep' }),
+      });
+      expect(prisma.fact.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: { id: 'keep' },
+        data: { likeCount: 2, bookmarkCount: 1, viewCount: { increment: 5 }, shareCount: { increment: 2 } },
+      }));
+      expect(result).toMatchObject({ merged: ['dup'], interactions: { moved: 1, combined: 1 } });
+    });
+
+    it('should need another fact to merge', async () => {
+      await expect(mergeFacts('keep', ['keep'], admin)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return null when the kept fact does not exist', async () => {
+      prisma.fact.findUnique.mockResolvedValue(null);
+
+      expect(await mergeFacts('keep', ['dup'], admin)).toBeNull();
+    });
+
+    it('should refuse archived facts', async () => {
+      prisma.fact.findMany.mockResolvedValue([createMockFact({ id: 'dup', moderationStatus: 'ARCHIVED' })]);
+
+      await expect(mergeFacts('keep', ['dup'], admin)).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    emailMessage: {
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      findMany: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/config/mailer', () => ({
+  deliver: jest.fn(),
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { deliver } = require('../../../src/config/mailer');
+const {
+  sendEmail,
+  sendPasswordResetEmail,
+  processOutbox,
+  cleanupOldEmails,
+} = require('../../../src/services/emailService');
+
+describe('Email Service', () => {
+  const createMessage = (overrides = {}) => ({
+    id: 'email-1',
+    to: 'user@example.com',
+    template: 'passwordReset',
+    subject: 'Reset your password',
+    html: '<a href="http://app/reset-password?token=secret">Reset</a>',
+    text: 'http://app/reset-password?token=secret',
+    attempts: 0,
+    maxAttempts: 5,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.emailMessage.create.mockImplementation(({ data }) => Promise.resolve(createMessage(data)));
+    prisma.emailMessage.update.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.emailMessage.updateMany.mockResolvedValue({ count: 0 });
+  });
+
+  describe('sendEmail', () => {
+    // Lets the delivery started in the background finish
+    const flushDelivery = () => new Promise(resolve => setImmediate(resolve));
+
+    it('should store the message and send it without waiting on the transport', async () => {
+      let finishDelivery;
+      deliver.mockReturnValue(new Promise((resolve) => { finishDelivery = resolve; }));
+
+      const queued = await sendPasswordResetEmail({ id: 'user-1', email: 'user@example.com', firstName: 'Ada' }, 'secret');
+
+      const { data } = prisma.emailMessage.create.mock.calls[0][0];
+      expect(data.text).toContain('token=secret');
+      expect(data.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(15 * 60 * 1000);
+      expect(queued).toMatchObject({ id: 'email-1', to: 'user@example.com' });
+      expect(deliver).toHaveBeenCalledWith(expect.objectContaining({ to: 'user@example.com', text: data.text }));
+      expect(prisma.emailMessage.update).not.toHaveBeenCalled();
+
+      finishDelivery({ messageId: 'smtp-1', transport: 'json' });
+      await flushDelivery();
+
+      expect(prisma.emailMessage.update.mock.calls[0][0].data).toMatchObject({
+        status: 'SENT', attempts: 1, messageId: 'smtp-1', html: '', text: '',
+      });
+    });
+
+    it('should keep failed messages in the outbox with a backoff', async () => {
+      deliver.mockRejectedValue(new Error('SMTP down'));
+      const before = Date.now();
+
+      await sendEmail({ to: 'user@example.com', template: 'welcome', variables: { actionUrl: 'http://x' } });
+      await flushDelivery();
+
+      const { data } = prisma.emailMessage.update.mock.calls[0][0];
+      expect(data.status).toBe('PENDING');
+      expect(data.lastError).toBe('SMTP down');
+      expect(data.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(2 * 60 * 1000);
+      expect(data.html).toBeUndefined();
+    });
+
+    it('should never throw for the request that sent it', async () => {
+      prisma.emailMessage.create.mockRejectedValue(new Error('database is down'));
+
+      await expect(sendEmail({ to: 'user@example.com', template: 'welcome' })).resolves.toBeNull();
+    });
+  });
+
+  describe('processOutbox', () => {
+    it('should drop expired messages before retrying the due ones', async () => {
+      prisma.emailMessage.updateMany.mockResolvedValue({ count: 1 });
+      prisma.emailMessage.findMany.mockResolvedValue([createMessage({ attempts: 1 })]);
+      deliver.mockResolvedValue({ messageId: 'smtp-2' });
+
+      const result = await processOutbox();
+
+      expect(result).toEqual({ processed: 1, sent: 1, failed: 0, expired: 1 });
+      expect(prisma.emailMessage.updateMany).toHaveBeenCalledWith({
+        where: { status: 'PENDING', expiresAt: { lte: expect.any(Date) } },
+        data: { status: 'EXPIRED', lastError: 'Expired before delivery', html: '', text: '' },
+      });
+      expect(prisma.emailMessage.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ OR: [{ expiresAt: null }, { expiresAt: { gt: expect.any(Date) } }] }),
+      }));
+    });
+
+    it('should back off exponentially between attempts', async () => {
+      prisma.emailMessage.findMany.mockResolvedValue([createMessage({ attempts: 2 })]);
+      deliver.mockRejectedValue(new Error('SMTP down'));
+      const before = Date.now();
+
+      const result = await processOutbox();
+      const { data } = prisma.emailMessage.update.mock.calls[0][0];
+
+      expect(result).toMatchObject({ processed: 1, sent: 0, failed: 1 });
+      expect(data).toMatchObject({ status: 'PENDING', attempts: 3 });
+      expect(data.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(8 * 60 * 1000);
+    });
+
+    it('should give up after the last attempt and clear the body', async () => {
+      prisma.emailMessage.findMany.mockResolvedValue([createMessage({ attempts: 4 })]);
+      deliver.mockRejectedValue(new Error('Mailbox unavailable'));
+
+      await processOutbox();
+
+      expect(prisma.emailMessage.update.mock.calls[0][0].data).toMatchObject({
+        status: 'FAILED',
+        attempts: 5,
+        html: '',
+        text: '',
+      });
+    });
+  });
+
+  describe('cleanupOldEmails', () => {
+    it('should delete messages that left the outbox before the cutoff', async () => {
+      prisma.emailMessage.deleteMany.mockResolvedValue({ count: 3 });
+
+      expect(await cleanupOldEmails(30)).toEqual({ deleted: 3 });
+      expect(prisma.emailMessage.deleteMany).toHaveBeenCalledWith({
+        where: {
+          status: { in: ['SENT', 'FAILED', 'EXPIRED'] },
+          updatedAt: { lt: expect.any(Date) },
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    category: {
+      findMany: jest.fn(),
+    },
+    fact: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+    },
+  };
+  prisma.$transaction = jest.fn(operations => Promise.all(operations));
+  return { prisma };
+});
+
+jest.mock('../../../src/services/moderationService', () => ({
+  initialModerationStatus: jest.fn(),
+}));
+
+jest.mock('../../../src/services/duplicateService', () => ({
+  findSimilarFactsForEach: jest.fn(),
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { initialModerationStatus } = require('../../../src/services/moderationService');
+const { findSimilarFactsForEach } = require('../../../src/services/duplicateService');
+const {
+  parseImportFile,
+  importFacts,
+  iterateFacts,
+} = require('../../../src/services/factTransferService');
+
+const moderator = { id: 'mod-1', role: 'MODERATOR' };
+
+const record = (overrides = {}) => ({
+  title: 'Octopuses have three hearts',
+  content: 'Two pump blood to the gills and one to the body.',
+  category: 'Science',
+  ...overrides,
+});
+
+describe('Fact Transfer Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.category.findMany.mockResolvedValue([{ id: 'science-id', name: 'Science' }]);
+    prisma.fact.findMany.mockResolvedValue([]);
+    prisma.fact.create.mockImplementation(({ data }) => Promise.resolve({ id: `id-${data.title}` }));
+    initialModerationStatus.mockResolvedValue('PENDING_REVIEW');
+    findSimilarFactsForEach.mockImplementation(facts => Promise.resolve(facts.map(() => [])));
+  });
+
+  describe('parseImportFile', () => {
+    it('should map CSV rows to records by header', () => {
+      const records = parseImportFile('title,tags,extra\r\n"Honey, forever",food|history,x\r\n\'=SUM,,\r\n', 'csv');
+
+      expect(records).toEqual([
+        { title: 'Honey, forever', tags: 'food|history', extra: 'x' },
+        { title: '=SUM', tags: '', extra: '' },
+      ]);
+    });
+
+    it('should accept JSON arrays and objects with facts', () => {
+      expect(parseImportFile('[{"title":"a"}]', 'json')).toEqual([{ title: 'a' }]);
+      expect(parseImportFile('{"facts":[{"title":"a"}]}', 'json')).toEqual([{ title: 'a' }]);
+      expect(() => parseImportFile('{"title":"a"}', 'json')).toThrow('JSON file must contain an array of facts');
+      expect(() => parseImportFile('[{', 'json')).toThrow(/Invalid JSON file/);
+    });
+  });
+
+  describe('importFacts', () => {
+    it('should report invalid rows and duplicates without writing on a dry run', async () => {
+      prisma.fact.findMany.mockResolvedValue([{ id: 'existing-id', title: 'Honey Never Spoils' }]);
+
+      const report = await importFacts([
+        record({ tags: 'ocean, biology' }),
+        record({ title: 'Octopuses  have three HEARTS' }),
+        record({ title: 'honey never spoils' }),
+        record({ title: 'Bad', category: 'Cooking', difficulty: 'TRIVIAL', sourceUrl: 'ftp://x' }),
+      ], moderator, { dryRun: true });
+
+      expect(prisma.fact.create).not.toHaveBeenCalled();
+      expect(report).toMatchObject({ dryRun: true, total: 4, valid: 1, created: 0, duplicates: 2, invalid: 1 });
+      expect(report.rows[0]).toEqual({ row: 1, status: 'valid', title: 'Octopuses have three hearts' });
+      expect(report.rows[1].duplicateOf).toEqual({ row: 1 });
+      expect(report.rows[2].duplicateOf).toEqual({ factId: 'existing-id' });
+      expect(report.rows[3].errors).toEqual([
+        'title must be between 5 and 200 characters',
+        'Unknown category "Cooking"',
+        'difficulty must be one of EASY, MEDIUM, HARD, EXPERT',
+        'sourceUrl must be a valid URL',
+      ]);
+    });
+
+    it('should create valid rows through moderation with a first revision', async () => {
+      const report = await importFacts([record({ tags: 'ocean;biology', isFeatured: 'yes' })], moderator);
+
+      expect(prisma.fact.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          categoryId: 'science-id',
+          difficulty: 'MEDIUM',
+          tags: ['ocean', 'biology'],
+          isFeatured: true,
+          isApproved: false,
+          moderationStatus: 'PENDING_REVIEW',
+          createdBy: 'mod-1',
+          revisions: { create: expect.objectContaining({ version: 1, title: 'Octopuses have three hearts' }) },
+        }),
+        select: { id: true },
+      });
+      expect(report.created).toBe(1);
+      expect(report.rows[0]).toMatchObject({ status: 'created', factId: 'id-Octopuses have three hearts' });
+    });
+
+    it('should list existing facts close to imported rows', async () => {
+      const similar = [{ id: 'close-id', title: 'An octopus has 3 hearts', moderationStatus: 'APPROVED', score: 0.72 }];
+      findSimilarFactsForEach.mockResolvedValue([similar, []]);
+
+      const report = await importFacts([record(), record({ title: 'Honey never spoils' })], moderator, { dryRun: true });
+
+      // Checked together in one query, not row by row
+      expect(findSimilarFactsForEach).toHaveBeenCalledTimes(1);
+      expect(findSimilarFactsForEach).toHaveBeenCalledWith([
+        expect.objectContaining({ title: 'Octopuses have three hearts' }),
+        expect.objectContaining({ title: 'Honey never spoils' }),
+      ], { limit: 3 });
+      expect(report.similar).toBe(1);
+      expect(report.rows[0]).toMatchObject({ status: 'valid', similar });
+      expect(report.rows[1].similar).toBeUndefined();
+    });
+
+    it('should refuse empty and oversized files', async () => {
+      await expect(importFacts([], moderator)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(importFacts(new Array(1001).fill(record()), moderator)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('iterateFacts', () => {
+    it('should yield export records with category names', async () => {
+      prisma.fact.findMany.mockResolvedValueOnce([{
+        id: 'a',
+        title: 'T',
+        tags: ['x'],
+        category: { name: 'Science' },
+        moderationStatus: 'APPROVED',
+      }]);
+
+      const batches = [];
+      for await (const batch of iterateFacts({ isActive: true })) {
+        batches.push(batch);
+      }
+
+      expect(batches).toHaveLength(1);
+      expect(batches[0][0]).toMatchObject({ id: 'a', category: 'Science', tags: ['x'] });
+      expect(prisma.fact.findMany).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    fact: {
+      findMany: jest.fn(),
+    },
+    userFact: {
+      groupBy: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/config/redis', () => {
+  const store = new Map();
+  return {
+    store,
+    cache: {
+      get: jest.fn(key => Promise.resolve(store.has(key) ? JSON.parse(store.get(key)) : null)),
+      set: jest.fn((key, value) => Promise.resolve(store.set(key, JSON.stringify(value)))),
+    },
+    cacheKeys: {
+      feedSession: sessionId => `feed_session:${sessionId}`,
+    },
+  };
+});
+
+jest.mock('../../../src/services/personalizationService', () => ({
+  getUserProfile: jest.fn(),
+  getFactCandidates: jest.fn(),
+  calculateFactScore: jest.fn(fact => fact.score),
+  calculateFreshnessScore: jest.fn(() => 0.5),
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { store, cache } = require('../../../src/config/redis');
+const personalizationService = require('../../../src/services/personalizationService');
+const { MAX_SERVED, getFeed, recordFeedback } = require('../../../src/services/feedService');
+
+const fact = (id, categoryId, score = 0.5, tags = []) => ({ id, categoryId, score, tags });
+
+describe('Feed Service', () => {
+  let catalog;
+  let viewed;
+
+  // Sources answer from the catalog, leaving out the excluded facts like the database would
+  const serveCatalog = () => {
+    const excluded = where => [
+      ...(where.id?.notIn || where.factId?.notIn || []),
+      ...((where.userFacts || where.fact?.userFacts)?.none ? viewed : []),
+    ];
+    personalizationService.getFactCandidates.mockImplementation((userId, { excludeIds, excludeViewed }) => Promise.resolve(
+      catalog.recommended.filter(item => !excludeIds.includes(item.id) && !(excludeViewed && viewed.includes(item.id))),
+    ));
+    prisma.userFact.groupBy.mockImplementation(({ where }) => Promise.resolve(
+      catalog.trending
+        .filter(item => !excluded(where).includes(item.id))
+        .map((item, index) => ({ factId: item.id, _count: { factId: 10 - index } })),
+    ));
+    prisma.fact.findMany.mockImplementation(({ where }) => Promise.resolve(where.id.in
+      ? catalog.trending.filter(item => where.id.in.includes(item.id))
+      : catalog.latest.filter(item => !excluded(where).includes(item.id))));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store.clear();
+    catalog = {
+      recommended: [fact('r1', 'science', 0.9), fact('r2', 'history', 0.8), fact('r3', 'science', 0.7)],
+      trending: [fact('t1', 'sports'), fact('r1', 'science')],
+      latest: [fact('n1', 'art')],
+    };
+    viewed = [];
+    personalizationService.getUserProfile.mockResolvedValue({ preferredCategories: ['science', 'history'] });
+    serveCatalog();
+  });
+
+  describe('getFeed', () => {
+    it('should interleave recommended, trending and new facts', async () => {
+      const feed = await getFeed('user-1', { limit: 5 });
+
+      expect(feed.facts.map(item => [item.id, item.feedSource])).toEqual([
+        ['r1', 'recommended'],
+        ['r2', 'recommended'],
+        ['t1', 'trending'],
+        ['r3', 'recommended'],
+        ['n1', 'new'],
+      ]);
+      expect(feed).toMatchObject({ sessionId: expect.any(String), hasMore: true });
+    });
+
+    it('should never repeat facts within a session or facts the user viewed', async () => {
+      viewed = ['r2'];
+
+      const first = await getFeed('user-1', { limit: 2 });
+      const second = await getFeed('user-1', { sessionId: first.sessionId, limit: 10 });
+
+      expect(first.facts.map(item => item.id)).toEqual(['r1', 'r3']);
+      expect(second.sessionId).toBe(first.sessionId);
+      expect(second.facts.map(item => item.id)).toEqual(['t1', 'n1']);
+      expect(second.hasMore).toBe(false);
+      expect(personalizationService.getFactCandidates).toHaveBeenLastCalledWith('user-1', expect.objectContaining({
+        excludeViewed: true,
+        excludeIds: ['r1', 'r3'],
+      }));
+      // Viewed facts are left out by the query, not listed
+      expect(prisma.fact.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ userFacts: { none: { userId: 'user-1', isViewed: true } }, id: { notIn: ['r1', 'r3'] } }),
+      }));
+    });
+
+    it('should only remember the latest served facts of a session', async () => {
+      const served = {};
+      for (let i = 0; i < MAX_SERVED; i += 1) {
+        served[`old-${i}`] = { categoryId: 'art', tags: [] };
+      }
+      store.set('feed_session:long', JSON.stringify({
+        id: 'long', userId: 'user-1', served, affinity: { categories: {}, tags: {} }, slot: 0,
+      }));
+
+      await getFeed('user-1', { sessionId: 'long', limit: 2 });
+
+      const saved = Object.keys(JSON.parse(store.get('feed_session:long')).served);
+      expect(saved).toHaveLength(MAX_SERVED);
+      expect(saved.slice(0, 2)).toEqual(['old-2', 'old-3']);
+      expect(saved.slice(-2)).toEqual(['r1', 'r2']);
+    });
+
+    it('should keep the session in memory while Redis is down', async () => {
+      cache.set.mockResolvedValueOnce(false).mockResolvedValueOnce(false);
+
+      const first = await getFeed('user-1', { limit: 2 });
+      const second = await getFeed('user-1', { sessionId: first.sessionId, limit: 2 });
+
+      expect(store.size).toBe(0);
+      expect(second.sessionId).toBe(first.sessionId);
+      expect(second.facts.map(item => item.id)).toEqual(['t1', 'r3']);
+    });
+
+    it('should start a new session when the session belongs to someone else', async () => {
+      const first = await getFeed('user-1', { limit: 2 });
+      const other = await getFeed('user-2', { sessionId: first.sessionId, limit: 2 });
+
+      expect(other.sessionId).not.toBe(first.sessionId);
+      expect(other.facts.map(item => item.id)).toEqual(['r1', 'r2']);
+    });
+
+    it('should only show trending and new facts to anonymous users', async () => {
+      const feed = await getFeed(null, { limit: 5 });
+
+      expect(feed.facts.map(item => item.feedSource)).toEqual(['trending', 'trending', 'new']);
+      expect(personalizationService.getUserProfile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordFeedback', () => {
+    it('should rank topics the user skipped lower for the rest of the session', async () => {
+      catalog.recommended = [fact('r1', 'science', 0.9), fact('r2', 'history', 0.8), fact('r3', 'science', 0.7), fact('r4', 'history', 0.6)];
+      const first = await getFeed('user-1', { limit: 1 });
+
+      await recordFeedback('user-1', first.sessionId, [{ factId: 'r1', signal: 'skip' }]);
+      const next = await getFeed('user-1', { sessionId: first.sessionId, limit: 1 });
+
+      expect(next.facts[0].id).toBe('r2');
+      await recordFeedback('user-1', first.sessionId, [{ factId: 'r2', signal: 'dwell', dwellMs: 1000 }]);
+      const rest = await getFeed('user-1', { sessionId: first.sessionId, limit: 2 });
+
+      expect(rest.facts.map(item => [item.id, item.feedSource])).toEqual([['t1', 'trending'], ['r3', 'recommended']]);
+    });
+
+    it('should rank topics the user dwelt on higher', async () => {
+      catalog.recommended = [fact('r1', 'history', 0.9, ['rome']), fact('r2', 'science', 0.8), fact('r3', 'history', 0.7, ['rome'])];
+      const first = await getFeed('user-1', { limit: 1 });
+
+      const result = await recordFeedback('user-1', first.sessionId, [{ factId: 'r1', signal: 'dwell', dwellMs: 20000 }]);
+      const next = await getFeed('user-1', { sessionId: first.sessionId, limit: 1 });
+
+      expect(result).toEqual({ sessionId: first.sessionId, recorded: 1 });
+      expect(next.facts[0].id).toBe('r3');
+    });
+
+    it('should refuse feedback on facts the session did not serve', async () => {
+      const { sessionId } = await getFeed('user-1', { limit: 1 });
+
+      await expect(recordFeedback('user-1', sessionId, [{ factId: 'r2', signal: 'skip' }]))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return null for unknown sessions', async () => {
+      expect(await recordFeedback('user-1', 'missing', [{ factId: 'r1', signal: 'skip' }])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = uploadDir;
+process.env.MEDIA_BASE_URL = 'http://media.test/media';
+
+jest.mock('../../../src/config/database', () => ({
+  prisma: {},
+}));
+
+const { processImage, createDerivatives, removeDerivatives } = require('../../../src/services/imageService');
+
+const createImage = (width, height, options = {}) => sharp({
+  create: { width, height, channels: 3, background: '#cc3366' },
+}).jpeg().withMetadata(options).toBuffer();
+
+describe('Image Service', () => {
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('processImage', () => {
+    it('should make the derivatives of a preset without enlarging', async () => {
+      const { width, height, blurhash, derivatives } = await processImage(await createImage(2000, 1000), 'fact');
+
+      expect({ width, height }).toEqual({ width: 2000, height: 1000 });
+      expect(blurhash).toMatch(/^[0-9A-Za-z#$%*+,-.:;=?@[\]^_{|}~]{6,}$/);
+      expect(derivatives.map(d => [d.name, d.contentType, d.width, d.height])).toEqual([
+        ['thumbnail', 'image/webp', 320, 320],
+        ['notification', 'image/jpeg', 1024, 512],
+        ['full', 'image/webp', 1600, 800],
+      ]);
+
+      const small = await processImage(await createImage(200, 100), 'fact');
+      expect(small.derivatives.find(d => d.name === 'full')).toMatchObject({ width: 200, height: 100 });
+    });
+
+    it('should apply the EXIF orientation', async () => {
+      const { width, height, derivatives } = await processImage(await createImage(600, 300, { orientation: 6 }), 'avatar');
+
+      expect({ width, height }).toEqual({ width: 300, height: 600 });
+      expect(derivatives.map(d => d.name)).toEqual(['thumbnail', 'full']);
+    });
+
+    it('should refuse files that are not images', async () => {
+      await expect(processImage(Buffer.from('<svg/>'), 'fact')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('createDerivatives', () => {
+    it('should store the derivatives next to the original', async () => {
+      const original = { key: 'facts/fact-1/123-abc.jpg', url: 'http://media.test/media/facts/fact-1/123-abc.jpg', contentType: 'image/jpeg' };
+
+      const images = await createDerivatives(original, await createImage(800, 600), 'fact');
+
+      expect(images.original).toEqual({ url: original.url, width: 800, height: 600, contentType: 'image/jpeg' });
+      expect(images.thumbnail.url).toBe('http://media.test/media/facts/fact-1/123-abc-thumbnail.webp');
+      expect(images.notification.url).toBe('http://media.test/media/facts/fact-1/123-abc-notification.jpg');
+      expect(fs.readdirSync(path.join(uploadDir, 'facts/fact-1')).sort()).toEqual([
+        '123-abc-full.webp',
+        '123-abc-notification.jpg',
+        '123-abc-thumbnail.webp',
+      ]);
+
+      await removeDerivatives(images);
+
+      expect(fs.readdirSync(path.join(uploadDir, 'facts/fact-1'))).toEqual([]);
+    });
+  });
+});
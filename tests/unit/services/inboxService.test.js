@@ -0,0 +1,104 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    notification: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      count: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { encodeCursor, decodeCursor } = require('../../../src/utils/cursor');
+const {
+  getInbox,
+  markAsRead,
+  deleteFromInbox,
+} = require('../../../src/services/inboxService');
+
+const notificationAt = (id, scheduledFor, readAt = null) => ({
+  id,
+  title: 'Daily Fact Ready! 🧠',
+  body: 'Honey never spoils',
+  status: 'SENT',
+  scheduledFor: new Date(scheduledFor),
+  readAt,
+});
+
+describe('Inbox Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.notification.count.mockResolvedValue(2);
+  });
+
+  describe('getInbox', () => {
+    it('should return a page with a cursor to the next one', async () => {
+      prisma.notification.findMany.mockResolvedValue([
+        notificationAt('n-3', '2025-10-20T09:00:00Z'),
+        notificationAt('n-2', '2025-10-19T09:00:00Z', new Date()),
+        notificationAt('n-1', '2025-10-18T09:00:00Z'),
+      ]);
+
+      const inbox = await getInbox('user-1', { limit: 2 });
+
+      expect(inbox.notifications.map(n => n.id)).toEqual(['n-3', 'n-2']);
+      expect(inbox.notifications.map(n => n.isRead)).toEqual([false, true]);
+      expect(inbox.unreadCount).toBe(2);
+      expect(decodeCursor(inbox.nextCursor)).toEqual({ scheduledFor: '2025-10-19T09:00:00.000Z', id: 'n-2' });
+      expect(prisma.notification.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ userId: 'user-1', deletedAt: null }),
+        take: 3,
+      }));
+    });
+
+    it('should continue after the cursor position', async () => {
+      prisma.notification.findMany.mockResolvedValue([notificationAt('n-1', '2025-10-18T09:00:00Z')]);
+      const cursor = encodeCursor({ scheduledFor: '2025-10-19T09:00:00.000Z', id: 'n-2' });
+
+      const inbox = await getInbox('user-1', { cursor, limit: 2 });
+
+      expect(inbox.nextCursor).toBeNull();
+      const { where } = prisma.notification.findMany.mock.calls[0][0];
+      expect(where.OR).toEqual([
+        { scheduledFor: { lt: new Date('2025-10-19T09:00:00Z') } },
+        { scheduledFor: new Date('2025-10-19T09:00:00Z'), id: { lt: 'n-2' } },
+      ]);
+    });
+
+    it('should reject malformed cursors', async () => {
+      expect(await getInbox('user-1', { cursor: 'not-a-cursor' })).toBeNull();
+      expect(await getInbox('user-1', { cursor: encodeCursor({ id: 'n-2' }) })).toBeNull();
+      expect(prisma.notification.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markAsRead', () => {
+    it('should not touch notifications outside the inbox', async () => {
+      prisma.notification.findFirst.mockResolvedValue(null);
+
+      expect(await markAsRead('user-1', 'n-1')).toBe(false);
+      expect(prisma.notification.update).not.toHaveBeenCalled();
+    });
+
+    it('should keep the first read time', async () => {
+      prisma.notification.findFirst.mockResolvedValue({ id: 'n-1', readAt: new Date() });
+
+      expect(await markAsRead('user-1', 'n-1')).toBe(true);
+      expect(prisma.notification.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteFromInbox', () => {
+    it('should hide the notification instead of deleting the row', async () => {
+      prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+
+      expect(await deleteFromInbox('user-1', 'n-1')).toBe(true);
+      expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ id: 'n-1', userId: 'user-1', deletedAt: null }),
+        data: { deletedAt: expect.any(Date) },
+      });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    $transaction: jest.fn(),
+    $queryRaw: jest.fn(),
+    jobRun: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+const { prisma } = require('../../../src/config/database');
+const {
+  enqueueRun,
+  claimNextRun,
+  failRun,
+} = require('../../../src/services/jobQueueService');
+
+describe('Job Queue Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.jobRun.update.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.$queryRaw.mockResolvedValue([{ locked: true }]);
+  });
+
+  describe('enqueueRun', () => {
+    it('should queue a run', async () => {
+      const scheduledFor = new Date('2025-10-20T09:00:00Z');
+      prisma.jobRun.create.mockResolvedValue({ id: 'run-1', jobName: 'cleanup' });
+
+      const run = await enqueueRun('cleanup', { scheduledFor, maxAttempts: 2 });
+
+      expect(run).toEqual({ id: 'run-1', jobName: 'cleanup' });
+      expect(prisma.jobRun.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          jobName: 'cleanup',
+          trigger: 'SCHEDULE',
+          maxAttempts: 2,
+          scheduledFor,
+        }),
+      });
+    });
+
+    it('should return null when another instance already queued the run', async () => {
+      prisma.jobRun.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(enqueueRun('cleanup')).resolves.toBeNull();
+    });
+
+    it('should rethrow other errors', async () => {
+      prisma.jobRun.create.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(enqueueRun('cleanup')).rejects.toThrow('Connection lost');
+    });
+  });
+
+  describe('claimNextRun', () => {
+    const getLockDuration = () => 60000;
+
+    it('should skip jobs that are already running elsewhere', async () => {
+      prisma.jobRun.findMany.mockResolvedValue([
+        { id: 'run-1', jobName: 'busy' },
+        { id: 'run-2', jobName: 'idle' },
+      ]);
+      prisma.jobRun.count.mockImplementation(({ where }) => Promise.resolve(where.jobName === 'busy' ? 1 : 0));
+      prisma.jobRun.updateMany.mockResolvedValue({ count: 1 });
+      prisma.jobRun.findUnique.mockResolvedValue({ id: 'run-2', jobName: 'idle', status: 'RUNNING' });
+
+      const run = await claimNextRun(getLockDuration);
+
+      expect(run.id).toBe('run-2');
+      expect(prisma.jobRun.updateMany).toHaveBeenCalledTimes(1);
+      expect(prisma.jobRun.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'run-2', status: 'QUEUED' },
+      }));
+    });
+
+    it('should skip jobs whose lock another worker holds', async () => {
+      prisma.jobRun.findMany.mockResolvedValue([{ id: 'run-1', jobName: 'cleanup' }]);
+      prisma.$queryRaw.mockResolvedValue([{ locked: false }]);
+
+      await expect(claimNextRun(getLockDuration)).resolves.toBeNull();
+      expect(prisma.jobRun.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of two concurrent workers run a job', async () => {
+      // Two queued runs of the same job, e.g. a retry next to the next scheduled run
+      const runs = [
+        { id: 'retry', jobName: 'cleanup', status: 'QUEUED' },
+        { id: 'scheduled', jobName: 'cleanup', status: 'QUEUED' },
+      ];
+      const advisoryLocks = new Set();
+      // Every statement yields, so the two workers interleave
+      const statement = result => new Promise(resolve => setImmediate(() => resolve(result())));
+
+      // Each worker picks a different run first
+      prisma.jobRun.findMany
+        .mockImplementationOnce(() => statement(() => [runs[0], runs[1]]))
+        .mockImplementationOnce(() => statement(() => [runs[1], runs[0]]));
+      prisma.jobRun.count.mockImplementation(({ where }) => statement(
+        () => runs.filter(run => run.jobName === where.jobName && run.status === 'RUNNING').length,
+      ));
+      prisma.jobRun.updateMany.mockImplementation(({ where, data }) => statement(() => {
+        const run = runs.find(candidate => candidate.id === where.id && candidate.status === where.status);
+        Object.assign(run || {}, { status: data.status });
+        return { count: run ? 1 : 0 };
+      }));
+      prisma.jobRun.findUnique.mockImplementation(({ where }) => statement(() => runs.find(run => run.id === where.id)));
+      prisma.$transaction.mockImplementation(async (callback) => {
+        const held = [];
+        const tx = {
+          ...prisma,
+          $queryRaw: (sql, lockKey) => statement(() => {
+            if (advisoryLocks.has(lockKey)) {
+              return [{ locked: false }];
+            }
+            advisoryLocks.add(lockKey);
+            held.push(lockKey);
+            return [{ locked: true }];
+          }),
+        };
+
+        try {
+          return await callback(tx);
+        } finally {
+          held.forEach(lockKey => advisoryLocks.delete(lockKey));
+        }
+      });
+
+      const claimed = await Promise.all([claimNextRun(getLockDuration), claimNextRun(getLockDuration)]);
+
+      expect(claimed.filter(Boolean)).toHaveLength(1);
+      expect(runs.filter(run => run.status === 'RUNNING')).toHaveLength(1);
+    });
+
+    it('should return null when every claim is lost to another instance', async () => {
+      prisma.jobRun.findMany.mockResolvedValue([{ id: 'run-1', jobName: 'cleanup' }]);
+      prisma.jobRun.count.mockResolvedValue(0);
+      prisma.jobRun.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(claimNextRun(getLockDuration)).resolves.toBeNull();
+    });
+  });
+
+  describe('failRun', () => {
+    const createRun = (overrides = {}) => ({
+      id: 'run-1',
+      attempts: 1,
+      maxAttempts: 3,
+      startedAt: new Date(Date.now() - 1000),
+      nextAttemptAt: new Date(),
+      ...overrides,
+    });
+
+    it('should requeue with exponential backoff while attempts remain', async () => {
+      const before = Date.now();
+
+      const first = await failRun(createRun({ attempts: 1 }), new Error('boom'));
+      const second = await failRun(createRun({ attempts: 2 }), new Error('boom'));
+
+      expect(first.status).toBe('QUEUED');
+      expect(first.error).toBe('boom');
+      expect(first.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(30 * 1000);
+      expect(second.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(60 * 1000);
+    });
+
+    it('should mark the run as failed once attempts are exhausted', async () => {
+      const result = await failRun(createRun({ attempts: 3 }), new Error('boom'));
+
+      expect(result.status).toBe('FAILED');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = uploadDir;
+process.env.MEDIA_BASE_URL = 'http://media.test/media';
+
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    fact: {
+      findUnique: jest.fn(),
+    },
+    user: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/services/revisionService', () => ({
+  updateFactWithRevision: jest.fn(),
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { updateFactWithRevision } = require('../../../src/services/revisionService');
+const { verifyUploadToken } = require('../../../src/utils/jwt');
+const {
+  setFactMedia,
+  createFactMediaUploadUrl,
+  setAvatar,
+  receiveLocalUpload,
+} = require('../../../src/services/mediaService');
+
+const moderator = { id: 'mod-1', role: 'MODERATOR' };
+
+let pngBuffer;
+
+const png = () => ({
+  buffer: pngBuffer,
+  mimetype: 'image/png',
+  size: pngBuffer.length,
+  originalname: 'photo.png',
+});
+
+const storeLocally = (key) => {
+  fs.mkdirSync(path.dirname(path.join(uploadDir, key)), { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, key), 'x');
+  return `http://media.test/media/${key}`;
+};
+
+const stored = (url) => fs.existsSync(path.join(uploadDir, url.replace('http://media.test/media/', '')));
+
+describe('Media Service', () => {
+  beforeAll(async () => {
+    pngBuffer = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#3366cc' } }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    updateFactWithRevision.mockImplementation((fact, data) => Promise.resolve({ fact: { ...fact, ...data }, reapproval: false }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('setFactMedia', () => {
+    it('should store the file with its derivatives, record a revision and delete the replaced upload', async () => {
+      const previousUrl = storeLocally('facts/fact-1/old.png');
+      const previousThumbnail = storeLocally('facts/fact-1/old-thumbnail.webp');
+      prisma.fact.findUnique.mockResolvedValue({
+        id: 'fact-1',
+        moderationStatus: 'APPROVED',
+        imageUrl: previousUrl,
+        images: { original: { url: previousUrl }, thumbnail: { url: previousThumbnail } },
+      });
+
+      const { fact } = await setFactMedia('fact-1', 'image', { file: png() }, moderator);
+
+      expect(fact.imageUrl).toMatch(/^http:\/\/media\.test\/media\/facts\/fact-1\/.+\.png$/);
+      expect(stored(fact.imageUrl)).toBe(true);
+      expect(fact.images).toMatchObject({ width: 400, height: 300, original: { url: fact.imageUrl } });
+      expect(stored(fact.images.thumbnail.url)).toBe(true);
+      expect(stored(previousUrl)).toBe(false);
+      expect(stored(previousThumbnail)).toBe(false);
+      expect(updateFactWithRevision).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'fact-1' }),
+        { imageUrl: fact.imageUrl, images: fact.images },
+        moderator,
+      );
+    });
+
+    it('should delete uploads that are not images', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-4', moderationStatus: 'APPROVED' });
+
+      await expect(setFactMedia('fact-4', 'image', { file: { ...png(), buffer: Buffer.from('not a png') } }, moderator))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(fs.readdirSync(path.join(uploadDir, 'facts/fact-4'))).toEqual([]);
+      expect(updateFactWithRevision).not.toHaveBeenCalled();
+    });
+
+    it('should leave pasted URLs alone', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-1', moderationStatus: 'APPROVED', videoUrl: 'https://example.com/v.mp4' });
+
+      const { fact } = await setFactMedia('fact-1', 'video', {
+        file: { ...png(), mimetype: 'video/mp4', originalname: 'clip.mp4' },
+      }, moderator);
+
+      expect(fact.videoUrl).toMatch(/\.mp4$/);
+      expect(fact.images).toBeUndefined();
+    });
+
+    it('should refuse files of the wrong type', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-1', moderationStatus: 'APPROVED' });
+
+      await expect(setFactMedia('fact-1', 'video', { file: png() }, moderator)).rejects.toMatchObject({ statusCode: 400 });
+      expect(updateFactWithRevision).not.toHaveBeenCalled();
+    });
+
+    it('should delete the new upload when the update fails', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-2', moderationStatus: 'APPROVED' });
+      updateFactWithRevision.mockRejectedValue(new Error('database is down'));
+
+      await expect(setFactMedia('fact-2', 'image', { file: png() }, moderator)).rejects.toThrow('database is down');
+      expect(fs.readdirSync(path.join(uploadDir, 'facts/fact-2'))).toEqual([]);
+    });
+
+    it('should return null for a missing fact', async () => {
+      prisma.fact.findUnique.mockResolvedValue(null);
+
+      expect(await setFactMedia('fact-1', 'image', { file: png() }, moderator)).toBeNull();
+    });
+  });
+
+  describe('direct uploads', () => {
+    it('should hand out an upload URL and accept the file sent to it', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-3' });
+
+      const upload = await createFactMediaUploadUrl('fact-3', 'image', { contentType: 'image/png', size: pngBuffer.length });
+      const token = upload.uploadUrl.split('/api/media/uploads/')[1];
+
+      expect(upload).toMatchObject({ method: 'PUT', headers: { 'Content-Type': 'image/png' } });
+      expect(upload.key).toMatch(/^facts\/fact-3\/.+\.png$/);
+
+      const grant = verifyUploadToken(token);
+      await expect(receiveLocalUpload(grant, { contentType: 'image/jpeg', body: pngBuffer }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await receiveLocalUpload(grant, { contentType: 'image/png', body: pngBuffer });
+
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-3', moderationStatus: 'DRAFT' });
+      const { fact } = await setFactMedia('fact-3', 'image', { key: upload.key }, moderator);
+
+      expect(fact.imageUrl).toBe(`http://media.test/media/${upload.key}`);
+      expect(fact.images.blurhash).toEqual(expect.any(String));
+    });
+
+    it('should refuse upload URLs for unsupported files', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-3' });
+
+      await expect(createFactMediaUploadUrl('fact-3', 'image', { contentType: 'image/svg+xml', size: 16 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(createFactMediaUploadUrl('fact-3', 'image', { contentType: 'image/png', size: 50 * 1024 * 1024 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should only confirm keys of the same resource that were uploaded', async () => {
+      prisma.user.findUnique.mockResolvedValue({ avatar: null });
+
+      await expect(setAvatar('user-1', { key: 'avatars/user-2/x.png' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(setAvatar('user-1', { key: 'avatars/user-1/../user-2/x.png' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(setAvatar('user-1', { key: 'avatars/user-1/missing.png' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+});
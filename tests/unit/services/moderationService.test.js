@@ -0,0 +1,168 @@
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    fact: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    factReview: {
+      create: jest.fn(),
+    },
+    user: {
+      findUnique: jest.fn(),
+    },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+
+const { prisma } = require('../../../src/config/database');
+const {
+  canTransition,
+  buildTransitionData,
+  transitionFact,
+  assignReviewer,
+  getModerationQueue,
+} = require('../../../src/services/moderationService');
+
+const moderator = { id: 'mod-1', role: 'MODERATOR' };
+const admin = { id: 'admin-1', role: 'ADMIN' };
+
+describe('Moderation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.fact.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('canTransition', () => {
+    it('should only allow moves from the state machine', () => {
+      expect(canTransition('DRAFT', 'PENDING_REVIEW')).toBe(true);
+      expect(canTransition('CHANGES_REQUESTED', 'PENDING_REVIEW')).toBe(true);
+      expect(canTransition('PENDING_REVIEW', 'REJECTED')).toBe(true);
+      expect(canTransition('DRAFT', 'APPROVED')).toBe(false);
+      expect(canTransition('REJECTED', 'PENDING_REVIEW')).toBe(false);
+      expect(canTransition('UNKNOWN', 'DRAFT')).toBe(false);
+    });
+  });
+
+  describe('buildTransitionData', () => {
+    it('should keep the approval and active flags in step', () => {
+      const now = new Date('2025-01-01');
+      const published = new Date('2024-06-01');
+
+      expect(buildTransitionData(createMockFact({ moderationStatus: 'PENDING_REVIEW', publishedAt: published }), 'APPROVED', 'mod-1', now)).toEqual({
+        moderationStatus: 'APPROVED',
+        isApproved: true,
+        approvedBy: 'mod-1',
+        approvedAt: now,
+        publishedAt: published,
+      });
+      expect(buildTransitionData(createMockFact({ moderationStatus: 'APPROVED' }), 'ARCHIVED', 'admin-1', now))
+        .toEqual({ moderationStatus: 'ARCHIVED', isApproved: false, isActive: false });
+      expect(buildTransitionData(createMockFact({ moderationStatus: 'ARCHIVED' }), 'DRAFT', 'admin-1', now))
+        .toEqual({ moderationStatus: 'DRAFT', isApproved: false, isActive: true });
+    });
+  });
+
+  describe('transitionFact', () => {
+    it('should move the fact and record the reviewer note', async () => {
+      const fact = createMockFact({ id: 'fact-1', moderationStatus: 'PENDING_REVIEW' });
+      prisma.fact.findUnique.mockResolvedValueOnce(fact).mockResolvedValueOnce({ ...fact, moderationStatus: 'REJECTED' });
+
+      const result = await transitionFact('fact-1', 'REJECTED', moderator, { note: 'Source is unreliable' });
+
+      expect(prisma.fact.updateMany).toHaveBeenCalledWith({
+        where: { id: 'fact-1', moderationStatus: 'PENDING_REVIEW' },
+        data: { moderationStatus: 'REJECTED', isApproved: false },
+      });
+      expect(prisma.factReview.create).toHaveBeenCalledWith({
+        data: {
+          factId: 'fact-1',
+          userId: 'mod-1',
+          fromStatus: 'PENDING_REVIEW',
+          toStatus: 'REJECTED',
+          note: 'Source is unreliable',
+        },
+      });
+      expect(result.before).toBe(fact);
+      expect(result.fact.moderationStatus).toBe('REJECTED');
+    });
+
+    it('should schedule approvals with publishAt', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'PENDING_REVIEW' }));
+
+      await transitionFact('fact-1', 'APPROVED', moderator, { publishAt: '2030-05-04T08:00:00Z' });
+
+      expect(prisma.fact.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ isApproved: true, publishedAt: new Date('2030-05-04T08:00:00Z') }),
+      }));
+    });
+
+    it('should return null for a missing fact', async () => {
+      prisma.fact.findUnique.mockResolvedValue(null);
+
+      expect(await transitionFact('fact-1', 'APPROVED', moderator)).toBeNull();
+    });
+
+    it('should refuse moves outside the state machine', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'APPROVED' }));
+
+      await expect(transitionFact('fact-1', 'REJECTED', moderator)).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.fact.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should not let moderators review their own facts', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'PENDING_REVIEW', createdBy: 'mod-1' }));
+
+      await expect(transitionFact('fact-1', 'APPROVED', moderator)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should only let the author resubmit', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'CHANGES_REQUESTED' }));
+
+      await expect(transitionFact('fact-1', 'PENDING_REVIEW', moderator)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should fail when the fact changed state concurrently', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'PENDING_REVIEW' }));
+      prisma.fact.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(transitionFact('fact-1', 'APPROVED', admin)).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.factReview.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assignReviewer', () => {
+    it('should not let moderators assign others', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'PENDING_REVIEW' }));
+
+      await expect(assignReviewer('fact-1', 'mod-2', moderator)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should only assign active reviewers', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'PENDING_REVIEW' }));
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', role: 'USER', isActive: true });
+
+      await expect(assignReviewer('fact-1', 'user-1', admin)).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.fact.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getModerationQueue', () => {
+    it('should list unassigned pending facts oldest first', async () => {
+      prisma.fact.findMany.mockResolvedValue([]);
+      prisma.fact.count.mockResolvedValue(0);
+
+      await getModerationQueue({ assignee: 'unassigned' }, { page: 2, limit: 10 }, moderator);
+
+      expect(prisma.fact.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { moderationStatus: 'PENDING_REVIEW', reviewerId: null },
+        orderBy: [{ submittedAt: 'asc' }, { id: 'asc' }],
+        skip: 10,
+        take: 10,
+      }));
+    });
+  });
+});
@@ -0,0 +1,325 @@
+const mockMessaging = {
+  send: jest.fn(),
+  sendEachForMulticast: jest.fn(),
+};
+
+jest.mock('firebase-admin', () => ({
+  apps: [{}],
+  messaging: () => mockMessaging,
+}));
+
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    notification: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      fields: { maxRetries: 'maxRetries' },
+    },
+    fact: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    userFact: {
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+    },
+    user: {
+      update: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: { del: jest.fn() },
+  cacheKeys: {
+    factDetails: (factId) => `fact:${factId}`,
+    userStats: (userId) => `stats:${userId}`,
+  },
+}));
+
+jest.mock('../../../src/services/analyticsService', () => ({
+  trackNotification: jest.fn(),
+}));
+
+jest.mock('../../../src/services/deviceService', () => ({
+  getActiveTokens: jest.fn(),
+  pruneInvalidTokens: jest.fn(),
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { getActiveTokens, pruneInvalidTokens } = require('../../../src/services/deviceService');
+const analyticsService = require('../../../src/services/analyticsService');
+const {
+  classifyFcmError,
+  getRetryDelay,
+  sendMulticastNotification,
+  retryFailedNotifications,
+  markNotificationDelivered,
+  markNotificationOpened,
+} = require('../../../src/services/notificationService');
+
+const fcmError = (code) => Object.assign(new Error(code), { code });
+
+describe('Notification Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.notification.update.mockImplementation(({ data }) => Promise.resolve(data));
+  });
+
+  describe('classifyFcmError', () => {
+    it('should classify FCM error codes', () => {
+      expect(classifyFcmError('messaging/registration-token-not-registered')).toBe('invalid-token');
+      expect(classifyFcmError('messaging/invalid-argument')).toBe('permanent');
+      expect(classifyFcmError('messaging/server-unavailable')).toBe('retryable');
+      expect(classifyFcmError(undefined)).toBe('retryable');
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should back off exponentially with jitter', () => {
+      expect(getRetryDelay(0, () => 0)).toBe(30 * 1000);
+      expect(getRetryDelay(0, () => 1)).toBe(60 * 1000);
+      expect(getRetryDelay(2, () => 0)).toBe(2 * 60 * 1000);
+      expect(getRetryDelay(2, () => 1)).toBe(4 * 60 * 1000);
+    });
+
+    it('should cap the delay at one hour', () => {
+      expect(getRetryDelay(20, () => 1)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('sendMulticastNotification', () => {
+    it('should report dead tokens and succeed when one device received the message', async () => {
+      mockMessaging.sendEachForMulticast.mockResolvedValue({
+        successCount: 1,
+        failureCount: 1,
+        responses: [
+          { success: true, messageId: 'msg-1' },
+          { success: false, error: fcmError('messaging/registration-token-not-registered') },
+        ],
+      });
+
+      const result = await sendMulticastNotification(['token-a', 'token-b'], { title: 'T', body: 'B' });
+
+      expect(result.success).toBe(true);
+      expect(result.messageId).toBe('msg-1');
+      expect(result.failedTokens).toEqual(['token-b']);
+    });
+
+    it('should fail as retryable when any device failed transiently', async () => {
+      mockMessaging.sendEachForMulticast.mockResolvedValue({
+        successCount: 0,
+        failureCount: 2,
+        responses: [
+          { success: false, error: fcmError('messaging/invalid-registration-token') },
+          { success: false, error: fcmError('messaging/internal-error') },
+        ],
+      });
+
+      const result = await sendMulticastNotification(['token-a', 'token-b'], { title: 'T', body: 'B' });
+
+      expect(result).toEqual(expect.objectContaining({
+        success: false,
+        errorCode: 'messaging/internal-error',
+        retryable: true,
+        failedTokens: ['token-a'],
+      }));
+    });
+  });
+
+  describe('retryFailedNotifications', () => {
+    const user = {
+      id: 'user-1',
+      isActive: true,
+      notificationsEnabled: true,
+      timezone: 'UTC',
+    };
+
+    const failedNotification = (overrides = {}) => ({
+      id: 'notification-1',
+      userId: 'user-1',
+      factId: 'fact-1',
+      title: 'Daily Fact Ready! 🧠',
+      body: 'Octopuses have three hearts',
+      status: 'FAILED',
+      retryCount: 0,
+      maxRetries: 3,
+      user,
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      getActiveTokens.mockResolvedValue(['token-a']);
+      prisma.fact.findUnique.mockResolvedValue({ categoryId: 'category-1' });
+    });
+
+    it('should resend and mark the notification as sent', async () => {
+      prisma.notification.findMany.mockResolvedValue([failedNotification()]);
+      mockMessaging.send.mockResolvedValue('msg-1');
+
+      const result = await retryFailedNotifications();
+
+      expect(result).toEqual({ processed: 1, sent: 1, failed: 0, cancelled: 0, postponed: 0 });
+      expect(mockMessaging.send).toHaveBeenCalledWith(expect.objectContaining({
+        token: 'token-a',
+        data: expect.objectContaining({ factId: 'fact-1', categoryId: 'category-1' }),
+      }));
+      expect(prisma.notification.update).toHaveBeenCalledWith({
+        where: { id: 'notification-1' },
+        data: expect.objectContaining({ status: 'SENT', retryCount: 1, nextRetryAt: null }),
+      });
+    });
+
+    it('should schedule another retry for transient errors', async () => {
+      prisma.notification.findMany.mockResolvedValue([failedNotification()]);
+      mockMessaging.send.mockRejectedValue(fcmError('messaging/server-unavailable'));
+
+      const result = await retryFailedNotifications();
+
+      expect(result.failed).toBe(1);
+      const { data } = prisma.notification.update.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({
+        status: 'FAILED',
+        retryCount: 1,
+        errorCode: 'messaging/server-unavailable',
+      }));
+      expect(data.nextRetryAt).toBeInstanceOf(Date);
+    });
+
+    it('should stop retrying once retries are exhausted', async () => {
+      prisma.notification.findMany.mockResolvedValue([failedNotification({ retryCount: 2 })]);
+      mockMessaging.send.mockRejectedValue(fcmError('messaging/server-unavailable'));
+
+      await retryFailedNotifications();
+
+      const { data } = prisma.notification.update.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({ status: 'FAILED', retryCount: 3, nextRetryAt: null }));
+    });
+
+    it('should invalidate dead tokens without scheduling a retry', async () => {
+      prisma.notification.findMany.mockResolvedValue([failedNotification()]);
+      mockMessaging.send.mockRejectedValue(fcmError('messaging/registration-token-not-registered'));
+
+      await retryFailedNotifications();
+
+      expect(pruneInvalidTokens).toHaveBeenCalledWith(['token-a']);
+      const { data } = prisma.notification.update.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({ status: 'FAILED', nextRetryAt: null }));
+    });
+
+    it('should cancel when the user has no devices left', async () => {
+      prisma.notification.findMany.mockResolvedValue([failedNotification()]);
+      getActiveTokens.mockResolvedValue([]);
+
+      const result = await retryFailedNotifications();
+
+      expect(result.cancelled).toBe(1);
+      expect(mockMessaging.send).not.toHaveBeenCalled();
+      expect(prisma.notification.update).toHaveBeenCalledWith({
+        where: { id: 'notification-1' },
+        data: { status: 'CANCELLED', errorMessage: 'No FCM tokens' },
+      });
+    });
+
+    it('should postpone the retry until the quiet hours end', async () => {
+      jest.useFakeTimers({ now: new Date('2025-10-20T23:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      prisma.notification.findMany.mockResolvedValue([
+        failedNotification({ user: { ...user, quietHoursStart: '22:00', quietHoursEnd: '07:00' } }),
+      ]);
+
+      try {
+        const result = await retryFailedNotifications();
+
+        expect(result.postponed).toBe(1);
+        expect(mockMessaging.send).not.toHaveBeenCalled();
+        expect(prisma.notification.update).toHaveBeenCalledWith({
+          where: { id: 'notification-1' },
+          data: { nextRetryAt: new Date('2025-10-21T07:00:00Z') },
+        });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('delivery tracking', () => {
+    const sentNotification = {
+      id: 'notification-1',
+      userId: 'user-1',
+      factId: 'fact-1',
+      status: 'SENT',
+      sentAt: new Date(Date.now() - 60 * 1000),
+      deliveredAt: null,
+      openedAt: null,
+    };
+
+    beforeEach(() => {
+      prisma.notification.findUnique.mockResolvedValue({ id: 'notification-1' });
+    });
+
+    it('should return null for notifications of other users', async () => {
+      prisma.notification.findFirst.mockResolvedValue(null);
+
+      const result = await markNotificationOpened('user-2', 'notification-1');
+
+      expect(result).toBeNull();
+      expect(prisma.notification.findFirst).toHaveBeenCalledWith({
+        where: { id: 'notification-1', userId: 'user-2' },
+      });
+      expect(prisma.notification.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should mark the linked fact as delivered', async () => {
+      prisma.notification.findFirst.mockResolvedValue(sentNotification);
+      prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+      prisma.userFact.findUnique.mockResolvedValue(null);
+
+      await markNotificationDelivered('user-1', 'notification-1');
+
+      expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+        where: { id: 'notification-1', deliveredAt: null },
+        data: { status: 'DELIVERED', deliveredAt: expect.any(Date) },
+      });
+      expect(prisma.userFact.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({ userId: 'user-1', factId: 'fact-1', deliveryStatus: 'DELIVERED' }),
+      }));
+    });
+
+    it('should track the first open and mark the fact as viewed', async () => {
+      prisma.notification.findFirst.mockResolvedValue(sentNotification);
+      prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+      prisma.userFact.findUnique.mockResolvedValue({ isViewed: false, deliveryStatus: 'DELIVERED', deliveredAt: new Date() });
+
+      await markNotificationOpened('user-1', 'notification-1', { ipAddress: '127.0.0.1' });
+
+      expect(prisma.userFact.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        update: expect.objectContaining({ deliveryStatus: 'OPENED', isViewed: true }),
+      }));
+      expect(prisma.fact.update).toHaveBeenCalledWith({
+        where: { id: 'fact-1' },
+        data: { viewCount: { increment: 1 } },
+      });
+      expect(analyticsService.trackNotification).toHaveBeenCalledWith(
+        'user-1',
+        'notification-1',
+        'opened',
+        expect.objectContaining({ factId: 'fact-1' }),
+        { ipAddress: '127.0.0.1' },
+      );
+    });
+
+    it('should ignore repeated opens', async () => {
+      prisma.notification.findFirst.mockResolvedValue({ ...sentNotification, status: 'OPENED', openedAt: new Date() });
+      prisma.notification.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await markNotificationOpened('user-1', 'notification-1');
+
+      expect(result).toEqual({ id: 'notification-1' });
+      expect(prisma.userFact.upsert).not.toHaveBeenCalled();
+      expect(analyticsService.trackNotification).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    fact: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    factRevision: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+    },
+    factReview: {
+      create: jest.fn(),
+    },
+    category: {
+      findUnique: jest.fn(),
+    },
+  };
+  prisma.$queryRaw = jest.fn();
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+
+jest.mock('../../../src/services/configService', () => ({
+  getConfigValue: jest.fn(),
+}));
+
+jest.mock('../../../src/config/storage', () => ({
+  storage: {
+    keyFromUrl: jest.fn(url => (url && url.startsWith('https://media.test/') ? url.slice(19) : null)),
+    stat: jest.fn(),
+  },
+}));
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../../src/config/database');
+const configService = require('../../../src/services/configService');
+const { storage } = require('../../../src/config/storage');
+const {
+  snapshotFact,
+  diffSnapshots,
+  updateFactWithRevision,
+  getRevisions,
+  restoreRevision,
+} = require('../../../src/services/revisionService');
+
+const moderator = { id: 'mod-1', role: 'MODERATOR' };
+const admin = { id: 'admin-1', role: 'ADMIN' };
+
+const revisionWith = (version, overrides = {}) => ({
+  id: `rev-${version}`,
+  factId: 'fact-id-123',
+  version,
+  ...snapshotFact(createMockFact(overrides)),
+});
+
+describe('Revision Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configService.getConfigValue.mockResolvedValue(true);
+    prisma.fact.update.mockImplementation(({ data }) => Promise.resolve({ ...createMockFact(), ...data }));
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list changed fields only', () => {
+      const before = snapshotFact(createMockFact({ tags: ['food'] }));
+      const after = snapshotFact(createMockFact({ title: 'Honey lasts forever', tags: ['food'] }));
+
+      expect(diffSnapshots(before, after)).toEqual([
+        { field: 'title', before: 'Test Fact', after: 'Honey lasts forever' },
+      ]);
+    });
+  });
+
+  describe('updateFactWithRevision', () => {
+    it('should record the new content as the next revision', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(3));
+
+      const { reapproval } = await updateFactWithRevision(createMockFact(), { tags: ['food', 'history'] }, moderator);
+
+      expect(reapproval).toBe(false);
+      expect(prisma.factRevision.create).toHaveBeenCalledTimes(1);
+      expect(prisma.factRevision.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ factId: 'fact-id-123', version: 4, userId: 'mod-1', tags: ['food', 'history'] }),
+      });
+    });
+
+    it('should lock the fact before reading its latest revision', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(3));
+
+      await updateFactWithRevision(createMockFact(), { tags: ['food'] }, moderator);
+
+      const { sql, values } = Prisma.sql(...prisma.$queryRaw.mock.calls[0]);
+      expect(sql).toContain('FOR UPDATE');
+      expect(values).toEqual(['fact-id-123']);
+      expect(prisma.$queryRaw.mock.invocationCallOrder[0])
+        .toBeLessThan(prisma.factRevision.findFirst.mock.invocationCallOrder[0]);
+    });
+
+    it('should answer with a conflict when another edit took the version', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(3));
+      prisma.factRevision.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(updateFactWithRevision(createMockFact(), { tags: ['food'] }, moderator))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should record the previous state of facts without revisions first', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(null);
+
+      await updateFactWithRevision(createMockFact(), { difficulty: 'HARD' }, admin);
+
+      expect(prisma.factRevision.create.mock.calls.map(([{ data }]) => [data.version, data.difficulty]))
+        .toEqual([[1, 'MEDIUM'], [2, 'HARD']]);
+    });
+
+    it('should not add a revision when no content changed', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(1));
+
+      await updateFactWithRevision(createMockFact(), { isFeatured: true }, moderator);
+
+      expect(prisma.factRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should send approved facts back to review when a moderator changes the content', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(1));
+
+      const { fact, reapproval } = await updateFactWithRevision(createMockFact(), { content: 'Changed content here.' }, moderator);
+
+      expect(reapproval).toBe(true);
+      expect(fact).toMatchObject({ moderationStatus: 'PENDING_REVIEW', isApproved: false });
+      expect(prisma.factReview.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ fromStatus: 'APPROVED', toStatus: 'PENDING_REVIEW' }),
+      });
+    });
+
+    it('should keep approval for admins and when approval is not required', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(1));
+
+      expect((await updateFactWithRevision(createMockFact(), { title: 'New title' }, admin)).reapproval).toBe(false);
+
+      configService.getConfigValue.mockResolvedValue(false);
+      expect((await updateFactWithRevision(createMockFact(), { title: 'New title' }, moderator)).reapproval).toBe(false);
+      expect(prisma.factReview.create).not.toHaveBeenCalled();
+    });
+
+    it('should clear the image derivatives when the image URL changes', async () => {
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(1));
+      const fact = createMockFact({ imageUrl: 'https://media.test/facts/fact-id-123/a.png', images: { blurhash: 'LEHV6n' } });
+
+      await updateFactWithRevision(fact, { imageUrl: 'https://example.com/b.png' }, admin);
+
+      expect(prisma.fact.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ imageUrl: 'https://example.com/b.png', images: Prisma.DbNull }),
+      }));
+    });
+  });
+
+  describe('getRevisions', () => {
+    it('should diff each revision against the one before it', async () => {
+      prisma.fact.findUnique.mockResolvedValue({ id: 'fact-id-123' });
+      prisma.factRevision.findMany.mockResolvedValue([
+        revisionWith(3, { title: 'Third' }),
+        revisionWith(2, { title: 'Second' }),
+      ]);
+      prisma.factRevision.count.mockResolvedValue(3);
+
+      const { revisions, total } = await getRevisions('fact-id-123', { page: 1, limit: 1 });
+
+      expect(prisma.factRevision.findMany).toHaveBeenCalledWith(expect.objectContaining({ skip: 0, take: 2 }));
+      expect(total).toBe(3);
+      expect(revisions).toHaveLength(1);
+      expect(revisions[0].changes).toEqual([{ field: 'title', before: 'Second', after: 'Third' }]);
+    });
+  });
+
+  describe('restoreRevision', () => {
+    it('should apply the revision content as a new revision', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ title: 'Damaged' }));
+      prisma.factRevision.findFirst
+        .mockResolvedValueOnce(revisionWith(2))
+        .mockResolvedValueOnce(revisionWith(5, { title: 'Damaged' }));
+      prisma.category.findUnique.mockResolvedValue({ id: 'category-id-123' });
+
+      const result = await restoreRevision('fact-id-123', 'rev-2', admin);
+
+      expect(result.fact.title).toBe('Test Fact');
+      expect(prisma.factRevision.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ version: 6, restoredFrom: 2, title: 'Test Fact' }),
+      });
+    });
+
+    it('should drop uploaded media deleted since the revision', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ title: 'Damaged' }));
+      prisma.factRevision.findFirst
+        .mockResolvedValueOnce(revisionWith(2, { imageUrl: 'https://media.test/facts/fact-id-123/old.png', videoUrl: 'https://example.com/v.mp4' }))
+        .mockResolvedValueOnce(revisionWith(5, { title: 'Damaged' }));
+      prisma.category.findUnique.mockResolvedValue({ id: 'category-id-123' });
+      storage.stat.mockResolvedValue(null);
+
+      await restoreRevision('fact-id-123', 'rev-2', admin);
+
+      expect(storage.stat).toHaveBeenCalledWith('facts/fact-id-123/old.png');
+      expect(prisma.factRevision.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ imageUrl: null, videoUrl: 'https://example.com/v.mp4' }),
+      });
+    });
+
+    it('should refuse archived facts', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact({ moderationStatus: 'ARCHIVED' }));
+      prisma.factRevision.findFirst.mockResolvedValue(revisionWith(1));
+
+      await expect(restoreRevision('fact-id-123', 'rev-1', admin)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should return null for a revision of another fact', async () => {
+      prisma.fact.findUnique.mockResolvedValue(createMockFact());
+      prisma.factRevision.findFirst.mockResolvedValue(null);
+
+      expect(await restoreRevision('fact-id-123', 'rev-9', admin)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,227 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    $executeRaw: jest.fn(),
+    fact: {
+      findMany: jest.fn(),
+    },
+    category: {
+      findMany: jest.fn(),
+    },
+  },
+}));
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../../src/config/database');
+const { searchFacts, getSuggestions, refreshLexicon } = require('../../../src/services/searchService');
+
+// The query as Prisma would send it
+const sentQuery = (call) => Prisma.sql(call[0], ...call.slice(1));
+
+describe('Search Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('searchFacts', () => {
+    it('should return the facts in rank order with their highlights', async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([
+          { id: 'b', rank: 0.607927, titleHighlight: '<mark>Volcanoes</mark> of Iceland', contentHighlight: 'a <mark>volcano</mark>' },
+          { id: 'a', rank: 0.1, titleHighlight: 'Hot springs', contentHighlight: 'near the <mark>volcano</mark>' },
+        ])
+        .mockResolvedValueOnce([{ total: 12 }])
+        .mockResolvedValue([]);
+      prisma.fact.findMany.mockResolvedValue([{ id: 'a', title: 'Hot springs' }, { id: 'b', title: 'Volcanoes of Iceland' }]);
+
+      const { facts, total } = await searchFacts({ query: 'volcano' }, { page: 2, limit: 2 });
+
+      expect(total).toBe(12);
+      expect(facts).toEqual([
+        {
+          id: 'b',
+          title: 'Volcanoes of Iceland',
+          rank: 0.6079,
+          highlights: { title: '<mark>Volcanoes</mark> of Iceland', content: 'a <mark>volcano</mark>' },
+        },
+        {
+          id: 'a',
+          title: 'Hot springs',
+          rank: 0.1,
+          highlights: { title: 'Hot springs', content: 'near the <mark>volcano</mark>' },
+        },
+      ]);
+
+      const { sql, values } = sentQuery(prisma.$queryRaw.mock.calls[0]);
+      expect(sql).toContain('websearch_to_tsquery(fact_search_config(');
+      expect(sql).toContain('ORDER BY rank DESC');
+      expect(values).toEqual(expect.arrayContaining(['en', 'volcano', 2]));
+    });
+
+    it('should apply the filters to the search and its count', async () => {
+      prisma.$queryRaw.mockResolvedValue([{ total: 0 }]);
+      prisma.fact.findMany.mockResolvedValue([]);
+
+      await searchFacts({
+        query: 'honey',
+        categories: ['cat-1', 'cat-2'],
+        difficulties: ['easy'],
+        tags: ['Food'],
+        language: 'fr',
+        hasImage: true,
+        from: '2025-01-01',
+      });
+
+      for (const call of prisma.$queryRaw.mock.calls.slice(0, 2)) {
+        const { sql, values } = sentQuery(call);
+        expect(sql).toContain('f."categoryId" IN');
+        expect(sql).toContain('f."imageUrl" IS NOT NULL');
+        expect(values).toEqual(expect.arrayContaining([
+          'fr', 'honey', 'cat-1', 'cat-2', 'EASY', ['food'], new Date('2025-01-01'),
+        ]));
+      }
+    });
+
+    it('should continue after a cursor without counting again', async () => {
+      const publishedAt = new Date('2025-02-01');
+      prisma.$queryRaw.mockResolvedValueOnce([
+        { id: 'c', rank: 0.5, publishedAt },
+        { id: 'd', rank: 0.4, publishedAt },
+      ]);
+      prisma.fact.findMany.mockResolvedValue([{ id: 'c' }]);
+
+      const first = await searchFacts({ query: 'volcano' }, { limit: 1, cursor: null });
+      expect(first.nextCursor).toEqual(expect.any(String));
+
+      prisma.$queryRaw.mockClear();
+      prisma.$queryRaw.mockResolvedValueOnce([{ id: 'd', rank: 0.4, publishedAt }]);
+      prisma.fact.findMany.mockResolvedValue([{ id: 'd' }]);
+
+      const next = await searchFacts({ query: 'volcano' }, { limit: 1, cursor: first.nextCursor });
+
+      expect(next).toEqual({ facts: [expect.objectContaining({ id: 'd' })], nextCursor: null });
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+      const { sql, values } = sentQuery(prisma.$queryRaw.mock.calls[0]);
+      // Mutable fields like view counts would move facts across pages
+      expect(sql).toContain('), f."publishedAt", f.id)\n    < (');
+      expect(sql).not.toContain('viewCount');
+      expect(values).toEqual(expect.arrayContaining([0.5, publishedAt, 'c']));
+    });
+
+    it('should reject invalid cursors', async () => {
+      await expect(searchFacts({ query: 'volcano' }, { cursor: 'garbage' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    });
+
+    it('should count each facet without its own filter', async () => {
+      prisma.$queryRaw.mockImplementation((...call) => {
+        const { sql } = sentQuery(call);
+        if (sql.includes('JOIN "categories"')) return Promise.resolve([{ id: 'cat-1', name: 'Science', count: 3 }]);
+        if (sql.includes('GROUP BY f.difficulty')) return Promise.resolve([{ difficulty: 'EASY', count: 2 }]);
+        if (sql.includes('GROUP BY tag')) return Promise.resolve([{ tag: 'food', count: 1 }]);
+        if (sql.includes('AS total')) return Promise.resolve([{ total: 2 }]);
+        return Promise.resolve([]);
+      });
+      prisma.fact.findMany.mockResolvedValue([]);
+
+      const { facets } = await searchFacts({ query: 'honey', categories: ['cat-1'], difficulties: ['EASY'], tags: ['food'] });
+
+      expect(facets).toEqual({
+        categories: [{ id: 'cat-1', name: 'Science', count: 3 }],
+        difficulties: [{ difficulty: 'EASY', count: 2 }],
+        tags: [{ tag: 'food', count: 1 }],
+      });
+
+      const facetQueries = prisma.$queryRaw.mock.calls.map(sentQuery).slice(2);
+      expect(facetQueries[0].sql).not.toContain('f."categoryId" IN');
+      expect(facetQueries[0].sql).toContain('f.difficulty::text IN');
+      expect(facetQueries[1].sql).not.toContain('f.difficulty::text IN');
+      expect(facetQueries[1].sql).toContain('f.tags &&');
+      expect(facetQueries[2].sql).not.toContain('f.tags &&');
+      expect(facetQueries[2].sql).toContain('f."categoryId" IN');
+    });
+  });
+
+  describe('getSuggestions', () => {
+    // Answers each raw query by the first table or function it reads
+    const answerQueries = (answers) => {
+      prisma.$queryRaw.mockImplementation((...call) => {
+        const { sql, values } = sentQuery(call);
+        const source = Object.keys(answers).find(name => sql.includes(name));
+        return Promise.resolve(source ? answers[source](values) : []);
+      });
+    };
+
+    beforeEach(() => {
+      prisma.category.findMany.mockResolvedValue([{ id: 'cat-1', name: 'Volcanology' }]);
+    });
+
+    it('should complete from titles, tags and categories', async () => {
+      answerQueries({
+        'COUNT(*)::int AS total': () => [{ total: 4 }],
+        'unnest(f.tags)': () => [{ tag: 'volcanoes', count: 3 }],
+        'SELECT f.id, f.title': () => [{ id: 'fact-1', title: 'Volcanoes of Iceland' }],
+        '"analytics"': () => [{ query: 'volcano eruption', count: 8 }],
+      });
+
+      const suggestions = await getSuggestions({ query: '  Volc ' });
+
+      expect(suggestions).toEqual({
+        query: 'volc',
+        completions: [
+          { type: 'title', text: 'Volcanoes of Iceland', factId: 'fact-1' },
+          { type: 'tag', text: 'volcanoes', count: 3 },
+          { type: 'category', text: 'Volcanology', categoryId: 'cat-1' },
+        ],
+        popular: [{ query: 'volcano eruption', count: 8 }],
+        correction: null,
+      });
+      expect(prisma.category.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { isActive: true, name: { startsWith: 'volc', mode: 'insensitive' } },
+      }));
+    });
+
+    it('should match LIKE wildcards literally', async () => {
+      answerQueries({ 'COUNT(*)::int AS total': () => [{ total: 1 }] });
+
+      await getSuggestions({ query: '100%_' });
+
+      const titleQuery = prisma.$queryRaw.mock.calls.map(sentQuery).find(({ sql }) => sql.includes('SELECT f.id, f.title'));
+      expect(titleQuery.values).toEqual(expect.arrayContaining(['100\\%\\_%']));
+    });
+
+    it('should correct misspelled words of queries without results', async () => {
+      answerQueries({
+        lexicon: () => [{ input: 'volcanoe', word: 'volcano' }],
+        'COUNT(*)::int AS total': values => [{ total: values.includes('volcano eruptions') ? 2 : 0 }],
+      });
+
+      const { correction } = await getSuggestions({ query: 'volcanoe eruptions' });
+
+      expect(correction).toBe('volcano eruptions');
+
+      // Candidates come from the indexed lexicon, not from a scan of the facts
+      const lexiconQuery = prisma.$queryRaw.mock.calls.map(sentQuery).find(({ sql }) => sql.includes('search_lexicon'));
+      expect(lexiconQuery.sql).toContain('l.word % input');
+      expect(lexiconQuery.sql).not.toContain('"facts"');
+      expect(lexiconQuery.values).toEqual(expect.arrayContaining([['volcanoe', 'eruptions'], 'en']));
+    });
+
+    it('should not offer corrections that find nothing either', async () => {
+      answerQueries({
+        lexicon: () => [{ input: 'xylofone', word: 'xylophone' }],
+        'COUNT(*)::int AS total': () => [{ total: 0 }],
+      });
+
+      expect((await getSuggestions({ query: 'xylofone' })).correction).toBeNull();
+    });
+  });
+
+  describe('refreshLexicon', () => {
+    it('should rebuild the lexicon without blocking reads', async () => {
+      await refreshLexicon();
+
+      expect(sentQuery(prisma.$executeRaw.mock.calls[0]).sql).toBe('REFRESH MATERIALIZED VIEW CONCURRENTLY "search_lexicon"');
+    });
+  });
+});
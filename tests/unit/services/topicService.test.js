@@ -0,0 +1,152 @@
+jest.mock('../../../src/config/database', () => ({
+  prisma: {
+    user: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+    },
+    deviceTopic: {
+      createMany: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../../src/services/notificationService', () => ({
+  initializeFirebase: jest.fn(),
+  subscribeToTopic: jest.fn(),
+  unsubscribeFromTopic: jest.fn(),
+}));
+
+jest.mock('../../../src/services/deviceService', () => ({
+  pruneInvalidTokens: jest.fn(),
+}));
+
+const { prisma } = require('../../../src/config/database');
+const { initializeFirebase, subscribeToTopic, unsubscribeFromTopic } = require('../../../src/services/notificationService');
+const { pruneInvalidTokens } = require('../../../src/services/deviceService');
+const {
+  categoryTopic,
+  planTopicChanges,
+  syncUserTopics,
+  reconcileTopicSubscriptions,
+} = require('../../../src/services/topicService');
+
+const topicResult = (overrides = {}) => ({
+  success: true,
+  successCount: 1,
+  failedTokens: [],
+  invalidTokens: [],
+  ...overrides,
+});
+
+const device = (id, topics = [], isActive = true) => ({
+  id,
+  fcmToken: `token-${id}`,
+  isActive,
+  topics: topics.map(topic => ({ topic })),
+});
+
+const userWith = (overrides = {}) => ({
+  id: 'user-1',
+  isActive: true,
+  notificationsEnabled: true,
+  userCategories: [{ categoryId: 'science' }, { categoryId: 'history' }],
+  devices: [],
+  ...overrides,
+});
+
+describe('Topic Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    initializeFirebase.mockReturnValue({});
+    subscribeToTopic.mockResolvedValue(topicResult());
+    unsubscribeFromTopic.mockResolvedValue(topicResult());
+  });
+
+  describe('planTopicChanges', () => {
+    it('should only change topics that differ from the recorded ones', () => {
+      const { subscribe, unsubscribe } = planTopicChanges([
+        userWith({ devices: [device('a', [categoryTopic('science'), categoryTopic('sports')])] }),
+      ]);
+
+      expect([...subscribe.keys()]).toEqual([categoryTopic('history')]);
+      expect([...unsubscribe.keys()]).toEqual([categoryTopic('sports')]);
+    });
+
+    it('should unsubscribe inactive devices and users with notifications disabled', () => {
+      const { subscribe, unsubscribe } = planTopicChanges([
+        userWith({ devices: [device('a', [categoryTopic('science')], false)] }),
+        userWith({ id: 'user-2', notificationsEnabled: false, devices: [device('b', [categoryTopic('science')])] }),
+      ]);
+
+      expect(subscribe.size).toBe(0);
+      expect(unsubscribe.get(categoryTopic('science')).map(d => d.id)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('syncUserTopics', () => {
+    it('should record only the subscriptions FCM accepted', async () => {
+      prisma.user.findUnique.mockResolvedValue(userWith({
+        userCategories: [{ categoryId: 'science' }],
+        devices: [device('a'), device('b'), device('c')],
+      }));
+      subscribeToTopic.mockResolvedValue(topicResult({
+        success: false,
+        failedTokens: ['token-b'],
+        invalidTokens: ['token-c'],
+      }));
+
+      const totals = await syncUserTopics('user-1');
+
+      expect(subscribeToTopic).toHaveBeenCalledWith(['token-a', 'token-b', 'token-c'], 'category-science');
+      expect(prisma.deviceTopic.createMany).toHaveBeenCalledWith({
+        data: [{ deviceId: 'a', topic: 'category-science' }],
+        skipDuplicates: true,
+      });
+      expect(pruneInvalidTokens).toHaveBeenCalledWith(['token-c']);
+      expect(totals).toEqual({ users: 1, subscribed: 1, unsubscribed: 0, failed: 1 });
+    });
+
+    it('should forget subscriptions of dead tokens when unsubscribing', async () => {
+      prisma.user.findUnique.mockResolvedValue(userWith({
+        userCategories: [],
+        devices: [device('a', ['category-science'])],
+      }));
+      unsubscribeFromTopic.mockResolvedValue(topicResult({ invalidTokens: ['token-a'] }));
+
+      await syncUserTopics('user-1');
+
+      expect(prisma.deviceTopic.deleteMany).toHaveBeenCalledWith({
+        where: { topic: 'category-science', deviceId: { in: ['a'] } },
+      });
+    });
+
+    it('should not fail the caller when syncing fails', async () => {
+      prisma.user.findUnique.mockRejectedValue(new Error('Database unavailable'));
+
+      expect(await syncUserTopics('user-1')).toBeNull();
+    });
+
+    it('should do nothing without Firebase', async () => {
+      initializeFirebase.mockReturnValue(null);
+
+      expect(await syncUserTopics('user-1')).toBeNull();
+      expect(prisma.user.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileTopicSubscriptions', () => {
+    it('should sync every user with managed devices', async () => {
+      prisma.user.findMany.mockResolvedValue([
+        userWith({ userCategories: [{ categoryId: 'science' }], devices: [device('a')] }),
+        userWith({ id: 'user-2', userCategories: [{ categoryId: 'science' }], devices: [device('b')] }),
+      ]);
+
+      const summary = await reconcileTopicSubscriptions();
+
+      expect(subscribeToTopic).toHaveBeenCalledTimes(1);
+      expect(subscribeToTopic).toHaveBeenCalledWith(['token-a', 'token-b'], 'category-science');
+      expect(summary).toEqual({ users: 2, subscribed: 2, unsubscribed: 0, failed: 0 });
+    });
+  });
+});
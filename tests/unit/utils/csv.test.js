@@ -0,0 +1,46 @@
+const { toCsvCell, toCsvRow, fromCsvCell, parseCsv } = require('../../../src/utils/csv');
+
+describe('CSV Utils', () => {
+  it('should quote cells with separators, quotes and line breaks', () => {
+    expect(toCsvCell('plain')).toBe('plain');
+    expect(toCsvCell('a,b')).toBe('"a,b"');
+    expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(toCsvCell('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('should format dates, objects and empty values', () => {
+    expect(toCsvCell(new Date('2025-10-18T09:00:00Z'))).toBe('2025-10-18T09:00:00.000Z');
+    expect(toCsvCell({ a: 1 })).toBe('"{""a"":1}"');
+    expect(toCsvCell(null)).toBe('');
+    expect(toCsvCell(0)).toBe('0');
+  });
+
+  it('should neutralize spreadsheet formulas', () => {
+    expect(toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(toCsvCell(-5)).toBe('-5');
+  });
+
+  it('should build CRLF terminated rows', () => {
+    expect(toCsvRow(['a', 1, null])).toBe('a,1,\r\n');
+  });
+
+  it('should parse what it writes', () => {
+    const text = `\ufeff${toCsvRow(['title', 'tags'])}${toCsvRow(['Say "hi", twice', 'a|b'])}\n${toCsvRow(['Two\nlines', ''])}`;
+
+    expect(parseCsv(text)).toEqual([
+      ['title', 'tags'],
+      ['Say "hi", twice', 'a|b'],
+      ['Two\nlines', ''],
+    ]);
+    expect(parseCsv('a,b\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('should reject unterminated quotes', () => {
+    expect(() => parseCsv('"open,cell\n')).toThrow('Unterminated quoted cell');
+  });
+
+  it('should undo the formula guard', () => {
+    expect(fromCsvCell(toCsvCell('=1+1'))).toBe('=1+1');
+    expect(fromCsvCell("'quoted'")).toBe("'quoted'");
+  });
+});
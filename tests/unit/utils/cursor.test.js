@@ -0,0 +1,102 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFor,
+  cursorWhere,
+  paginate,
+} = require('../../../src/utils/cursor');
+
+const orderBy = [{ isFeatured: 'desc' }, { publishedAt: 'desc' }, { id: 'desc' }];
+
+describe('Cursor Utils', () => {
+  describe('decodeCursor', () => {
+    it('should round-trip encoded values', () => {
+      expect(decodeCursor(encodeCursor({ id: 'fact-1' }))).toEqual({ id: 'fact-1' });
+    });
+
+    it('should return null for malformed cursors', () => {
+      expect(decodeCursor('not a cursor')).toBeNull();
+      expect(decodeCursor(encodeCursor(42))).toBeNull();
+      expect(decodeCursor(undefined)).toBeNull();
+    });
+  });
+
+  describe('cursorWhere', () => {
+    it('should select the items sorted after the cursor', () => {
+      const cursor = cursorFor(orderBy, { id: 'fact-5', isFeatured: true, publishedAt: '2025-01-01T00:00:00.000Z' });
+
+      expect(cursorWhere(orderBy, cursor)).toEqual({
+        OR: [
+          { AND: [{ isFeatured: { lt: true } }] },
+          { AND: [{ isFeatured: true }, { publishedAt: { lt: '2025-01-01T00:00:00.000Z' } }] },
+          { AND: [{ isFeatured: true }, { publishedAt: '2025-01-01T00:00:00.000Z' }, { id: { lt: 'fact-5' } }] },
+        ],
+      });
+    });
+
+    it('should place nulls first when descending and last when ascending', () => {
+      const descending = cursorWhere([{ publishedAt: 'desc' }, { id: 'desc' }], encodeCursor({ publishedAt: null, id: 'a' }));
+      const ascending = cursorWhere([{ publishedAt: 'asc' }, { id: 'asc' }], encodeCursor({ publishedAt: '2025-01-01', id: 'a' }));
+
+      expect(descending.OR[0]).toEqual({ AND: [{ publishedAt: { not: null } }] });
+      expect(ascending.OR[0]).toEqual({ AND: [{ OR: [{ publishedAt: { gt: '2025-01-01' } }, { publishedAt: null }] }] });
+    });
+
+    it('should refuse cursors made for other sort fields', () => {
+      expect(cursorWhere(orderBy, encodeCursor({ id: 'fact-5' }))).toBeNull();
+    });
+  });
+
+  describe('paginate', () => {
+    const facts = [
+      { id: 'c', isFeatured: true, publishedAt: '2025-03-01' },
+      { id: 'b', isFeatured: false, publishedAt: '2025-02-01' },
+      { id: 'a', isFeatured: false, publishedAt: '2025-01-01' },
+    ];
+
+    let model;
+
+    beforeEach(() => {
+      model = { findMany: jest.fn(), count: jest.fn() };
+    });
+
+    it('should fetch one extra row to find the next cursor', async () => {
+      model.findMany.mockResolvedValue(facts);
+      const cursor = cursorFor(orderBy, { id: 'd', isFeatured: true, publishedAt: '2025-04-01' });
+
+      const { items, nextCursor } = await paginate(model, { where: { isActive: true }, orderBy }, { cursor, limit: 2 });
+
+      expect(items).toEqual(facts.slice(0, 2));
+      expect(decodeCursor(nextCursor)).toEqual({ isFeatured: false, publishedAt: '2025-02-01', id: 'b' });
+      expect(model.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { AND: [{ isActive: true }, cursorWhere(orderBy, cursor)] },
+        take: 3,
+      }));
+      expect(model.count).not.toHaveBeenCalled();
+    });
+
+    it('should end with a null cursor on the last page', async () => {
+      model.findMany.mockResolvedValue(facts.slice(2));
+
+      const { nextCursor } = await paginate(model, { orderBy }, { cursor: cursorFor(orderBy, facts[1]), limit: 2 });
+
+      expect(nextCursor).toBeNull();
+    });
+
+    it('should count the total for page numbers and still return a cursor', async () => {
+      model.findMany.mockResolvedValue(facts.slice(0, 2));
+      model.count.mockResolvedValue(3);
+
+      const result = await paginate(model, { orderBy }, { page: 1, limit: 2 });
+
+      expect(result).toMatchObject({ page: 1, total: 3 });
+      expect(decodeCursor(result.nextCursor)).toMatchObject({ id: 'b' });
+      expect(model.findMany).toHaveBeenCalledWith(expect.objectContaining({ skip: 0, take: 2 }));
+    });
+
+    it('should reject invalid cursors', async () => {
+      await expect(paginate(model, { orderBy }, { cursor: 'garbage', limit: 2 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(model.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  renderTemplate,
+  resolveLanguage,
+  escapeHtml,
+} = require('../../../src/utils/emailTemplates');
+
+describe('Email Templates', () => {
+  describe('resolveLanguage', () => {
+    it('should return a supported language as is', () => {
+      expect(resolveLanguage('welcome', 'es')).toBe('es');
+    });
+
+    it('should fall back to the base language of a regional preference', () => {
+      expect(resolveLanguage('welcome', 'fr-CA')).toBe('fr');
+    });
+
+    it('should fall back to English for unsupported languages', () => {
+      expect(resolveLanguage('welcome', 'de')).toBe('en');
+      expect(resolveLanguage('welcome', undefined)).toBe('en');
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape HTML special characters', () => {
+      expect(escapeHtml('<b>"Tom" & \'Jerry\'</b>'))
+        .toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should render subject, html and text in the requested language', () => {
+      const result = renderTemplate('passwordReset', 'es', {
+        firstName: 'Ana',
+        actionUrl: 'https://app.example.com/reset-password?token=abc',
+      });
+
+      expect(result.language).toBe('es');
+      expect(result.subject).toBe('Restablece tu contraseña');
+      expect(result.html).toContain('Hola Ana,');
+      expect(result.html).toContain('href="https://app.example.com/reset-password?token=abc"');
+      expect(result.text).toContain('Restablecer contraseña: https://app.example.com/reset-password?token=abc');
+    });
+
+    it('should escape variables in the html body', () => {
+      const result = renderTemplate('welcome', 'en', { firstName: '<script>' });
+
+      expect(result.html).toContain('Hi &lt;script&gt;,');
+      expect(result.html).not.toContain('<script>');
+      expect(result.text).toContain('Hi <script>,');
+    });
+
+    it('should use a generic greeting when the first name is missing', () => {
+      expect(renderTemplate('emailVerification', 'en').text).toMatch(/^Hi there,/);
+      expect(renderTemplate('emailVerification', 'fr').text).toMatch(/^Bonjour,/);
+    });
+
+    it('should omit the action button without an action url', () => {
+      const result = renderTemplate('welcome', 'en', { firstName: 'Sam' });
+
+      expect(result.html).not.toContain('<a href');
+      expect(result.text).not.toContain('Verify my email:');
+    });
+
+    it('should throw for unknown templates', () => {
+      expect(() => renderTemplate('unknown', 'en')).toThrow('Unknown email template: unknown');
+    });
+  });
+});